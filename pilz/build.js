@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+/* Builds the data bundles the page loads from the JSON sources, after validating every entry against
+   schema.json and cross-checking the sources against each other.
+
+     species.json        -> species.js     (M)
+     details/<n>.json    -> details.js     (DETAILS)
+     extras.json         -> extras.js      (EXTRAS)
+     categories.json     -> categories.js  (CATEGORIES: colour of each category chip)
+     lookalikes.json     -> lookalikes.js  (LOOKALIKES)
+     morphology.json     -> morphology.js  (MORPHOLOGY)
+     fruiting.json       -> fruiting.js    (FRUITING)
+     culinary.json       -> culinary.js    (CULINARY)
+     syndromes.json      -> syndromes.js   (SIGNS, SYNDROMES)
+     taxonomy.json       -> taxonomy.js    (TAXONOMY)
+     images/<n>/meta.json -> credits.js    (CREDITS: source, author, licence and description of each photo)
+     schema.json         -> schema.js      (SCHEMA, for the page's add-species form)
+     locales/<lang>.json -> locales/<lang>.js (LOCALES[lang]; en holds the UI strings every other language falls back to)
+     species.json        -> test.csv       (index / name / connection list)
+     + precache.js for the service worker
+
+   node build.js           validate and write
+   node build.js --check     validate only; exit code 1 on any error
+   node build.js --licences  list photos without licence metadata or under a non-free licence; exit code 1 if any
+   node build.js --apply <patch.json>
+                           write the source files of a patch exported by the page's editor (#edit) into species.json,
+                           extras.json, categories.json and details/ (and the image folders of added species), then
+                           validate and write as above; if the sources then fail the checks they are put back as they were */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {validate} = require('./validate.js');
+const precache = require('./make_precache.js');
+
+const ROOT = __dirname;
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(ROOT, 'schema.json'), 'utf8'));
+
+function readJSON(file, errors){
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  } catch(e){
+    errors.push(`${file}: ${e.code === 'ENOENT' ? 'file is missing' : e.message}`);
+    return null;
+  }
+}
+
+function check(def, value, where, errors){
+  for(const msg of validate({$ref: `#/definitions/${def}`, definitions: SCHEMA.definitions}, value)){
+    errors.push(`${where}${msg.startsWith('(root)') ? msg.slice(6) : ' ' + msg}`);
+  }
+}
+
+// region ids a species may list in r: WW (worldwide), a continent, or an ISO alpha-3 country from countries.js
+const CONTINENT_CODES = ['NA', 'SA', 'EU', 'AF', 'AS', 'OC'];
+function loadCountries(){
+  const ctx = vm.createContext({});
+  return vm.runInContext(fs.readFileSync(path.join(ROOT, 'countries.js'), 'utf8') + ';COUNTRIES', ctx);
+}
+// the continents a list of region ids covers; countries count towards their continent(s)
+function continentsOf(rs, countries){
+  if(rs.includes('WW')) return CONTINENT_CODES;
+  return [...new Set(rs.flatMap(r => CONTINENT_CODES.includes(r) ? [r] : (countries[r] ? countries[r].c : [])))];
+}
+
+// taxonomy.json ranks, highest first
+const TAXON_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+// licences photos may be shipped under: public domain and the free Creative Commons, GNU and Free Art licences.
+// NC (non-commercial) and ND (no derivatives) variants are not free.
+const FREE_LICENCE = /^(cc0|cc[ -]by(-sa)?\b|public domain|pd\b|gfdl|gnu free documentation|fal\b|free art)/i;
+const NOT_FREE = /\b(nc|nd)\b|non-?commercial|no ?deriv|fair use|all rights reserved/i;
+function isFreeLicence(name){ return FREE_LICENCE.test(name) && !NOT_FREE.test(name); }
+
+// the {placeholders} a UI string uses, over all of its plural forms
+function placeholders(s){
+  return new Set((typeof s === 'string' ? [s] : Object.values(s)).flatMap(x => (x.match(/\{\w+\}/g) || [])));
+}
+
+// which hemisphere's fruiting months apply to a continent (Africa straddles the equator: both)
+const REGION_HEMI = {NA: ['N'], EU: ['N'], AS: ['N'], AF: ['N', 'S'], SA: ['S'], OC: ['S']};
+
+function load(){
+  const errors = [];
+  const warnings = [];
+
+  const species = readJSON('species.json', errors) || [];
+  if(!Array.isArray(species)) errors.push('species.json: must be an array of species');
+  const byN = new Map();
+  (Array.isArray(species) ? species : []).forEach((m, i) => {
+    const where = `species.json[${i}]${m && m.n ? ` (n=${m.n})` : ''}`;
+    check('species', m, where + ':', errors);
+    if(m && Number.isInteger(m.n)){
+      if(byN.has(m.n)) errors.push(`${where}: duplicate n=${m.n}`);
+      byN.set(m.n, m);
+    }
+  });
+
+  // every category a species is in needs a colour; an unused one is only dead weight
+  const categories = readJSON('categories.json', errors) || {};
+  for(const [id, c] of Object.entries(categories)){
+    check('categoryId', id, `categories.json: key "${id}"`, errors);
+    check('category', c, `categories.json["${id}"]:`, errors);
+  }
+  for(const [n, m] of byN) if(m.cat && !categories[m.cat]) errors.push(`species.json (n=${n}): category "${m.cat}" is not in categories.json`);
+  for(const id of Object.keys(categories)) if(![...byN.values()].some(m => m.cat === id)) warnings.push(`categories.json: "${id}" has no species`);
+
+  const details = {};
+  const detailDir = path.join(ROOT, 'details');
+  for(const f of fs.readdirSync(detailDir).filter(f => f.endsWith('.json'))){
+    const n = Number(path.basename(f, '.json'));
+    const where = `details/${f}`;
+    if(!Number.isInteger(n)){ errors.push(`${where}: file name must be <n>.json`); continue; }
+    const d = readJSON(where, errors);
+    if(!d) continue;
+    check('details', d, where + ':', errors);
+    details[n] = d;
+  }
+
+  const extras = readJSON('extras.json', errors) || {};
+  for(const [k, x] of Object.entries(extras)) check('extras', x, `extras.json["${k}"]:`, errors);
+
+  const lookalikes = readJSON('lookalikes.json', errors) || [];
+  lookalikes.forEach((p, i) => check('lookalike', p, `lookalikes.json[${i}]:`, errors));
+
+  const morphology = readJSON('morphology.json', errors) || {};
+  for(const [k, x] of Object.entries(morphology)) check('morphology', x, `morphology.json["${k}"]:`, errors);
+
+  const fruiting = readJSON('fruiting.json', errors) || {};
+  for(const [k, x] of Object.entries(fruiting)) check('fruiting', x, `fruiting.json["${k}"]:`, errors);
+
+  const culinary = readJSON('culinary.json', errors) || {};
+  for(const [k, x] of Object.entries(culinary)) check('culinary', x, `culinary.json["${k}"]:`, errors);
+
+  // the taxonomy is browsed as a tree, so a taxon must sit under the same parent in every entry
+  const taxonomy = readJSON('taxonomy.json', errors) || {};
+  const parentOf = {};
+  for(const [k, x] of Object.entries(taxonomy)){
+    check('taxonomy', x, `taxonomy.json["${k}"]:`, errors);
+    let parent = null;
+    for(const rank of TAXON_RANKS){
+      const name = x[rank];
+      if(!name) continue;
+      const id = `${rank} ${name}`;
+      if(id in parentOf && parentOf[id] !== parent) errors.push(`taxonomy.json["${k}"]: ${id} is under ${parent || 'nothing'} here but under ${parentOf[id] || 'nothing'} elsewhere`);
+      parentOf[id] = parentOf[id] || parent;
+      parent = id;
+    }
+  }
+
+  const syn = readJSON('syndromes.json', errors) || {signs: {}, syndromes: {}};
+  check('syndromes', syn, 'syndromes.json:', errors);
+  const signs = syn.signs || {}, syndromes = syn.syndromes || {};
+  for(const [id, s] of Object.entries(syndromes)){
+    for(const g of s.signs || []) if(!(g in signs)) errors.push(`syndromes.json: syndrome "${id}" lists sign "${g}", which is not in signs`);
+    if(s.onsetHours && s.onsetHours[0] > s.onsetHours[1]) errors.push(`syndromes.json: syndrome "${id}" has onsetHours ending before they start`);
+  }
+
+  const locales = {};
+  for(const f of fs.readdirSync(path.join(ROOT, 'locales')).filter(f => f.endsWith('.json')).sort()){
+    const where = `locales/${f}`;
+    const loc = readJSON(where, errors);
+    if(!loc) continue;
+    check('locale', loc, where + ':', errors);
+    locales[path.basename(f, '.json')] = loc;
+  }
+  const en = locales.en;
+  const credits = {}, images = {};
+  if(!en) errors.push('locales/en.json: missing — it holds the UI strings every other language falls back to');
+
+  // every species needs its details and extras, and nothing may refer to a species that does not exist
+  const countries = loadCountries();
+  for(const [n, m] of byN){
+    if(!details[n]) errors.push(`details/${n}.json: missing for species ${n} (${m.name})`);
+    if(!extras[n]) errors.push(`extras.json: no entry "${n}" for species ${n} (${m.name})`);
+    if(!morphology[n]) warnings.push(`morphology.json: no entry "${n}" — the identification key will never exclude ${m.name}`);
+    if(!taxonomy[n]) warnings.push(`taxonomy.json: no entry "${n}" — ${m.name} is missing from the taxonomy tree`);
+    else if(taxonomy[n].genus && m.sci.split(' ')[0] !== taxonomy[n].genus) errors.push(`species ${n} (${m.name}): sci "${m.sci}" is not in genus ${taxonomy[n].genus} from taxonomy.json`);
+    if(!(n in fruiting)) warnings.push(`fruiting.json: no entry "${n}" — ${m.name} is never shown as in season`);
+    else if(fruiting[n]){
+      const hemis = new Set(continentsOf(m.r || [], countries).flatMap(c => REGION_HEMI[c]));
+      for(const h of ['N', 'S']){
+        if(fruiting[n][h] && fruiting[n][h].length && !hemis.has(h)) errors.push(`species ${n} (${m.name}): fruiting.json has ${h} months but no region in that hemisphere`);
+      }
+      if(![...hemis].some(h => fruiting[n][h] && fruiting[n][h].length)) warnings.push(`fruiting.json: "${n}" has no months for any hemisphere ${m.name} grows in`);
+    }
+    for(const r of m.r || []){
+      if(r !== 'WW' && !CONTINENT_CODES.includes(r) && !countries[r]) errors.push(`species.json (n=${n}): region "${r}" is neither a continent nor a country in countries.js`);
+    }
+    if((m.r || []).includes('WW') && m.r.length > 1) errors.push(`species.json (n=${n}): "WW" already covers every other region in r`);
+    // a species without photos has no folder (git keeps no empty ones); the page shows "no image" for it
+    const dir = path.join(ROOT, 'images', String(n));
+    images[n] = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => /^img_\d+\.jpg$/.test(f)).sort() : [];
+    if(!images[n].length) warnings.push(`images/${n}/: no photos yet for species ${n} (${m.name}) — node fetch_images.js ${n}`);
+    if(fs.existsSync(dir)){
+      // the sidecar fetch_images.js writes next to the photos
+      if(fs.existsSync(path.join(dir, 'meta.json'))){
+        const meta = readJSON(`images/${n}/meta.json`, errors);
+        if(meta){
+          check('imageMeta', meta, `images/${n}/meta.json:`, errors);
+          for(const f of Object.keys(meta)) if(!images[n].includes(f)) errors.push(`images/${n}/meta.json: "${f}" is not in the folder`);
+          if(Object.keys(meta).length) credits[n] = meta;
+        }
+      }
+    }
+
+    // fields that have to agree with each other
+    const sev = details[n] && details[n].toxicity && details[n].toxicity.severity;
+    if(m.e === 'deadly' && sev && sev !== 'deadly') errors.push(`species ${n} (${m.name}): e is "deadly" but details toxicity.severity is "${sev}"`);
+    if((m.e === 'toxic' || m.e === 'deadly') && sev === 'none') errors.push(`species ${n} (${m.name}): e is "${m.e}" but details toxicity.severity is "none"`);
+    // the structured toxicity fields the triage reads; pathogens infect rather than poison, so they need none
+    const tox = (details[n] && details[n].toxicity) || {};
+    if(tox.syndrome && !syndromes[tox.syndrome]) errors.push(`details/${n}.json: toxicity.syndrome "${tox.syndrome}" is not in syndromes.json`);
+    if(sev === 'none' && (tox.syndrome || tox.onsetHours || tox.windowHours != null)) errors.push(`details/${n}.json: severity "none" cannot have a syndrome, onsetHours or windowHours`);
+    if(sev === 'deadly' && m.e !== 'pathogenic' && !(tox.syndrome && tox.onsetHours)) warnings.push(`details/${n}.json: deadly but without syndrome and onsetHours — the triage cannot place ${m.name}`);
+    if(tox.onsetHours && tox.onsetHours[0] > tox.onsetHours[1]) errors.push(`details/${n}.json: toxicity.onsetHours ends before it starts`);
+    for(const g of tox.signs || []) if(!(g in signs)) errors.push(`details/${n}.json: toxicity.signs has "${g}", which is not in syndromes.json signs`);
+    if(sev === 'none' && (tox.signs || []).length) errors.push(`details/${n}.json: severity "none" cannot have signs`);
+    if(sev && sev !== 'none' && !(tox.signs || []).length) warnings.push(`details/${n}.json: toxic but no signs — the symptom lookup will never find ${m.name}`);
+    // the kitchen only gets species that are eaten; a conditionally edible toxic one must say how to make it safe
+    const cul = culinary[n], chef = (extras[n] && extras[n].chef) || {};
+    if(cul && sev === 'deadly') errors.push(`culinary.json: "${n}" — ${m.name} is deadly and cannot have a recipe`);
+    if(cul && sev && sev !== 'none' && !cul.prep.length) errors.push(`culinary.json: "${n}" — ${m.name} is ${sev}ly toxic, so prep must say how to make it safe`);
+    if(cul && cul.prep.includes('noAlcohol') && cul.pairings.includes('wine')) errors.push(`culinary.json: "${n}" pairs with wine but must not be eaten with alcohol`);
+    if(cul && cul.prep.includes('raw') && cul.prep.some(p => p === 'cook' || p === 'parboil')) errors.push(`culinary.json: "${n}" cannot be both served raw and cooked`);
+    if(!cul && chef.score >= 3) warnings.push(`culinary.json: no entry "${n}" — ${m.name} has a chef score of ${chef.score} but no recipe card`);
+  }
+  const unlicensed = licenceReport({species: [...byN.values()], images, credits});
+  if(unlicensed.missing.length || unlicensed.notFree.length){
+    warnings.push(`images: ${unlicensed.missing.length} photo(s) without licence metadata, ${unlicensed.notFree.length} under a non-free licence — node build.js --licences lists them`
+      + (unlicensed.missing.length ? ', node fetch_images.js --meta looks up the missing metadata' : ''));
+  }
+  for(const n of Object.keys(details)) if(!byN.has(Number(n))) errors.push(`details/${n}.json: no species ${n} in species.json`);
+  for(const n of Object.keys(extras)) if(!byN.has(Number(n))) errors.push(`extras.json: entry "${n}" has no species in species.json`);
+  for(const n of Object.keys(morphology)) if(!byN.has(Number(n))) errors.push(`morphology.json: entry "${n}" has no species in species.json`);
+  for(const n of Object.keys(fruiting)) if(!byN.has(Number(n))) errors.push(`fruiting.json: entry "${n}" has no species in species.json`);
+  for(const n of Object.keys(culinary)) if(!byN.has(Number(n))) errors.push(`culinary.json: entry "${n}" has no species in species.json`);
+  for(const n of Object.keys(taxonomy)) if(!byN.has(Number(n))) errors.push(`taxonomy.json: entry "${n}" has no species in species.json`);
+  lookalikes.forEach((p, i) => {
+    for(const k of ['a', 'b']) if(!byN.has(p[k])) errors.push(`lookalikes.json[${i}]: ${k}=${p[k]} is not a species`);
+    if(p.a === p.b) errors.push(`lookalikes.json[${i}]: a species cannot be its own look-alike`);
+  });
+
+  // translations: only keys English has, with no placeholder English does not fill in, for species that exist
+  for(const [lang, loc] of Object.entries(locales)){
+    const where = `locales/${lang}.json`;
+    for(const part of ['species', 'details', 'extras']){
+      for(const n of Object.keys(loc[part] || {})) if(!byN.has(Number(n))) errors.push(`${where}: ${part} entry "${n}" has no species in species.json`);
+    }
+    for(const n of Object.keys(loc.culinary || {})) if(!culinary[n]) errors.push(`${where}: culinary entry "${n}" is not in culinary.json`);
+    for(const g of Object.keys(loc.signs || {})) if(!(g in signs)) errors.push(`${where}: sign "${g}" is not in syndromes.json`);
+    for(const id of Object.keys(loc.syndromes || {})) if(!syndromes[id]) errors.push(`${where}: syndrome "${id}" is not in syndromes.json`);
+    if(!en || lang === 'en' || !loc.ui) continue;
+    for(const [k, v] of Object.entries(loc.ui)){
+      if(!(k in en.ui)){ errors.push(`${where}: UI string "${k}" does not exist in locales/en.json`); continue; }
+      const known = placeholders(en.ui[k]);
+      for(const ph of placeholders(v)) if(!known.has(ph)) errors.push(`${where}: UI string "${k}" uses ${ph}, which the English string does not have`);
+    }
+    const missing = Object.keys(en.ui).filter(k => !(k in loc.ui));
+    if(missing.length) warnings.push(`${where}: ${missing.length} UI string(s) untranslated, shown in English: ${missing.join(', ')}`);
+  }
+
+  const sorted = [...byN.values()].sort((a, b) => a.n - b.n);
+  return {errors, warnings, species: sorted, details, extras, categories, lookalikes, morphology, fruiting, culinary, taxonomy, signs, syndromes, locales, images, credits};
+}
+
+// photos with no meta.json entry or no licence in it, and photos whose licence is not free
+function licenceReport(data){
+  const missing = [], notFree = [];
+  for(const m of [...data.species].sort((a, b) => a.n - b.n)){
+    for(const f of data.images[m.n] || []){
+      const c = (data.credits[m.n] || {})[f];
+      const row = {file: `images/${m.n}/${f}`, species: m, meta: c};
+      if(!c || !c.licence) missing.push(row);
+      else if(!isFreeLicence(c.licence)) notFree.push(row);
+    }
+  }
+  return {missing, notFree};
+}
+
+/* ---------- writers ---------- */
+function keyed(obj){
+  const out = {};
+  for(const k of Object.keys(obj).sort((a, b) => a - b)) out[k] = obj[k];
+  return out;
+}
+function speciesJSON(species){ return '[\n' + species.map(m => JSON.stringify(m)).join(',\n') + '\n]\n'; }
+// JSON on one line, spaced like hand-written data: {"a": 1, "b": [2, 3]}
+function inline(v){
+  if(Array.isArray(v)) return '[' + v.map(inline).join(', ') + ']';
+  if(v && typeof v === 'object') return '{' + Object.entries(v).map(([k, x]) => `${JSON.stringify(k)}: ${inline(x)}`).join(', ') + '}';
+  return JSON.stringify(v);
+}
+function oneLinePerKey(obj){
+  return '{\n' + Object.entries(keyed(obj)).map(([k, v]) => ` ${JSON.stringify(k)}: ${inline(v)}`).join(',\n') + '\n}';
+}
+// one block per pair, one line per feature
+function lookalikesJS(pairs){
+  return '[\n' + pairs.map(p => {
+    const head = Object.entries(p).filter(([k]) => k !== 'features').map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)}`);
+    const feats = p.features.map(f => '   ' + inline(f)).join(',\n');
+    return ' {\n' + head.join(',\n') + ',\n  "features": [\n' + feats + '\n  ]\n }';
+  }).join(',\n') + '\n]';
+}
+// details/<n>.json layout: one key per line, arrays on one line
+function detailsJSON(d){
+  const block = (v, pad) => v && typeof v === 'object' && !Array.isArray(v)
+    ? '{\n' + Object.entries(v).map(([k, x]) => `${pad}  ${JSON.stringify(k)}: ${block(x, pad + '  ')}`).join(',\n') + `\n${pad}}`
+    : inline(v);
+  return block(d, '') + '\n';
+}
+function extrasJSON(extras){ return JSON.stringify(keyed(extras), null, 1) + '\n'; }
+function csvCell(s){ return '"' + String(s).replace(/"/g, '""') + '"'; }
+
+function localeJS(lang, loc){
+  return `/* generated by build.js from locales/${lang}.json — ${loc.name} UI strings and translated content; what is missing falls back to English */
+var LOCALES = LOCALES || {};
+LOCALES[${JSON.stringify(lang)}] = ${JSON.stringify(loc, null, 1)};
+`;
+}
+
+function bundles(data){
+  const locales = {};
+  for(const [lang, loc] of Object.entries(data.locales)) locales[`locales/${lang}.js`] = localeJS(lang, loc);
+  return {
+    'species.js': `/* generated by build.js from species.json — do not edit by hand */
+const M = [
+${data.species.map(m => JSON.stringify(m)).join(',\n')}
+];
+`,
+    'details.js': `/* generated by build.js from details/*.json — per-mushroom edibility, taste, search strategy, toxicity */
+const DETAILS = ${JSON.stringify(keyed(data.details), null, 1)};
+`,
+    'extras.js': `/* generated by build.js from extras.json — per-mushroom enrichment for chefs/controleurs/nerds modes */
+const EXTRAS = ${JSON.stringify(keyed(data.extras), null, 1)};
+`,
+    'categories.js': `/* generated by build.js from categories.json — the colour each category chip is tinted in; bySpecies = filled with
+   the species' own col where it has one */
+const CATEGORIES = ${oneLinePerKey(data.categories)};
+`,
+    'schema.js': `/* generated by build.js from schema.json — the definitions the add-species form (#edit) validates against, with validate.js */
+const SCHEMA = ${JSON.stringify(SCHEMA, null, 1)};
+`,
+    'lookalikes.js': `/* generated by build.js from lookalikes.json — species pairs that get confused in the field, with the features that tell them apart.
+   risk = what is at stake when the safer-looking one is picked by mistake (severity scale of DETAILS.toxicity) */
+const LOOKALIKES = ${lookalikesJS(data.lookalikes)};
+`,
+    'morphology.js': `/* generated by build.js from morphology.json — field morphology for the identification key: what is under the cap,
+   spore print, ring, volva, substrate and fruiting season. null = not applicable / not recorded (never excludes) */
+const MORPHOLOGY = ${oneLinePerKey(data.morphology)};
+`,
+    'fruiting.js': `/* generated by build.js from fruiting.json — months with fruiting bodies per hemisphere, as inclusive [from, to]
+   ranges (to < from wraps over the new year). [] = not recorded there, null = forms no fruiting bodies */
+const FRUITING = ${oneLinePerKey(data.fruiting)};
+`,
+    'culinary.js': `/* generated by build.js from culinary.json — kitchen data for the species that are eaten: preparation rules,
+   texture, flavour, pairings, cooking methods, ways to preserve, and a recipe card. Not listed = not for the kitchen */
+const CULINARY = ${JSON.stringify(keyed(data.culinary), null, 1)};
+`,
+    'syndromes.js': `/* generated by build.js from syndromes.json — the controlled symptom vocabulary DETAILS toxicity.signs uses (SIGNS)
+   and the poisoning syndromes they point to (SYNDROMES), most dangerous first; onsetHours count from the meal */
+const SIGNS = ${JSON.stringify(data.signs, null, 1)};
+const SYNDROMES = ${JSON.stringify(data.syndromes, null, 1)};
+`,
+    'taxonomy.js': `/* generated by build.js from taxonomy.json — kingdom, phylum, class, order, family and genus of each species.
+   null = unplaced at that rank, or the entry covers several taxa */
+const TAXONOMY = ${oneLinePerKey(data.taxonomy)};
+`,
+    'credits.js': `/* generated by build.js from images/<n>/meta.json — source page, author, licence and description of each photo, by species
+   and file name. Photos not listed have no known attribution yet */
+const CREDITS = ${JSON.stringify(keyed(data.credits), null, 1)};
+`,
+    'test.csv': 'Index,Mushroom,Connection\n' + data.species.map(m => [m.ck, m.name, m.tag].map(csvCell).join(',')).join('\n') + '\n',
+    ...locales,
+  };
+}
+
+function printLicenceReport(data){
+  const {missing, notFree} = licenceReport(data);
+  const line = r => `  ${r.file.padEnd(22)} ${r.species.name}` + (r.meta ? ` — ${r.meta.licence || 'no licence'}, ${r.meta.author || 'no author'} <${r.meta.source}>` : '');
+  console.log(`${missing.length} photo(s) without licence metadata:`);
+  missing.forEach(r => console.log(line(r)));
+  if(missing.length) console.log('  (node fetch_images.js --meta looks them up without downloading the photos again)');
+  console.log(`\n${notFree.length} photo(s) under a non-free licence:`);
+  notFree.forEach(r => console.log(line(r)));
+  return missing.length || notFree.length ? 1 : 0;
+}
+
+/* ---------- editor patches ---------- */
+// {format: "mycelia-patch", files: {"species.json": [...], "extras.json": {...}, "categories.json": {...}, "details/<n>.json": {...}},
+//  folders: ["images/<n>"]} — whole files, as the page's editor exports them. Each file is checked against the schema and laid
+// out like the hand-kept sources; folders are the image folders of added species, created empty.
+const PATCH_FORMAT = 'mycelia-patch';
+function patchFiles(patch){
+  const errors = [], files = [], folders = [];
+  if(!patch || patch.format !== PATCH_FORMAT || !patch.files || typeof patch.files !== 'object'){
+    return {errors: [`not a ${PATCH_FORMAT} file`], files, folders};
+  }
+  for(const [file, v] of Object.entries(patch.files)){
+    if(file === 'species.json'){
+      if(!Array.isArray(v)){ errors.push(`${file}: must be an array of species`); continue; }
+      v.forEach((m, i) => check('species', m, `${file}[${i}]:`, errors));
+      files.push([file, speciesJSON(v)]);
+    } else if(file === 'extras.json'){
+      if(!v || typeof v !== 'object' || Array.isArray(v)){ errors.push(`${file}: must be an object keyed by species n`); continue; }
+      for(const [k, x] of Object.entries(v)) check('extras', x, `${file}["${k}"]:`, errors);
+      files.push([file, extrasJSON(v)]);
+    } else if(file === 'categories.json'){
+      if(!v || typeof v !== 'object' || Array.isArray(v)){ errors.push(`${file}: must be an object keyed by category`); continue; }
+      for(const [k, x] of Object.entries(v)){
+        check('categoryId', k, `${file}: key "${k}"`, errors);
+        check('category', x, `${file}["${k}"]:`, errors);
+      }
+      files.push([file, oneLinePerKey(v) + '\n']);
+    } else if(/^details\/[1-9]\d*\.json$/.test(file)){
+      check('details', v, file + ':', errors);
+      files.push([file, detailsJSON(v)]);
+    } else {
+      errors.push(`${file}: a patch may only write species.json, extras.json, categories.json and details/<n>.json`);
+    }
+  }
+  for(const dir of patch.folders || []){
+    if(/^images\/[1-9]\d*$/.test(dir)) folders.push(dir);
+    else errors.push(`folders: "${dir}" is not an image folder (images/<n>)`);
+  }
+  return {errors, files, folders};
+}
+/* Writes the patch's files and folders and returns {file, written, restore}, or null if the patch itself is
+   broken (nothing written then). The cross-file checks of load() need the files on disk, so main() runs them
+   afterwards and calls restore() to put the sources back as they were if they fail. */
+function applyPatch(file){
+  if(!file){
+    console.error('usage: node build.js --apply <patch.json>');
+    return null;
+  }
+  let patch;
+  try {
+    patch = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch(e){
+    console.error(`${file}: ${e.code === 'ENOENT' ? 'file is missing' : e.message}`);
+    return null;
+  }
+  const {errors, files, folders} = patchFiles(patch);
+  if(errors.length){
+    console.error(`\n${errors.length} error(s) in ${file} — nothing written:\n`);
+    for(const e of errors) console.error('  ' + e);
+    return null;
+  }
+  // what was there before: the old text of each file (null if it is new) and the folders that did not exist
+  const before = files.map(([f]) => [f, fs.existsSync(path.join(ROOT, f)) ? fs.readFileSync(path.join(ROOT, f)) : null]);
+  const created = folders.filter(dir => !fs.existsSync(path.join(ROOT, dir)));
+  for(const [f, text] of files) fs.writeFileSync(path.join(ROOT, f), text);
+  // the folders fetch_images.js fills; they stay out of git until they hold photos
+  for(const dir of folders) fs.mkdirSync(path.join(ROOT, dir), {recursive: true});
+  return {
+    file,
+    written: [...files.map(([f]) => f), ...folders.map(d => d + '/')].join(', ') || 'no files',
+    restore(){
+      for(const [f, old] of before){
+        if(old) fs.writeFileSync(path.join(ROOT, f), old);
+        else fs.rmSync(path.join(ROOT, f), {force: true});
+      }
+      for(const dir of created) fs.rmdirSync(path.join(ROOT, dir));
+    },
+  };
+}
+
+function main(argv){
+  const checkOnly = argv.includes('--check');
+  const at = argv.indexOf('--apply');
+  const applied = at >= 0 ? applyPatch(argv[at + 1]) : null;
+  if(at >= 0 && !applied) return 1;
+  const data = load();
+  if(argv.includes('--licences')) return printLicenceReport(data);
+  for(const w of data.warnings) console.warn('warning: ' + w);
+  if(data.errors.length){
+    if(applied) applied.restore();
+    console.error(`\n${data.errors.length} error(s)${applied ? ` with ${applied.file} applied — the sources are put back as they were,` : ' —'} nothing written:\n`);
+    for(const e of data.errors) console.error('  ' + e);
+    return 1;
+  }
+  if(applied) console.log(`applied ${applied.file}: ${applied.written}`);
+  if(checkOnly){
+    console.log(`ok: ${data.species.length} species valid`);
+    return 0;
+  }
+  const out = bundles(data);
+  for(const [file, text] of Object.entries(out)) fs.writeFileSync(path.join(ROOT, file), text);
+  precache.write(precache.build());
+  console.log(`built ${data.species.length} species into ${Object.keys(out).join(', ')}, precache.js`);
+  return 0;
+}
+
+if(require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = {load, bundles, licenceReport, isFreeLicence, speciesJSON, detailsJSON, extrasJSON, patchFiles, inline, oneLinePerKey, lookalikesJS, keyed};
@@ -0,0 +1,25 @@
+/* generated by build.js from categories.json — the colour each category chip is tinted in; bySpecies = filled with
+   the species' own col where it has one */
+const CATEGORIES = {
+ "COLOR": {"color": "#e4e4e7", "bySpecies": true},
+ "TECH": {"color": "#34d399"},
+ "TAROT": {"color": "#c084fc"},
+ "PLANET": {"color": "#fb923c"},
+ "MOON": {"color": "#cbd5e1"},
+ "COSMIC": {"color": "#818cf8"},
+ "ELEMENT": {"color": "#facc15"},
+ "TEMPO": {"color": "#d4a574"},
+ "INSTRUMENT": {"color": "#d4a574"},
+ "GENRE": {"color": "#f472b6"},
+ "ACOUSTICS": {"color": "#38bdf8"},
+ "FREQ": {"color": "#38bdf8"},
+ "VIBE": {"color": "#f9a8d4"},
+ "GEOMETRY": {"color": "#e2e8f0"},
+ "MATH": {"color": "#2dd4bf"},
+ "ERA": {"color": "#f59e0b"},
+ "TIME": {"color": "#818cf8"},
+ "SEASON": {"color": "#86efac"},
+ "CRYPTO": {"color": "#fbbf24"},
+ "STATUS": {"color": "#f87171"},
+ "MYTH": {"color": "#facc15"}
+};
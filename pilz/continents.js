@@ -1,9 +0,0 @@
-const CONTINENTS = {
-  NA: "M159,114L158,114L153,111L151,110L146,109L144,106L145,105L141,103L141,101L137,99L137,98L139,96L139,95L134,93L131,90L130,88L127,86L125,85L124,84L121,85L118,86L116,85L114,83L111,83L108,82L108,67L108,56L114,57L118,58L121,59L123,57L127,57L131,57L135,56L139,55L141,56L143,56L144,54L146,55L151,57L154,55L155,57L158,57L159,56L163,56L167,57L173,58L177,59L180,59L184,60L180,61L185,62L192,62L195,61L198,63L201,61L198,60L200,59L203,59L205,59L207,60L210,61L213,61L218,62L222,62L227,62L226,60L229,60L233,60L233,63L235,61L237,61L238,58L235,56L232,55L232,52L236,50L239,51L242,52L246,55L243,56L248,57L248,60L252,58L256,59L255,61L257,63L260,61L262,59L262,56L266,56L270,57L274,58L274,59L272,61L274,62L274,64L268,66L265,66L262,65L261,67L258,69L257,70L254,72L250,72L248,73L248,75L245,75L241,78L238,81L237,83L237,86L241,87L242,89L244,91L248,91L253,92L255,93L257,94L261,95L264,96L268,97L271,97L271,99L272,102L274,105L278,108L280,107L282,104L280,100L278,98L283,97L286,95L287,93L287,91L285,89L282,87L285,84L284,81L283,77L285,76L290,77L293,77L295,77L297,77L301,79L302,80L307,80L307,83L308,86L310,87L312,88L316,87L319,84L321,82L323,85L326,88L329,92L328,94L332,95L335,97L339,97L341,98L342,101L344,101L345,102L345,105L343,106L341,107L337,108L333,110L329,111L323,110L318,110L316,110L313,112L310,114L306,117L302,120L305,119L309,116L315,114L319,113L322,115L319,116L320,119L321,122L325,123L329,123L332,119L332,121L334,122L330,124L324,126L322,127L318,129L316,129L316,126L321,124L317,124L314,125L312,123L312,119L310,118L309,119L308,118L306,120L305,122L304,124L303,124L302,124L301,125L296,125L292,125L291,126L288,128L287,129L284,129L281,129L280,129L281,130L281,131L277,132L274,133L271,134L270,134L269,134L269,133L270,132L271,131L272,129L271,127L271,124L268,123L268,122L267,122L266,121L265,121L265,120L264,120L262,119L260,118L257,117L255,116L252,117L251,117L248,116L245,116L243,115L240,115L238,115L237,114L237,113L236,113L236,114L230,114L220,114L211,114L203,114L194,114L186,114L178,114L175,114L167,114L159,114Z M267,77L269,75L273,75L273,76L269,77L267,77Z M278,48L275,46L275,45L277,45L283,45L288,47L288,48L285,48L282,48L279,48L278,48Z M277,78L278,77L279,77L280,77L279,79L278,79L277,78Z M240,42L238,43L234,43L231,42L233,41L237,40L239,41L240,42Z M239,35L238,35L233,35L232,34L238,34L240,34L239,35Z M231,31L235,32L234,33L230,34L227,33L226,32L226,31L230,31L231,31Z M255,43L251,43L243,42L242,41L242,39L239,38L233,38L230,37L231,36L237,36L240,37L246,37L248,38L247,39L250,39L252,40L256,40L260,40L264,40L270,39L275,40L278,41L278,42L277,43L272,43L269,43L261,43L255,43Z M191,33L195,33L194,34L189,35L185,34L187,33L191,33Z M192,31L195,32L192,32L187,32L190,31L192,31Z M346,107L344,109L342,112L344,111L346,111L345,112L347,113L349,112L351,113L351,115L353,115L353,116L354,118L353,120L351,121L350,120L350,118L349,117L346,120L344,120L346,118L344,118L341,118L335,118L335,117L337,116L335,115L338,114L341,109L342,108L345,107L346,107Z M267,69L270,70L273,71L273,72L276,72L277,73L275,74L271,73L269,72L266,73L262,75L261,73L258,73L260,72L260,70L261,67L263,68L264,69L265,68L267,69Z M281,49L284,48L290,49L294,51L294,52L299,51L302,53L309,54L311,55L314,58L309,59L315,61L320,62L324,64L328,64L327,66L322,69L319,68L315,66L311,66L311,68L314,69L317,70L319,71L320,74L319,76L316,75L309,73L313,75L316,77L316,78L309,77L303,75L299,74L300,73L296,72L292,70L292,71L284,72L282,71L284,69L289,69L295,68L294,67L295,66L298,63L297,62L296,61L292,60L286,59L288,58L285,56L283,56L281,55L279,56L274,56L264,56L258,55L254,54L251,53L254,52L250,52L249,49L252,47L254,46L262,45L260,47L262,49L264,46L271,45L276,48L276,50L281,49Z M237,44L243,44L249,45L244,47L241,48L238,50L235,50L233,47L233,46L235,45L237,44Z M159,39L163,36L169,35L173,35L177,34L177,36L175,37L172,38L167,39L163,39L159,39Z M131,100L134,100L133,103L136,105L135,105L133,104L132,103L130,102L130,100L131,100Z M207,30L212,30L220,31L222,32L223,34L219,33L214,32L208,32L211,31L207,31L207,30Z M157,115L156,116L151,114L150,113L148,112L147,112L144,111L143,110L143,109L146,110L148,110L151,110L152,111L153,113L156,114L157,115Z M162,43L166,44L173,44L176,45L179,46L176,47L169,49L165,51L165,52L158,53L157,52L150,50L151,49L153,47L156,45L153,44L162,43Z M201,39L203,39L206,39L206,40L205,42L195,42L188,43L184,43L184,42L189,41L177,42L173,41L177,38L179,38L187,38L192,40L197,40L193,38L196,37L198,37L199,38L201,39Z M204,47L207,48L209,51L210,53L214,54L220,55L219,57L215,57L216,58L215,59L210,59L206,58L202,58L197,59L190,59L185,60L184,58L180,58L177,58L174,56L176,55L180,55L184,55L188,55L182,54L176,54L172,54L171,53L177,52L173,52L168,51L171,49L173,48L180,46L183,47L181,48L188,47L192,49L195,47L197,48L199,51L201,50L199,47L201,47L204,47Z M221,48L218,46L221,45L225,45L230,45L230,46L228,47L232,48L231,51L227,52L224,52L222,51L215,49L215,48L221,48Z M204,46L208,45L210,46L207,48L203,46L204,46Z M226,37L229,38L229,40L227,42L223,42L220,42L220,40L215,40L215,38L218,38L222,37L226,37Z M233,26L235,25L238,25L237,24L243,24L247,26L252,26L256,27L258,29L262,30L258,30L253,33L248,33L242,32L239,31L239,30L241,30L236,30L233,29L231,27L233,26Z M246,23L250,22L253,22L258,21L263,20L266,21L269,21L271,20L275,19L280,19L288,19L290,19L298,19L304,19L310,19L317,19L323,20L328,20L328,21L321,22L315,23L312,24L318,24L312,25L307,26L302,28L297,29L295,29L286,30L290,30L288,31L291,32L288,33L284,34L282,35L278,36L279,36L284,36L284,37L276,38L269,38L261,38L257,38L251,38L251,36L256,36L255,34L257,33L264,35L260,33L256,32L258,31L263,31L264,30L260,29L259,27L266,27L268,28L273,26L266,26L257,26L252,25L249,24L246,23Z M291,63L289,63L286,64L285,62L287,61L289,60L291,61L291,62L291,63Z M233,57L234,58L233,59L229,58L227,58L223,57L225,56L227,55L230,56L232,56L233,57Z M321,111L322,111L325,112L328,113L328,114L327,114L323,113L321,111Z M322,119L323,121L325,121L328,121L326,122L325,122L322,121L321,120L322,119Z M159,114L167,114L175,114L178,114L186,114L194,114L203,114L211,114L220,114L230,114L236,114L236,113L237,113L237,114L238,115L240,115L243,115L245,116L248,116L251,117L252,117L255,116L257,117L260,118L262,119L264,120L265,120L265,121L266,121L267,122L268,122L268,123L271,124L271,127L272,129L271,131L270,132L269,133L269,134L270,134L271,134L274,133L277,132L281,131L281,130L280,129L281,129L284,129L287,129L288,128L291,126L292,125L296,125L301,125L302,124L303,124L304,124L305,122L306,120L308,118L309,119L310,118L312,119L312,123L314,125L314,126L311,127L308,128L305,129L304,130L303,131L303,132L304,134L305,134L305,133L306,134L304,135L302,135L300,135L299,135L298,135L295,136L299,136L300,136L296,137L294,137L295,137L294,138L295,138L294,140L292,142L292,141L291,141L290,140L291,142L292,143L291,144L289,147L290,145L288,144L288,141L287,142L288,144L286,144L288,145L288,147L289,148L290,151L288,153L285,154L283,156L282,156L280,157L280,158L277,160L275,161L274,163L274,165L274,167L275,169L276,171L276,172L278,175L278,177L277,178L277,180L276,180L275,180L274,179L273,178L272,176L270,174L270,173L270,171L270,169L267,167L266,166L264,168L263,168L262,166L260,166L257,166L254,166L252,166L251,166L252,167L252,168L252,169L251,169L250,169L248,169L245,168L243,168L241,167L239,167L237,168L234,170L232,171L230,173L230,174L230,176L230,177L230,178L229,178L227,178L225,177L224,175L224,173L222,172L221,170L220,168L218,167L215,167L214,170L211,169L210,168L209,166L208,165L207,164L205,163L204,162L199,162L199,163L197,163L192,163L185,161L181,160L181,159L178,159L175,160L174,158L172,157L171,156L171,155L169,155L168,155L166,154L165,154L165,152L162,150L160,146L160,145L158,144L156,142L156,140L154,138L155,136L155,133L154,131L155,129L156,126L156,124L155,120L154,117L154,116L158,117L159,119L160,118L160,116L159,114Z M68,194L69,194L69,195L70,196L69,197L68,197L67,197L67,196L66,195L67,195L67,194L68,194Z M67,192L66,193L65,192L66,192L67,192Z M65,191L64,191L63,191L65,191Z M61,190L62,191L61,191L60,190L61,190Z M38,82L40,83L40,84L38,84L37,83L35,83L38,82Z M74,89L76,89L77,90L75,91L72,92L71,92L70,90L73,89L74,89Z M108,56L108,67L108,82L111,83L114,83L116,85L118,86L121,85L124,84L125,85L127,86L130,88L131,90L134,93L139,95L139,96L137,98L136,97L133,96L133,93L129,91L128,89L125,88L120,88L117,87L111,85L109,84L104,83L100,83L95,82L91,81L88,81L89,83L87,84L84,84L82,85L79,86L78,84L79,81L82,80L78,81L76,83L72,85L74,86L72,88L69,90L66,90L65,92L61,93L60,94L57,96L55,95L52,96L49,97L47,98L42,99L42,98L45,97L48,96L51,95L54,94L55,93L59,92L60,91L62,90L62,88L64,86L61,87L60,87L58,88L56,86L56,87L55,86L52,87L50,87L50,85L50,84L49,83L45,84L43,83L41,82L41,80L39,79L40,78L42,76L43,75L45,74L47,75L49,73L51,74L53,73L53,72L51,71L53,70L52,70L49,71L48,71L46,71L42,71L38,70L37,69L33,68L37,66L43,65L45,65L45,66L51,66L49,65L45,64L43,62L41,61L37,60L38,59L43,59L47,57L47,56L50,55L53,54L58,53L61,53L65,52L69,52L71,54L73,53L77,53L77,54L81,54L84,54L90,55L95,55L97,56L101,55L105,56L108,56Z M23,73L25,73L26,73L29,74L31,74L29,75L27,74L26,74L23,74L23,73Z M301,195L301,197L301,198L300,198L301,199L301,200L299,199L298,200L296,199L295,200L293,199L293,198L296,199L298,199L299,198L298,197L298,196L296,195L297,195L298,195L301,195Z M301,200L301,199L300,198L301,198L301,197L301,195L303,195L305,195L306,195L306,196L308,196L308,197L309,197L310,198L309,199L308,199L307,199L306,199L305,199L304,199L303,199L302,201L301,201L301,200Z M281,176L282,175L284,175L284,176L281,177L281,176Z M284,175L286,176L286,178L285,178L285,176L284,175Z M283,180L284,180L285,182L285,184L284,184L283,183L282,182L283,180Z M370,20L379,19L389,19L393,18L403,18L425,18L442,20L437,21L426,21L411,22L413,22L423,22L431,23L436,22L439,23L436,25L443,24L456,22L465,23L466,24L455,26L453,27L444,27L451,27L448,29L445,31L445,34L449,36L444,36L440,37L445,39L446,41L443,41L446,44L440,44L443,45L442,46L438,46L435,46L438,48L438,49L433,48L431,49L435,50L439,51L440,54L435,54L432,53L429,52L430,53L427,55L434,55L438,55L430,58L423,60L415,61L412,61L409,62L405,65L399,67L397,67L393,68L389,68L387,70L387,72L386,74L381,76L382,78L381,80L380,83L376,83L371,81L366,81L363,79L361,77L357,73L355,71L355,69L351,66L352,64L350,63L353,60L357,59L358,58L359,56L356,57L354,57L352,58L348,57L348,55L349,53L352,53L357,54L352,52L350,51L347,52L345,51L348,48L346,47L344,45L341,42L337,41L337,40L330,39L324,38L316,39L310,39L306,38L302,36L309,35L315,35L303,34L296,33L297,32L307,31L317,29L319,28L311,27L313,26L323,24L327,24L326,23L333,22L341,22L350,22L353,23L360,21L367,22L371,22L376,23L370,22L370,20Z M175,160L178,159L181,159L181,160L185,161L192,163L197,163L199,163L199,162L204,162L205,163L207,164L208,165L209,166L210,168L211,169L214,170L215,167L218,167L220,168L221,170L222,172L224,173L224,175L225,177L227,178L229,178L230,178L229,181L229,183L228,186L228,188L229,189L229,191L230,193L232,195L233,196L234,198L237,198L238,200L240,199L242,199L244,198L246,198L248,196L249,195L249,192L251,191L254,190L257,190L258,190L259,191L259,192L257,194L257,195L257,196L257,197L256,199L255,199L254,199L253,200L252,200L252,201L250,201L247,201L247,202L246,202L247,203L248,204L249,204L249,205L245,205L244,208L244,209L244,210L241,207L239,206L237,205L235,205L233,206L232,207L230,206L228,205L225,204L223,204L220,202L218,201L217,200L215,200L213,199L211,198L208,196L207,195L206,193L207,193L207,192L208,191L208,190L207,189L206,188L205,187L203,184L200,182L199,180L197,179L196,178L196,177L195,176L193,175L193,173L191,172L190,171L188,170L188,169L187,167L186,164L186,163L184,162L183,162L181,162L181,163L181,164L181,166L182,167L184,169L185,170L186,171L187,173L188,174L188,175L190,176L191,179L192,180L192,181L193,183L194,183L195,184L196,185L196,186L195,187L194,187L194,185L192,183L190,182L188,181L188,179L188,178L187,177L185,176L184,176L184,175L182,175L180,173L181,173L182,173L183,172L183,171L181,169L179,168L178,166L177,164L176,162L175,160Z M285,226L285,228L285,229L284,229L284,230L283,229L282,228L283,227L282,227L282,226L280,225L279,225L278,226L277,227L276,228L278,229L277,229L277,230L275,230L275,228L274,229L273,227L272,227L271,227L270,227L270,228L270,227L270,226L270,225L270,224L271,223L272,224L272,225L273,225L274,226L275,225L276,225L278,224L279,223L280,223L280,224L282,224L283,224L284,225L285,226Z M271,223L270,224L270,225L270,226L270,227L268,227L267,226L268,225L267,224L266,224L265,223L265,222L264,222L264,223L263,223L262,222L262,221L262,220L261,220L262,219L264,220L265,219L266,219L266,220L267,220L268,220L268,221L269,222L271,223Z M268,220L267,220L266,220L266,219L265,219L264,220L262,219L261,218L260,217L259,216L258,215L256,214L257,214L258,214L259,213L259,212L260,212L261,211L262,212L262,211L263,210L264,210L264,209L265,209L266,209L267,209L268,209L268,208L269,208L269,209L269,210L268,211L268,212L268,214L268,216L267,217L268,218L267,218L267,219L268,220Z M269,208L268,208L268,209L267,209L266,209L265,209L264,209L264,210L263,210L262,211L262,212L261,211L260,212L259,212L259,213L258,214L257,214L257,213L256,213L256,212L256,211L255,211L254,212L254,211L253,211L253,210L252,210L252,209L252,208L254,207L255,206L256,206L257,206L259,206L260,206L261,206L262,206L263,206L264,206L265,206L266,206L266,207L267,207L268,208L269,208Z M252,210L253,210L253,211L254,211L254,212L255,211L256,211L256,212L256,213L254,213L253,213L252,213L251,212L250,212L250,211L251,211L251,210L252,210Z M244,210L244,209L244,208L245,205L249,205L249,204L248,204L247,203L246,202L247,202L247,201L250,201L252,201L252,203L252,206L253,206L254,206L255,206L254,207L252,208L252,209L252,210L251,210L251,211L250,211L250,212L248,211L247,211L245,211L244,210Z M252,201L252,200L253,200L254,199L255,199L255,200L255,201L255,202L255,203L255,204L254,205L253,206L252,206L252,203L252,201Z M316,199L317,199L318,199L317,200L315,200L313,200L313,199L314,199L316,199Z M285,199L286,199L288,200L286,200L286,201L284,200L282,199L283,199L284,199L285,199Z M271,186L274,186L276,186L279,187L280,188L282,187L283,188L286,190L287,191L288,191L290,192L292,193L294,194L292,195L290,195L288,195L284,195L286,193L285,193L283,192L282,192L281,190L280,190L277,189L276,189L273,188L272,188L273,187L270,187L268,188L267,188L267,189L265,189L264,189L265,188L266,187L267,187L269,186L271,186Z M329,220L330,220L331,220L331,222L328,222L329,221L329,220Z",
-  SA: "M309,396L310,398L312,400L315,401L319,402L318,403L315,403L314,402L312,402L309,402L309,396Z M340,334L339,336L338,339L339,342L338,342L338,344L338,346L341,348L341,350L342,351L342,353L340,356L335,358L330,358L327,358L327,360L327,362L327,363L326,364L323,364L320,363L319,364L320,367L321,368L323,367L324,368L321,369L319,371L319,374L318,375L315,375L313,377L312,379L315,381L318,381L317,384L313,385L312,389L309,390L308,391L309,394L311,395L310,395L307,395L300,394L299,393L299,391L297,391L296,390L296,387L298,386L299,384L299,383L300,380L301,377L301,375L302,374L302,373L301,373L301,372L300,371L300,367L301,367L300,363L301,361L302,358L303,357L302,354L302,352L305,350L304,348L306,345L306,342L305,342L304,337L306,334L306,332L307,329L308,326L310,325L309,324L310,323L310,318L313,317L314,314L314,313L316,311L320,311L321,313L322,311L325,311L326,312L331,316L333,317L337,319L340,320L340,321L337,325L340,326L343,327L345,326L348,324L348,321L350,321L351,323L351,325L349,326L347,327L344,330L340,334Z M309,396L309,402L312,402L314,402L313,404L311,404L309,404L308,404L306,403L303,403L299,401L296,400L293,397L295,397L299,399L302,400L304,399L305,397L307,396L309,396Z M307,299L308,301L308,303L310,304L309,307L311,310L312,314L314,313L314,314L313,317L310,318L310,323L309,324L310,325L308,326L307,329L306,332L306,334L304,337L305,342L306,342L306,345L304,348L305,350L302,352L302,354L303,357L302,358L301,361L300,363L301,367L300,367L300,371L301,372L301,373L302,373L302,374L301,375L301,377L300,380L299,383L299,384L298,386L296,387L296,390L297,391L299,391L299,393L300,394L307,395L310,395L307,395L306,396L303,397L303,400L302,400L298,399L295,397L292,395L291,393L292,392L290,390L290,385L291,383L294,380L290,380L293,377L293,373L297,373L298,368L296,367L295,370L294,370L294,366L295,361L297,359L296,356L296,353L297,353L298,349L300,344L302,340L301,336L302,334L301,330L303,327L304,321L304,316L305,309L305,305L305,301L306,300L307,299Z M330,394L333,392L336,393L337,392L340,393L339,394L335,395L334,394L331,395L330,394Z M340,334L342,334L345,336L346,336L348,337L351,339L352,341L351,342L352,344L351,346L347,347L345,347L344,347L341,346L339,346L338,344L338,342L339,342L338,339L339,336L340,334Z M352,344L351,342L352,341L351,339L348,337L346,336L345,336L342,334L340,334L344,330L347,327L349,326L351,325L351,323L350,321L348,321L349,320L349,318L349,317L348,316L347,317L346,317L346,315L346,313L345,312L343,311L342,312L339,311L339,308L338,306L339,305L339,304L340,303L340,300L340,299L338,298L338,297L338,295L333,295L332,292L333,292L333,291L332,290L332,288L330,287L329,287L327,287L326,286L324,285L321,285L318,282L319,280L318,279L319,277L315,278L313,279L311,280L310,281L309,281L307,280L305,281L304,281L304,276L302,278L299,278L298,276L297,276L297,275L296,273L294,271L295,270L295,269L297,268L297,267L297,266L298,265L301,263L303,262L306,262L307,254L307,253L307,252L306,251L306,248L307,248L308,248L308,247L306,247L306,245L311,245L312,244L313,245L314,247L316,248L318,248L318,247L321,246L322,246L322,245L324,244L324,243L321,243L321,241L321,239L320,239L320,238L323,239L325,240L326,239L328,238L331,237L332,236L331,236L333,235L333,236L333,237L334,238L335,239L334,240L333,242L334,244L334,245L336,246L337,246L338,246L339,246L340,245L341,245L342,245L343,245L344,245L345,244L344,244L345,243L346,243L347,243L349,244L350,244L351,243L351,244L352,244L353,244L354,243L355,241L357,238L358,240L360,245L361,245L361,247L359,249L360,250L365,251L365,253L367,252L371,253L375,254L377,256L376,257L379,257L385,258L389,258L393,260L397,263L399,264L401,264L402,265L403,269L404,270L402,275L401,277L397,281L395,284L393,286L392,288L392,294L391,298L391,300L390,301L390,304L387,308L386,311L384,312L383,314L380,314L376,315L374,316L371,317L368,319L365,322L365,324L365,325L365,328L364,330L362,331L359,336L357,338L355,340L354,342L352,344Z M307,280L309,281L310,281L311,280L313,279L315,278L319,277L318,279L319,280L318,282L321,285L324,285L326,286L327,287L329,287L330,287L332,288L332,290L333,291L333,292L332,292L333,295L338,295L338,297L338,298L340,299L340,300L340,303L339,304L339,305L338,306L338,305L336,304L333,304L328,305L327,307L327,308L326,312L325,311L322,311L321,313L320,311L316,311L314,313L312,314L311,310L309,307L310,304L308,303L308,301L307,299L308,296L307,294L308,293L307,292L308,290L309,288L309,286L309,285L307,280Z M306,262L303,262L301,263L298,265L297,266L297,267L297,268L295,269L295,270L294,271L296,273L297,275L297,276L298,276L299,278L302,278L304,276L304,281L305,281L307,280L309,285L309,286L309,288L308,290L307,292L308,293L307,294L308,296L307,299L306,300L305,301L302,299L301,298L296,295L291,292L289,291L288,288L286,284L283,279L280,273L279,272L278,270L276,268L274,267L275,266L274,263L275,261L277,259L277,261L276,261L277,262L278,262L279,262L280,264L282,263L282,261L284,258L287,257L290,254L291,253L291,250L293,251L294,253L295,254L297,256L299,257L301,256L302,257L303,256L305,258L304,260L306,262Z M314,247L313,245L312,244L311,245L306,245L306,247L308,247L308,248L307,248L306,248L306,251L307,252L307,253L307,254L306,262L304,260L305,258L303,256L302,257L301,256L299,257L297,256L295,254L294,253L293,251L291,250L289,250L288,249L287,249L285,249L284,248L281,246L281,245L282,245L281,244L282,243L284,243L285,241L286,239L285,239L285,237L285,234L285,231L284,230L284,229L285,229L285,228L285,226L287,226L289,224L290,224L290,223L290,221L292,219L294,219L296,219L298,217L299,217L301,215L302,216L302,217L300,218L299,219L298,220L297,221L297,223L296,225L298,225L298,226L299,227L299,228L299,229L299,230L300,231L304,230L305,231L307,233L308,233L310,233L312,233L313,233L312,235L312,237L312,239L313,240L313,241L312,242L313,243L313,244L314,247Z M331,236L332,236L331,237L328,238L326,239L325,240L323,239L320,238L320,239L321,239L321,241L321,243L324,243L324,244L322,245L322,246L321,246L318,247L318,248L316,248L314,247L313,244L313,243L312,242L313,241L313,240L312,239L312,237L312,235L313,233L312,233L310,233L308,233L307,233L305,231L304,230L300,231L299,230L299,229L299,228L299,227L298,226L298,225L296,225L297,223L297,221L298,220L299,219L300,218L302,217L302,218L300,218L301,220L301,221L300,223L301,225L302,225L303,223L302,222L302,220L305,218L305,217L306,216L307,218L309,218L310,220L311,221L313,221L316,220L318,222L320,222L321,221L321,220L325,220L328,220L326,221L327,222L329,223L331,224L331,226L333,226L334,227L332,228L332,229L333,230L332,231L330,231L330,233L329,233L331,236Z M343,245L342,245L341,245L340,245L339,246L338,246L337,246L336,246L334,245L334,244L333,242L334,240L335,239L334,238L333,237L333,236L333,235L331,236L329,233L330,233L330,231L332,231L333,230L332,229L332,228L334,227L336,228L338,230L338,231L339,231L340,232L341,233L341,236L339,237L339,239L340,241L341,241L341,242L343,245Z M349,244L347,243L346,243L345,243L344,244L345,244L344,245L343,245L341,242L341,241L340,241L339,239L339,237L341,236L341,233L345,234L345,233L347,233L350,234L349,236L349,238L350,240L349,241L349,242L349,244Z M291,250L291,253L290,254L287,257L284,258L282,261L282,263L280,264L279,262L278,262L277,262L276,261L277,261L277,259L278,257L278,256L277,257L275,256L276,255L275,253L276,253L277,251L278,249L278,248L279,247L281,246L284,248L285,249L287,249L288,249L289,250L291,250Z M338,306L339,308L339,311L342,312L343,311L345,312L346,313L346,315L346,317L347,317L348,316L349,317L349,318L349,320L348,321L348,324L345,326L343,327L340,326L337,325L340,321L340,320L337,319L333,317L331,316L326,312L327,308L327,307L328,305L333,304L336,304L338,305L338,306Z",
-  EU: "M760,25L766,24L772,26L778,28L778,31L772,31L764,30L759,29L757,27L753,27L760,25Z M786,30L793,31L792,32L776,34L781,30L784,30L786,30Z M886,39L893,39L903,40L901,42L891,42L886,43L880,41L882,39L886,39Z M912,41L919,41L915,43L911,42L906,41L907,40L912,41Z M889,46L891,45L895,45L899,46L899,47L895,47L889,46Z M625,26L630,26L634,26L635,26L636,26L639,25L643,26L642,26L638,27L636,27L635,27L632,28L629,27L631,26L625,26Z M563,99L558,99L555,99L555,98L559,97L562,97L563,98L563,99Z M649,45L655,43L655,41L661,40L670,38L679,38L684,37L689,36L691,37L689,38L680,40L671,41L662,44L658,46L654,49L655,51L660,54L658,54L649,53L648,52L643,51L643,50L646,49L646,48L651,45L649,45Z M897,101L898,103L898,106L899,109L902,114L898,113L896,117L899,120L899,122L897,120L895,122L894,120L894,117L894,114L895,112L895,108L893,106L894,102L896,101L895,99L896,99L897,101Z M863,133L863,132L863,131L864,131L865,127L864,125L866,124L870,125L872,122L873,119L874,118L875,115L870,116L868,117L864,117L863,115L859,113L855,112L854,109L853,107L852,106L850,103L847,102L843,102L840,102L836,102L834,103L835,104L835,106L834,107L831,109L831,111L827,112L824,111L821,112L819,111L818,110L814,112L810,113L807,114L804,113L801,113L800,112L797,110L794,110L791,110L788,111L784,110L784,108L780,107L778,107L775,105L772,108L773,110L770,112L766,111L763,111L762,110L759,110L756,109L752,110L747,113L744,113L743,113L741,112L738,112L736,111L734,110L733,109L732,108L728,109L724,107L722,109L716,102L713,100L714,99L707,101L704,101L704,100L701,99L698,100L697,97L692,96L689,97L682,98L681,99L671,100L669,101L671,103L669,104L667,106L671,108L670,109L666,109L666,110L662,108L658,108L655,109L651,108L645,106L641,106L635,109L635,111L632,110L630,113L631,113L629,116L631,117L633,117L635,119L635,121L636,121L635,123L632,123L630,126L632,129L632,131L635,134L633,135L633,136L632,136L630,134L629,134L627,133L626,132L624,131L622,132L622,131L618,130L614,129L611,129L607,127L604,126L602,124L604,124L606,122L605,120L609,119L606,119L606,118L608,117L610,117L611,116L610,114L611,113L611,112L607,111L606,111L604,110L602,110L598,110L598,109L597,108L595,108L595,107L596,106L594,105L591,105L590,105L589,105L588,105L588,103L587,103L587,102L590,102L591,102L590,101L588,101L588,100L587,100L585,98L586,97L586,96L583,95L582,95L581,95L578,94L577,92L577,91L576,90L577,89L576,87L578,85L581,83L578,82L584,78L586,77L588,75L583,73L585,72L582,70L584,67L581,64L583,62L579,60L579,58L582,58L586,57L589,56L594,57L601,58L612,61L614,63L614,64L611,66L607,67L594,65L592,65L597,67L597,68L597,71L601,72L603,73L603,71L601,70L603,69L610,71L612,70L610,68L617,65L619,66L622,66L624,65L621,63L623,61L621,60L628,60L630,62L627,62L627,64L629,65L633,64L634,62L640,61L649,59L651,59L649,61L652,61L654,60L659,60L663,59L667,60L670,58L667,57L668,56L676,57L680,58L690,61L692,59L689,58L689,57L686,57L687,56L685,54L685,53L690,50L692,48L694,47L702,48L702,49L700,52L701,53L702,54L702,58L705,60L703,62L698,66L701,66L702,65L705,64L706,63L708,62L707,60L708,58L705,58L704,57L707,54L703,52L708,50L707,48L709,48L710,49L709,52L712,52L711,50L715,49L721,49L726,51L724,48L724,45L728,45L735,45L741,45L739,43L742,41L745,41L751,40L758,40L759,39L766,38L769,39L775,38L780,38L781,36L783,35L790,34L795,35L791,36L797,36L798,38L800,37L809,37L815,38L817,39L816,41L813,42L806,43L804,44L807,44L811,45L814,45L815,46L817,46L821,45L830,46L831,47L842,47L842,45L848,46L853,46L857,47L858,49L857,50L860,52L865,53L867,50L872,52L877,51L882,52L884,51L889,51L887,49L890,48L915,49L918,51L925,53L936,53L942,53L944,54L944,56L947,57L951,57L956,56L961,57L966,57L971,59L974,58L972,57L973,55L982,56L988,56L996,57ZM0,58L7,61L14,63L14,65L16,66L15,64L23,64L28,67L25,68L21,68L21,71L20,72L17,71L15,70L11,70L11,68L8,68L5,68L3,67L4,66L0,67L2,68L0,70ZM1000,70L996,71L993,71L995,72L997,74L998,75L999,76L998,77L993,76L985,78L982,79L978,81L974,82L973,84L969,82L962,84L961,83L958,84L954,84L953,86L950,88L950,89L953,90L953,94L950,94L949,96L950,98L945,99L945,102L940,103L940,106L936,108L934,106L933,102L932,96L933,92L935,91L936,89L940,89L945,85L950,82L955,80L957,76L953,76L952,79L945,82L943,78L935,79L928,84L931,86L924,86L920,87L920,85L916,84L913,86L904,85L895,86L886,91L875,98L880,98L881,100L884,101L886,99L889,99L893,103L893,105L891,108L890,111L889,115L885,119L884,121L880,125L876,128L875,129L871,131L869,131L867,130L864,132L863,133Z M0,51L3,51L7,52L6,52L4,53L0,53Z M593,122L594,122L596,122L597,123L599,124L601,124L601,125L598,125L594,127L593,126L593,125L590,124L591,124L593,123L593,122Z M542,29L543,28L547,28L551,29L560,31L553,32L551,34L549,34L548,37L544,37L538,35L541,34L537,33L531,31L529,29L537,28L538,29L542,29Z M586,57L582,58L579,58L581,56L577,55L573,56L571,58L569,59L566,59L562,59L559,57L557,58L556,58L555,60L550,60L549,61L547,61L545,63L542,66L538,70L539,71L538,72L535,72L533,75L533,78L535,80L534,83L532,85L531,87L529,85L523,88L520,89L516,87L515,84L514,78L516,76L524,74L529,71L534,67L541,62L546,60L553,56L559,55L564,55L568,53L573,53L578,52L587,54L583,55L586,57Z M576,28L572,29L564,29L556,29L555,28L551,28L548,27L557,26L561,27L564,26L571,27L576,28Z M569,34L562,35L558,34L559,34L558,33L564,32L565,33L569,34Z M357,238L355,241L354,243L353,244L352,244L351,244L351,243L350,244L349,244L349,242L349,241L350,240L349,238L349,236L350,234L351,234L353,235L356,237L357,238Z M517,113L518,113L522,114L521,116L521,118L520,118L519,118L519,119L517,120L517,121L518,121L519,122L519,123L520,124L519,125L519,127L521,127L521,129L518,130L513,129L509,130L508,132L505,132L502,131L501,132L496,130L495,129L496,128L497,122L494,119L492,118L488,117L487,115L491,114L496,115L495,112L497,113L504,111L505,108L507,108L507,109L509,109L510,110L512,111L513,111L516,112L516,113L517,113Z M524,132L526,131L527,133L526,135L524,134L524,133L524,132Z M531,87L532,85L534,83L535,80L533,78L533,75L535,72L538,72L539,71L538,70L542,66L545,63L547,61L549,61L550,60L555,60L556,58L557,58L561,59L565,61L565,66L566,67L562,67L559,69L559,71L555,73L550,76L548,80L550,82L552,83L550,86L547,87L546,92L544,94L541,94L539,96L536,96L535,94L533,90L531,87Z M578,94L581,95L582,95L583,95L586,96L586,97L585,98L587,100L588,100L588,101L590,101L591,102L590,102L587,102L587,103L588,103L588,105L586,105L585,106L585,107L584,107L581,107L579,107L578,107L576,107L573,106L570,106L568,106L567,107L565,107L565,105L564,104L566,104L566,103L565,101L565,100L568,100L571,99L572,98L574,97L574,96L575,95L578,94Z M588,105L589,105L590,105L591,105L594,105L596,106L595,107L595,108L597,108L598,109L598,110L602,110L604,110L606,111L607,111L611,112L611,113L610,114L611,116L610,117L608,117L606,118L606,119L604,119L602,120L600,120L597,121L597,123L596,122L594,122L593,122L592,122L588,121L588,120L585,121L584,122L582,124L581,124L580,124L578,124L579,123L580,122L580,121L581,121L583,121L583,120L582,120L582,118L581,118L581,117L580,116L578,116L576,115L575,116L574,116L573,116L572,117L570,117L569,117L568,117L566,117L564,116L563,117L563,116L561,115L562,114L563,114L563,113L565,110L566,110L567,109L565,107L567,107L568,106L570,106L573,106L576,107L578,107L579,107L581,107L584,107L585,107L585,106L586,105L588,105Z M565,100L565,101L566,103L566,104L564,104L565,105L565,107L567,109L566,110L565,110L563,113L563,114L560,113L558,113L557,113L555,113L554,112L553,113L552,113L551,111L549,111L549,110L547,110L546,111L545,110L545,109L543,109L542,108L541,106L541,105L540,104L539,103L540,102L539,101L541,100L545,99L549,98L552,98L552,99L555,99L558,99L563,99L565,99L565,100Z M547,116L547,117L545,117L546,118L545,120L544,120L542,120L541,121L538,121L534,120L534,119L531,120L529,120L528,120L526,119L527,118L529,119L529,118L532,118L534,117L535,118L536,118L536,116L537,116L538,114L540,115L541,114L542,114L545,115L546,114L547,115L547,116Z M561,115L563,116L563,117L561,118L560,119L558,121L556,122L554,122L552,122L551,123L549,122L547,121L546,121L545,120L546,118L545,117L547,117L547,116L549,117L550,117L552,117L552,116L553,116L555,116L556,116L557,115L558,115L561,116L561,115Z M574,116L575,116L576,115L578,116L580,116L581,117L581,118L582,118L582,120L583,120L583,121L581,121L580,121L580,122L579,123L578,124L578,122L578,121L578,120L577,118L576,117L575,116L574,116Z M578,124L580,124L581,124L582,124L582,125L581,126L580,125L579,129L578,128L576,127L572,128L571,129L567,128L565,128L564,128L563,127L562,127L563,126L562,126L560,126L560,124L558,124L558,123L556,122L558,121L560,119L561,118L563,117L564,116L566,117L568,117L569,117L570,117L572,117L573,116L574,116L575,116L576,117L577,118L578,120L578,121L578,122L578,124Z M574,96L574,97L572,98L571,99L568,100L565,100L565,99L563,99L563,98L562,97L559,97L558,94L562,94L566,94L569,93L569,94L571,94L574,96Z M576,90L577,91L577,92L578,94L575,95L574,96L571,94L569,94L569,93L566,94L562,94L558,94L559,92L560,91L563,90L565,92L567,92L568,89L570,89L571,89L574,90L576,90Z M578,85L576,87L577,89L576,90L574,90L571,89L570,89L568,89L568,88L567,88L565,87L565,86L568,85L572,84L575,85L578,85Z M539,101L540,102L539,103L540,104L541,105L541,106L542,108L540,108L539,109L537,109L536,110L534,110L534,111L535,112L536,113L538,114L537,116L536,116L536,118L535,118L534,117L532,118L529,118L529,119L527,118L524,117L523,118L521,118L521,116L522,114L518,113L517,113L517,111L517,109L517,106L518,106L519,105L520,102L519,101L520,101L522,101L523,101L524,100L524,99L524,97L526,98L528,97L528,98L530,99L530,100L533,99L535,99L538,100L539,101Z M563,127L564,128L565,128L567,128L571,129L572,128L576,127L578,128L579,129L578,130L577,132L578,133L575,133L573,134L573,135L570,135L568,134L566,135L564,135L564,133L562,132L563,132L562,132L563,131L564,130L562,129L562,128L563,127Z M573,152L573,153L569,153L565,152L566,151L567,152L570,152L572,152L573,152Z M564,135L566,135L568,134L570,135L573,135L573,134L574,135L573,136L572,137L571,137L569,136L566,137L568,139L566,139L565,139L563,138L563,140L565,141L564,142L565,143L567,144L567,145L564,145L565,146L563,146L564,149L562,149L560,148L559,145L559,144L558,142L556,141L556,140L557,139L557,138L558,137L560,136L561,136L563,136L563,135L564,135Z M558,137L557,138L557,139L556,140L555,140L555,139L554,138L554,137L554,135L554,134L554,133L555,131L555,132L556,132L557,133L557,134L557,135L557,136L558,137Z M546,121L547,121L549,122L551,123L552,122L553,124L554,124L553,125L552,125L550,125L547,124L546,124L545,125L544,124L544,126L545,127L546,128L547,129L548,129L549,130L552,132L551,132L549,131L547,130L544,129L542,127L543,127L541,126L541,125L540,124L539,126L538,125L538,124L540,124L541,123L541,124L543,124L543,123L544,123L544,122L546,121Z M527,118L526,119L528,120L529,120L529,121L528,121L526,121L525,122L524,122L523,122L522,123L520,123L519,122L518,121L517,121L517,120L519,119L519,118L520,118L521,118L523,118L524,117L527,118Z M517,111L517,113L516,113L516,112L516,111L517,111Z M517,109L517,111L516,111L516,112L513,111L512,111L510,110L509,109L507,109L507,108L509,107L511,108L514,107L516,108L517,109Z M519,101L520,102L519,105L518,106L517,106L517,109L516,108L514,107L511,108L509,107L511,107L513,103L517,101L519,101Z M475,134L476,133L477,133L478,134L479,134L480,134L481,134L482,135L481,136L481,138L480,138L480,140L479,140L480,142L480,143L480,144L480,145L479,146L479,147L478,148L477,147L475,148L476,145L475,144L474,143L474,142L474,141L475,140L475,138L476,137L476,136L475,135L475,134Z M479,147L479,146L480,145L480,144L480,143L480,142L479,140L480,140L480,138L481,138L481,136L482,135L481,134L480,134L479,134L478,134L477,133L476,133L475,134L475,132L474,130L478,128L481,129L485,129L488,129L490,129L495,129L496,130L501,132L502,131L505,132L508,132L508,134L506,135L502,136L502,137L500,139L499,141L500,142L499,144L498,145L496,146L494,148L491,148L488,148L486,149L485,150L484,150L483,149L482,147L479,147Z M483,100L483,102L481,105L476,106L472,106L475,103L473,100L477,98L479,97L480,98L479,100L481,100L483,100Z M529,120L531,120L534,119L534,120L538,121L538,122L539,123L537,123L534,124L534,125L534,126L535,128L538,129L539,131L542,133L544,133L545,134L544,135L547,136L549,136L551,138L551,139L549,138L547,138L546,139L548,140L547,142L546,142L545,144L544,145L544,144L544,142L545,142L544,140L543,139L542,138L541,137L539,137L538,136L536,135L534,134L531,132L529,131L528,128L527,128L525,127L523,127L522,128L521,129L521,127L519,127L519,125L520,124L519,123L519,122L520,123L522,123L523,122L524,122L525,122L526,121L528,121L529,121L529,120Z M541,144L543,144L542,146L543,147L542,148L540,147L538,147L535,146L535,144L538,144L541,144Z M524,136L526,136L527,137L527,141L526,141L524,142L523,141L523,138L523,136L524,136Z M528,97L526,98L524,97L523,96L522,93L523,92L524,91L526,91L527,90L529,90L529,91L528,92L529,93L530,93L530,94L529,94L527,96L528,97Z M534,94L535,96L534,98L531,96L530,95L534,94Z M483,100L481,100L479,100L480,98L479,97L481,97L484,98L483,100Z M491,102L492,100L490,98L487,98L486,97L487,96L486,95L484,96L484,94L483,92L484,89L486,87L488,87L492,87L489,90L492,90L495,90L494,92L491,95L494,95L497,98L499,99L501,102L501,103L505,104L504,105L503,106L504,108L502,109L498,109L493,110L492,109L490,110L487,110L485,111L484,111L488,108L491,107L490,107L486,107L485,106L488,105L487,103L487,101L491,102Z M460,65L459,67L462,69L459,71L451,73L448,74L445,73L437,72L440,71L433,70L438,69L438,68L432,68L434,66L439,66L443,67L447,66L451,67L455,65L460,65Z M538,121L541,121L542,120L544,120L545,120L546,121L544,122L544,123L543,123L543,124L541,124L541,123L540,124L538,124L539,123L538,122L538,121Z M579,58L579,60L583,62L581,64L584,67L582,70L585,72L583,73L588,75L586,77L584,78L578,82L573,82L568,83L564,84L562,82L559,81L560,79L558,76L560,74L562,73L569,70L571,69L570,68L566,67L565,66L565,61L561,59L557,58L559,57L562,59L566,59L569,59L571,58L573,56L577,55L581,56L579,58Z M563,114L562,114L561,115L561,116L558,115L557,115L556,116L555,116L553,116L552,116L552,117L550,117L549,117L547,116L547,115L548,114L549,114L550,114L550,113L551,113L552,113L553,113L554,112L555,113L557,113L558,113L560,113L563,114Z M542,108L543,109L545,109L545,110L546,111L547,110L549,110L549,111L551,111L552,113L551,113L550,113L550,114L549,114L548,114L547,115L546,114L545,115L542,114L541,114L540,115L538,114L536,113L535,112L534,111L534,110L536,110L537,109L539,109L540,108L542,108Z M591,152L592,152L594,152L596,151L594,152L594,153L593,153L593,152L592,152L591,153L591,152Z M591,152L591,153L592,152L593,152L593,153L594,153L592,154L590,154L590,152L591,152Z M552,132L549,130L548,129L547,129L546,128L545,127L544,126L544,124L545,125L546,124L547,124L550,125L552,125L553,125L554,125L553,127L554,128L554,129L553,129L552,130L552,132Z M562,132L564,133L564,135L563,135L563,136L561,136L560,136L558,137L557,136L557,135L557,134L558,134L558,133L559,133L560,133L561,132L562,132Z M552,122L554,122L556,122L558,123L558,124L560,124L560,126L562,126L563,126L562,127L563,127L562,128L562,129L564,130L563,131L562,132L563,132L562,132L561,132L560,133L560,132L560,131L559,131L559,130L558,130L557,130L557,131L556,131L555,130L554,130L553,129L554,129L554,128L553,127L554,125L553,125L554,124L553,124L552,122Z M556,132L555,132L555,131L554,133L554,134L553,133L552,133L551,132L552,132L552,130L553,129L554,130L555,130L556,131L556,132Z M557,134L557,133L556,132L556,131L557,131L557,130L558,130L559,130L559,131L560,131L560,132L560,133L559,133L558,133L558,134L557,134Z",
-  AF: "M594,253L595,253L605,259L605,260L609,263L608,266L608,268L610,269L610,270L609,271L609,272L609,274L610,275L611,278L612,279L610,280L607,281L605,281L604,282L602,282L601,283L598,282L596,282L595,278L594,277L594,276L591,276L589,275L588,274L587,274L585,273L584,270L582,268L582,267L582,265L581,262L583,262L584,261L585,260L585,259L585,258L585,257L585,256L586,255L584,253L585,253L589,253L594,253Z M476,173L476,174L476,178L467,178L467,185L464,185L464,187L464,191L453,191L453,192L453,190L453,191L459,190L459,189L460,188L461,184L465,181L467,178L467,177L468,175L471,175L472,175L473,175L474,175L476,175L476,173Z M581,262L582,265L582,267L582,268L584,270L585,273L584,273L581,273L580,274L579,275L580,277L579,280L579,283L580,283L582,284L582,287L580,287L579,285L578,284L576,284L575,282L574,283L572,283L571,281L569,281L568,281L567,280L566,280L565,280L563,281L562,281L562,277L561,276L561,275L561,273L560,272L560,270L557,270L557,269L556,269L556,270L554,270L553,271L553,272L551,272L550,272L549,272L547,271L547,270L546,268L545,266L537,266L536,267L535,267L534,267L534,266L535,266L535,265L535,264L536,263L537,264L538,262L539,263L541,264L542,262L544,261L544,260L544,258L546,255L547,253L549,252L549,251L549,250L550,249L549,248L550,245L550,243L551,242L551,240L552,238L553,237L554,236L556,237L558,238L560,238L562,239L563,237L565,237L568,236L569,236L570,236L571,235L573,236L575,236L576,235L578,238L579,238L580,238L581,238L583,237L583,238L586,240L585,244L587,244L586,245L585,246L584,247L583,248L583,251L582,252L582,254L581,255L581,256L581,258L581,259L581,262Z M616,255L614,252L614,242L616,239L617,238L619,238L621,236L625,236L633,228L635,225L636,224L636,222L636,219L636,218L637,218L638,218L640,218L641,217L642,217L642,219L642,220L641,221L640,224L639,228L637,231L635,235L633,238L629,242L627,244L622,247L620,249L617,253L616,254L616,255Z M609,263L605,260L605,259L595,253L594,253L594,250L595,249L596,247L597,245L596,242L596,240L594,238L596,237L598,235L599,235L599,237L600,238L602,238L606,240L607,240L608,240L610,240L611,239L613,238L614,239L616,239L614,242L614,252L616,255L614,256L613,257L612,257L611,259L611,260L610,262L609,263Z M568,227L566,226L565,225L565,224L565,223L565,222L564,220L564,219L564,218L563,218L562,216L562,215L561,215L561,214L562,213L562,212L563,211L562,210L563,208L564,206L566,207L566,196L566,194L569,194L569,189L581,189L591,189L602,189L603,192L603,195L604,198L605,199L607,200L605,202L603,202L602,203L602,205L601,209L601,210L601,212L600,215L598,216L597,219L596,220L595,220L594,223L594,226L594,224L594,222L594,221L592,220L592,218L592,216L591,216L591,217L589,217L590,218L590,219L588,221L587,223L586,223L583,221L582,222L582,223L581,223L580,224L578,224L577,223L575,223L574,224L574,223L572,222L572,221L570,221L569,223L568,225L567,226L566,226L568,227Z M566,196L566,207L564,206L563,208L562,210L563,211L562,212L562,213L561,214L561,215L562,215L562,216L563,218L564,218L564,219L562,220L560,221L558,224L556,225L553,225L552,225L553,226L551,227L550,228L546,229L545,228L545,229L542,229L543,229L542,227L542,226L540,225L539,223L539,222L541,222L543,222L541,220L542,218L541,216L540,214L541,213L539,213L539,211L538,210L539,206L542,204L543,200L544,195L544,193L543,192L542,191L541,186L544,185L555,190L566,196Z M545,329L547,328L548,329L548,330L550,330L551,331L553,330L555,329L555,319L556,319L558,322L557,324L558,325L560,324L561,323L563,322L563,321L565,320L566,321L567,321L570,321L571,321L572,320L572,319L574,318L574,317L575,315L578,313L582,311L583,311L584,312L585,312L587,312L588,316L589,318L588,321L588,322L587,321L586,321L586,322L585,323L585,324L587,326L589,325L589,324L591,324L590,326L590,329L589,330L588,331L587,332L586,333L585,335L583,337L580,339L578,341L576,342L573,343L572,344L570,344L569,344L566,344L564,344L563,344L560,345L557,346L556,347L554,347L553,346L552,346L551,344L551,345L551,344L551,342L550,341L551,340L551,338L549,335L547,333L545,329Z M580,330L579,330L578,330L576,331L575,333L577,335L578,335L579,334L580,334L581,333L581,331L580,330Z M580,330L581,331L581,333L580,334L579,334L578,335L577,335L575,333L576,331L578,330L579,330L580,330Z M587,312L585,312L584,312L583,311L582,311L580,310L578,310L577,308L577,307L576,307L573,304L572,302L571,301L570,299L573,300L574,300L575,300L577,298L579,296L580,296L580,295L582,293L584,293L584,294L587,294L588,295L590,296L591,296L591,300L591,302L591,304L591,305L591,306L590,307L590,309L587,312Z M582,311L578,313L575,315L574,317L574,318L572,319L572,320L571,321L570,321L567,321L566,321L565,320L563,321L563,322L561,323L560,324L558,325L557,324L558,322L556,319L555,319L555,311L558,311L558,301L560,301L564,300L565,301L567,300L568,300L570,299L571,301L572,302L573,304L576,307L577,307L577,308L578,310L580,310L582,311Z M555,319L555,329L553,330L551,331L550,330L548,330L548,329L547,328L545,329L543,327L542,325L542,323L541,321L540,316L540,313L540,311L539,310L537,308L536,305L535,303L533,300L533,298L534,298L536,297L537,297L539,298L551,298L553,299L559,300L564,299L567,298L569,298L570,299L568,300L567,300L565,301L564,300L560,301L558,301L558,311L555,311L555,319Z M454,212L452,210L451,209L452,209L454,207L454,205L455,204L457,205L458,204L460,204L461,205L463,205L464,207L466,209L466,211L467,213L468,213L468,215L468,216L466,215L466,216L465,216L463,215L462,215L457,215L456,215L455,215L454,216L453,213L456,214L456,213L457,213L458,212L459,213L460,213L462,212L461,212L460,212L459,212L458,211L457,211L457,212L454,212Z M468,215L468,213L467,213L466,211L466,209L467,209L468,207L470,208L472,207L473,208L473,207L485,207L485,205L483,193L482,181L486,181L496,187L505,193L506,194L507,195L509,195L509,197L512,197L512,203L510,205L510,207L508,207L504,207L503,208L501,209L499,209L499,208L497,208L494,210L492,212L491,212L490,213L489,213L488,213L488,215L485,217L486,218L485,220L485,221L484,222L483,222L483,221L482,221L481,221L481,222L479,222L478,221L478,222L477,221L477,220L476,220L476,219L477,218L476,217L475,216L474,216L473,216L472,217L471,217L470,216L469,216L468,216L468,215Z M453,192L453,191L464,191L464,187L464,185L467,185L467,178L476,178L476,174L486,181L482,181L483,193L485,205L485,207L473,207L473,208L472,207L470,208L468,207L467,209L466,209L464,207L463,205L461,205L460,204L458,204L457,205L455,204L454,205L454,204L455,202L455,200L455,197L455,196L455,194L454,193L453,192Z M507,233L505,233L504,231L505,225L504,224L504,223L503,222L502,221L502,219L503,219L504,218L505,218L506,217L507,216L508,216L510,218L510,219L511,220L510,221L510,222L509,224L508,225L508,226L508,228L507,233Z M541,186L542,191L543,192L544,193L544,195L543,200L542,204L539,206L538,210L539,211L539,213L541,213L540,214L539,214L539,215L537,212L536,212L534,214L532,213L531,213L530,213L528,213L526,214L525,214L522,213L520,214L519,214L518,213L515,211L512,212L511,212L511,214L510,215L510,218L508,216L507,216L506,217L506,215L503,214L503,213L501,211L501,210L501,209L503,208L504,207L508,207L510,207L510,205L512,203L512,197L516,196L524,190L533,185L538,186L539,188L541,186Z M507,233L508,228L508,226L508,225L509,224L510,222L510,221L511,220L510,219L510,218L510,215L511,214L511,212L512,212L515,211L518,213L519,214L520,214L522,213L525,214L526,214L528,213L530,213L531,213L532,213L534,214L536,212L537,212L539,215L540,216L540,217L540,218L538,220L537,222L537,223L536,224L535,226L534,227L534,228L533,229L533,231L531,232L529,230L528,230L526,232L524,235L524,237L521,238L520,238L519,238L516,238L515,236L514,234L512,233L510,233L507,233Z M540,214L541,216L542,218L541,220L543,222L541,222L539,222L539,223L540,225L542,226L542,227L543,229L542,229L541,232L540,233L540,235L540,236L540,237L542,238L542,239L543,241L544,242L544,243L544,244L544,245L542,245L540,244L536,244L534,244L533,244L531,244L527,244L527,241L526,240L525,239L524,238L524,237L524,235L526,232L528,230L529,230L531,232L533,231L533,229L534,228L534,227L535,226L536,224L537,223L537,222L538,220L540,218L540,217L540,216L539,215L539,214L540,214Z M502,219L502,221L503,222L504,223L504,224L505,225L504,231L505,233L503,234L502,233L502,231L501,229L502,227L501,226L501,224L501,222L500,220L500,219L502,219Z M500,219L500,220L501,222L501,224L501,226L502,227L501,229L502,231L502,233L503,234L499,235L497,236L495,237L492,236L492,235L491,233L492,229L493,227L492,223L492,221L492,220L497,219L498,220L499,219L500,219Z M478,222L478,221L479,222L481,222L481,221L482,221L483,221L483,222L484,222L485,221L486,222L487,223L488,223L489,223L490,222L492,223L493,227L492,229L491,233L492,235L492,236L491,236L489,236L487,236L484,236L482,237L479,238L479,236L479,235L479,234L478,233L477,233L476,232L477,231L476,229L477,229L477,227L478,226L478,224L477,223L477,222L478,222Z M462,215L463,215L465,216L466,216L466,215L468,216L468,215L468,216L469,216L470,216L471,217L472,217L473,216L474,216L475,216L476,217L477,218L476,219L476,220L477,220L477,221L478,222L477,222L477,223L478,224L478,226L477,227L477,229L476,229L475,230L474,230L474,229L474,228L473,226L472,227L471,227L471,226L470,225L470,224L470,223L469,222L467,222L466,223L465,223L465,224L463,225L462,224L461,223L460,222L459,220L458,219L459,218L460,218L461,218L462,217L462,216L462,215Z M454,216L455,215L456,215L457,215L462,215L462,216L462,217L461,218L460,218L459,218L458,219L456,218L455,218L455,217L454,216Z M477,229L476,229L477,231L476,232L477,233L478,233L479,234L479,235L479,236L479,238L478,238L475,237L472,234L470,233L468,231L469,230L469,229L470,228L472,227L473,226L474,228L474,229L474,230L475,230L476,229L477,229Z M463,225L465,224L465,223L466,223L467,222L469,222L470,223L470,224L470,225L471,226L471,227L472,227L470,228L469,229L469,230L468,231L467,231L465,230L464,228L464,227L463,225Z M485,221L485,220L486,218L485,217L488,215L488,213L489,213L490,213L491,212L492,212L494,210L497,208L499,208L499,209L501,209L501,210L501,211L503,213L503,214L506,215L506,217L505,218L504,218L503,219L502,219L500,219L499,219L498,220L497,219L492,220L492,221L492,223L490,222L489,223L488,223L487,223L486,222L485,221Z M576,235L575,236L573,236L571,235L570,236L569,236L568,236L565,237L563,237L562,239L560,238L558,238L556,237L554,236L553,237L552,238L551,240L549,240L548,240L546,241L544,244L544,243L544,242L543,241L542,239L542,238L540,237L540,236L540,235L540,233L541,232L542,229L545,229L545,228L546,229L550,228L551,227L553,226L552,225L553,225L556,225L558,224L560,221L562,220L564,219L564,220L565,222L565,223L565,224L565,225L566,226L568,227L570,228L570,229L572,231L573,232L574,233L576,235Z M551,240L551,242L550,243L550,245L549,248L550,249L549,250L549,251L549,252L547,253L546,255L544,258L544,260L544,261L542,262L541,264L539,263L538,262L537,264L536,263L535,262L534,263L533,264L531,261L533,260L532,258L533,257L535,257L535,255L536,257L539,257L540,256L540,254L540,252L538,250L540,247L539,246L537,246L536,245L536,244L540,244L542,245L544,245L544,244L546,241L548,240L549,240L551,240Z M531,244L533,244L534,244L536,244L536,245L537,246L539,246L540,247L538,250L540,252L540,254L540,256L539,257L536,257L535,255L535,257L533,257L532,258L533,260L531,261L528,258L526,256L524,253L525,252L525,251L526,249L526,247L527,247L531,247L531,244Z M527,244L531,244L531,247L527,247L526,247L527,244Z M585,273L587,274L588,274L589,275L591,276L592,277L593,279L593,280L592,282L593,285L592,286L591,288L592,289L584,291L584,293L582,293L580,295L580,296L579,296L577,298L575,300L574,300L573,300L570,299L569,298L567,298L564,299L563,297L561,295L561,286L567,286L566,285L567,284L566,283L567,281L566,280L567,280L568,281L569,281L571,281L572,283L574,283L575,282L576,284L578,284L579,285L580,287L582,287L582,284L580,283L579,283L579,280L580,277L579,275L580,274L581,273L584,273L585,273Z M591,276L594,276L594,277L595,278L596,282L595,284L596,288L597,288L598,289L599,291L599,294L598,295L597,297L596,295L595,293L596,292L596,291L595,290L594,290L592,289L591,288L592,286L593,285L592,282L593,280L593,279L592,277L591,276Z M596,282L598,282L601,283L602,282L604,282L605,281L607,281L610,280L612,279L612,280L612,283L613,285L613,289L613,291L612,293L611,295L610,296L607,298L604,299L601,302L600,302L598,304L597,305L596,307L598,309L598,311L599,311L599,314L598,315L599,316L598,317L597,318L595,319L592,320L590,321L591,323L591,324L589,324L589,323L588,322L588,321L589,318L588,316L587,312L590,309L590,307L591,306L591,305L591,304L591,302L591,300L591,296L590,296L588,295L587,294L584,294L584,293L584,291L592,289L594,290L595,290L596,291L596,292L595,293L596,295L597,297L598,295L599,294L599,291L598,289L597,288L596,288L595,284L596,282Z M589,324L589,325L587,326L585,324L585,323L586,322L586,321L587,321L588,322L589,323L589,324Z M536,263L535,264L535,265L535,266L534,266L533,264L534,263L535,262L536,263Z M534,267L535,267L536,267L537,266L545,266L546,268L547,270L547,271L549,272L550,272L551,272L553,272L553,271L554,270L556,270L556,269L557,269L557,270L560,270L560,272L561,273L561,275L561,276L562,277L562,281L563,281L565,280L566,280L567,281L566,283L567,284L566,285L567,286L561,286L561,295L563,297L564,299L559,300L553,299L551,298L539,298L537,297L536,297L534,298L533,298L532,296L533,294L534,291L534,290L535,288L535,286L537,285L538,283L538,281L538,280L537,279L536,277L536,275L537,274L536,271L535,269L534,267Z M585,257L585,258L585,259L585,260L584,261L583,262L581,262L581,259L581,258L582,258L583,257L585,257Z M638,285L638,286L639,288L639,291L640,292L640,294L639,294L639,293L638,294L639,296L638,297L637,298L637,300L636,303L635,307L633,312L632,316L631,319L629,320L626,321L625,320L622,319L622,318L621,315L620,313L620,311L621,309L622,309L622,308L623,306L624,304L623,303L622,301L622,298L623,297L623,295L625,295L626,294L627,294L629,294L630,292L633,291L633,289L633,288L634,288L636,286L636,285L637,283L638,285Z M454,212L457,212L457,211L458,211L459,212L460,212L461,212L462,212L460,213L459,213L458,212L457,213L456,213L456,214L453,213L454,212Z M526,166L525,161L523,160L523,159L521,157L521,155L523,154L523,151L523,149L523,147L526,146L528,147L528,148L531,147L529,149L529,150L530,151L530,153L528,155L529,156L530,156L531,158L532,158L532,160L530,161L530,162L528,163L528,164L528,165L526,166Z M476,174L476,173L476,170L480,168L483,167L485,167L487,165L490,164L490,162L491,162L493,161L496,160L497,159L496,159L495,156L495,154L494,152L497,151L500,150L501,149L504,148L509,148L513,148L515,148L517,147L520,147L521,148L523,147L523,149L523,151L523,154L521,155L521,157L523,159L523,160L525,161L526,166L527,168L527,170L527,172L527,173L527,175L527,176L526,178L528,180L528,181L529,182L530,182L532,183L533,185L524,190L516,196L512,197L509,197L509,195L507,195L506,194L505,193L496,187L486,181L476,174Z M601,210L601,209L602,205L602,203L603,202L605,202L607,200L608,203L609,206L611,207L614,210L616,211L617,213L618,214L620,215L619,215L618,215L617,214L616,213L614,212L614,211L611,210L609,210L609,209L607,210L605,208L604,211L601,210Z M494,152L495,154L495,156L496,159L497,159L496,160L493,161L491,162L490,162L490,164L487,165L485,167L483,167L480,168L476,170L476,173L476,175L474,175L473,175L472,175L471,175L468,175L467,177L467,178L465,181L461,184L460,188L459,189L459,190L453,191L453,190L453,189L454,188L455,187L455,186L456,184L457,182L458,182L459,180L459,179L460,177L462,176L464,173L465,172L468,172L470,170L471,169L473,167L473,163L474,161L474,160L476,158L479,156L481,155L483,152L484,151L486,151L487,152L490,152L493,152L494,152Z M602,189L591,189L581,189L569,189L569,179L569,169L569,167L569,165L569,164L570,162L574,162L576,163L579,164L580,164L582,163L584,163L586,162L588,163L589,164L589,163L592,164L594,164L595,163L597,167L597,168L596,169L596,171L595,173L594,173L593,172L592,171L590,167L591,170L593,173L595,177L596,179L597,180L599,184L599,186L602,188L602,189Z M569,189L569,194L566,194L566,196L555,190L544,185L541,186L539,188L538,186L533,185L532,183L530,182L529,182L528,181L528,180L526,178L527,176L527,175L527,173L527,172L527,170L527,168L526,166L528,165L528,164L528,163L530,162L530,161L532,160L532,158L535,159L536,159L539,159L542,160L544,163L546,163L550,165L553,166L554,165L556,164L555,162L556,160L558,159L560,159L564,159L565,161L566,161L569,161L570,162L569,164L569,165L569,167L569,169L569,179L569,189Z M633,228L625,236L621,236L619,238L617,238L616,239L614,239L613,238L611,239L610,240L608,240L607,240L606,240L602,238L600,238L599,237L599,235L598,235L596,232L595,231L595,230L593,229L592,228L592,227L594,227L594,226L594,223L595,220L596,220L597,219L598,216L600,215L601,212L601,210L604,211L605,208L607,210L609,209L609,210L611,210L614,211L614,212L616,213L617,214L618,215L617,216L616,218L616,219L618,219L619,220L618,221L619,222L620,224L621,224L630,228L633,228Z M618,215L619,215L620,215L620,216L620,217L619,217L620,218L619,220L618,219L616,219L616,218L617,216L618,215Z M636,218L636,219L636,222L636,224L635,225L633,228L630,228L621,224L620,224L619,222L618,221L619,220L620,218L621,219L621,220L623,221L624,221L627,220L630,220L632,219L633,219L634,218L636,218Z M594,253L589,253L585,253L584,253L583,254L582,254L582,252L583,251L583,248L584,247L585,246L586,245L587,244L585,244L586,240L587,239L589,240L591,239L593,239L594,238L596,240L596,242L597,245L596,247L595,249L594,250L594,253Z M584,253L586,255L585,256L585,257L583,257L582,258L581,258L581,256L581,255L582,254L583,254L584,253Z M586,240L583,238L583,237L581,238L580,238L579,238L578,238L576,235L574,233L573,232L572,231L570,229L570,228L568,227L566,226L567,226L568,225L569,223L570,221L572,221L572,222L574,223L574,224L575,223L577,223L578,224L580,224L581,223L582,223L582,222L583,221L586,223L587,223L588,221L590,219L590,218L589,217L591,217L591,216L592,216L592,218L592,220L594,221L594,222L594,224L594,226L594,227L592,227L592,228L593,229L595,230L595,231L596,232L598,235L596,237L594,238L593,239L591,239L589,240L587,239L586,240Z",
-  AS: "M743,113L741,115L738,115L738,118L737,119L731,119L729,124L728,124L722,125L725,130L723,131L723,132L721,132L720,131L716,131L711,131L710,131L706,130L705,130L704,132L700,131L698,131L697,133L696,133L692,135L691,137L690,137L689,136L685,136L685,133L683,133L684,131L680,129L676,129L672,129L670,127L667,126L663,124L663,123L655,125L655,135L654,135L652,133L650,132L647,133L646,134L646,133L646,132L646,131L643,130L641,128L640,127L640,126L642,126L643,124L645,124L647,124L648,122L647,120L645,120L642,119L639,121L636,121L635,121L635,119L633,117L631,117L629,116L631,113L630,113L632,110L635,111L635,109L641,106L645,106L651,108L655,109L658,108L662,108L666,110L666,109L670,109L671,108L667,106L669,104L671,103L669,101L671,100L681,99L682,98L689,97L692,96L697,97L698,100L701,99L704,100L704,101L707,101L714,99L713,100L716,102L722,109L724,107L728,109L732,108L733,109L734,110L736,111L738,112L741,112L743,113Z M655,135L655,125L663,123L663,124L667,126L670,127L672,129L676,129L680,129L684,131L683,133L685,133L685,136L689,136L690,137L691,137L692,135L696,133L697,133L698,133L696,135L698,136L700,135L703,136L699,138L697,138L696,138L696,136L693,137L692,139L690,140L688,140L687,141L689,142L690,144L688,147L686,146L685,146L685,145L681,143L678,142L676,141L673,139L672,136L671,135L668,135L667,135L667,133L663,131L661,133L658,134L659,135L655,135Z M892,257L892,266L892,275L889,273L886,272L886,273L882,273L883,271L885,270L884,267L883,265L878,263L875,262L871,260L870,261L869,261L869,260L869,259L867,258L870,257L872,257L871,256L867,256L866,254L864,254L863,253L866,252L868,251L872,252L873,253L873,258L876,259L879,256L882,255L884,255L887,256L889,257L892,257Z M847,275L847,276L846,278L843,279L843,278L843,277L844,276L847,275Z M873,269L873,267L873,266L874,265L874,266L874,267L873,269Z M827,239L826,241L828,244L827,245L831,247L827,248L826,250L826,252L824,254L824,257L823,261L822,260L819,261L818,260L816,260L815,259L811,260L810,258L808,258L806,258L806,254L804,254L803,251L803,249L803,246L805,244L805,246L807,248L809,247L811,247L812,246L813,246L816,247L818,246L820,242L821,241L822,238L825,238L827,239Z M859,258L862,259L863,261L861,260L859,259L857,260L855,259L856,258L859,258Z M852,261L851,260L850,259L853,259L853,260L852,261Z M855,244L856,245L857,246L857,247L857,249L856,249L855,251L857,252L856,252L855,251L854,247L854,245L855,244Z M841,248L845,247L847,245L848,246L846,249L844,249L841,249L836,249L834,249L833,251L836,254L837,253L843,252L842,253L841,253L840,254L838,255L840,259L840,260L842,263L842,265L841,266L840,265L841,262L838,263L837,263L838,262L836,260L836,257L834,258L834,261L835,265L833,266L832,265L832,262L832,260L831,260L830,258L831,256L831,254L833,250L833,248L836,246L838,247L841,248Z M834,278L830,277L833,276L835,277L835,278L834,278Z M837,274L839,274L841,272L841,274L837,275L833,274L833,273L835,273L837,274Z M828,273L830,273L831,274L828,275L826,275L824,275L825,273L827,273L827,272L828,273Z M801,268L802,269L807,269L808,268L813,269L814,271L818,272L821,273L818,274L815,273L813,273L810,273L807,273L804,272L802,271L801,272L796,270L795,269L793,269L795,266L798,267L800,268L801,268Z M790,253L790,255L791,257L793,257L795,259L794,262L794,266L791,266L789,264L785,262L784,260L782,258L780,256L778,252L776,249L775,247L774,245L771,243L770,241L768,239L765,236L765,235L766,235L771,235L773,238L775,240L777,241L780,244L782,244L785,246L786,248L788,250L787,252L789,253L790,253Z M847,275L847,274L850,273L852,273L853,273L854,273L853,274L850,275L847,276L847,275Z M599,159L599,160L598,160L597,161L598,162L597,162L597,163L598,163L598,164L597,168L597,167L595,163L596,162L597,161L597,159L597,158L598,158L599,158L600,158L600,159L599,159Z M600,158L599,158L598,158L599,156L600,154L601,154L602,155L600,156L600,158Z M598,163L597,163L597,162L598,162L597,161L598,160L599,160L599,162L598,163Z M599,160L599,159L602,160L608,157L609,161L608,161L603,162L606,165L605,166L604,167L602,167L601,168L600,169L597,168L598,164L598,163L599,162L599,160Z M643,183L644,183L646,183L648,183L650,183L652,181L654,179L656,178L656,179L657,181L655,181L655,183L656,183L654,184L654,185L653,186L653,187L653,188L644,186L643,183Z M641,181L641,179L642,178L642,177L643,178L643,180L643,182L642,182L641,181Z M633,167L634,168L634,169L634,171L633,171L632,169L629,169L631,167L633,167Z M609,161L608,157L614,154L615,151L615,149L616,148L618,147L619,146L622,147L623,147L624,147L626,150L628,151L628,153L627,153L626,156L628,158L631,160L633,162L632,164L633,164L633,165L635,167L633,167L631,167L629,169L624,169L616,163L612,161L609,161Z M653,187L653,186L654,185L654,184L656,183L655,183L655,181L657,181L658,183L659,184L661,184L663,185L664,186L665,187L666,187L666,188L665,190L664,191L662,193L661,193L661,194L660,195L661,197L660,197L659,197L657,198L657,200L656,200L655,200L654,201L654,202L652,203L651,203L649,204L648,204L647,202L644,197L653,194L655,189L653,187Z M656,179L656,178L657,177L657,178L656,179Z M785,216L784,213L786,210L790,210L792,210L795,211L796,210L798,211L799,212L799,216L794,218L795,220L792,220L790,221L787,220L786,219L785,216Z M792,210L790,210L786,210L784,213L785,216L782,215L780,215L780,213L778,213L778,216L776,220L775,222L776,224L777,224L779,227L779,229L781,231L782,231L784,233L783,234L781,234L781,233L778,232L777,231L776,230L775,228L774,227L773,228L773,227L773,225L774,222L775,220L777,217L776,214L776,213L775,212L773,209L773,208L774,207L775,205L774,203L772,201L770,199L772,198L773,195L775,195L777,194L778,193L779,194L779,196L781,196L781,199L781,201L784,200L786,200L787,199L789,199L791,202L791,204L793,207L793,209L792,210Z M798,211L796,210L795,211L792,210L793,209L793,207L791,204L791,202L789,199L787,199L786,200L784,200L781,201L781,199L781,196L779,196L779,194L778,193L779,192L781,190L781,191L783,191L782,188L784,188L785,190L787,192L790,192L791,195L789,195L789,196L792,198L794,201L796,204L798,206L799,208L798,211Z M778,193L777,194L775,195L773,195L772,198L770,199L772,201L774,203L775,205L774,207L773,208L773,209L775,212L776,213L776,214L777,217L775,220L774,222L773,220L774,218L773,217L774,214L773,212L772,209L771,205L770,203L768,204L765,206L763,206L762,205L763,202L762,199L760,196L760,195L759,195L757,193L756,190L757,191L757,189L759,188L758,187L759,186L759,183L761,184L763,181L763,180L764,178L764,176L768,174L770,175L770,173L771,173L770,171L772,171L773,173L774,174L774,176L774,178L771,180L771,184L774,183L775,186L776,186L776,189L778,190L779,190L781,189L781,190L779,192L778,193Z M790,221L792,220L795,220L794,218L799,216L799,212L798,211L799,208L798,206L796,204L794,201L792,198L789,196L789,195L791,195L790,192L787,192L785,190L784,188L785,187L788,187L790,187L793,185L794,186L796,187L796,188L797,189L800,190L796,193L794,195L794,197L796,200L798,204L801,205L802,208L804,213L803,218L801,219L798,221L796,224L792,226L791,224L792,222L790,221Z M863,132L863,133L862,133L861,133L860,134L860,136L859,137L858,138L857,138L855,139L854,140L854,141L855,142L857,143L856,143L855,144L853,144L852,145L851,145L850,145L849,145L848,145L847,145L846,144L847,143L848,143L848,142L848,141L848,140L846,140L845,139L847,137L851,136L852,134L854,135L856,135L856,133L860,132L861,131L863,132Z M850,145L851,145L852,145L853,144L855,144L856,143L857,143L859,146L860,148L860,151L859,153L856,153L854,154L851,154L851,153L852,151L850,148L852,148L850,145Z M744,113L747,113L752,110L756,109L759,110L762,110L763,111L766,111L770,112L773,110L772,108L775,105L778,107L780,107L784,108L784,110L788,111L791,110L794,110L797,110L800,112L801,113L804,113L807,114L810,113L814,112L818,110L819,111L821,112L824,111L823,114L821,116L822,117L823,117L826,118L828,116L830,117L833,119L832,120L830,120L826,120L824,121L822,123L818,124L815,126L812,125L811,125L809,127L810,128L811,128L809,129L807,131L803,132L799,132L795,133L792,134L790,134L787,134L783,132L780,131L776,132L771,131L768,131L766,130L765,127L763,127L760,125L756,125L753,124L752,123L753,120L751,118L747,116L744,115L744,113Z M770,171L771,173L770,173L770,175L768,174L764,176L764,178L763,180L763,181L761,184L759,183L759,186L758,187L759,188L757,189L756,184L755,184L755,186L753,185L754,183L755,183L757,181L755,180L752,180L750,180L750,178L748,178L746,177L745,178L747,180L745,181L745,182L746,183L746,184L747,186L747,189L747,190L745,190L742,190L742,192L740,194L736,196L733,199L731,201L728,203L728,204L727,205L724,206L723,206L722,208L723,212L723,214L722,217L722,221L720,221L719,223L720,224L717,225L717,227L715,228L713,225L711,221L710,219L709,217L708,215L707,211L707,209L704,206L703,200L702,197L702,193L702,191L698,192L696,192L692,189L693,188L693,187L689,184L691,182L697,182L697,180L695,179L695,176L693,175L696,172L699,172L702,170L704,167L707,164L707,162L709,160L707,159L706,157L705,155L706,153L710,154L714,154L716,151L719,155L719,157L720,158L720,160L718,159L719,162L721,164L725,166L724,167L722,170L725,171L728,172L731,174L735,174L737,176L739,176L742,177L745,177L745,176L745,174L745,173L746,172L747,174L747,175L749,176L751,175L753,176L756,175L756,174L755,173L757,173L759,170L763,169L765,169L767,168L768,170L767,171L770,171Z M757,189L757,191L756,190L757,193L756,191L756,190L755,188L754,187L751,187L752,188L751,189L750,189L749,189L748,189L747,189L747,186L746,184L746,183L745,182L745,181L747,180L745,178L746,177L748,178L750,178L750,180L752,180L755,180L757,181L755,183L754,183L753,185L755,186L755,184L756,184L757,189Z M755,173L756,174L756,175L753,176L751,175L749,176L747,175L747,174L749,172L750,171L752,172L753,172L755,173Z M745,173L745,174L745,176L745,177L742,177L739,176L737,176L735,174L731,174L728,172L725,171L722,170L724,167L725,166L726,165L729,166L731,168L733,169L734,170L736,170L738,172L742,172L745,173Z M716,151L714,154L710,154L706,153L705,155L706,157L707,159L709,160L707,162L707,164L704,167L702,170L699,172L696,172L693,175L695,176L695,179L697,180L697,182L691,182L689,184L687,183L687,181L684,179L679,180L675,180L671,180L672,177L676,176L676,174L674,174L674,172L672,170L670,169L669,167L674,169L677,168L678,168L679,168L681,168L684,167L684,165L686,163L688,163L688,162L690,162L691,162L693,161L692,160L694,158L695,157L694,156L697,156L698,155L698,154L699,152L699,151L698,150L700,149L703,148L706,148L707,147L709,147L711,148L712,150L716,151Z M685,146L686,146L688,147L689,147L691,146L692,147L693,146L695,146L695,145L695,144L697,143L698,144L698,145L699,145L698,147L700,148L701,147L702,147L703,146L705,146L708,146L709,147L707,147L706,148L703,148L700,149L698,150L699,151L699,152L698,154L698,155L697,156L694,156L695,157L694,158L692,160L693,161L691,162L690,162L688,162L688,163L686,163L684,165L684,167L681,168L679,168L678,168L677,168L674,169L669,167L672,165L671,163L669,162L669,161L668,158L669,157L668,156L669,154L670,151L673,152L675,152L676,150L678,150L679,149L680,147L682,146L683,145L684,146L685,146Z M688,147L690,144L689,142L687,141L688,140L690,140L692,139L693,137L696,136L696,138L697,138L696,139L693,139L693,140L696,140L699,141L705,140L705,143L706,143L708,143L708,144L708,146L705,146L703,146L702,147L701,147L700,148L698,147L699,145L698,145L698,144L697,143L695,144L695,145L695,146L693,146L692,147L691,146L689,147L688,147Z M697,133L698,131L700,131L704,132L705,130L706,130L710,131L711,131L716,131L720,131L721,132L723,132L723,133L718,134L717,136L714,136L713,138L710,137L708,138L705,139L705,140L699,141L696,140L693,140L693,139L696,139L697,138L699,138L703,136L700,135L698,136L696,135L698,133L697,133Z M646,134L647,133L650,132L652,133L654,135L655,135L659,135L658,134L661,133L663,131L667,133L667,135L668,135L671,135L672,136L673,139L676,141L678,142L681,143L685,145L685,146L684,146L683,145L682,146L680,147L679,149L678,150L676,150L675,152L673,152L670,151L670,149L668,149L665,146L662,146L659,144L657,144L656,145L654,145L652,146L650,147L649,145L650,142L648,141L648,139L646,139L647,136L650,137L652,136L650,135L649,133L647,134L647,136L646,134Z M635,167L633,165L633,164L632,164L633,162L631,160L628,158L626,156L627,153L628,153L628,151L626,150L624,147L623,145L623,144L623,140L624,140L625,141L626,142L628,142L629,142L632,140L633,140L634,141L633,142L635,144L636,144L637,146L639,146L641,148L645,148L650,147L652,146L654,145L656,145L657,144L659,144L662,146L665,146L668,149L670,149L670,151L669,154L668,156L669,157L668,158L669,161L669,162L671,163L672,165L669,167L670,169L672,170L674,172L674,174L676,174L676,176L672,177L671,180L666,179L663,179L659,179L658,175L657,175L655,175L652,176L649,176L646,173L643,173L641,170L639,166L638,167L636,166L635,167Z M599,159L600,159L600,158L600,156L602,155L601,154L600,154L600,152L600,150L601,150L602,149L602,148L603,148L606,147L607,148L610,148L613,147L614,147L618,147L616,148L615,149L615,151L614,154L608,157L602,160L599,159Z M629,142L628,142L627,141L627,140L626,140L625,140L624,140L623,139L621,138L622,137L621,136L625,135L625,136L627,137L626,137L627,138L627,139L628,140L629,140L629,142Z M624,147L623,147L622,147L619,146L618,147L614,147L613,147L610,148L607,148L606,147L603,148L602,148L602,149L601,150L600,150L599,149L600,148L599,148L596,148L595,149L590,150L588,148L585,148L584,149L582,150L580,148L577,148L575,145L573,144L574,142L573,140L576,138L580,138L581,136L587,136L590,134L593,133L598,133L603,135L607,136L610,136L612,136L615,135L618,134L621,136L622,137L621,138L623,139L624,140L623,140L623,144L623,145L624,147Z M573,134L575,133L578,133L578,134L581,135L580,136L577,136L576,137L573,138L572,137L573,136L574,135L573,134Z M727,229L727,232L726,233L723,233L722,231L721,227L723,223L725,224L726,226L727,229Z M804,199L802,199L802,196L803,195L806,194L808,194L808,195L807,197L806,198L804,199Z M723,132L723,131L725,130L722,125L728,124L729,124L731,119L737,119L738,118L738,115L741,115L743,113L744,113L744,115L747,116L751,118L753,120L752,123L753,124L756,125L760,125L763,127L765,127L766,130L768,131L771,131L776,132L780,131L783,132L787,134L790,134L792,134L795,133L799,132L803,132L807,131L809,129L811,128L810,128L809,127L811,125L812,125L815,126L818,124L822,123L824,121L826,120L830,120L832,120L833,119L830,117L828,116L826,118L823,117L822,117L821,116L823,114L824,111L827,112L831,111L831,109L834,107L835,106L835,104L834,103L836,102L840,102L843,102L847,102L850,103L852,106L853,107L854,109L855,112L859,113L863,115L864,117L868,117L870,116L875,115L874,118L873,119L872,122L870,125L866,124L864,125L865,127L864,131L863,131L863,132L861,131L860,132L856,133L856,135L854,135L852,134L851,136L847,137L845,139L841,140L839,141L836,142L838,141L837,140L839,138L838,136L835,137L832,139L831,141L828,141L826,142L828,144L830,145L830,146L833,147L836,145L838,146L840,146L840,147L836,148L835,150L832,151L831,153L834,155L835,157L837,160L839,162L839,164L837,165L838,166L839,167L839,169L838,172L836,172L834,175L832,178L830,182L826,184L822,187L819,187L817,188L816,187L815,189L811,190L808,191L807,193L805,194L805,192L805,191L801,190L800,190L797,189L796,188L796,187L794,186L793,185L790,187L788,187L785,187L784,188L782,188L783,191L781,191L781,190L781,189L779,190L778,190L776,189L776,186L775,186L774,183L771,184L771,180L774,178L774,176L774,174L773,173L772,171L770,171L767,171L768,170L767,168L765,169L763,169L759,170L757,173L755,173L753,172L752,172L750,171L749,172L747,174L746,172L745,173L742,172L738,172L736,170L734,170L733,169L731,168L729,166L726,165L725,166L721,164L719,162L718,159L720,160L720,158L719,157L719,155L716,151L712,150L711,148L709,147L708,146L708,144L708,143L706,143L705,143L705,140L705,139L708,138L710,137L713,138L714,136L717,136L718,134L723,133L723,132Z M838,182L837,187L835,189L834,187L834,185L835,182L837,180L839,181L838,182Z M629,134L630,134L632,136L633,136L633,135L635,134L636,135L638,137L639,137L640,138L638,138L637,141L637,142L636,142L636,144L635,144L633,142L634,141L633,140L632,140L629,142L629,140L628,140L627,139L627,138L626,137L627,137L625,136L625,135L626,135L628,136L629,136L630,136L628,134L629,134Z M628,142L626,142L625,141L624,140L625,140L626,140L627,140L627,141L628,142Z M611,129L614,129L618,130L622,131L622,132L624,131L626,132L627,133L629,134L628,134L630,136L629,136L628,136L626,135L625,135L621,136L618,134L615,135L616,133L615,132L614,131L612,130L611,129Z M836,215L834,213L837,213L838,214L837,216L836,215Z M841,222L841,221L842,220L843,220L843,221L845,219L844,221L843,222L843,224L842,225L840,223L841,222Z M851,227L851,228L851,230L851,233L850,230L848,231L849,233L848,234L845,233L844,231L845,230L843,228L842,229L841,229L839,231L839,230L840,228L842,227L843,226L844,227L846,226L847,225L849,225L848,223L851,224L851,226L851,227Z M829,224L825,227L827,225L829,223L831,221L832,218L832,221L831,222L829,224Z M840,199L839,201L840,203L840,205L838,206L838,208L838,210L840,211L841,210L844,212L844,213L845,214L845,215L842,214L841,212L841,213L839,212L836,212L835,212L835,210L836,210L835,209L835,210L834,208L833,207L833,205L834,205L834,201L835,199L837,199L839,199L840,199Z M839,218L839,217L840,218L842,218L842,219L841,220L839,221L839,220L839,218Z M849,216L849,219L847,219L847,220L848,221L847,222L847,220L846,220L845,218L847,218L847,217L845,215L848,215L849,216Z M778,232L781,233L781,234L783,234L784,233L786,235L787,237L787,238L787,240L787,241L788,242L788,243L790,245L790,246L788,247L785,245L782,242L781,241L780,239L779,237L778,235L779,233L778,232Z M827,239L825,238L822,238L821,241L820,242L818,246L816,247L813,246L812,246L811,247L809,247L807,248L805,246L805,244L807,245L809,245L809,243L811,242L814,241L816,239L817,237L818,239L819,238L820,238L821,236L821,235L823,233L824,231L825,231L827,232L827,233L829,234L831,235L831,236L829,236L829,238L827,239Z M821,235L821,236L820,238L819,238L818,239L817,237L818,236L821,235Z M894,141L892,144L892,147L891,149L891,150L890,152L886,154L881,154L877,157L875,156L875,154L870,155L867,156L864,156L867,158L865,163L863,164L862,163L862,160L861,159L859,158L862,157L864,155L866,153L868,152L874,151L877,151L880,146L882,148L886,145L887,144L889,140L889,137L890,136L893,135L894,139L894,141Z M902,128L904,127L904,130L900,131L898,133L893,131L892,134L889,135L888,132L890,130L893,129L894,126L894,123L898,126L900,127L902,128Z M868,157L869,155L871,156L872,155L874,155L874,156L873,158L872,157L870,158L869,159L868,158L868,157Z M644,197L647,202L648,204L646,204L645,206L645,207L642,208L638,209L635,211L634,211L633,211L632,212L630,213L627,213L626,214L625,214L625,215L624,215L623,215L621,215L620,213L620,212L620,211L619,209L618,208L619,208L619,206L619,205L620,204L620,203L621,201L622,202L626,202L629,202L630,202L631,203L632,202L634,200L636,198L644,197Z M597,168L600,169L601,168L602,167L604,167L605,166L606,165L603,162L608,161L609,161L612,161L616,163L624,169L629,169L632,169L633,171L634,171L636,173L637,174L637,175L639,176L639,177L639,178L640,179L640,180L641,181L642,182L643,182L643,183L644,186L653,188L653,187L655,189L653,194L644,197L636,198L634,200L632,202L631,203L630,202L629,202L626,202L622,202L621,201L620,203L620,204L619,205L618,203L617,201L616,200L615,198L614,196L612,194L611,194L609,191L608,189L609,187L607,184L606,183L604,183L603,181L603,180L603,179L602,178L601,176L599,174L598,172L596,172L597,171L597,170L597,168Z",
-  OC: "M995,299L995,298L996,299L996,300L994,301L993,300L992,299L994,298L995,299Z M998,297L996,297L996,296L997,296L998,295L1000,295Z M892,257L896,259L902,261L904,262L905,264L906,265L910,267L911,268L908,269L909,271L911,272L913,275L915,275L915,276L917,277L916,277L919,279L917,280L916,279L914,279L911,278L909,276L907,275L906,272L902,271L900,272L898,273L898,275L896,276L895,275L892,275L892,266L892,257Z M924,260L925,261L925,262L925,263L924,262L923,261L922,260L921,258L919,258L919,257L921,258L922,258L923,259L924,260Z M920,266L919,267L917,268L916,268L914,267L912,266L912,265L915,266L916,265L917,264L917,265L919,265L920,264L921,263L921,262L923,262L923,264L922,265L921,265L920,266Z M930,265L931,265L932,267L933,268L933,269L932,269L931,268L930,266L929,264L930,264L930,265Z M964,294L966,296L965,296L964,295L964,294Z M963,294L963,293L963,291L964,291L965,294L964,293L963,294Z M960,309L963,310L964,312L963,312L962,311L960,310L958,309L956,307L956,306L957,306L958,307L960,308L960,309Z M950,279L951,280L949,280L948,278L950,279Z M949,277L947,275L946,273L947,273L948,275L949,277Z M947,277L946,277L944,277L943,277L944,276L945,276L946,277L947,277Z M943,272L944,273L944,274L942,273L941,272L939,271L940,270L941,271L943,272Z M936,270L938,270L937,271L936,270L935,269L935,268L936,270Z M991,361L990,363L989,365L987,366L986,365L985,365L987,362L986,361L983,360L983,359L985,358L985,356L985,354L984,352L984,351L983,350L981,348L980,346L981,346L982,347L984,348L985,350L987,353L987,351L988,352L989,354L991,355L993,355L994,354L996,355L995,357L994,359L992,359L991,360L992,361L991,361Z M971,371L974,370L975,368L977,366L978,365L978,364L980,362L981,364L981,365L983,364L984,365L984,366L983,367L981,369L980,370L981,372L979,372L976,373L976,375L974,378L972,379L970,380L968,379L966,379L963,378L963,377L964,375L968,373L969,372L971,371Z M910,363L912,364L912,367L911,368L911,370L910,369L908,371L907,371L906,371L904,369L904,367L902,364L902,363L904,363L907,364L908,364L910,363Z M850,339L847,341L845,342L845,343L843,344L841,344L839,344L837,344L835,344L833,344L831,346L829,347L828,347L826,347L824,347L821,346L820,345L820,343L821,343L821,342L821,341L822,339L821,338L820,335L819,333L820,332L818,330L818,329L817,328L817,326L815,324L815,323L816,324L815,321L816,322L817,323L817,322L816,319L815,318L815,316L816,315L816,314L816,312L817,310L817,313L818,311L821,310L822,309L824,308L825,307L826,308L828,307L830,306L831,306L831,305L833,305L836,305L837,303L838,302L840,301L840,299L840,298L842,296L843,298L844,297L843,296L844,295L845,295L845,293L847,292L848,291L849,290L850,290L850,289L852,289L853,288L855,290L857,291L858,291L860,292L859,290L861,288L862,287L862,286L863,285L865,284L866,284L868,284L868,282L866,281L868,281L869,282L871,283L873,283L874,283L876,284L877,283L878,283L879,283L880,284L880,286L879,287L878,287L878,288L877,290L876,291L876,292L879,293L881,294L882,295L884,297L885,297L886,297L887,298L889,299L891,298L892,297L892,296L893,294L894,292L893,290L893,288L893,286L894,285L894,284L894,283L895,281L896,280L897,281L897,283L898,283L898,284L899,286L899,287L899,288L900,290L902,289L902,291L904,292L904,293L904,295L905,297L906,299L906,301L907,303L910,304L912,305L913,307L915,309L916,312L917,311L918,313L919,312L919,315L921,317L922,318L925,320L925,322L925,324L925,326L927,328L926,331L926,332L925,334L925,336L925,338L923,340L921,342L920,344L919,345L919,348L918,349L917,351L917,353L917,354L915,355L912,355L909,356L908,357L906,358L904,357L902,357L903,355L901,356L899,358L897,357L895,357L893,356L891,356L889,354L888,352L888,350L886,349L884,349L885,348L884,346L883,347L880,348L882,346L882,345L883,343L883,341L881,344L879,345L878,347L876,346L876,344L874,342L872,341L873,341L869,339L867,339L865,337L860,338L856,339L853,340L850,339Z",
-  AN: "M691,385L693,386L696,386L696,387L695,388L691,388L691,387L691,386L691,385Z M365,467L366,467L370,466L375,467L378,468L379,470L380,471L380,472L375,473L371,474L366,475L360,475L353,475L350,474L350,473L356,472L358,471L360,470L361,469L363,468L365,467Z M316,473L322,473L328,473L330,472L332,471L335,472L334,474L333,475L327,475L321,475L317,474L316,473Z M295,448L297,448L300,448L301,446L301,445L301,443L302,442L305,441L306,442L307,443L308,445L309,446L310,447L310,448L310,449L309,450L306,451L303,451L299,451L300,450L297,451L294,451L292,450L292,449L295,448Z M216,450L217,449L221,450L225,450L228,450L231,450L233,451L231,451L227,451L224,451L220,451L217,451L216,450Z M159,455L160,454L163,454L167,455L170,454L169,455L166,456L162,456L159,455Z M146,454L148,453L151,454L155,455L154,455L150,455L146,454Z M45,468L47,467L52,468L55,469L57,470L58,471L52,471L49,470L47,469L45,468Z M0,485L3,484L8,485L8,484L11,484L12,484L16,485L19,484L20,484L28,483L31,484L32,484L36,485L44,486L50,486L61,487L69,486L81,487L87,488L95,487L102,486L103,485L92,485L83,484L81,483L73,482L74,481L75,480L76,479L75,478L71,477L69,476L64,475L71,475L78,475L82,476L86,475L91,474L93,473L92,472L89,471L85,470L79,470L74,470L69,470L67,469L63,468L61,467L60,464L61,464L64,465L69,464L73,464L75,465L80,465L83,464L87,464L90,463L94,462L94,461L93,460L94,459L97,459L99,460L103,459L107,459L111,459L114,458L118,458L121,457L124,456L127,457L128,457L133,456L136,457L140,457L144,456L148,457L152,457L156,457L160,457L164,457L167,457L170,456L174,456L177,456L180,456L183,455L185,456L186,457L188,458L191,457L194,458L198,458L201,459L205,459L209,458L213,458L217,459L220,459L222,458L220,457L219,456L215,456L214,455L213,454L212,452L214,452L218,452L221,452L225,453L227,453L229,454L232,454L236,454L240,454L243,453L246,454L250,454L252,452L254,453L258,453L261,453L263,454L267,454L270,455L274,455L276,454L277,453L280,454L284,454L286,455L288,455L292,455L295,455L298,454L301,454L305,453L309,453L311,452L313,451L314,450L313,449L312,448L311,447L310,446L310,445L310,444L310,443L311,442L312,440L313,439L312,438L312,437L313,436L315,435L317,434L318,433L321,432L322,431L323,430L325,430L328,429L329,429L331,428L334,428L336,427L337,426L339,426L341,426L340,427L337,428L336,429L334,428L332,429L330,429L328,430L326,431L326,432L326,433L327,434L326,435L323,435L321,436L320,437L318,438L318,439L319,440L320,441L322,441L324,442L326,443L326,444L327,446L328,446L329,447L330,450L330,451L331,452L331,453L331,455L330,456L328,457L324,457L323,458L321,459L317,460L313,461L310,461L306,462L304,463L299,463L295,463L290,463L285,463L286,464L291,465L294,465L295,466L292,467L288,467L284,468L283,469L283,470L287,471L287,472L291,473L297,473L302,474L306,475L311,476L317,476L324,477L329,478L334,479L337,480L338,481L342,480L346,479L351,478L357,478L362,477L369,477L375,477L381,478L383,477L387,476L394,476L399,475L404,475L410,474L416,474L421,473L419,472L418,471L418,470L412,470L406,471L401,471L400,470L401,468L402,467L406,466L411,466L414,465L417,464L420,463L424,462L427,462L429,462L434,462L438,461L441,461L444,460L447,460L451,459L454,458L456,457L457,456L454,455L455,454L457,453L460,453L463,452L466,451L468,450L469,449L471,448L475,448L476,449L479,449L480,448L481,447L484,447L485,448L488,449L492,448L495,448L498,448L499,449L502,448L505,448L508,447L511,447L514,446L517,446L520,445L522,444L524,445L526,444L528,446L530,447L533,446L534,445L537,444L541,445L542,446L544,445L547,444L551,444L553,444L557,444L560,445L561,446L563,446L566,446L569,446L572,446L575,446L578,445L581,445L583,444L586,444L589,443L591,443L593,441L594,440L597,441L598,442L600,442L603,442L605,443L607,444L610,443L611,442L614,441L617,441L619,440L623,440L625,439L627,438L629,438L632,438L634,437L636,436L639,436L641,436L642,435L644,434L646,433L649,433L651,433L654,433L657,433L659,434L659,435L661,436L663,437L666,437L668,438L671,439L673,439L676,438L678,437L681,438L683,438L686,438L689,439L691,439L694,442L693,444L691,444L688,445L689,446L692,446L691,447L690,448L689,450L691,450L694,451L697,450L699,449L700,448L701,447L703,446L704,445L705,444L707,444L710,444L713,443L716,443L717,442L718,441L720,440L722,439L725,439L726,438L728,437L730,437L733,437L735,437L738,436L741,437L743,436L744,434L745,435L747,436L749,437L752,437L754,436L757,437L760,437L762,436L764,437L766,437L769,437L772,437L774,436L777,437L779,436L780,435L782,434L786,432L787,433L790,433L791,434L795,436L798,436L800,436L803,436L806,435L808,435L810,434L813,434L816,433L818,434L819,434L821,435L824,435L826,436L829,437L833,437L836,437L838,436L840,435L842,435L845,435L848,435L850,435L853,435L855,435L858,435L860,435L863,435L866,434L869,434L872,434L874,434L875,433L875,431L877,432L877,433L878,435L879,435L882,436L885,436L889,436L891,436L895,436L897,436L901,436L904,436L906,437L906,438L907,439L910,439L913,440L917,440L921,441L924,441L927,441L929,440L931,441L933,442L936,443L939,443L942,443L944,444L947,445L949,446L952,446L955,446L958,447L961,447L965,447L968,447L971,448L974,448L976,449L975,450L974,451L973,452L972,453L970,455L967,455L965,456L961,457L960,458L958,459L956,460L955,461L954,462L954,463L954,464L956,465L956,466L958,467L963,468L964,469L959,469L955,470L949,470L947,471L947,473L945,474L944,475L948,476L949,477L951,478L955,479L959,480L963,481L969,481L971,483L979,483L979,484L981,484L989,484L995,485L1000,485Z",
-};
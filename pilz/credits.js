@@ -0,0 +1,3 @@
+/* generated by build.js from images/<n>/meta.json — source page, author, licence and description of each photo, by species
+   and file name. Photos not listed have no known attribution yet */
+const CREDITS = {};
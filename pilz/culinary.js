@@ -0,0 +1,1181 @@
+/* generated by build.js from culinary.json — kitchen data for the species that are eaten: preparation rules,
+   texture, flavour, pairings, cooking methods, ways to preserve, and a recipe card. Not listed = not for the kitchen */
+const CULINARY = {
+ "3": {
+  "prep": [],
+  "texture": "firm",
+  "flavour": [
+   "earthy",
+   "musky",
+   "umami"
+  ],
+  "pairings": [
+   "eggs",
+   "pasta",
+   "butter",
+   "potatoes",
+   "cheese"
+  ],
+  "methods": [
+   "raw",
+   "infuse"
+  ],
+  "preserve": [
+   "freeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Truffled scrambled eggs",
+   "method": "Keep the truffle in a closed jar with the raw eggs overnight. Scramble the eggs slowly in butter, take them off the heat and shave the truffle thinly over the top."
+  }
+ },
+ "4": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "fruity",
+   "peppery"
+  ],
+  "pairings": [
+   "butter",
+   "cream",
+   "eggs",
+   "herbs",
+   "poultry"
+  ],
+  "methods": [
+   "saute",
+   "braise"
+  ],
+  "preserve": [
+   "cookFreeze",
+   "pickle"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Chanterelles on toast",
+   "method": "Dry-sauté the chanterelles until their water has cooked off, then add butter, shallot and thyme. Finish with a spoon of cream and pile onto toasted sourdough."
+  }
+ },
+ "5": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "mild",
+   "nutty"
+  ],
+  "pairings": [
+   "corn",
+   "chilli",
+   "meat",
+   "eggs"
+  ],
+  "methods": [
+   "saute",
+   "grill",
+   "braise"
+  ],
+  "preserve": [
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Indigo milk cap tacos",
+   "method": "Slice and sauté with onion and chilli until tender, season with salt and lime and serve in warm corn tortillas. The blue fades to grey-green in the pan."
+  }
+ },
+ "6": {
+  "prep": [
+   "capsOnly",
+   "cook",
+   "limit"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "eggs",
+   "herbs",
+   "rice"
+  ],
+  "methods": [
+   "saute"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Violet garnish",
+   "method": "Sauté the caps for a minute in butter and scatter them over risotto or an omelette for colour. Amethyst deceivers take up arsenic from the soil, so keep it a garnish."
+  }
+ },
+ "7": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "umami",
+   "smoky"
+  ],
+  "pairings": [
+   "garlic",
+   "soy",
+   "rice",
+   "chilli"
+  ],
+  "methods": [
+   "fry",
+   "stirfry"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Pink oyster “bacon”",
+   "method": "Tear into strips, press flat in a hot dry pan, then fry in oil until crisp and brown. Season with smoked paprika and a dash of soy sauce."
+  }
+ },
+ "10": {
+  "prep": [
+   "young",
+   "cook",
+   "tryFirst"
+  ],
+  "texture": "meaty",
+  "flavour": [
+   "mild",
+   "sour"
+  ],
+  "pairings": [
+   "garlic",
+   "herbs",
+   "cream",
+   "pasta",
+   "poultry"
+  ],
+  "methods": [
+   "saute",
+   "roast",
+   "fry",
+   "braise"
+  ],
+  "preserve": [
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Chicken of the woods nuggets",
+   "method": "Cut the tender outer edges into strips and simmer them for 5 minutes. Drain, dip in egg and breadcrumbs and fry until golden."
+  }
+ },
+ "13": {
+  "prep": [
+   "capsOnly",
+   "cook"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "nutty",
+   "sweet"
+  ],
+  "pairings": [
+   "stock",
+   "meat",
+   "butter",
+   "herbs"
+  ],
+  "methods": [
+   "soup",
+   "saute",
+   "bake"
+  ],
+  "preserve": [
+   "dry",
+   "powder"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Fairy ring mushroom soup",
+   "method": "Simmer the caps in stock with onion and thyme for 20 minutes, blend half of the soup and stir in cream."
+  }
+ },
+ "15": {
+  "prep": [
+   "cook",
+   "sameDay"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "earthy",
+   "sweet",
+   "smoky"
+  ],
+  "pairings": [
+   "corn",
+   "chilli",
+   "cheese"
+  ],
+  "methods": [
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "freeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Quesadillas de huitlacoche",
+   "method": "Fry onion, garlic and the chopped galls with epazote until dark and soft. Fold into corn tortillas with melting cheese and toast on a dry griddle."
+  }
+ },
+ "16": {
+  "prep": [],
+  "texture": "firm",
+  "flavour": [
+   "spicy",
+   "earthy"
+  ],
+  "pairings": [
+   "rice",
+   "soy",
+   "fish",
+   "stock"
+  ],
+  "methods": [
+   "grill",
+   "soup",
+   "steam"
+  ],
+  "preserve": [
+   "freeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Matsutake gohan",
+   "method": "Cook rice in dashi with a little soy sauce and lay thick slices of matsutake on top for the last 15 minutes of steaming."
+  }
+ },
+ "19": {
+  "prep": [
+   "parboil",
+   "cook",
+   "young",
+   "tryFirst"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "mild",
+   "earthy"
+  ],
+  "pairings": [
+   "potatoes",
+   "meat",
+   "herbs"
+  ],
+  "methods": [
+   "braise",
+   "soup"
+  ],
+  "preserve": [
+   "cookFreeze",
+   "pickle"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Parboiled honey fungus",
+   "method": "Boil the young caps for 10–15 minutes and pour the water away, then stew them with onion, paprika and stock. Never raw or undercooked, and a small first portion only: some people react even to well-cooked honey fungus."
+  }
+ },
+ "21": {
+  "prep": [
+   "young",
+   "sameDay",
+   "cook"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "mild",
+   "nutty"
+  ],
+  "pairings": [
+   "butter",
+   "eggs",
+   "cream",
+   "herbs"
+  ],
+  "methods": [
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Shaggy ink cap soup",
+   "method": "Within a few hours of picking, sweat the sliced white caps in butter with leek, add stock and simmer briefly, then blend with cream."
+  }
+ },
+ "24": {
+  "prep": [
+   "raw"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "musky",
+   "garlic"
+  ],
+  "pairings": [
+   "pasta",
+   "eggs",
+   "butter",
+   "cheese",
+   "rice"
+  ],
+  "methods": [
+   "raw"
+  ],
+  "preserve": [],
+  "yearRound": false,
+  "recipe": {
+   "name": "Tajarin al tartufo",
+   "method": "Toss thin egg pasta in melted butter and a little Parmigiano, then shave the white truffle over each plate at the table."
+  }
+ },
+ "25": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "nutty",
+   "mild"
+  ],
+  "pairings": [
+   "soy",
+   "garlic",
+   "ginger",
+   "rice"
+  ],
+  "methods": [
+   "stirfry",
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Golden oyster stir-fry",
+   "method": "Stir-fry ginger and garlic, add the torn clusters for a minute, then a splash of soy and spring onion. Serve over rice straight away."
+  }
+ },
+ "27": {
+  "prep": [
+   "trim"
+  ],
+  "texture": "crisp",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "stock",
+   "poultry",
+   "ginger"
+  ],
+  "methods": [
+   "soup",
+   "braise"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Bamboo fungus soup",
+   "method": "Soak the dried nets for 20 minutes and trim off the ends. Add them to clear chicken broth with ginger for the last 5 minutes so they stay crunchy."
+  }
+ },
+ "31": {
+  "prep": [
+   "young",
+   "cook"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "seafood",
+   "mild"
+  ],
+  "pairings": [
+   "butter",
+   "garlic",
+   "cream",
+   "pasta",
+   "fish"
+  ],
+  "methods": [
+   "saute",
+   "grill",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Lobster mushroom bisque",
+   "method": "Brown the diced mushroom in butter with shallot, simmer in fish stock with tomato paste, then blend and finish with cream."
+  }
+ },
+ "32": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "butter",
+   "garlic",
+   "herbs"
+  ],
+  "methods": [
+   "saute",
+   "roast"
+  ],
+  "preserve": [
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Garlic mushrooms",
+   "method": "Quarter and sauté in butter until golden, adding crushed garlic and parsley for the last minute."
+  }
+ },
+ "33": {
+  "prep": [
+   "parboil",
+   "cook",
+   "young",
+   "tryFirst"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "mild",
+   "earthy"
+  ],
+  "pairings": [
+   "potatoes",
+   "meat",
+   "herbs"
+  ],
+  "methods": [
+   "braise",
+   "soup"
+  ],
+  "preserve": [
+   "cookFreeze",
+   "pickle"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Honey mushroom goulash",
+   "method": "Boil the young caps for 10–15 minutes and throw the water away, then braise with onion, paprika and beef for an hour. Start with a small portion."
+  }
+ },
+ "35": {
+  "prep": [
+   "young",
+   "cook"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "eggs",
+   "butter",
+   "herbs",
+   "cheese"
+  ],
+  "methods": [
+   "fry"
+  ],
+  "preserve": [
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Puffball schnitzel",
+   "method": "Peel and cut into thick slices, checking that every slice is pure white inside. Dip in egg and breadcrumbs and fry in butter until golden."
+  }
+ },
+ "36": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "tender",
+  "flavour": [
+   "smoky",
+   "earthy",
+   "fruity"
+  ],
+  "pairings": [
+   "game",
+   "cream",
+   "butter",
+   "meat"
+  ],
+  "methods": [
+   "braise",
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "powder"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Venison with trumpet sauce",
+   "method": "Sear the venison and let it rest. Sauté the trumpets in the same pan with butter, deglaze with stock and reduce with cream."
+  }
+ },
+ "38": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "smoky",
+   "fruity"
+  ],
+  "pairings": [
+   "pasta",
+   "cream",
+   "butter",
+   "eggs"
+  ],
+  "methods": [
+   "saute"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Black trumpet tagliatelle",
+   "method": "Sauté the trumpets quickly in butter with garlic, add cream and toss with freshly cooked tagliatelle at the last moment so they stay tender."
+  }
+ },
+ "42": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "butter",
+   "meat",
+   "stock"
+  ],
+  "methods": [
+   "braise",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "pickle"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Copper spike stew",
+   "method": "Slice and braise with onion, paprika and stock for 20 minutes. The flesh turns wine-red as it cooks."
+  }
+ },
+ "43": {
+  "prep": [
+   "young"
+  ],
+  "texture": "meaty",
+  "flavour": [
+   "sour"
+  ],
+  "pairings": [
+   "herbs",
+   "garlic"
+  ],
+  "methods": [
+   "raw",
+   "saute"
+  ],
+  "preserve": [],
+  "yearRound": false,
+  "recipe": {
+   "name": "Beefsteak carpaccio",
+   "method": "Slice a young bracket paper-thin and dress with olive oil, lemon, salt and pepper. To cook it instead, soak the slices in milk to soften the sourness and fry like steak."
+  }
+ },
+ "52": {
+  "prep": [
+   "young",
+   "cook",
+   "noAlcohol",
+   "sameDay"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "butter",
+   "eggs",
+   "herbs"
+  ],
+  "methods": [
+   "saute"
+  ],
+  "preserve": [],
+  "yearRound": false,
+  "recipe": {
+   "name": "Buttered ink caps",
+   "method": "Sauté young white caps in butter and serve on toast the same day. No alcohol from the day before the meal until three days after."
+  }
+ },
+ "54": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "delicate",
+  "flavour": [
+   "smoky",
+   "fruity"
+  ],
+  "pairings": [
+   "fish",
+   "butter",
+   "potatoes"
+  ],
+  "methods": [
+   "saute"
+  ],
+  "preserve": [
+   "dry",
+   "powder"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Trumpet-dusted fish",
+   "method": "Grind dried trumpets to a powder, dust fish fillets with it and a little salt, and pan-fry in butter."
+  }
+ },
+ "56": {
+  "prep": [
+   "cook",
+   "limit"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "potatoes",
+   "herbs"
+  ],
+  "methods": [
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Occasional forager's sauté",
+   "method": "Pick well away from roads, dumps and industrial land, cook thoroughly with onion and herbs, and keep portions small and occasional."
+  }
+ },
+ "57": {
+  "prep": [],
+  "texture": "firm",
+  "flavour": [
+   "nutty",
+   "umami"
+  ],
+  "pairings": [
+   "rice",
+   "pasta",
+   "butter",
+   "cheese",
+   "wine"
+  ],
+  "methods": [
+   "saute",
+   "roast",
+   "raw",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "powder",
+   "cookFreeze",
+   "oil"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Porcini risotto",
+   "method": "Soak dried porcini, toast arborio in butter and deglaze with white wine. Add the porcini and their strained soaking water ladle by ladle and finish with Parmigiano."
+  }
+ },
+ "59": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "tender",
+  "flavour": [
+   "mild",
+   "aniseed"
+  ],
+  "pairings": [
+   "butter",
+   "garlic",
+   "soy",
+   "herbs"
+  ],
+  "methods": [
+   "saute",
+   "stirfry",
+   "fry"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Garlic butter oysters",
+   "method": "Tear into strips and sear in a hot pan without moving them until browned, then add butter, garlic and parsley."
+  }
+ },
+ "60": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "tender",
+  "flavour": [
+   "seafood",
+   "sweet"
+  ],
+  "pairings": [
+   "butter",
+   "garlic",
+   "eggs",
+   "fish"
+  ],
+  "methods": [
+   "saute",
+   "fry"
+  ],
+  "preserve": [
+   "dry",
+   "cookFreeze"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Lion's mane “crab” cakes",
+   "method": "Shred the mushroom and cook it in a hot dry pan until it stops releasing water. Bind with egg and breadcrumbs, season with paprika and celery salt and fry as small cakes."
+  }
+ },
+ "65": {
+  "prep": [],
+  "texture": "firm",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "garlic",
+   "cream",
+   "cheese",
+   "herbs",
+   "wine"
+  ],
+  "methods": [
+   "saute",
+   "roast",
+   "raw",
+   "soup"
+  ],
+  "preserve": [
+   "cookFreeze",
+   "pickle"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Stuffed mushrooms",
+   "method": "Fill the caps with the chopped stems, garlic, breadcrumbs and cheese and bake for 15 minutes at 200 °C."
+  }
+ },
+ "66": {
+  "prep": [
+   "clean"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "nutty",
+   "earthy"
+  ],
+  "pairings": [
+   "cream",
+   "butter",
+   "pasta",
+   "poultry"
+  ],
+  "methods": [
+   "braise",
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "cookFreeze"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Cauliflower mushroom in cream",
+   "method": "Break into florets and wash each one, blanch for 2 minutes, then braise slowly in butter, stock and cream for 15 minutes."
+  }
+ },
+ "67": {
+  "prep": [],
+  "texture": "gelatinous",
+  "flavour": [
+   "mild",
+   "sweet"
+  ],
+  "pairings": [
+   "fruit",
+   "honey"
+  ],
+  "methods": [
+   "soup",
+   "dessert"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Snow fungus dessert soup",
+   "method": "Soak the dried fungus, tear it into pieces and simmer for 45 minutes with rock sugar, jujubes and goji berries until the broth thickens. Serve warm or chilled."
+  }
+ },
+ "68": {
+  "prep": [
+   "peel",
+   "cook"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "potatoes",
+   "cream",
+   "herbs"
+  ],
+  "methods": [
+   "saute",
+   "soup"
+  ],
+  "preserve": [
+   "dry",
+   "pickle"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Maślaki in sour cream",
+   "method": "Peel off the slimy cap skin, slice and stew in butter with onion, then stir in sour cream and dill and serve with potatoes."
+  }
+ },
+ "69": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "meaty",
+  "flavour": [
+   "umami",
+   "mild"
+  ],
+  "pairings": [
+   "butter",
+   "garlic",
+   "soy"
+  ],
+  "methods": [
+   "saute",
+   "grill",
+   "roast"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "King oyster “scallops”",
+   "method": "Cut the stems into thick rounds and score both faces. Sear in oil until golden, then baste with butter, garlic and a splash of soy."
+  }
+ },
+ "72": {
+  "prep": [
+   "young",
+   "cook"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "mild",
+   "earthy"
+  ],
+  "pairings": [
+   "butter",
+   "eggs",
+   "garlic"
+  ],
+  "methods": [
+   "fry",
+   "saute"
+  ],
+  "preserve": [],
+  "yearRound": false,
+  "recipe": {
+   "name": "Puffball fritters",
+   "method": "Peel and halve, keeping only puffballs that are pure white inside. Slice, dip in batter, fry and salt straight away."
+  }
+ },
+ "73": {
+  "prep": [],
+  "texture": "chewy",
+  "flavour": [
+   "umami",
+   "mild"
+  ],
+  "pairings": [
+   "stock",
+   "poultry",
+   "ginger"
+  ],
+  "methods": [
+   "soup",
+   "steep"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Cordyceps chicken soup",
+   "method": "Simmer chicken with ginger and a handful of dried cordyceps for an hour and season with salt only."
+  }
+ },
+ "79": {
+  "prep": [
+   "capsOnly",
+   "cook"
+  ],
+  "texture": "tender",
+  "flavour": [
+   "nutty"
+  ],
+  "pairings": [
+   "eggs",
+   "butter",
+   "herbs"
+  ],
+  "methods": [
+   "fry"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Parasol schnitzel",
+   "method": "Use flat open caps. Dip in flour, egg and breadcrumbs, fry in butter until golden on both sides and serve with lemon."
+  }
+ },
+ "83": {
+  "prep": [
+   "raw"
+  ],
+  "texture": "firm",
+  "flavour": [
+   "musky",
+   "garlic"
+  ],
+  "pairings": [
+   "eggs",
+   "rice",
+   "butter",
+   "cheese"
+  ],
+  "methods": [
+   "raw"
+  ],
+  "preserve": [],
+  "yearRound": false,
+  "recipe": {
+   "name": "Fonduta with white truffle",
+   "method": "Melt fontina gently with milk and egg yolks into a smooth fondue, pour it over toast and shave the truffle on top at the table."
+  }
+ },
+ "84": {
+  "prep": [
+   "trim"
+  ],
+  "texture": "crisp",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "fish",
+   "ginger",
+   "stock"
+  ],
+  "methods": [
+   "steam",
+   "soup"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Stuffed bamboo fungus",
+   "method": "Soak the dried fungus, stuff it with minced prawns and ginger and steam for 8 minutes. Serve in a little light broth."
+  }
+ },
+ "88": {
+  "prep": [
+   "cook",
+   "clean"
+  ],
+  "texture": "tender",
+  "flavour": [
+   "earthy",
+   "nutty"
+  ],
+  "pairings": [
+   "cream",
+   "butter",
+   "poultry",
+   "eggs",
+   "wine"
+  ],
+  "methods": [
+   "saute",
+   "braise"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Morels in cream",
+   "method": "Halve and rinse to flush out grit and insects. Sauté in butter until their juice has evaporated, add shallot, a splash of white wine and cream and reduce. Never raw or undercooked."
+  }
+ },
+ "90": {
+  "prep": [
+   "capsOnly",
+   "cook"
+  ],
+  "texture": "soft",
+  "flavour": [
+   "mild"
+  ],
+  "pairings": [
+   "soy",
+   "stock",
+   "ginger"
+  ],
+  "methods": [
+   "soup",
+   "stirfry"
+  ],
+  "preserve": [
+   "dry"
+  ],
+  "yearRound": true,
+  "recipe": {
+   "name": "Velvet foot hot pot",
+   "method": "Drop the caps into simmering miso or dashi broth with tofu and greens for the last three minutes."
+  }
+ },
+ "94": {
+  "prep": [
+   "cook"
+  ],
+  "texture": "meaty",
+  "flavour": [
+   "nutty",
+   "mild"
+  ],
+  "pairings": [
+   "herbs",
+   "garlic",
+   "meat"
+  ],
+  "methods": [
+   "grill",
+   "roast"
+  ],
+  "preserve": [
+   "oil"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Grilled Sicilian agaric",
+   "method": "Grill whole caps over embers, gills up, and dress with olive oil, garlic, parsley and salt."
+  }
+ },
+ "97": {
+  "prep": [
+   "capsOnly",
+   "cook"
+  ],
+  "texture": "chewy",
+  "flavour": [
+   "nutty",
+   "sweet"
+  ],
+  "pairings": [
+   "stock",
+   "meat",
+   "butter"
+  ],
+  "methods": [
+   "soup",
+   "saute"
+  ],
+  "preserve": [
+   "dry",
+   "powder"
+  ],
+  "yearRound": false,
+  "recipe": {
+   "name": "Mushroom powder",
+   "method": "Dry the caps until brittle, grind them to a fine powder and stir a spoonful into sauces, gravy or bread dough."
+  }
+ }
+};
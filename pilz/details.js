@@ -1,4 +1,4 @@
-/* auto-generated from details/*.json — per-mushroom edibility, taste, search strategy, toxicity */
+/* generated by build.js from details/*.json — per-mushroom edibility, taste, search strategy, toxicity */
 const DETAILS = {
  "1": {
   "edibility": "Hydnellum peckii is inedible and should not be consumed. While not deadly poisonous, it has an intensely bitter, hot, and acrid taste that persists even after cooking, with a tough, cork-like texture. The extreme bitterness is so unpleasant that no culinary use or recipes exist for this fungus.",
@@ -7,9 +7,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "2": {
@@ -19,9 +23,22 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "Severe abdominal pain, vomiting, diarrhea (6-24 hours); followed by deceptive remission period, then jaundice, gastrointestinal bleeding, liver and kidney failure, coma, and death",
+   "signs": [
+    "gi",
+    "remission",
+    "hepatotoxic",
+    "nephrotoxic",
+    "seizure"
+   ],
    "onset": "6-24 hours, followed by remission period; organ damage occurs during symptom-free window",
    "treatmentWindow": "Medical intervention must begin within first 24-48 hours; after amatoxin absorption, damage is largely irreversible; treatment effectiveness decreases dramatically with time delay",
-   "antidote": "No specific antidote. Aggressive IV fluid therapy, liver enzyme and blood clotting factor monitoring, and supportive care; experimental silibinin may be used in severe cases. Fatality rate less than 5% with immediate intensive care in developed countries, but no cure exists"
+   "antidote": "No specific antidote. Aggressive IV fluid therapy, liver enzyme and blood clotting factor monitoring, and supportive care; experimental silibinin may be used in severe cases. Fatality rate less than 5% with immediate intensive care in developed countries, but no cure exists",
+   "syndrome": "amatoxin",
+   "onsetHours": [
+    6,
+    24
+   ],
+   "windowHours": 48
   }
  },
  "3": {
@@ -31,9 +48,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "4": {
@@ -43,9 +64,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "5": {
@@ -55,9 +80,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "6": {
@@ -67,9 +96,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "7": {
@@ -79,9 +112,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "8": {
@@ -91,9 +128,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "9": {
@@ -103,9 +144,16 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Unknown for this specific species; related Entoloma species cause gastrointestinal distress, excessive salivation, perspiration, and bradycardia due to muscarine-like toxins",
+   "signs": [
+    "gi",
+    "cholinergic"
+   ],
    "onset": "Unknown — not documented",
    "treatmentWindow": "Unknown — not documented",
-   "antidote": "Supportive care only"
+   "antidote": "Supportive care only",
+   "syndrome": "muscarine",
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "10": {
@@ -115,9 +163,20 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Allergic reactions in ~10% of consumers: swollen lips, nausea, vomiting, dizziness, disorientation",
+   "signs": [
+    "allergic",
+    "gi",
+    "ataxia"
+   ],
    "onset": "Variable; typically hours after consumption",
    "treatmentWindow": "Monitor for symptoms; most reactions subside with supportive care",
-   "antidote": "Supportive care only. Ensure thorough cooking and proper identification. Those with mushroom allergies or sensitive digestive systems should avoid."
+   "antidote": "Supportive care only. Ensure thorough cooking and proper identification. Those with mushroom allergies or sensitive digestive systems should avoid.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    12
+   ],
+   "windowHours": null
   }
  },
  "11": {
@@ -127,9 +186,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "12": {
@@ -139,9 +202,22 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "Gastrointestinal distress (nausea, vomiting, diarrhea, abdominal pain) followed by apparent recovery, then liver failure with jaundice, seizures, and coma. Liver and kidneys are primary target organs.",
+   "signs": [
+    "gi",
+    "remission",
+    "hepatotoxic",
+    "nephrotoxic",
+    "seizure"
+   ],
    "onset": "6-24 hours, with severe symptoms developing over 1-4 days",
    "treatmentWindow": "36 hours for best outcomes with aggressive treatment, but prognosis declines rapidly after initial symptom onset",
-   "antidote": "Supportive care with aggressive hydration and electrolyte replacement; intravenous silibinin (licensed in Europe); liver transplantation may be necessary. Most survivors recover completely if treated within 36 hours."
+   "antidote": "Supportive care with aggressive hydration and electrolyte replacement; intravenous silibinin (licensed in Europe); liver transplantation may be necessary. Most survivors recover completely if treated within 36 hours.",
+   "syndrome": "amatoxin",
+   "onsetHours": [
+    6,
+    24
+   ],
+   "windowHours": 36
   }
  },
  "13": {
@@ -151,9 +227,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "14": {
@@ -163,9 +243,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "15": {
@@ -175,9 +259,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "16": {
@@ -187,9 +275,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "17": {
@@ -199,9 +291,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "18": {
@@ -211,9 +307,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "19": {
@@ -223,9 +323,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Nausea, vomiting, stomach cramps, severe gastrointestinal distress",
+   "signs": [
+    "gi"
+   ],
    "onset": "Shortly after eating (typically within hours)",
    "treatmentWindow": "Self-resolving within 24-48 hours; no specific treatment needed",
-   "antidote": "Supportive care only — thorough cooking (parboil 10-15 minutes minimum with water disposal) destroys the thermolabile toxins and prevents poisoning entirely"
+   "antidote": "Supportive care only — thorough cooking (parboil 10-15 minutes minimum with water disposal) destroys the thermolabile toxins and prevents poisoning entirely",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    4
+   ],
+   "windowHours": null
   }
  },
  "20": {
@@ -235,9 +344,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "21": {
@@ -247,9 +360,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "22": {
@@ -259,9 +376,21 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "6-24 hours latency; initial vomiting, severe abdominal pain, diarrhea lasting 6-9 hours, then apparent remission. After 36 hours: liver enzymes spike on bloodwork. After 72 hours: progressive liver and kidney failure, eventual death without transplant.",
+   "signs": [
+    "gi",
+    "remission",
+    "hepatotoxic",
+    "nephrotoxic"
+   ],
    "onset": "6-24 hours",
    "treatmentWindow": "Must begin treatment within 24-36 hours; liver damage becomes irreversible after 72 hours without aggressive intervention",
-   "antidote": "Silibinin (milk thistle derivative) if given early; supportive care including activated charcoal, IV fluids, hemodiafiltration, plasma exchange. Liver transplant is often required for survival. Without aggressive treatment, death occurs within days."
+   "antidote": "Silibinin (milk thistle derivative) if given early; supportive care including activated charcoal, IV fluids, hemodiafiltration, plasma exchange. Liver transplant is often required for survival. Without aggressive treatment, death occurs within days.",
+   "syndrome": "amatoxin",
+   "onsetHours": [
+    6,
+    24
+   ],
+   "windowHours": 36
   }
  },
  "23": {
@@ -271,9 +400,20 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Psychoactive effects include altered perception, visual/auditory hallucinations, euphoria, introspection, and mood changes. Physical effects may include increased heart rate, elevated blood pressure, nausea, vomiting, muscle weakness, dilated pupils, and loss of coordination. Psychological effects include potential anxiety, panic, and disturbing hallucinations.",
+   "signs": [
+    "hallucinogenic",
+    "gi",
+    "ataxia"
+   ],
    "onset": "30 minutes to 2 hours after ingestion",
    "treatmentWindow": "6 hours (effects typically last 4-6 hours); medical intervention required if severe psychological distress occurs",
-   "antidote": "Supportive care; benzodiazepines for severe anxiety or panic. Critical risk: accidental consumption of deadly Galerina marginata can cause fatal liver/kidney damage—spore print testing is essential for safe identification."
+   "antidote": "Supportive care; benzodiazepines for severe anxiety or panic. Critical risk: accidental consumption of deadly Galerina marginata can cause fatal liver/kidney damage—spore print testing is essential for safe identification.",
+   "syndrome": "psilocybin",
+   "onsetHours": [
+    0.5,
+    2
+   ],
+   "windowHours": 6
   }
  },
  "24": {
@@ -283,9 +423,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "25": {
@@ -295,9 +439,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "26": {
@@ -307,9 +455,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Nausea, vomiting, abdominal cramping, diarrhea, weakness, sweating, and trembling. Symptoms can last several hours to 48 hours depending on sensitivity and amount consumed.",
+   "signs": [
+    "gi"
+   ],
    "onset": "30 minutes to 3 hours",
    "treatmentWindow": "Several hours; symptoms may persist 24-48 hours but are not typically fatal in healthy individuals",
-   "antidote": "Supportive care only. Seek medical attention for severe cases. Supportive treatment includes hydration and electrolyte management; no specific antidote exists."
+   "antidote": "Supportive care only. Seek medical attention for severe cases. Supportive treatment includes hydration and electrolyte management; no specific antidote exists.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": 6
   }
  },
  "27": {
@@ -319,9 +476,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "28": {
@@ -331,9 +492,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "29": {
@@ -343,9 +508,22 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "Gastrointestinal symptoms (vomiting, diarrhea) followed by neurological effects including dizziness, lethargy, headache, confusion, and potential delirium, seizures, or coma. Acute liver injury occurs over 24-48 hours. Gyromitrin is metabolized to monomethylhydrazine (MMH), a rocket fuel analog causing multi-organ damage.",
+   "signs": [
+    "gi",
+    "ataxia",
+    "delirium",
+    "seizure",
+    "hepatotoxic"
+   ],
    "onset": "More than 5-6 hours after consumption; neurological and hepatic injury develops over 24-48 hours",
    "treatmentWindow": "Immediate medical attention essential; treatment most effective within first 12-24 hours of symptom onset",
-   "antidote": "Pyridoxine (vitamin B6) is the specific antidote, given intravenously or intramuscularly alongside supportive care including IV hydration, seizure management, and monitoring for liver and kidney damage. No universally proven antidote exists; pyridoxine is supportive therapy for MMH-related seizures."
+   "antidote": "Pyridoxine (vitamin B6) is the specific antidote, given intravenously or intramuscularly alongside supportive care including IV hydration, seizure management, and monitoring for liver and kidney damage. No universally proven antidote exists; pyridoxine is supportive therapy for MMH-related seizures.",
+   "syndrome": "gyromitrin",
+   "onsetHours": [
+    5,
+    12
+   ],
+   "windowHours": 24
   }
  },
  "30": {
@@ -355,9 +533,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "31": {
@@ -367,9 +549,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic. Rare GI distress reported in sensitive individuals, but not poisoning. Risk exists only if host is toxic Russula species (uncommon in North America).",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "32": {
@@ -379,9 +565,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "33": {
@@ -391,9 +581,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Gastrointestinal distress including nausea, vomiting, stomach cramps, and diarrhea from raw or undercooked consumption. Thermolabile irritants are responsible; some individuals remain sensitive even after cooking.",
+   "signs": [
+    "gi"
+   ],
    "onset": "30 minutes to 3 hours after consumption",
    "treatmentWindow": "Symptoms typically resolve naturally within 24-48 hours; supportive care and hydration management is standard",
-   "antidote": "No specific antidote; treatment is supportive care. Prevention through proper preparation (thorough parboiling and water discarding) is essential."
+   "antidote": "No specific antidote; treatment is supportive care. Prevention through proper preparation (thorough parboiling and water discarding) is essential.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": null
   }
  },
  "34": {
@@ -403,9 +602,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Gastrointestinal upset including nausea, stomach cramps, diarrhea, and vomiting; chills and sweating in some cases",
+   "signs": [
+    "gi"
+   ],
    "onset": "Typically 30 minutes to 3 hours after consumption",
    "treatmentWindow": "Symptoms generally resolve within 12-24 hours with supportive care; seek medical attention if severe",
-   "antidote": "No specific antidote; treatment is supportive (hydration, rest, anti-nausea medication as needed). Activated charcoal may help if administered early. Always thoroughly cook and try small amounts first to test individual tolerance."
+   "antidote": "No specific antidote; treatment is supportive (hydration, rest, anti-nausea medication as needed). Activated charcoal may help if administered early. Always thoroughly cook and try small amounts first to test individual tolerance.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": null
   }
  },
  "35": {
@@ -415,9 +623,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "36": {
@@ -427,9 +639,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "37": {
@@ -439,9 +655,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "38": {
@@ -451,9 +671,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "39": {
@@ -463,9 +687,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "40": {
@@ -475,9 +703,15 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Excessive oxalate consumption may cause kidney stone formation, acute oxalate nephropathy, and nephrotic syndrome in susceptible individuals. Combined use with warfarin or other anticoagulants increases bleeding and bruising risk. Kidney disease or history of kidney stones increases risk.",
+   "signs": [
+    "nephrotoxic"
+   ],
    "onset": "Chronic condition: kidney stone formation develops over weeks to months with sustained high-dose use (3–22 grams daily). Bleeding risk is immediate with concurrent anticoagulant use.",
    "treatmentWindow": "Kidney damage from oxalate accumulation: discontinue use immediately and monitor kidney function. Bleeding events: seek immediate medical attention. No specific reversal agent; depends on underlying anticoagulant.",
-   "antidote": "Supportive care only. Discontinue chaga immediately if kidney disease symptoms develop or if taking anticoagulants. Adequate hydration helps reduce kidney stone risk. Consult healthcare provider before use if taking warfarin, other blood thinners, or if you have kidney disease or kidney stone history."
+   "antidote": "Supportive care only. Discontinue chaga immediately if kidney disease symptoms develop or if taking anticoagulants. Adequate hydration helps reduce kidney stone risk. Consult healthcare provider before use if taking warfarin, other blood thinners, or if you have kidney disease or kidney stone history.",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "41": {
@@ -487,9 +721,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Nausea, vomiting, diarrhea, stomach cramps, and loose stools; gastrointestinal distress typical of Ramaria species",
+   "signs": [
+    "gi"
+   ],
    "onset": "Typically within 2-12 hours of consumption",
    "treatmentWindow": "Symptoms are self-limiting and generally subside within 24 hours; supportive care during this window",
-   "antidote": "No specific antidote; treatment is supportive including hydration management and electrolyte replacement to counter gastrointestinal fluid loss"
+   "antidote": "No specific antidote; treatment is supportive including hydration management and electrolyte replacement to counter gastrointestinal fluid loss",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    2,
+    12
+   ],
+   "windowHours": null
   }
  },
  "42": {
@@ -499,9 +742,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "43": {
@@ -511,9 +758,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "44": {
@@ -523,9 +774,17 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Allergic reactions (allergic rhinitis, sinusitis, conjunctivitis), respiratory irritation, mold asthma; in immunocompromised individuals: invasive infections of skin, eye, sinuses, lungs, and rarely brain",
+   "signs": [
+    "allergic",
+    "respiratory",
+    "infection"
+   ],
    "onset": "Allergic reactions typically within hours to days of inhalation exposure; infections develop over days to weeks in susceptible individuals",
    "treatmentWindow": "Early recognition and environmental remediation critical; antifungal treatment should begin within days of confirmed invasive infection for optimal outcomes",
-   "antidote": "Antifungals (voriconazole, posaconazole, amphotericin B) for invasive cases; environmental source removal and HEPA filtration for allergic management"
+   "antidote": "Antifungals (voriconazole, posaconazole, amphotericin B) for invasive cases; environmental source removal and HEPA filtration for allergic management",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "45": {
@@ -535,9 +794,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Gastrointestinal distress including nausea, vomiting, explosive diarrhea, abdominal pain, excess protein in urine (proteinuria); severe cases may include temporary paralysis, impaired vision, and collapse.",
+   "signs": [
+    "gi",
+    "nephrotoxic"
+   ],
    "onset": "5-10 hours after consumption",
    "treatmentWindow": "Up to 10 hours from consumption; early supportive care and decontamination (activated charcoal) within first few hours if ingestion is recent",
-   "antidote": "No specific antidote; treatment is supportive care including fluid replacement for dehydration from gastrointestinal symptoms, antiemetics for vomiting, and monitoring for complications. Hospitalization may be required for severe cases."
+   "antidote": "No specific antidote; treatment is supportive care including fluid replacement for dehydration from gastrointestinal symptoms, antiemetics for vomiting, and monitoring for complications. Hospitalization may be required for severe cases.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    5,
+    10
+   ],
+   "windowHours": 10
   }
  },
  "46": {
@@ -547,9 +816,16 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "In the single documented human case: hoarseness, cough, recurrent pharyngitis, fatigue, difficulty swallowing, anorexia. Plant pathogen; human infection extremely rare.",
+   "signs": [
+    "respiratory",
+    "infection"
+   ],
    "onset": "Unknown; documented case developed symptoms over extended occupational exposure to plant fungi",
    "treatmentWindow": "Unknown; fungal infections typically require weeks to months of antifungal therapy",
-   "antidote": "Antifungal medications (itraconazole or voriconazole) if systemic infection suspected; seek medical care immediately if respiratory symptoms develop after exposure"
+   "antidote": "Antifungal medications (itraconazole or voriconazole) if systemic infection suspected; seek medical care immediately if respiratory symptoms develop after exposure",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "47": {
@@ -559,9 +835,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic if accidentally ingested"
+   "antidote": "N/A — not toxic if accidentally ingested",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "48": {
@@ -571,9 +851,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Severe gastroenteritis with intense nausea, vomiting, diarrhea, abdominal cramps, headache, sweating, and dizziness. Dehydration and electrolyte imbalance can be life-threatening in vulnerable populations (elderly, children). Delirium and depression are uncommon but reported sequelae.",
+   "signs": [
+    "gi",
+    "ataxia"
+   ],
    "onset": "30 minutes to 3 hours after consumption",
    "treatmentWindow": "Symptoms typically resolve within 24-48 hours with supportive care; longer onset allows for gastric decontamination if identified early",
-   "antidote": "No specific antidote. Treatment is supportive: fluid and electrolyte replacement, antiemetics for severe nausea/vomiting, and symptomatic care. Activated charcoal may be considered if treatment sought within the first few hours."
+   "antidote": "No specific antidote. Treatment is supportive: fluid and electrolyte replacement, antiemetics for severe nausea/vomiting, and symptomatic care. Activated charcoal may be considered if treatment sought within the first few hours.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": null
   }
  },
  "49": {
@@ -583,9 +873,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "50": {
@@ -595,9 +889,15 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Members of Xylaria genus contain amatoxins and phallotoxins (same as deadly Amanita species), though exact concentrations in polymorpha are poorly studied. Potential mild gastrointestinal distress if consumed in small amounts; long-term or cumulative toxicity effects unknown.",
+   "signs": [
+    "gi"
+   ],
    "onset": "Unknown; limited human consumption data",
    "treatmentWindow": "Standard GI support; no specific antidote if amatoxins present",
-   "antidote": "Supportive care only (hydration, activated charcoal if ingested). If amatoxin exposure suspected, seek immediate medical attention for liver/kidney support. Note: amatoxin toxicity requires medical intervention within hours."
+   "antidote": "Supportive care only (hydration, activated charcoal if ingested). If amatoxin exposure suspected, seek immediate medical attention for liver/kidney support. Note: amatoxin toxicity requires medical intervention within hours.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "51": {
@@ -607,9 +907,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "52": {
@@ -619,9 +923,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Coprine + alcohol → facial flushing, burning sensation in chest and limbs, palpitations, tachycardia, hypotension, nausea, vomiting, abdominal cramps, headache, and in severe cases, cardiac arrhythmias and respiratory distress",
+   "signs": [
+    "disulfiram",
+    "gi"
+   ],
    "onset": "15-30 minutes to 2 hours after alcohol consumption following mushroom ingestion",
    "treatmentWindow": "Supportive care within hours of symptom onset; alcohol must be avoided immediately. Most symptoms resolve within 24 hours with proper medical support",
-   "antidote": "No specific antidote; treatment is supportive (IV fluids, cardiac monitoring, antiemetics). Avoid all alcohol for minimum 72 hours after mushroom consumption"
+   "antidote": "No specific antidote; treatment is supportive (IV fluids, cardiac monitoring, antiemetics). Avoid all alcohol for minimum 72 hours after mushroom consumption",
+   "syndrome": "coprine",
+   "onsetHours": [
+    0.25,
+    2
+   ],
+   "windowHours": null
   }
  },
  "53": {
@@ -631,9 +945,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "54": {
@@ -643,9 +961,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "55": {
@@ -655,9 +977,20 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Loss of muscular coordination (ataxia), tremors, dizziness, nausea, vomiting, diarrhea, abdominal pain; in severe cases: seizures and loss of consciousness",
+   "signs": [
+    "ataxia",
+    "gi",
+    "seizure"
+   ],
    "onset": "Typically 30 minutes to 3 hours after consumption; can be delayed up to 24 hours",
    "treatmentWindow": "Early medical intervention within 6-12 hours of exposure is critical; activated charcoal may be considered within the first hour if toxin absorption has not progressed significantly",
-   "antidote": "No specific antidote exists; treatment is supportive care including fluid replacement, monitoring of neurological status, and management of seizures if they occur. Pyridoxine (vitamin B6) supplementation has been studied with mixed results in gyromitrin poisoning"
+   "antidote": "No specific antidote exists; treatment is supportive care including fluid replacement, monitoring of neurological status, and management of seizures if they occur. Pyridoxine (vitamin B6) supplementation has been studied with mixed results in gyromitrin poisoning",
+   "syndrome": "gyromitrin",
+   "onsetHours": [
+    0.5,
+    24
+   ],
+   "windowHours": 12
   }
  },
  "56": {
@@ -667,9 +1000,16 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Cumulative heavy metal toxicity manifests as kidney damage (reduced function, proteinuria), neurological effects (tremors, cognitive decline, peripheral neuropathy), and potential carcinogenic effects over time",
+   "signs": [
+    "nephrotoxic",
+    "ataxia"
+   ],
    "onset": "Chronic onset over months to years of repeated consumption; symptoms appear insidiously as metals accumulate in organs",
    "treatmentWindow": "Heavy metal poisoning is best treated early in exposure accumulation. Chelation therapy initiated within days to weeks of acute high-dose exposure is most effective; chronic low-level exposure can be treated at any point but removal of contaminated foods is the primary intervention",
-   "antidote": "DMSA (oral, first-line, FDA-approved for lead/mercury/arsenic) or EDTA (IV, FDA-approved for lead/cadmium) chelation therapy. DMSA achieves peak urinary metal excretion at 2 hours; EDTA at 4 hours. Treatment typically involves multiple cycles with breaks. Supportive care: maintain hydration, monitor kidney function. Severe cases require medical supervision to manage metal redistribution and prevent organ damage during treatment"
+   "antidote": "DMSA (oral, first-line, FDA-approved for lead/mercury/arsenic) or EDTA (IV, FDA-approved for lead/cadmium) chelation therapy. DMSA achieves peak urinary metal excretion at 2 hours; EDTA at 4 hours. Treatment typically involves multiple cycles with breaks. Supportive care: maintain hydration, monitor kidney function. Severe cases require medical supervision to manage metal redistribution and prevent organ damage during treatment",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "57": {
@@ -679,9 +1019,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "58": {
@@ -691,9 +1035,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "59": {
@@ -703,9 +1051,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "60": {
@@ -715,9 +1067,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "61": {
@@ -727,9 +1083,22 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Confusion, delirium, hallucinations, ataxia, tremors, excessive salivation, myosis, muscle twitching, and seizures in large doses; GABA-like effects on the nervous system",
+   "signs": [
+    "delirium",
+    "hallucinogenic",
+    "ataxia",
+    "cholinergic",
+    "seizure"
+   ],
    "onset": "30 minutes to 2 hours",
    "treatmentWindow": "Symptoms typically resolve within 24 hours with supportive care; decontamination effective if performed early (within 1-2 hours of ingestion)",
-   "antidote": "No specific antidote; treatment is supportive with benzodiazepines for agitation/seizures, activated charcoal if early decontamination attempted, IV fluids, and monitoring in ICU for severe cases"
+   "antidote": "No specific antidote; treatment is supportive with benzodiazepines for agitation/seizures, activated charcoal if early decontamination attempted, IV fluids, and monitoring in ICU for severe cases",
+   "syndrome": "isoxazole",
+   "onsetHours": [
+    0.5,
+    2
+   ],
+   "windowHours": 2
   }
  },
  "62": {
@@ -739,9 +1108,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "63": {
@@ -751,9 +1124,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "64": {
@@ -763,9 +1140,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Gastrointestinal upset including nausea, vomiting, and abdominal discomfort if consumed in quantity",
+   "signs": [
+    "gi"
+   ],
    "onset": "30 minutes to 3 hours after ingestion",
    "treatmentWindow": "Symptoms typically resolve within 24 hours with supportive care",
-   "antidote": "Supportive care including hydration and rest; antiemetics may be considered for severe nausea; activated charcoal not typically indicated due to minimal toxicity profile"
+   "antidote": "Supportive care including hydration and rest; antiemetics may be considered for severe nausea; activated charcoal not typically indicated due to minimal toxicity profile",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": null
   }
  },
  "65": {
@@ -775,9 +1161,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "66": {
@@ -787,9 +1177,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "67": {
@@ -799,9 +1193,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "68": {
@@ -811,9 +1209,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Mild GI upset if cap cuticle/pores eaten in quantity",
+   "signs": [
+    "gi"
+   ],
    "onset": "Hours after eating",
    "treatmentWindow": "Self-resolving",
-   "antidote": "Hydration; not medically toxic"
+   "antidote": "Hydration; not medically toxic",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": null
   }
  },
  "69": {
@@ -823,9 +1230,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "70": {
@@ -835,9 +1246,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Severe gastrointestinal symptoms including nausea, vomiting, abdominal cramps, and persistent diarrhea",
+   "signs": [
+    "gi"
+   ],
    "onset": "2-4 hours",
    "treatmentWindow": "Seek medical care immediately; treatment is supportive care within first 24 hours",
-   "antidote": "Supportive care; hydration; antiemetics; symptomatic treatment for gastrointestinal symptoms"
+   "antidote": "Supportive care; hydration; antiemetics; symptomatic treatment for gastrointestinal symptoms",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    2,
+    4
+   ],
+   "windowHours": 24
   }
  },
  "71": {
@@ -847,9 +1267,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "Rare invasive infection in immunocompromised individuals; otherwise no toxicity",
+   "signs": [],
    "onset": "Days to weeks if invasive infection develops",
    "treatmentWindow": "Immediate medical intervention required for invasive infections",
-   "antidote": "Antifungals (voriconazole) for invasive infection"
+   "antidote": "Antifungals (voriconazole) for invasive infection",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "72": {
@@ -859,9 +1283,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "Mature spore mass can cause lycoperdonosis (inhalation-related lung inflammation) if large quantities are inhaled; culinary use does not present inhalation risk",
+   "signs": [],
    "onset": "Hours to days after significant inhalation exposure",
    "treatmentWindow": "Seek medical attention if respiratory symptoms develop after inhalation of spore cloud",
-   "antidote": "Supportive respiratory care and corticosteroids for confirmed lycoperdonosis; hospital evaluation recommended"
+   "antidote": "Supportive respiratory care and corticosteroids for confirmed lycoperdonosis; hospital evaluation recommended",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "73": {
@@ -871,9 +1299,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "74": {
@@ -883,9 +1315,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "75": {
@@ -895,9 +1331,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Reports of gastrointestinal distress in some individuals; toxicity is not consistently reported across all cases",
+   "signs": [
+    "gi"
+   ],
    "onset": "Hours after ingestion",
    "treatmentWindow": "Early intervention with supportive care recommended",
-   "antidote": "Supportive care, hydration, and symptomatic treatment of gastrointestinal symptoms"
+   "antidote": "Supportive care, hydration, and symptomatic treatment of gastrointestinal symptoms",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": null
   }
  },
  "76": {
@@ -907,9 +1352,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "77": {
@@ -919,9 +1368,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Raw fruit body causes gastrointestinal distress including nausea, vomiting, and diarrhea; mycelium not normally eaten",
+   "signs": [
+    "gi"
+   ],
    "onset": "Hours after eating raw",
    "treatmentWindow": "Self-resolving within 24 hours",
-   "antidote": "Supportive care, hydration"
+   "antidote": "Supportive care, hydration",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": null
   }
  },
  "78": {
@@ -931,9 +1389,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Gastrointestinal symptoms — nausea, vomiting, diarrhea, and abdominal discomfort",
+   "signs": [
+    "gi"
+   ],
    "onset": "30 minutes to 3 hours after ingestion",
    "treatmentWindow": "Within 6 hours for activated charcoal consideration; symptom management is the primary approach",
-   "antidote": "Supportive care including hydration, electrolyte replacement, and anti-nausea medication as needed. No specific antidote; treatment is symptomatic and supportive"
+   "antidote": "Supportive care including hydration, electrolyte replacement, and anti-nausea medication as needed. No specific antidote; treatment is symptomatic and supportive",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": 6
   }
  },
  "79": {
@@ -943,9 +1410,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic if correctly identified; warning: lookalikes may cause severe GI distress",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic if correctly identified"
+   "antidote": "N/A — not toxic if correctly identified",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "80": {
@@ -955,9 +1426,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "81": {
@@ -967,9 +1442,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — extinct, not consumed"
+   "antidote": "N/A — extinct, not consumed",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "82": {
@@ -979,9 +1458,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "83": {
@@ -991,9 +1474,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "84": {
@@ -1003,9 +1490,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "85": {
@@ -1015,9 +1506,15 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Toxicity unverified — best treated as potentially toxic given Entoloma genus; many species cause gastrointestinal distress",
+   "signs": [
+    "gi"
+   ],
    "onset": "Unknown; many Entoloma species cause gastrointestinal symptoms within hours of ingestion",
    "treatmentWindow": "Early medical intervention within 2–4 hours of ingestion is recommended if toxin exposure is suspected",
-   "antidote": "Supportive care and activated charcoal if eaten; medical attention should be sought immediately"
+   "antidote": "Supportive care and activated charcoal if eaten; medical attention should be sought immediately",
+   "syndrome": "gastrointestinal",
+   "onsetHours": null,
+   "windowHours": 4
   }
  },
  "86": {
@@ -1027,9 +1524,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Severe gastroenteritis including violent vomiting, profuse diarrhea, and abdominal cramping. Hepatic involvement (liver damage) has been documented in some cases.",
+   "signs": [
+    "gi",
+    "hepatotoxic"
+   ],
    "onset": "30 minutes to 3 hours after ingestion",
    "treatmentWindow": "Immediate medical attention required; decontamination most effective within first 1-2 hours",
-   "antidote": "Supportive care including aggressive hydration, electrolyte replacement, and antiemetic medications. Activated charcoal if within appropriate timeframe. Hospital monitoring for hepatic and renal function; dialysis may be necessary in severe cases."
+   "antidote": "Supportive care including aggressive hydration, electrolyte replacement, and antiemetic medications. Activated charcoal if within appropriate timeframe. Hospital monitoring for hepatic and renal function; dialysis may be necessary in severe cases.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    3
+   ],
+   "windowHours": 2
   }
  },
  "87": {
@@ -1039,9 +1546,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Lycoperdonosis (lung inflammation/bronchitis) if mature spores inhaled in quantity; gastrointestinal distress (nausea, vomiting) if mature flesh ingested.",
+   "signs": [
+    "respiratory",
+    "gi"
+   ],
    "onset": "Hours after exposure or ingestion",
    "treatmentWindow": "24-48 hours for supportive intervention",
-   "antidote": "Corticosteroids if respiratory involvement; supportive care and monitoring for gastrointestinal cases"
+   "antidote": "Corticosteroids if respiratory involvement; supportive care and monitoring for gastrointestinal cases",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": 48
   }
  },
  "88": {
@@ -1051,9 +1568,19 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Raw morels: GI symptoms (hydrazine); also alcohol intolerance reported",
+   "signs": [
+    "gi",
+    "disulfiram"
+   ],
    "onset": "Within hours of raw consumption",
    "treatmentWindow": "Seek medical attention if symptoms persist beyond 24 hours",
-   "antidote": "Supportive care; avoid alcohol when eating morels"
+   "antidote": "Supportive care; avoid alcohol when eating morels",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": null
   }
  },
  "89": {
@@ -1063,9 +1590,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "severe",
    "symptoms": "Severe gastrointestinal distress including persistent vomiting, diarrhea, abdominal cramping, and nausea. Symptoms are caused by illudin S and related illudane compounds.",
+   "signs": [
+    "gi"
+   ],
    "onset": "30 minutes to 4 hours post-ingestion",
    "treatmentWindow": "Immediate medical attention recommended; treatment is primarily supportive as there is no specific antidote",
-   "antidote": "Supportive care including hydration (oral or IV fluids for severe cases), anti-emetics for vomiting, and electrolyte replacement. Most cases resolve within 24 hours with conservative management."
+   "antidote": "Supportive care including hydration (oral or IV fluids for severe cases), anti-emetics for vomiting, and electrolyte replacement. Most cases resolve within 24 hours with conservative management.",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    0.5,
+    4
+   ],
+   "windowHours": null
   }
  },
  "90": {
@@ -1075,9 +1611,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic if correctly identified; verify with spore print"
+   "antidote": "N/A — not toxic if correctly identified; verify with spore print",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "91": {
@@ -1087,9 +1627,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Hallucinations, visual and perceptual alterations, euphoria, anxiety, or panic possible; physiologically very low toxicity in healthy adults with no organ damage reported",
+   "signs": [
+    "hallucinogenic"
+   ],
    "onset": "20-60 minutes",
    "treatmentWindow": "Effects last 4-6 hours; benzodiazepines used for severe anxiety or panic episodes",
-   "antidote": "No specific antidote—management consists of supportive care, reassurance, calming environment, and benzodiazepines (e.g., diazepam) if severe anxiety occurs"
+   "antidote": "No specific antidote—management consists of supportive care, reassurance, calming environment, and benzodiazepines (e.g., diazepam) if severe anxiety occurs",
+   "syndrome": "psilocybin",
+   "onsetHours": [
+    0.33,
+    1
+   ],
+   "windowHours": 6
   }
  },
  "92": {
@@ -1099,9 +1648,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic, beneficial to plant agriculture",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic, beneficial to plant agriculture"
+   "antidote": "N/A — not toxic, beneficial to plant agriculture",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "93": {
@@ -1111,9 +1664,15 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "Cryptococcal meningitis presents with headache, fever, neck stiffness, and altered mental status. Particularly affects immunocompromised patients including those with HIV/AIDS.",
+   "signs": [
+    "infection"
+   ],
    "onset": "Days to weeks (subacute)",
    "treatmentWindow": "High mortality if untreated; approximately 30% mortality rate even with appropriate treatment",
-   "antidote": "Antifungal therapy: amphotericin B plus flucytosine for induction phase, followed by fluconazole for consolidation and maintenance therapy; immune reconstitution critical in HIV patients"
+   "antidote": "Antifungal therapy: amphotericin B plus flucytosine for induction phase, followed by fluconazole for consolidation and maintenance therapy; immune reconstitution critical in HIV patients",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "94": {
@@ -1123,9 +1682,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "95": {
@@ -1135,9 +1698,22 @@ const DETAILS = {
   "toxicity": {
    "severity": "deadly",
    "symptoms": "Phase 1 (6-24h): violent gastrointestinal distress including severe abdominal pain, vomiting, and diarrhea; Phase 2 (24-72h): false recovery with apparent improvement masking ongoing organ damage; Phase 3 (3-6d): hepatic and renal failure, coagulopathy, encephalopathy, and shock",
+   "signs": [
+    "gi",
+    "remission",
+    "hepatotoxic",
+    "nephrotoxic",
+    "seizure"
+   ],
    "onset": "6-24 hours after ingestion",
    "treatmentWindow": "First 24-48 hours critical for activated charcoal, IV silibinin, and N-acetylcysteine; after significant liver damage, transplant may be the only option",
-   "antidote": "Silibinin (IV milk thistle extract) + N-acetylcysteine + activated charcoal + supportive care; possible liver transplant for acute liver failure"
+   "antidote": "Silibinin (IV milk thistle extract) + N-acetylcysteine + activated charcoal + supportive care; possible liver transplant for acute liver failure",
+   "syndrome": "amatoxin",
+   "onsetHours": [
+    6,
+    24
+   ],
+   "windowHours": 48
   }
  },
  "96": {
@@ -1147,9 +1723,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic, just inedibly bitter; accumulates cesium-137 in fallout zones",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "97": {
@@ -1159,9 +1739,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic if correctly identified; warning: lookalikes cause muscarinic syndrome (sweating, salivation, lacrimation).",
+   "signs": [],
    "onset": "N/A",
    "treatmentWindow": "N/A",
-   "antidote": "N/A — not toxic if correctly identified; for muscarinic look-alike: atropine."
+   "antidote": "N/A — not toxic if correctly identified; for muscarinic look-alike: atropine.",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "98": {
@@ -1171,9 +1755,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "N/A — not toxic",
+   "signs": [],
    "onset": "N/A — not toxic",
    "treatmentWindow": "N/A — not toxic",
-   "antidote": "N/A — not toxic"
+   "antidote": "N/A — not toxic",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  },
  "99": {
@@ -1183,9 +1771,18 @@ const DETAILS = {
   "toxicity": {
    "severity": "mild",
    "symptoms": "Reports of gastrointestinal distress including nausea and stomach upset in some individuals; toxicity not consistently demonstrated across all sources",
+   "signs": [
+    "gi"
+   ],
    "onset": "Hours after ingestion",
    "treatmentWindow": "Within 12-24 hours of ingestion",
-   "antidote": "Supportive care including hydration and rest; consult poison control in case of severe symptoms"
+   "antidote": "Supportive care including hydration and rest; consult poison control in case of severe symptoms",
+   "syndrome": "gastrointestinal",
+   "onsetHours": [
+    1,
+    6
+   ],
+   "windowHours": 24
   }
  },
  "100": {
@@ -1195,9 +1792,13 @@ const DETAILS = {
   "toxicity": {
    "severity": "none",
    "symptoms": "Lethal to ants; harmless to humans (host specificity)",
+   "signs": [],
    "onset": "N/A for humans",
    "treatmentWindow": "N/A for humans",
-   "antidote": "N/A — does not infect humans"
+   "antidote": "N/A — does not infect humans",
+   "syndrome": null,
+   "onsetHours": null,
+   "windowHours": null
   }
  }
 };
@@ -1,4 +1,4 @@
-/* auto-generated by Haiku research agents — per-mushroom enrichment for chefs/controleurs/nerds modes */
+/* generated by build.js from extras.json — per-mushroom enrichment for chefs/controleurs/nerds modes */
 const EXTRAS = {
  "1": {
   "chef": {
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/* Fetches the species photos from Wikipedia / Wikimedia Commons into images/<n>/img_<k>.jpg and records source,
+   author, licence and description of each in images/<n>/meta.json (see imageMeta in schema.json). The species list and
+   titles come from species.json: the scientific name is tried first, then the common name.
+
+   Photos already on disk are kept, so an interrupted run can simply be started again. Every species
+   ends up in the run report (images/fetch-report.json) as done, partial (the article has no more usable
+   photos), skipped or failed, with the reason each candidate file was rejected.
+
+   node fetch_images.js [n | from-to ...]   all species, or only these
+     --count K          photos per species (default 3)
+     --force            fetch again even where img_<k>.jpg already exists
+     --resume           skip species the last report lists as done or partial; failed ones are retried
+     --dry-run          resolve titles and list the candidate files, download nothing
+     --meta             download nothing, only write the missing meta.json entries of the photos on disk by
+                        finding each among the article's files (same SHA-1); report in <dir>/meta-report.json
+     --title n=Title    article to use for species n instead of its names (repeatable)
+     --interval MS      minimum gap between two requests (default 1000)
+     --api URL          MediaWiki API endpoint (default https://en.wikipedia.org/w/api.php)
+     --dir DIR          image folder (default images/ next to this script)
+     --report FILE      where to write the run report (default <dir>/fetch-report.json)
+   Exit code 1 if any species failed. Run node build.js afterwards to bundle the credits.
+
+   node test_fetch_images.js runs run() against a mock API on localhost (no network, images/ untouched) and
+   checks the rejections, retries, report and --resume; run it after changing this file. */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = __dirname;
+const API = 'https://en.wikipedia.org/w/api.php';
+const USER_AGENT = 'MyceliaImageFetcher/1.0 (https://manuel5975p.github.io/pilz/)';
+const MAX_BYTES = 3 * 1024 * 1024;
+const MIN_SIDE = 400;
+// large originals are fetched as a scaled rendition of this width rather than rejected for their size
+const THUMB_WIDTH = 1280;
+// the file's description becomes the photo's alt text in the app, cut to this length
+const DESCRIPTION_MAX = 250;
+// articles the removed shell scripts took photos from where they differ from the species' names; --meta looks there
+const LEGACY_TITLES = {82: 'Hair ice', 89: 'Omphalotus olearius'};
+// files on most articles that are not photos of the species
+const JUNK = /(Commons-logo|OOjs_UI|Question_book|Wiktionary|icon|Flag_|Map_of|Disambig|Edit-clear)/i;
+
+class HttpError extends Error {
+  constructor(status, url){
+    super(`HTTP ${status} for ${url}`);
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/* The HTTP layer: {json(url), buffer(url)} plus request/retry counters. Requests are spaced at least
+   interval ms apart; 429, 5xx and network errors are retried with exponential backoff (or after the
+   server's Retry-After), anything else fails at once. fetch and sleep can be swapped for tests. */
+function createHttp({fetch = globalThis.fetch, sleep = ms => new Promise(r => setTimeout(r, ms)), userAgent = USER_AGENT,
+                     interval = 1000, retries = 4, backoff = 2000, timeout = 30000} = {}){
+  const stats = {requests: 0, retries: 0};
+  let next = 0;
+  async function request(url){
+    for(let attempt = 0; ; attempt++){
+      const wait = next - Date.now();
+      if(wait > 0) await sleep(wait);
+      next = Date.now() + interval;
+      stats.requests++;
+      let res = null, err = null;
+      try {
+        res = await fetch(url, {headers: {'User-Agent': userAgent}, signal: AbortSignal.timeout(timeout)});
+      } catch(e){ err = e; }
+      if(res && res.ok) return res;
+      if(attempt >= retries || (res && res.status !== 429 && res.status < 500)) throw err || new HttpError(res.status, url);
+      const after = res ? Number(res.headers.get('retry-after')) : 0;
+      stats.retries++;
+      await sleep(after > 0 ? after * 1000 : backoff * 2 ** attempt);
+    }
+  }
+  return {
+    stats,
+    json: async url => (await request(url)).json(),
+    buffer: async url => Buffer.from(await (await request(url)).arrayBuffer()),
+  };
+}
+
+// {type, width, height} from a JPEG's SOF or a PNG's IHDR header; null for anything else or a truncated file
+function imageSize(buf){
+  if(buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) return {type: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20)};
+  if(buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let at = 2;
+  while(at + 9 < buf.length){
+    if(buf[at] !== 0xff){ at++; continue; }
+    const marker = buf[at + 1];
+    if(marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)){ at += marker === 0xff ? 1 : 2; continue; }
+    // SOF0–SOF15 apart from DHT (c4), JPG (c8) and DAC (cc)
+    if(marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc){
+      return {type: 'jpeg', width: buf.readUInt16BE(at + 7), height: buf.readUInt16BE(at + 5)};
+    }
+    if(marker === 0xd9 || marker === 0xda) return null;
+    at += 2 + buf.readUInt16BE(at + 2);
+  }
+  return null;
+}
+
+function plainText(html){
+  const named = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '};
+  return String(html || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, e) => e[0] !== '#' ? (named[e.toLowerCase()] || m)
+      : String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1))))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function apiURL(api, params){
+  return api + '?' + new URLSearchParams({action: 'query', format: 'json', formatversion: '2', ...params});
+}
+
+// the first of the candidate titles that is an existing article, with its lead image and file list
+async function resolveTitle(http, api, titles){
+  for(const t of titles){
+    const res = await http.json(apiURL(api, {titles: t, redirects: '1', prop: 'pageimages|images', piprop: 'name', imlimit: 'max'}));
+    const page = res.query && res.query.pages && res.query.pages[0];
+    if(page && !page.missing && !page.invalid){
+      const files = (page.pageimage ? ['File:' + page.pageimage] : []).concat((page.images || []).map(i => i.title));
+      return {title: page.title, files: [...new Set(files)]};
+    }
+  }
+  return null;
+}
+
+// why a file is not worth asking about, judging by its title alone
+function titleProblem(file){
+  if(!/\.jpe?g$/i.test(file)) return 'not a JPEG';
+  if(JUNK.test(file)) return 'not a photo of the species';
+  return null;
+}
+
+function meta(ii){
+  const ext = ii.extmetadata || {};
+  const val = k => plainText(ext[k] && ext[k].value);
+  const licenceUrl = val('LicenseUrl');
+  const m = {source: ii.descriptionurl, author: val('Artist'), licence: val('LicenseShortName'), licenceUrl: /^https?:\/\//.test(licenceUrl) ? licenceUrl : ''};
+  const description = shorten(val('ImageDescription'), DESCRIPTION_MAX);
+  if(description) m.description = description;
+  return m;
+}
+
+// at most max characters, cut at a word boundary
+function shorten(text, max){
+  if(text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.]+$/, '') + '…';
+}
+
+function readMeta(dir){
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+  } catch(e){
+    if(e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+// sorted, so the file reads in img_1, img_2, … order however the photos were filled in
+function writeMetaFile(folder, entries){
+  writeAtomic(path.join(folder, 'meta.json'),
+    JSON.stringify(Object.fromEntries(Object.keys(entries).sort(byNum).map(k => [k, entries[k]])), null, 2) + '\n');
+}
+
+// the folder's meta.json without the entries of photos that were deleted: those would fail the build,
+// and their files may be picked again
+function currentMeta(folder){
+  const entries = readMeta(folder);
+  const gone = Object.keys(entries).filter(f => !fs.existsSync(path.join(folder, f)));
+  gone.forEach(f => delete entries[f]);
+  if(gone.length) writeMetaFile(folder, entries);
+  return entries;
+}
+
+// write through a temporary file so an interrupted run never leaves half a photo or half a meta.json behind
+function writeAtomic(file, data){
+  fs.writeFileSync(file + '.tmp', data);
+  fs.renameSync(file + '.tmp', file);
+}
+
+/* Fills the missing img_1..img_<count>.jpg of one species. Returns its report entry; throws only on
+   errors that make the species worth retrying (network, server). */
+async function fetchSpecies(m, {http, api = API, dir, count = 3, force = false, dryRun = false, titles,
+                                maxBytes = MAX_BYTES, minSide = MIN_SIDE}){
+  const folder = path.join(dir, String(m.n));
+  const slots = [];
+  for(let k = 1; k <= count; k++) if(force || !fs.existsSync(path.join(folder, `img_${k}.jpg`))) slots.push(`img_${k}.jpg`);
+  const entry = {name: m.name, title: null, status: 'skipped', saved: [], rejected: []};
+  if(!slots.length) return entry;
+
+  const page = await resolveTitle(http, api, titles || [m.sci, m.name]);
+  if(!page){
+    entry.status = 'failed';
+    entry.error = `no article for ${(titles || [m.sci, m.name]).join(' / ')}`;
+    return entry;
+  }
+  entry.title = page.title;
+  const candidates = page.files.filter(f => {
+    const problem = titleProblem(f);
+    if(problem) entry.rejected.push({file: f, reason: problem});
+    return !problem;
+  });
+  if(dryRun){
+    entry.status = 'planned';
+    entry.candidates = candidates;
+    entry.slots = slots;
+    return entry;
+  }
+
+  fs.mkdirSync(folder, {recursive: true});
+  const metaNow = currentMeta(folder);
+  const writeMeta = () => writeMetaFile(folder, metaNow);
+  const used = new Set(Object.keys(metaNow).filter(f => !slots.includes(f)).map(f => metaNow[f].source));
+  for(const file of candidates){
+    if(!slots.length) break;
+    const res = await http.json(apiURL(api, {titles: file, prop: 'imageinfo', iiprop: 'url|size|mime|extmetadata', iiurlwidth: String(THUMB_WIDTH)}));
+    const info = res.query && res.query.pages && res.query.pages[0];
+    const ii = info && info.imageinfo && info.imageinfo[0];
+    const reject = reason => entry.rejected.push({file, reason});
+    if(!ii){ reject('no image info'); continue; }
+    if(used.has(ii.descriptionurl)){ reject('already saved'); continue; }
+    if(ii.mime !== 'image/jpeg'){ reject(`${ii.mime} is not a JPEG`); continue; }
+    if(Math.min(ii.width, ii.height) < minSide){ reject(`${ii.width}×${ii.height} is smaller than ${minSide} px`); continue; }
+
+    const buf = await http.buffer(ii.thumburl || ii.url);
+    const size = imageSize(buf);
+    if(buf.length > maxBytes){ reject(`${buf.length} bytes is over the ${maxBytes} byte limit`); continue; }
+    if(!size || size.type !== 'jpeg'){ reject('download is not a readable JPEG'); continue; }
+    if(Math.min(size.width, size.height) < minSide){ reject(`${size.width}×${size.height} is smaller than ${minSide} px`); continue; }
+
+    const slot = slots.shift();
+    writeAtomic(path.join(folder, slot), buf);
+    metaNow[slot] = meta(ii);
+    used.add(ii.descriptionurl);
+    writeMeta();
+    entry.saved.push(slot);
+  }
+  entry.status = slots.length ? 'partial' : 'done';
+  if(slots.length) entry.missing = slots;
+  return entry;
+}
+
+/* Writes the missing meta.json entries of the photos already on disk without downloading anything: the
+   article's files are looked up and a photo is matched to the one with the same SHA-1, which holds for
+   originals as the old shell scripts saved them but not for scaled renditions. Photos without a match
+   stay in the entry's missing list. */
+async function backfillSpecies(m, {http, api = API, dir, count = 3, force = false, titles}){
+  const folder = path.join(dir, String(m.n));
+  const entry = {name: m.name, title: null, status: 'skipped', saved: [], rejected: []};
+  if(!fs.existsSync(folder)) return entry;
+  const metaNow = currentMeta(folder);
+  const photos = new Map();
+  for(let k = 1; k <= count; k++){
+    const file = `img_${k}.jpg`;
+    if(!fs.existsSync(path.join(folder, file)) || (metaNow[file] && !force)) continue;
+    photos.set(crypto.createHash('sha1').update(fs.readFileSync(path.join(folder, file))).digest('hex'), file);
+  }
+  if(!photos.size) return entry;
+
+  const page = await resolveTitle(http, api, titles || [m.sci, m.name]);
+  if(!page){
+    entry.status = 'failed';
+    entry.error = `no article for ${(titles || [m.sci, m.name]).join(' / ')}`;
+    return entry;
+  }
+  entry.title = page.title;
+  for(const file of page.files){
+    if(!photos.size) break;
+    // the old scripts also took PNGs, so only the title filter for non-photos applies here
+    if(JUNK.test(file)){ entry.rejected.push({file, reason: 'not a photo of the species'}); continue; }
+    const res = await http.json(apiURL(api, {titles: file, prop: 'imageinfo', iiprop: 'url|sha1|extmetadata'}));
+    const info = res.query && res.query.pages && res.query.pages[0];
+    const ii = info && info.imageinfo && info.imageinfo[0];
+    const photo = ii && photos.get(ii.sha1);
+    if(!photo){ entry.rejected.push({file, reason: ii ? 'not one of the saved photos' : 'no image info'}); continue; }
+    photos.delete(ii.sha1);
+    metaNow[photo] = meta(ii);
+    writeMetaFile(folder, metaNow);
+    entry.saved.push(photo);
+  }
+  entry.saved.sort(byNum);
+  entry.status = photos.size ? 'partial' : 'done';
+  if(photos.size) entry.missing = [...photos.values()].sort(byNum);
+  return entry;
+}
+
+function byNum(a, b){ return a.localeCompare(b, 'en', {numeric: true}); }
+
+/* Runs fetchSpecies over a species list and keeps the report file current after every species, so a
+   crash or Ctrl-C loses at most the species in progress. Returns the report. */
+async function run({species, http, api = API, dir = path.join(ROOT, 'images'), report: reportFile, resume = false, titles = {},
+                    metaOnly = false, log = console.log, ...opts}){
+  reportFile = reportFile || path.join(dir, metaOnly ? 'meta-report.json' : 'fetch-report.json');
+  const perSpecies = metaOnly ? backfillSpecies : fetchSpecies;
+  let previous = {};
+  if(resume){
+    try { previous = JSON.parse(fs.readFileSync(reportFile, 'utf8')).species || {}; }
+    catch(e){ if(e.code !== 'ENOENT') throw e; }
+  }
+  const report = {started: new Date().toISOString(), finished: null, api, requests: 0, retries: 0, species: {}};
+  const save = () => {
+    Object.assign(report, {requests: http.stats ? http.stats.requests : 0, retries: http.stats ? http.stats.retries : 0});
+    if(!opts.dryRun) writeAtomic(reportFile, JSON.stringify(report, null, 2) + '\n');
+  };
+  for(const m of species){
+    const before = previous[m.n];
+    if(before && (before.status === 'done' || before.status === 'partial')){
+      report.species[m.n] = before;
+      continue;
+    }
+    let entry;
+    try {
+      entry = await perSpecies(m, {http, api, dir, titles: titles[m.n] && [titles[m.n]], ...opts});
+    } catch(e){
+      // fetch() itself only says "fetch failed"; the reason (ECONNRESET, a timeout, …) is in its cause
+      const why = e.cause && (e.cause.code || e.cause.message);
+      entry = {name: m.name, title: null, status: 'failed', saved: [], rejected: [], error: e.message + (why ? ` (${why})` : '')};
+    }
+    report.species[m.n] = entry;
+    log(`${m.n} ${m.name}: ${entry.status}` + (entry.saved.length ? ` — saved ${entry.saved.join(', ')}` : '')
+      + (entry.candidates ? ` — ${entry.candidates.length} candidate(s) for ${entry.slots.join(', ')}` : '')
+      + (entry.error ? ` — ${entry.error}` : ''));
+    save();
+  }
+  report.finished = new Date().toISOString();
+  save();
+  return report;
+}
+
+// command line -> run() options; species numbers may be given singly or as ranges ("81-90")
+function parseArgs(argv){
+  const opts = {only: [], titles: {}, count: 3, interval: 1000};
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i], val = () => {
+      if(i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if(a === '--force') opts.force = true;
+    else if(a === '--resume') opts.resume = true;
+    else if(a === '--dry-run') opts.dryRun = true;
+    else if(a === '--meta') opts.metaOnly = true;
+    else if(a === '--count') opts.count = Number(val());
+    else if(a === '--interval') opts.interval = Number(val());
+    else if(a === '--api') opts.api = val();
+    else if(a === '--dir') opts.dir = path.resolve(val());
+    else if(a === '--report') opts.report = path.resolve(val());
+    else if(a === '--title'){
+      const m = /^(\d+)=(.+)$/.exec(val());
+      if(!m) throw new Error('--title wants n=Title');
+      opts.titles[m[1]] = m[2];
+    } else if(/^\d+(-\d+)?$/.test(a)){
+      const [from, to = from] = a.split('-').map(Number);
+      for(let n = from; n <= to; n++) opts.only.push(n);
+    } else throw new Error(`unknown argument ${a}`);
+  }
+  if(!(opts.count >= 1)) throw new Error('--count must be at least 1');
+  if(opts.metaOnly && opts.dryRun) throw new Error('--meta downloads no photos anyway; it has no --dry-run');
+  if(!(opts.interval >= 0)) throw new Error('--interval must be a number of milliseconds');
+  return opts;
+}
+
+async function main(argv){
+  let opts;
+  try { opts = parseArgs(argv); }
+  catch(e){
+    console.error(e.message);
+    return 2;
+  }
+  const all = JSON.parse(fs.readFileSync(path.join(ROOT, 'species.json'), 'utf8'));
+  const unknown = opts.only.filter(n => !all.some(m => m.n === n));
+  if(unknown.length){
+    console.error(`not in species.json: ${unknown.join(', ')}`);
+    return 2;
+  }
+  const species = opts.only.length ? all.filter(m => opts.only.includes(m.n)) : all;
+  const {only, interval, titles, ...rest} = opts;
+  const report = await run({species, http: createHttp({interval}), titles: opts.metaOnly ? {...LEGACY_TITLES, ...titles} : titles, ...rest});
+  const tally = {};
+  for(const e of Object.values(report.species)) tally[e.status] = (tally[e.status] || 0) + 1;
+  console.log(`\n${Object.entries(tally).map(([s, c]) => `${c} ${s}`).join(', ')}; ${report.requests} request(s), ${report.retries} retried`);
+  if(!opts.dryRun && Object.values(report.species).some(e => e.saved.length)) console.log('run node build.js to bundle the new credits');
+  return tally.failed ? 1 : 0;
+}
+
+if(require.main === module) main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+
+module.exports = {createHttp, HttpError, imageSize, plainText, resolveTitle, fetchSpecies, backfillSpecies, run, parseArgs};
@@ -0,0 +1,104 @@
+/* generated by build.js from fruiting.json — months with fruiting bodies per hemisphere, as inclusive [from, to]
+   ranges (to < from wraps over the new year). [] = not recorded there, null = forms no fruiting bodies */
+const FRUITING = {
+ "1": {"N": [[8, 10]], "S": []},
+ "2": {"N": [[6, 11]], "S": []},
+ "3": {"N": [[11, 3]], "S": []},
+ "4": {"N": [[6, 12]], "S": []},
+ "5": {"N": [[6, 11]], "S": [[12, 5]]},
+ "6": {"N": [[7, 11]], "S": []},
+ "7": {"N": [[4, 10]], "S": [[10, 4]]},
+ "8": {"N": [[8, 11]], "S": [[2, 5]]},
+ "9": {"N": [[7, 1]], "S": [[1, 7]]},
+ "10": {"N": [[6, 11]], "S": []},
+ "11": {"N": [[10, 4]], "S": []},
+ "12": {"N": [[8, 11]], "S": [[2, 5]]},
+ "13": {"N": [[5, 11]], "S": []},
+ "14": null,
+ "15": {"N": [[7, 9]], "S": [[1, 3]]},
+ "16": {"N": [[9, 1]], "S": []},
+ "17": {"N": [[7, 10]], "S": []},
+ "18": {"N": [[1, 12]], "S": []},
+ "19": {"N": [[7, 11]], "S": [[1, 5]]},
+ "20": {"N": [[6, 11]], "S": []},
+ "21": {"N": [[4, 11]], "S": []},
+ "22": {"N": [[3, 5], [9, 12]], "S": [[9, 11], [3, 6]]},
+ "23": {"N": [[5, 11]], "S": [[11, 5]]},
+ "24": {"N": [[9, 12]], "S": []},
+ "25": {"N": [[4, 10]], "S": []},
+ "26": {"N": [], "S": [[2, 6]]},
+ "27": {"N": [[1, 12]], "S": [[1, 12]]},
+ "28": {"N": [[3, 5]], "S": []},
+ "29": {"N": [[3, 5]], "S": []},
+ "30": {"N": [[8, 12]], "S": [[2, 6]]},
+ "31": {"N": [[7, 11]], "S": []},
+ "32": {"N": [[1, 12]], "S": [[1, 12]]},
+ "33": {"N": [[8, 11]], "S": []},
+ "34": {"N": [[9, 11]], "S": []},
+ "35": {"N": [[7, 10]], "S": []},
+ "36": {"N": [[6, 11]], "S": []},
+ "37": {"N": [[1, 12]], "S": [[1, 12]]},
+ "38": {"N": [[7, 10]], "S": []},
+ "39": {"N": [[8, 12]], "S": [[2, 6]]},
+ "40": {"N": [[1, 12]], "S": []},
+ "41": {"N": [[7, 9]], "S": []},
+ "42": {"N": [[8, 11]], "S": []},
+ "43": {"N": [[7, 11]], "S": [[1, 5]]},
+ "44": null,
+ "45": {"N": [[1, 12]], "S": [[1, 12]]},
+ "46": {"N": [[9, 2]], "S": [[3, 8]]},
+ "47": {"N": [[1, 12]], "S": []},
+ "48": {"N": [[8, 10]], "S": []},
+ "49": {"N": [[6, 9]], "S": [[12, 3]]},
+ "50": {"N": [[1, 12]], "S": []},
+ "51": {"N": [[1, 12]], "S": [[1, 12]]},
+ "52": {"N": [[4, 11]], "S": []},
+ "53": {"N": [[7, 11]], "S": [[1, 5]]},
+ "54": {"N": [[6, 10]], "S": []},
+ "55": {"N": [[3, 4]], "S": []},
+ "56": {"N": [[7, 10]], "S": [[1, 4]]},
+ "57": {"N": [[6, 10]], "S": []},
+ "58": {"N": [[1, 12]], "S": [[1, 12]]},
+ "59": {"N": [[10, 2]], "S": [[4, 8]]},
+ "60": {"N": [[8, 11]], "S": []},
+ "61": {"N": [[8, 11]], "S": [[2, 5]]},
+ "62": {"N": [[10, 3]], "S": []},
+ "63": {"N": [[1, 12]], "S": []},
+ "64": {"N": [[9, 2]], "S": [[3, 8]]},
+ "65": {"N": [[6, 10]], "S": [[12, 4]]},
+ "66": {"N": [[8, 11]], "S": []},
+ "67": {"N": [[6, 10]], "S": [[12, 4]]},
+ "68": {"N": [[8, 11]], "S": [[2, 5]]},
+ "69": {"N": [[3, 5], [9, 11]], "S": [[9, 11], [3, 5]]},
+ "70": {"N": [[9, 11]], "S": []},
+ "71": {"N": [[1, 12]], "S": [[1, 12]]},
+ "72": {"N": [[7, 10]], "S": []},
+ "73": {"N": [[7, 10]], "S": []},
+ "74": {"N": [[4, 6]], "S": []},
+ "75": {"N": [[7, 10]], "S": [[1, 4]]},
+ "76": {"N": [[1, 12]], "S": [[1, 12]]},
+ "77": null,
+ "78": {"N": [[7, 10]], "S": [[1, 4]]},
+ "79": {"N": [[7, 10]], "S": [[1, 4]]},
+ "80": {"N": [[9, 11]], "S": []},
+ "81": null,
+ "82": {"N": [[11, 2]], "S": []},
+ "83": {"N": [[10, 1]], "S": []},
+ "84": {"N": [[1, 12]], "S": [[1, 12]]},
+ "85": {"N": [[10, 1]], "S": [[4, 7]]},
+ "86": {"N": [[9, 11]], "S": []},
+ "87": {"N": [[7, 10]], "S": []},
+ "88": {"N": [[4, 5]], "S": []},
+ "89": {"N": [[7, 10]], "S": []},
+ "90": {"N": [[10, 2]], "S": []},
+ "91": {"N": [[4, 10]], "S": [[10, 4]]},
+ "92": null,
+ "93": null,
+ "94": {"N": [[4, 7]], "S": []},
+ "95": {"N": [[8, 12]], "S": []},
+ "96": {"N": [[7, 10]], "S": []},
+ "97": {"N": [[5, 10]], "S": []},
+ "98": {"N": [[1, 12]], "S": []},
+ "99": {"N": [[7, 10]], "S": [[1, 4]]},
+ "100": {"N": [[1, 12]], "S": [[1, 12]]}
+};
@@ -0,0 +1,1185 @@
+/* generated by build.js from locales/de.json — Deutsch UI strings and translated content; what is missing falls back to English */
+var LOCALES = LOCALES || {};
+LOCALES["de"] = {
+ "name": "Deutsch",
+ "ui": {
+  "app.title": "Das Pilz-Kompendium",
+  "app.docTitle": "Das Pilz-Kompendium · {n} Pilze",
+  "lang.title": "Sprache",
+  "menu.back": "Zurück zum Menü",
+  "menu.lede": "{n} Pilze · Wähle deinen Weg",
+  "menu.for": "Für die",
+  "menu.chefs.title": "Köche",
+  "menu.chefs.desc": "Die schmackhaftesten zuerst. Küchentipps, wo man sammelt, wie man zubereitet.",
+  "menu.chefs.cta": "Ab in die Küche →",
+  "menu.controleurs.title": "Kontrolleure",
+  "menu.controleurs.desc": "Nach Giftigkeit und Gefahr sortiert. Symptome, Gegengifte, Behandlungsfenster, Maßnahmen.",
+  "menu.controleurs.cta": "Zur Triage →",
+  "menu.nerds.title": "Nerds",
+  "menu.nerds.desc": "Nach reiner Faktendichte sortiert. Die seltsamste Biologie, die überraschendste Wissenschaft.",
+  "menu.nerds.cta": "Ab ins Labor →",
+  "menu.key.title": "Sammler",
+  "menu.key.desc": "Bestimme, was du in der Hand hältst. Lamellen, Sporen, Ring, Volva, Standort — Schritt für Schritt zur Auswahl.",
+  "menu.key.cta": "Bestimmung starten →",
+  "menu.quiz.title": "Lernenden",
+  "menu.quiz.desc": "Karteikarten mit verteilter Wiederholung. Benennen, einordnen — die tödlichen kommen wieder, bis sie sitzen.",
+  "menu.quiz.cta": "Training starten →",
+  "menu.custom.title": "Tüftler",
+  "menu.custom.desc": "Deine eigene Reihenfolge: nach Name, wissenschaftlichem Namen, Verbreitung, Giftigkeit oder Systematik — oder als gewichtete Mischung der Koch-, Gefahren- und Nerd-Wertung.",
+  "menu.custom.cta": "Reihenfolge bauen →",
+  "menu.skip": "oder alle {n} der Reihe nach ansehen →",
+  "mode.chefs": "Für Köche",
+  "mode.controleurs": "Für Kontrolleure",
+  "mode.nerds": "Für Nerds",
+  "mode.key": "Bestimmungsschlüssel",
+  "mode.quiz": "Training",
+  "mode.custom": "Eigene Reihenfolge",
+  "nav.prev": "Zurück",
+  "nav.next": "Weiter",
+  "nav.play": "Abspielen/Pause",
+  "nav.back": "← Zurück",
+  "a11y.carousel": "Karussell",
+  "a11y.species": "Arten",
+  "a11y.slide": "Folie",
+  "a11y.now": "{i} von {total}: {name} ({sci}). Essbarkeit: {e}. Giftigkeit: {sev}.",
+  "a11y.compare": "Doppelgänger-Check: {a} und {b}. Risiko: {sev}.",
+  "a11y.photo": "Foto von {name} ({sci})",
+  "a11y.ownPhoto": "Ihr Foto von {name}",
+  "a11y.quizPhoto": "Foto des gesuchten Pilzes",
+  "e.choice": "erstklassig",
+  "e.edible": "essbar",
+  "e.medicinal": "Heilpilz",
+  "e.psychoactive": "psychoaktiv",
+  "e.symbiont": "Symbiont",
+  "e.inedible": "ungenießbar",
+  "e.toxic": "giftig",
+  "e.deadly": "tödlich",
+  "e.pathogenic": "pathogen",
+  "e.extinct": "ausgestorben",
+  "sev.none": "keine",
+  "sev.mild": "leicht",
+  "sev.severe": "schwer",
+  "sev.deadly": "tödlich",
+  "region.WW": "Weltweit",
+  "region.NA": "Nordamerika",
+  "region.SA": "Südamerika",
+  "region.EU": "Europa",
+  "region.AF": "Afrika",
+  "region.AS": "Asien",
+  "region.OC": "Ozeanien",
+  "region.short.NA": "Nordam.",
+  "region.short.SA": "Südam.",
+  "region.short.EU": "Europa",
+  "region.short.AF": "Afrika",
+  "region.short.AS": "Asien",
+  "region.short.OC": "Ozeanien",
+  "range.global": "weltweit",
+  "range.countries": {
+   "one": "{n} Land",
+   "other": "{n} Länder"
+  },
+  "range.regions": {
+   "one": "{n} Region",
+   "other": "{n} Regionen"
+  },
+  "slide.fact": "FAKT",
+  "slide.habitat": "Standort",
+  "slide.noImage": "KEIN BILD",
+  "slide.notCached": "Nicht gespeichert · erscheint wieder online",
+  "details.edibility": "Essbarkeit",
+  "details.taste": "Geschmack",
+  "details.search": "Wo suchen",
+  "details.toxicity": "Giftigkeit",
+  "details.symptoms": "Symptome",
+  "details.onset": "Latenz",
+  "details.window": "Zeitfenster",
+  "details.antidote": "Gegengift",
+  "enrich.chef": "KÜCHENTIPP",
+  "enrich.chefScore": "GESCHMACK",
+  "enrich.chefFallback": "Lohnt das Kochen — siehe Hinweise zur Essbarkeit unten.",
+  "enrich.chefNone": "Nichts für die Küche.",
+  "enrich.controleur": "NOTFALL",
+  "enrich.controleurScore": "GEFAHR",
+  "enrich.remedyFallback": "Siehe Giftigkeit unten.",
+  "enrich.nerd": "BONUS-FAKT",
+  "enrich.nerdScore": "NERD-O-METER",
+  "map.title": "VERBREITUNG",
+  "map.zoomIn": "Vergrößern",
+  "map.zoomOut": "Verkleinern",
+  "map.reset": "Karte zurücksetzen",
+  "map.recorded": "Nachgewiesen",
+  "map.notRecorded": "Nicht nachgewiesen",
+  "lookalike.title": "Doppelgänger",
+  "lookalike.compare": "Vergleichen →",
+  "lookalike.check": "DOPPELGÄNGER-CHECK",
+  "lookalike.howToTell": "Unterscheidung",
+  "offline.ready": "Offline · {size}",
+  "offline.busy": "{done}/{total} · {bytes} von {size}",
+  "offline.failed": "{failed} fehlgeschlagen · erneut",
+  "offline.save": "Offline speichern · {left}",
+  "offline.readyTitle": "Alle Bilder sind auf diesem Gerät gespeichert",
+  "offline.title": "{done} von {total} Bildern auf diesem Gerät ({bytes} von {size})",
+  "search.title": "Suchen & filtern",
+  "search.tool": "Suche",
+  "search.placeholder": "Namen, Fakten, Standorte, Symptome suchen…",
+  "search.close": "Suche schließen",
+  "search.clear": "Alles löschen",
+  "search.alpha": "A–Z",
+  "search.alphaTitle": "Liste nach Namen sortieren",
+  "search.apply": "Treffer zeigen →",
+  "search.none": "Keine passenden Arten",
+  "filter.edit": "Filter bearbeiten",
+  "filter.clear": "Filter löschen",
+  "filter.chip": "Filter · {n}",
+  "filter.ids": {
+   "one": "{n} Art aus der Statistik",
+   "other": "{n} Arten aus der Statistik"
+  },
+  "facet.e": "Essbarkeit",
+  "facet.cat": "Kategorie",
+  "facet.r": "Region",
+  "facet.sev": "Giftigkeit",
+  "facet.clade": "Gruppe",
+  "facet.ids": "Auswahl",
+  "field.name": "Name",
+  "field.sci": "wiss.",
+  "field.tag": "Motto",
+  "field.fact": "Fakt",
+  "field.habitat": "Standort",
+  "field.range": "Verbreitung",
+  "field.edibility": "Essbarkeit",
+  "field.taste": "Geschmack",
+  "field.search": "Suche",
+  "field.toxicity": "Giftigkeit",
+  "field.chef": "Küche",
+  "field.remedy": "Notfall",
+  "field.bonus": "Bonus",
+  "field.recipe": "Rezept",
+  "key.title": "Bestimmungsschlüssel",
+  "key.tool": "Schlüssel",
+  "key.close": "Schlüssel schließen",
+  "key.show": "Kandidaten zeigen →",
+  "key.result": "Ergebnis",
+  "key.step": "Schritt {n} von {total}",
+  "key.candidates": {
+   "one": "{n} Kandidat",
+   "other": "{n} Kandidaten"
+  },
+  "key.noMatch": "Kein Treffer",
+  "key.nothing": "Keine Art im Kompendium passt zu allen Antworten. Geh zurück und antworte „nicht sicher“, wo du gezögert hast.",
+  "key.left": "{n} ÜBRIG",
+  "key.unsure": "Nicht sicher — überspringen",
+  "key.deadlyTitle": "⚠ Tödliche Arten noch möglich",
+  "key.deadly": {
+   "one": "{names} ist unter den Kandidaten. Iss niemals einen Pilz, der nur mit diesem Schlüssel bestimmt wurde.",
+   "other": "{names} sind unter den Kandidaten. Iss niemals einen Pilz, der nur mit diesem Schlüssel bestimmt wurde."
+  },
+  "key.hymenium.q": "Was ist unter dem Hut?",
+  "key.hymenium.hint": "Dreh ihn um. Lamellen sind dünne Blätter; Leisten sind stumpf, flach und gegabelt.",
+  "key.hymenium.gills": "Lamellen",
+  "key.hymenium.pores": "Poren oder Röhren",
+  "key.hymenium.teeth": "Stacheln",
+  "key.hymenium.ridges": "Stumpfe, gegabelte Leisten",
+  "key.hymenium.folds": "Waben oder hirnartige Falten",
+  "key.hymenium.coral": "Korallenartige Äste",
+  "key.hymenium.smooth": "Kein Hut: Becher, Keule, Kruste oder Gallert",
+  "key.hymenium.enclosed": "Geschlossene Kugel oder Knolle",
+  "key.spore.q": "Welche Farbe hat das Sporenpulver?",
+  "key.spore.hint": "Leg den Hut für ein paar Stunden mit der Unterseite auf weißes und schwarzes Papier.",
+  "key.spore.white": "Weiß",
+  "key.spore.cream": "Creme bis gelblich",
+  "key.spore.pink": "Rosa",
+  "key.spore.rusty": "Rostbraun",
+  "key.spore.brown": "Braun",
+  "key.spore.purple-brown": "Purpurbraun",
+  "key.spore.black": "Schwarz",
+  "key.ring.q": "Hat der Stiel einen Ring?",
+  "key.ring.hint": "Eine Manschette oder ein Gewebeband vom Teilvelum — manchmal nur schwach oder verschiebbar.",
+  "key.ring.true": "Ja, mit Ring",
+  "key.ring.false": "Kein Ring",
+  "key.volva.q": "Sitzt der Stiel in einer Scheide (Volva)?",
+  "key.volva.hint": "Grab den ganzen Pilz aus. Schneide ihn nie am Boden ab — die Volva bleibt in der Erde.",
+  "key.volva.true": "Ja, Sack oder Scheide",
+  "key.volva.false": "Keine Volva",
+  "key.habitat.q": "Wo wächst er?",
+  "key.habitat.hint": "Holz schließt vergrabene Wurzeln und Stümpfe ein; schau unter das Moos.",
+  "key.habitat.wood": "Auf Holz",
+  "key.habitat.soil": "Auf dem Waldboden",
+  "key.habitat.grass": "Im Gras, Rasen oder auf der Wiese",
+  "key.habitat.dung": "Auf Dung",
+  "key.habitat.host": "Auf einem lebenden Insekt, einer Pflanze oder einem Pilz",
+  "key.habitat.underground": "Unterirdisch",
+  "key.season.q": "Welche Jahreszeit ist es?",
+  "key.season.hint": "Deine örtliche Jahreszeit — die Halbkugel spielt für den Schlüssel keine Rolle.",
+  "key.season.spring": "Frühling",
+  "key.season.summer": "Sommer",
+  "key.season.autumn": "Herbst",
+  "key.season.winter": "Winter",
+  "key.region.q": "Wo auf der Welt bist du?",
+  "key.region.hint": "Weltweit nachgewiesene Arten bleiben immer in der Auswahl.",
+  "cal.title": "Fruchtkalender",
+  "cal.close": "Kalender schließen",
+  "cal.first": "Saisonale zuerst",
+  "cal.apply": "Übernehmen →",
+  "cal.season": "Saison",
+  "cal.inSeason": "Saison · {season}",
+  "cal.everywhere": "Überall",
+  "cal.count": "{n} in Saison · {season}",
+  "cal.note": "Die Zeiträume gelten für gemäßigte Regionen; das örtliche Wetter verschiebt sie um Wochen.",
+  "cal.noteRegion": "Die Zeiträume gelten für das gemäßigte {region}; das örtliche Wetter verschiebt sie um Wochen.",
+  "cal.fruits": "Früchte",
+  "cal.north": "Nord",
+  "cal.south": "Süd",
+  "cal.noFruit": "Bildet keine Fruchtkörper",
+  "taxa.title": "Systematik",
+  "taxa.tool": "Systematik",
+  "taxa.close": "Systematik schließen",
+  "taxa.all": "Ganze Sammlung",
+  "taxa.expand": "Alle aufklappen",
+  "taxa.collapse": "Alle zuklappen",
+  "taxa.count": "{n} Arten in {clade}",
+  "taxa.countAll": "{n} Arten · eine Gruppe wählen, um nur sie zu zeigen",
+  "taxa.rank.kingdom": "Reich",
+  "taxa.rank.phylum": "Abteilung",
+  "taxa.rank.class": "Klasse",
+  "taxa.rank.order": "Ordnung",
+  "taxa.rank.family": "Familie",
+  "taxa.rank.genus": "Gattung",
+  "order.title": "Eigene Reihenfolge",
+  "order.tool": "Reihenfolge",
+  "order.close": "Eigene Reihenfolge schließen",
+  "order.by": "Sortieren nach",
+  "order.dir": "Richtung",
+  "order.by.blend": "Mischwertung",
+  "order.by.name": "Name",
+  "order.by.sci": "Wissenschaftlicher Name",
+  "order.by.regions": "Verbreitung",
+  "order.by.severity": "Giftigkeit",
+  "order.by.taxonomy": "Systematik",
+  "order.az": "A → Z",
+  "order.za": "Z → A",
+  "order.high": "Höchste zuerst",
+  "order.low": "Niedrigste zuerst",
+  "order.reset": "Zurücksetzen",
+  "order.apply": "So sortieren →",
+  "order.count": "Alle {n} Arten in dieser Reihenfolge",
+  "order.noWeights": "Gib mindestens einer Wertung ein Gewicht",
+  "order.blendScore": "gemischt",
+  "order.continents": "Kontinente",
+  "table.title": "Sammlungstabelle",
+  "table.tool": "Tabelle",
+  "table.close": "Tabelle schließen",
+  "table.filter": "Zeilen filtern…",
+  "table.columns": "Spalten",
+  "table.reset": "Spalten und Sortierung zurücksetzen",
+  "table.csv": "CSV ↓",
+  "table.json": "JSON ↓",
+  "table.none": "Keine Art passt",
+  "table.count": "{n} von {total} Arten",
+  "table.col.n": "Nr.",
+  "table.col.name": "Name",
+  "table.col.sci": "Wissenschaftlicher Name",
+  "table.col.cat": "Kategorie",
+  "table.col.e": "Essbarkeit",
+  "table.col.severity": "Giftigkeit",
+  "table.col.regions": "Verbreitung",
+  "table.col.images": "Fotos",
+  "stats.title": "Statistik",
+  "stats.tool": "Statistik",
+  "stats.close": "Statistik schließen",
+  "stats.edibility": "Essbarkeitsklassen",
+  "stats.severity": "Giftigkeit je Kontinent",
+  "stats.severityNote": "Arten nach Giftigkeit auf jedem Kontinent ihres Verbreitungsgebiets; eine weltweit verbreitete Art zählt auf jedem Kontinent.",
+  "stats.categories": "Kategorien",
+  "stats.categoriesNote": "Arten je Kategorie, nach Essbarkeit aufgeteilt.",
+  "stats.scores": "Koch-Wertung × Nerd-Wertung",
+  "stats.chefScore": "Koch-Wertung",
+  "stats.nerdScore": "Nerd-Wertung",
+  "stats.corr": "Pearson r = {r} über {n} Arten: {desc}. Jede Blase ist ein Wertungspaar.",
+  "stats.corr.none": "kein linearer Zusammenhang",
+  "stats.corr.weak": "ein schwacher {dir} Zusammenhang",
+  "stats.corr.moderate": "ein mäßiger {dir} Zusammenhang",
+  "stats.corr.strong": "ein starker {dir} Zusammenhang",
+  "stats.positive": "positiver",
+  "stats.negative": "negativer",
+  "stats.heatmap": "Giftigkeit × Region",
+  "stats.heatmapNote": "Anteil der Arten jedes Kontinents je Giftigkeitsstufe.",
+  "stats.row": {
+   "one": "{label}: {n} Art",
+   "other": "{label}: {n} Arten"
+  },
+  "stats.seg": {
+   "one": "{label} · {part}: {n} Art",
+   "other": "{label} · {part}: {n} Arten"
+  },
+  "stats.bubble": "Koch {x}, Nerd {y}: {names}",
+  "stats.cell": {
+   "one": "{region} · {part}: {n} Art, {pct} %",
+   "other": "{region} · {part}: {n} Arten, {pct} %"
+  },
+  "stats.sources": "{n} Arten · {details} mit Details · {extras} mit eigenen Wertungen",
+  "edit.title": "✎ Bearbeiten",
+  "edit.region": "Editor",
+  "edit.none": "Keine Änderungen",
+  "edit.count": {
+   "one": "{n} Änderung",
+   "other": "{n} Änderungen"
+  },
+  "edit.englishOnly": "Änderungen gehen in die englischen Quellen.",
+  "edit.toEnglish": "Auf Englisch umschalten",
+  "edit.changes": "Änderungen",
+  "edit.export": "Patch exportieren ↓",
+  "edit.done": "Fertig",
+  "edit.diffTitle": "Entwurfsänderungen",
+  "edit.closeDiff": "Änderungen schließen",
+  "edit.empty": "Noch nichts geändert. Klicke auf einen Text auf einer Folie, um ihn zu bearbeiten.",
+  "edit.revert": "Zurücksetzen",
+  "edit.discard": "Alle verwerfen",
+  "edit.confirmDiscard": {
+   "one": "{n} Entwurfsänderung verwerfen?",
+   "other": "Alle {n} Entwurfsänderungen verwerfen?"
+  },
+  "edit.exported": "Übernehmen mit: node build.js --apply {file}",
+  "edit.name": "Name",
+  "edit.sci": "Wissenschaftlicher Name",
+  "edit.tag": "Schlagzeile",
+  "edit.added": "Neue Art",
+  "edit.remove": "Entfernen",
+  "edit.confirmRemove": "{name} und die Entwurfsänderungen daran entfernen?",
+  "add.open": "＋ Art",
+  "add.title": "Neue Art",
+  "add.close": "Neue Art schließen",
+  "add.intro": "Sie bekommt die Nummer {n} und einen leeren Bildordner images/{n}/ für ihre Fotos. Alle Texte sind englischer Quelltext; was nicht als optional markiert ist, ist Pflicht.",
+  "add.species": "Art",
+  "add.newCat": "＋ Neue Kategorie…",
+  "add.catId": "Neue Kategorie",
+  "add.catColor": "Kategoriefarbe",
+  "add.ck": "Schlüssel",
+  "add.col": "Eigene Farbe (optional)",
+  "add.countries": "Länder (ISO-Codes)",
+  "add.notes": "Feldnotizen",
+  "add.noSyndrome": "— keins",
+  "add.onsetHours": "Beginn, Stunden nach der Mahlzeit",
+  "add.from": "von",
+  "add.to": "bis",
+  "add.windowHours": "Behandeln innerhalb, Stunden",
+  "add.modes": "Modi",
+  "add.cancel": "Abbrechen",
+  "add.save": "Art hinzufügen →",
+  "add.added": "{name} als Nummer {n} hinzugefügt.",
+  "add.err.catTaken": "{id} gibt es schon — wähle sie aus der Liste",
+  "add.err.country": "{code} ist kein Ländercode",
+  "add.err.ww": "Weltweit umfasst schon alle anderen Regionen",
+  "add.err.deadly": "eine tödliche Art braucht tödliche Giftigkeit",
+  "add.err.toxic": "eine Art „{e}“ kann nicht Giftigkeit „keine“ haben",
+  "add.err.hours": "„bis“ liegt vor „von“",
+  "quiz.type.name": "Deutscher Name",
+  "quiz.type.sci": "Wissenschaftlicher Name",
+  "quiz.type.e": "Essbarkeit",
+  "quiz.q.name": "Wie heißt dieser Pilz?",
+  "quiz.q.sci": "Wie lautet sein wissenschaftlicher Name?",
+  "quiz.q.e": "Wie wird er eingestuft?",
+  "quiz.meta": "{type} · {due} fällig · {n} beantwortet",
+  "quiz.right": "✓ Richtig",
+  "quiz.wrong": "✗ Nicht ganz",
+  "quiz.deadly": "⚠ Tödlich. Diese Karte kommt öfter wieder, bis sie sitzt.",
+  "quiz.lookalikes": "Bekannte Doppelgänger: {a} und {b}",
+  "quiz.progress": "Fortschritt",
+  "quiz.next": "Weiter →",
+  "quiz.noTrainee": "Wähle eine lernende Person oder lege eine an. Der Fortschritt wird nur in diesem Browser gespeichert.",
+  "quiz.chooseTrainee": "Person wählen →",
+  "quiz.emptyDeck": "Keine Art mit Fotos passt zum aktuellen Filter.",
+  "quiz.settings": "Einstellungen ändern →",
+  "quiz.progressTitle": "Trainingsfortschritt",
+  "quiz.closeProgress": "Fortschritt schließen",
+  "quiz.start": "Training starten →",
+  "quiz.trainee": "Person",
+  "quiz.newTrainee": "Neue Person…",
+  "quiz.add": "Hinzufügen",
+  "quiz.askFor": "Abfragen",
+  "quiz.pickTrainee": "Wähle oben eine Person.",
+  "quiz.addTrainee": "Lege eine Person an. Jede bekommt ihren eigenen Plan und ihre eigene Statistik, gespeichert in diesem Browser.",
+  "quiz.tile.seen": "Karten gesehen",
+  "quiz.tile.due": "jetzt fällig",
+  "quiz.tile.mastered": "gelernt (≥{n} T)",
+  "quiz.tile.recent": {
+   "one": "letzte Antwort",
+   "other": "letzte {n} Antworten"
+  },
+  "quiz.tile.streak": {
+   "one": "Tag in Folge",
+   "other": "Tage in Folge"
+  },
+  "quiz.days": "Antworten · letzte 14 Tage",
+  "quiz.byType": "Nach Frage · richtig / gelernt",
+  "quiz.byClass": "Trefferquote nach Essbarkeit",
+  "quiz.missed": "Am häufigsten falsch",
+  "quiz.lapses": "{n}× falsch",
+  "quiz.barTitle": "{right}/{n} richtig",
+  "quiz.barNote": "{pct} % · {n} gesehen",
+  "quiz.delete": "Fortschritt von {name} löschen",
+  "quiz.confirmDelete": "Den gesamten Trainingsfortschritt von {name} löschen?",
+  "quiz.count": "{due} fällig · {n} neu",
+  "print.title": "Feldführer drucken",
+  "print.tool": "Drucken",
+  "print.bar": "Feldführer · {n} Arten",
+  "print.go": "Drucken / als PDF speichern",
+  "print.close": "Druckvorschau schließen",
+  "print.sub": "Mycelia · Feldführer",
+  "print.species": {
+   "one": "{n} Art",
+   "other": "{n} Arten"
+  },
+  "print.inOrder": "in Kompendium-Reihenfolge",
+  "print.date": "Gedruckt am {date}",
+  "print.warn": "Iss niemals einen Wildpilz, der nur anhand eines Ausdrucks bestimmt wurde. Lass jeden Fund von einer Pilzsachverständigen oder einem Pilzsachverständigen prüfen; bei Vergiftungsverdacht sofort den Notruf oder den Giftnotruf anrufen.",
+  "print.noPhoto": "Kein Foto",
+  "print.number": "Kompendium Nr. {n}",
+  "print.index": "Register",
+  "print.byName": "Nach deutschem Namen",
+  "print.bySci": "Nach wissenschaftlichem Namen",
+  "triage.tool": "Triage",
+  "triage.title": "Vergiftungs-Triage",
+  "triage.close": "Triage schließen",
+  "triage.start": "Triage starten →",
+  "triage.species": "Verdächtige Arten",
+  "triage.find": "Namen eingeben…",
+  "triage.drop": "{name} entfernen",
+  "triage.signs": "Symptome",
+  "triage.hours": "Stunden seit dem Essen",
+  "triage.onset": "Symptome begannen nach (Std.)",
+  "triage.unknown": "unbekannt",
+  "triage.noneYet": "noch keine",
+  "triage.clear": "Neu beginnen",
+  "triage.export": "Zusammenfassung für das Klinikpersonal →",
+  "triage.empty": "Wähle eine Art oder ein Symptom, um zu beginnen.",
+  "triage.count": {
+   "one": "{n} Syndrom",
+   "other": "{n} Syndrome"
+  },
+  "triage.perSpecies": "Nach Art",
+  "triage.syndromes": "Passende Syndrome",
+  "triage.noSyndrome": "Noch passt kein Syndrom.",
+  "triage.syndrome": "Syndrom",
+  "triage.remedy": "Maßnahmen",
+  "triage.toxins": "Giftstoffe",
+  "triage.typical": "Beginn {range}",
+  "triage.inGuide": "In diesem Führer",
+  "triage.why.species": "ausgelöst durch {names}",
+  "triage.why.signs": "{n} von {total} Zeichen",
+  "triage.why.fits": "Beginn passt",
+  "triage.why.early": "Beginn früher als typisch",
+  "triage.why.late": "Beginn später als typisch",
+  "triage.win.none": "Kein zeitkritisches Behandlungsfenster bekannt",
+  "triage.win.within": "Die Behandlung wirkt am besten innerhalb von {w} nach dem Essen",
+  "triage.win.open": "Im Behandlungsfenster — noch {left}",
+  "triage.win.closing": "Behandlungsfenster schließt sich — noch {left}",
+  "triage.win.past": "Behandlungsfenster seit {over} vorbei — trotzdem sofort behandeln lassen",
+  "triage.pending": "Dass noch keine Symptome da sind, ist zu erwarten: sie beginnen meist erst nach {at} – nicht darauf warten.",
+  "triage.lateTitle": "Symptome {h} nach dem Essen",
+  "triage.late": "Beginn 6 Std. oder später nach einer Pilzmahlzeit: bis zum Ausschluss als Amatoxin- oder Orellanin-Vergiftung behandeln. Sofort ins Krankenhaus und Reste, Putzabfälle oder Fotos mitnehmen.",
+  "triage.sheet.bar": "Triage-Zusammenfassung · eine Seite",
+  "triage.sheet.sub": "Zusammenfassung für das Klinikpersonal",
+  "triage.sheet.title": "Verdacht auf Pilzvergiftung",
+  "triage.sheet.made": "Erstellt {date}",
+  "triage.sheet.meal": "Mahlzeit",
+  "triage.sheet.eaten": "etwa {time} (vor {h})",
+  "triage.sheet.mealUnknown": "Zeitpunkt unbekannt",
+  "triage.sheet.onset": "Beginn",
+  "triage.sheet.began": "Symptome {h} nach dem Essen",
+  "triage.sheet.noSymptoms": "bisher keine Symptome",
+  "triage.sheet.unknown": "nicht bestimmt",
+  "triage.sheet.notes": "Notizen — Patient, gegessene Menge, wer noch mitgegessen hat, aufbewahrte Reste",
+  "triage.sheet.warn": "Von einem Pilzführer aus den gemachten Angaben zusammengestellt — keine Diagnose. Giftinformationszentrum kontaktieren und Reste zur Bestimmung aufbewahren.",
+  "triage.lookup": "Arten mit diesen Symptomen →",
+  "unit.min": "{n} Min.",
+  "unit.h": "{n} Std.",
+  "unit.d": "{n} Tg.",
+  "sx.tool": "Symptome",
+  "sx.title": "Symptomsuche",
+  "sx.close": "Symptomsuche schließen",
+  "sx.onset": "Beginn",
+  "sx.empty": "Symptome wählen und angeben, wann sie begannen",
+  "sx.none": "Keine Art im Führer verursacht diese Symptome",
+  "sx.match": "{pct} %",
+  "sx.profile": "Symptomprofil",
+  "onset.fast": "unter 2 Std.",
+  "onset.hours": "2–6 Std.",
+  "onset.delayed": "6–24 Std.",
+  "onset.days": "nach einem Tag oder später",
+  "kit.tool": "Küche",
+  "kit.title": "Küche",
+  "kit.close": "Küche schließen",
+  "kit.card": "Rezeptkarte →",
+  "kit.found": "Was Sie gefunden haben",
+  "kit.find": "Namen eingeben…",
+  "kit.drop": "{name} aus dem Korb nehmen",
+  "kit.picks": "Saison im {month}",
+  "kit.clear": "Korb leeren",
+  "kit.empty": "Fügen Sie Ihre Funde hinzu, um Rezeptkarten zu sehen und ob sie in eine Pfanne dürfen",
+  "kit.count": {
+   "one": "{n} von {total} für die Küche",
+   "other": "{n} von {total} für die Küche"
+  },
+  "kit.together": "Zusammen zubereiten",
+  "kit.cards": "Rezeptkarten",
+  "kit.apart": "Keine Zubereitung passt zu allen – getrennt kochen",
+  "kit.rules": "Regeln",
+  "kit.texture": "Textur",
+  "kit.flavour": "Geschmack",
+  "kit.pairings": "Passt zu",
+  "kit.methods": "Zubereitung",
+  "kit.preserve": "Haltbar machen",
+  "kit.season": "Saison",
+  "kit.yearRound": "Ganzjährig – auch als Zuchtpilz",
+  "kit.inSeason": "Saison ({month})",
+  "kit.outOfSeason": "Im {month} keine Saison",
+  "kit.warn.deadlyTitle": "{name} ist tödlich",
+  "kit.warn.deadly": "Den ganzen Korb wegwerfen und die Hände waschen – schon Krümel davon an den anderen Pilzen können vergiften.",
+  "kit.warn.outTitle": "{name} gehört nicht in die Küche",
+  "kit.warn.out": "Eingestuft als {e}. Weglassen und von den anderen getrennt halten.",
+  "kit.warn.rawTitle": "Roh und gegart",
+  "kit.warn.raw": "{raw} wird roh serviert – Hitze zerstört das Aroma –, {cooked} muss aber durchgegart werden. Erst garen, {raw} zum Schluss darüberhobeln.",
+  "kit.warn.parboilTitle": "Getrennt abkochen",
+  "kit.warn.parboil": "{names} muss abgekocht und das Wasser weggeschüttet werden. Allein blanchieren, bevor es zu den anderen kommt, und das Wasser nie verwenden.",
+  "kit.warn.alcoholTitle": "Kein Alkohol",
+  "kit.warn.alcohol": "{names} reagiert bis zu drei Tage lang mit Alkohol. Den Wein weglassen, der sonst zu {wine} gehört, und zum Essen keinen Alkohol reichen.",
+  "kit.warn.timingTitle": "Unterschiedliche Garzeiten",
+  "kit.warn.timing": "{fast} ist im Nu gar, {slow} braucht länger. Mit {slow} beginnen und {fast} zum Schluss dazugeben.",
+  "kit.prep.cook": "Nur durchgegart",
+  "kit.prep.parboil": "Abkochen, Wasser wegschütten",
+  "kit.prep.noAlcohol": "Nie mit Alkohol",
+  "kit.prep.raw": "Roh servieren",
+  "kit.prep.young": "Nur junge Exemplare",
+  "kit.prep.sameDay": "Am Sammeltag zubereiten",
+  "kit.prep.capsOnly": "Nur die Hüte",
+  "kit.prep.trim": "Ungenießbare Teile entfernen",
+  "kit.prep.peel": "Huthaut abziehen",
+  "kit.prep.clean": "Gründlich putzen",
+  "kit.prep.limit": "Kleine Mengen, selten",
+  "kit.prep.tryFirst": "Erst eine kleine Menge probieren",
+  "kit.tex.meaty": "fleischig",
+  "kit.tex.firm": "fest",
+  "kit.tex.tender": "zart",
+  "kit.tex.delicate": "empfindlich",
+  "kit.tex.chewy": "zäh",
+  "kit.tex.crisp": "knackig",
+  "kit.tex.soft": "weich",
+  "kit.tex.gelatinous": "gallertig",
+  "kit.fl.mild": "mild",
+  "kit.fl.nutty": "nussig",
+  "kit.fl.earthy": "erdig",
+  "kit.fl.umami": "umami",
+  "kit.fl.fruity": "fruchtig",
+  "kit.fl.smoky": "rauchig",
+  "kit.fl.seafood": "nach Meeresfrüchten",
+  "kit.fl.spicy": "würzig",
+  "kit.fl.sweet": "süßlich",
+  "kit.fl.sour": "säuerlich",
+  "kit.fl.garlic": "nach Knoblauch",
+  "kit.fl.musky": "moschusartig",
+  "kit.fl.peppery": "pfeffrig",
+  "kit.fl.aniseed": "nach Anis",
+  "kit.pair.butter": "Butter",
+  "kit.pair.cream": "Sahne",
+  "kit.pair.eggs": "Eier",
+  "kit.pair.cheese": "Käse",
+  "kit.pair.garlic": "Knoblauch",
+  "kit.pair.herbs": "Kräuter",
+  "kit.pair.ginger": "Ingwer",
+  "kit.pair.chilli": "Chili",
+  "kit.pair.soy": "Soja",
+  "kit.pair.stock": "Brühe",
+  "kit.pair.wine": "Wein",
+  "kit.pair.pasta": "Pasta",
+  "kit.pair.rice": "Reis",
+  "kit.pair.potatoes": "Kartoffeln",
+  "kit.pair.corn": "Mais",
+  "kit.pair.meat": "Fleisch",
+  "kit.pair.game": "Wild",
+  "kit.pair.poultry": "Geflügel",
+  "kit.pair.fish": "Fisch",
+  "kit.pair.fruit": "Obst",
+  "kit.pair.honey": "Honig",
+  "kit.how.saute": "braten",
+  "kit.how.stirfry": "im Wok",
+  "kit.how.fry": "ausbacken",
+  "kit.how.grill": "grillen",
+  "kit.how.roast": "rösten",
+  "kit.how.bake": "backen",
+  "kit.how.braise": "schmoren",
+  "kit.how.soup": "Suppe",
+  "kit.how.steam": "dämpfen",
+  "kit.how.raw": "roh",
+  "kit.how.infuse": "aromatisieren",
+  "kit.how.steep": "als Tee",
+  "kit.how.dessert": "Dessert",
+  "kit.keep.dry": "trocknen",
+  "kit.keep.powder": "Pulver",
+  "kit.keep.freeze": "einfrieren",
+  "kit.keep.cookFreeze": "garen, dann einfrieren",
+  "kit.keep.pickle": "einlegen",
+  "kit.keep.oil": "in Öl",
+  "kit.keep.fresh": "frisch essen",
+  "journal.tool": "Tagebuch",
+  "journal.title": "Fundtagebuch",
+  "journal.close": "Fundtagebuch schließen",
+  "journal.log": "Fund",
+  "journal.logTitle": "Einen Fund dieser Art eintragen",
+  "journal.pin": "Ihr Fund",
+  "journal.pill": {
+   "one": "📍 {n} Fund",
+   "other": "📍 {n} Funde"
+  },
+  "journal.new": "Fund eintragen",
+  "journal.editing": "Fund bearbeiten",
+  "journal.find": "Art – Namen eingeben…",
+  "journal.unpick": "Eine andere Art als {name} wählen",
+  "journal.date": "Datum",
+  "journal.lat": "Breite",
+  "journal.lng": "Länge",
+  "journal.by": "Gefunden von",
+  "journal.photos": "Fotos",
+  "journal.notes": "Notizen",
+  "journal.exifHint": "Position und Datum werden aus den Fotos übernommen, wenn sie welche enthalten.",
+  "journal.exifRead": "Aus dem Foto übernommen: {what}",
+  "journal.exifPosition": "Position",
+  "journal.exifDate": "Datum",
+  "journal.removePhoto": "Foto entfernen",
+  "journal.save": "Fund speichern",
+  "journal.update": "Änderungen speichern",
+  "journal.cancel": "Bearbeiten abbrechen",
+  "journal.err.species": "Bitte zuerst die Art wählen.",
+  "journal.err.date": "Bitte das Funddatum angeben.",
+  "journal.err.coords": "Breite (−90 bis 90) und Länge (−180 bis 180) beide in Dezimalgrad angeben oder keine von beiden.",
+  "journal.saved": "{name} im Tagebuch gespeichert.",
+  "journal.updated": "{name} aktualisiert.",
+  "journal.confirmDelete": "Den Fund von {name} vom {date} samt Fotos löschen?",
+  "journal.allFinds": "Alle Funde",
+  "journal.findsOf": "Funde von {name}",
+  "journal.showAll": "Alle zeigen",
+  "journal.noPosition": "ohne Position",
+  "journal.foundBy": "gefunden von {name}",
+  "journal.edit": "Bearbeiten",
+  "journal.delete": "Löschen",
+  "journal.empty": "Noch keine Funde eingetragen",
+  "journal.memoryOnly": "Dieser Browser bietet hier keine lokale Datenbank: Funde bleiben nur, bis die Seite geschlossen wird. Zum Aufheben exportieren.",
+  "journal.count": {
+   "one": "{n} von {total} Fund",
+   "other": "{n} von {total} Funden"
+  },
+  "journal.import": "JSON importieren…",
+  "journal.export": "JSON exportieren →",
+  "journal.importBad": "{file} ist kein Tagebuch-Export.",
+  "journal.imported": "Importiert: {added} neu, {updated} aktualisiert, {skipped} unverändert oder unlesbar.",
+  "gallery.tool": "Fotos",
+  "gallery.title": "Ihre Fotos dieser Art",
+  "gallery.of": "Fotos · {name}",
+  "gallery.close": "Fotos schließen",
+  "gallery.add": "Fotos hinzufügen…",
+  "gallery.view": "Vollbild →",
+  "gallery.count": {
+   "one": "{n} eigenes",
+   "other": "{n} eigene"
+  },
+  "gallery.bundled": "Foto des Kompendiums",
+  "gallery.caption": "Bildunterschrift",
+  "gallery.creditLabel": "Urheber",
+  "gallery.date": "Datum",
+  "gallery.credit": "© {name}",
+  "gallery.up": "Nach vorn",
+  "gallery.down": "Nach hinten",
+  "gallery.cover": "Titelfoto",
+  "gallery.remove": "Foto entfernen",
+  "gallery.confirmRemove": "Dieses Foto aus der Galerie entfernen?",
+  "lightbox.prev": "Vorheriges Foto",
+  "lightbox.next": "Nächstes Foto",
+  "lightbox.fit": "Einpassen",
+  "lightbox.close": "Schließen",
+  "credit.unknown": "Urheber unbekannt",
+  "credit.noLicence": "Lizenz unbekannt",
+  "credit.source": "Quelle"
+ },
+ "species": {
+  "1": {
+   "name": "Scharfer Korkstacheling"
+  },
+  "2": {
+   "name": "Amerikanischer Knollenblätterpilz"
+  },
+  "3": {
+   "name": "Périgord-Trüffel"
+  },
+  "4": {
+   "name": "Echter Pfifferling"
+  },
+  "5": {
+   "name": "Indigo-Milchling"
+  },
+  "6": {
+   "name": "Violetter Lacktrichterling"
+  },
+  "7": {
+   "name": "Rosenseitling"
+  },
+  "8": {
+   "name": "Papageigrüner Saftling"
+  },
+  "9": {
+   "name": "Himmelblauer Rötling"
+  },
+  "10": {
+   "name": "Schwefelporling"
+  },
+  "11": {
+   "name": "Texas-Stern"
+  },
+  "12": {
+   "name": "Grüner Knollenblätterpilz"
+  },
+  "13": {
+   "name": "Nelken-Schwindling"
+  },
+  "14": {
+   "name": "Mykorrhiza-Netzwerk"
+  },
+  "15": {
+   "name": "Maisbeulenbrand (Huitlacoche)"
+  },
+  "16": {
+   "name": "Matsutake"
+  },
+  "17": {
+   "name": "Runzeliger Adernseitling"
+  },
+  "18": {
+   "name": "Birkenporling"
+  },
+  "19": {
+   "name": "Honiggelber Hallimasch"
+  },
+  "20": {
+   "name": "Gemeine Stinkmorchel"
+  },
+  "21": {
+   "name": "Schopf-Tintling"
+  },
+  "22": {
+   "name": "Gift-Häubling"
+  },
+  "24": {
+   "name": "Weiße Alba-Trüffel"
+  },
+  "25": {
+   "name": "Limonenseitling"
+  },
+  "26": {
+   "name": "Geisterpilz"
+  },
+  "27": {
+   "name": "Schleierdame"
+  },
+  "28": {
+   "name": "Teufelsurne"
+  },
+  "29": {
+   "name": "Frühjahrs-Giftlorchel"
+  },
+  "30": {
+   "name": "Erdstern"
+  },
+  "31": {
+   "name": "Hummerpilz"
+  },
+  "32": {
+   "name": "Hahnenkamm-Champignon"
+  },
+  "33": {
+   "name": "Dunkler Hallimasch"
+  },
+  "34": {
+   "name": "Ringloser Hallimasch"
+  },
+  "35": {
+   "name": "Riesenbovist"
+  },
+  "36": {
+   "name": "Füllhorn"
+  },
+  "37": {
+   "name": "Schmetterlings-Tramete"
+  },
+  "38": {
+   "name": "Totentrompete"
+  },
+  "39": {
+   "name": "Halskrausen-Erdstern"
+  },
+  "40": {
+   "name": "Schiefer Schillerporling (Chaga)"
+  },
+  "41": {
+   "name": "Goldgelbe Koralle"
+  },
+  "42": {
+   "name": "Kupferroter Gelbfuß"
+  },
+  "43": {
+   "name": "Ochsenzunge"
+  },
+  "44": {
+   "name": "Strahlenfressende Pilze"
+  },
+  "45": {
+   "name": "Grünblättriger Schwefelkopf"
+  },
+  "46": {
+   "name": "Violetter Knorpelschichtpilz"
+  },
+  "47": {
+   "name": "Holzkohlenpilz"
+  },
+  "48": {
+   "name": "Riesen-Rötling"
+  },
+  "50": {
+   "name": "Vielgestaltige Holzkeule"
+  },
+  "51": {
+   "name": "Flacher Lackporling"
+  },
+  "52": {
+   "name": "Grauer Falten-Tintling"
+  },
+  "53": {
+   "name": "Gestreifter Teuerling"
+  },
+  "54": {
+   "name": "Totentrompete"
+  },
+  "55": {
+   "name": "Fingerhut-Verpel"
+  },
+  "56": {
+   "name": "Schwermetall-Pilze"
+  },
+  "57": {
+   "name": "Steinpilz"
+  },
+  "58": {
+   "name": "Rotrandiger Baumschwamm"
+  },
+  "59": {
+   "name": "Austernseitling"
+  },
+  "60": {
+   "name": "Igel-Stachelbart"
+  },
+  "61": {
+   "name": "Fliegenpilz"
+  },
+  "62": {
+   "name": "Warziger Drüsling"
+  },
+  "63": {
+   "name": "Rostbrauner Feuerschwamm"
+  },
+  "64": {
+   "name": "Herber Zwergknäueling"
+  },
+  "65": {
+   "name": "Zucht-Champignon"
+  },
+  "66": {
+   "name": "Krause Glucke"
+  },
+  "67": {
+   "name": "Schneepilz"
+  },
+  "68": {
+   "name": "Butterpilz"
+  },
+  "69": {
+   "name": "Kräuterseitling"
+  },
+  "70": {
+   "name": "Tongrauer Fälbling"
+  },
+  "71": {
+   "name": "Gemeiner Spaltblättling"
+  },
+  "72": {
+   "name": "Flaschen-Stäubling"
+  },
+  "73": {
+   "name": "Puppen-Kernkeule"
+  },
+  "74": {
+   "name": "Bienenwaben-Porling"
+  },
+  "75": {
+   "name": "Schwärzender Saftling"
+  },
+  "76": {
+   "name": "Schmetterlings-Tramete"
+  },
+  "77": {
+   "name": "Myzelmatte"
+  },
+  "78": {
+   "name": "Blaublättriger Träuschling"
+  },
+  "79": {
+   "name": "Parasol"
+  },
+  "80": {
+   "name": "Kahle Erdzunge"
+  },
+  "82": {
+   "name": "Eispilz"
+  },
+  "83": {
+   "name": "Renaissance-Trüffel"
+  },
+  "84": {
+   "name": "Schleierdame"
+  },
+  "85": {
+   "name": "Mitternachtsblauer Rötling"
+  },
+  "86": {
+   "name": "Niedergedrückter Rötling"
+  },
+  "87": {
+   "name": "Schwärzlicher Stäubling"
+  },
+  "88": {
+   "name": "Speisemorchel"
+  },
+  "89": {
+   "name": "Amerikanischer Ölbaumpilz"
+  },
+  "90": {
+   "name": "Samtfußrübling"
+  },
+  "91": {
+   "name": "Goldkappen"
+  },
+  "92": {
+   "name": "Smart-Contract-Pilz"
+  },
+  "94": {
+   "name": "Nebroden-Seitling"
+  },
+  "95": {
+   "name": "Grüner Knollenblätterpilz (Nordamerika)"
+  },
+  "96": {
+   "name": "Drachenblut-Pilz"
+  },
+  "97": {
+   "name": "Feenring-Schwindling"
+  },
+  "98": {
+   "name": "Koboldgold"
+  },
+  "99": {
+   "name": "Hexenhut"
+  }
+ },
+ "details": {
+  "2": {
+   "toxicity": {
+    "symptoms": "Heftige Bauchschmerzen, Erbrechen, Durchfall (6–24 Stunden); danach eine trügerische Besserung, dann Gelbsucht, Magen-Darm-Blutungen, Leber- und Nierenversagen, Koma und Tod",
+    "onset": "6–24 Stunden, gefolgt von einer Besserungsphase; die Organschäden entstehen in der symptomfreien Zeit",
+    "treatmentWindow": "Die Behandlung muss in den ersten 24–48 Stunden beginnen; nach der Aufnahme des Amatoxins ist der Schaden weitgehend irreversibel, jede Verzögerung senkt die Wirksamkeit drastisch",
+    "antidote": "Kein spezifisches Gegengift. Intensive Infusionstherapie, Überwachung von Leberwerten und Gerinnung, unterstützende Behandlung; in schweren Fällen experimentell Silibinin. Mit sofortiger Intensivbehandlung liegt die Sterblichkeit in Industrieländern unter 5 %, eine Heilung gibt es nicht"
+   }
+  },
+  "12": {
+   "toxicity": {
+    "symptoms": "Magen-Darm-Beschwerden (Übelkeit, Erbrechen, Durchfall, Bauchschmerzen), dann scheinbare Erholung, danach Leberversagen mit Gelbsucht, Krampfanfällen und Koma. Leber und Nieren sind die Hauptzielorgane.",
+    "onset": "6–24 Stunden; schwere Symptome entwickeln sich über 1–4 Tage",
+    "treatmentWindow": "Beste Aussichten bei intensiver Behandlung innerhalb von 36 Stunden; nach Beginn der Symptome verschlechtert sich die Prognose rasch",
+    "antidote": "Unterstützende Behandlung mit reichlich Flüssigkeit und Elektrolytausgleich; Silibinin intravenös (in Europa zugelassen); unter Umständen Lebertransplantation. Bei Behandlung innerhalb von 36 Stunden erholen sich die meisten Überlebenden vollständig."
+   }
+  },
+  "22": {
+   "toxicity": {
+    "symptoms": "6–24 Stunden Latenz; dann Erbrechen, heftige Bauchschmerzen und Durchfall für 6–9 Stunden, danach scheinbare Besserung. Nach 36 Stunden steigen die Leberwerte im Blut. Nach 72 Stunden fortschreitendes Leber- und Nierenversagen, ohne Transplantation schließlich der Tod.",
+    "onset": "6–24 Stunden",
+    "treatmentWindow": "Die Behandlung muss innerhalb von 24–36 Stunden beginnen; ohne intensive Therapie ist der Leberschaden nach 72 Stunden irreversibel",
+    "antidote": "Silibinin (aus der Mariendistel), wenn früh gegeben; unterstützend Aktivkohle, Infusionen, Hämodiafiltration, Plasmaaustausch. Oft ist zum Überleben eine Lebertransplantation nötig. Ohne intensive Behandlung tritt der Tod innerhalb von Tagen ein."
+   }
+  },
+  "29": {
+   "toxicity": {
+    "symptoms": "Magen-Darm-Beschwerden (Erbrechen, Durchfall), gefolgt von neurologischen Symptomen wie Schwindel, Benommenheit, Kopfschmerz, Verwirrtheit, möglicherweise Delir, Krampfanfällen oder Koma. Eine akute Leberschädigung entwickelt sich über 24–48 Stunden. Gyromitrin wird zu Monomethylhydrazin (MMH) abgebaut, einem Raketentreibstoff-Verwandten, der mehrere Organe schädigt.",
+    "onset": "Mehr als 5–6 Stunden nach dem Verzehr; Nerven- und Leberschäden entwickeln sich über 24–48 Stunden",
+    "treatmentWindow": "Sofortige ärztliche Hilfe ist unerlässlich; am wirksamsten ist die Behandlung in den ersten 12–24 Stunden nach Symptombeginn",
+    "antidote": "Pyridoxin (Vitamin B6) ist das spezifische Gegengift, intravenös oder intramuskulär gegeben, zusammen mit Infusionen, Behandlung der Krampfanfälle und Überwachung von Leber und Nieren. Ein allgemein belegtes Gegengift gibt es nicht; Pyridoxin behandelt die MMH-bedingten Krampfanfälle."
+   }
+  },
+  "95": {
+   "toxicity": {
+    "symptoms": "Phase 1 (6–24 h): heftige Magen-Darm-Beschwerden mit starken Bauchschmerzen, Erbrechen und Durchfall; Phase 2 (24–72 h): scheinbare Erholung, während die Organschäden fortschreiten; Phase 3 (3–6 Tage): Leber- und Nierenversagen, Gerinnungsstörung, Enzephalopathie und Schock",
+    "onset": "6–24 Stunden nach dem Verzehr",
+    "treatmentWindow": "Die ersten 24–48 Stunden sind entscheidend für Aktivkohle, Silibinin intravenös und N-Acetylcystein; bei schwerem Leberschaden bleibt oft nur die Transplantation",
+    "antidote": "Silibinin (Mariendistel-Extrakt, intravenös) + N-Acetylcystein + Aktivkohle + unterstützende Behandlung; bei akutem Leberversagen eventuell Lebertransplantation"
+   }
+  }
+ },
+ "extras": {
+  "2": {
+   "controleur": {
+    "remedy": "NOTFALL: Giftnotruf anrufen; Infusionen und Silibinin nötig; unbehandelt sind die Organschäden irreversibel."
+   }
+  },
+  "12": {
+   "controleur": {
+    "remedy": "NOTFALL: Giftnotruf anrufen; Aktivkohle innerhalb 1 h, Silibinin/Penicillin G i.v., Leberwerte überwachen."
+   }
+  },
+  "22": {
+   "controleur": {
+    "remedy": "NOTFALL: Giftnotruf anrufen; Silibinin und Infusionen nötig; Amatoxin-Latenz 6–24 h."
+   }
+  },
+  "29": {
+   "controleur": {
+    "remedy": "NOTFALL: Giftnotruf anrufen; Pyridoxin (B6 i.v.) als spezifisches Gegengift; reichlich Flüssigkeit, Krampfanfälle behandeln."
+   }
+  },
+  "95": {
+   "controleur": {
+    "remedy": "NOTFALL: Giftnotruf anrufen; Aktivkohle innerhalb 1 h, Silibinin/Penicillin G i.v., Leberwerte überwachen."
+   }
+  }
+ },
+ "culinary": {
+  "3": {
+   "recipe": {
+    "name": "Rührei mit Trüffel",
+    "method": "Die Trüffel über Nacht mit den rohen Eiern in ein verschlossenes Glas legen. Die Eier langsam in Butter stocken lassen, vom Herd nehmen und die Trüffel hauchdünn darüberhobeln."
+   }
+  },
+  "16": {
+   "recipe": {
+    "name": "Matsutake-Gohan",
+    "method": "Reis in Dashi mit etwas Sojasauce garen und dicke Matsutake-Scheiben für die letzten 15 Minuten obenauf legen."
+   }
+  },
+  "24": {
+   "recipe": {
+    "name": "Tajarin al tartufo",
+    "method": "Feine Eiernudeln in geschmolzener Butter mit etwas Parmigiano schwenken und die weiße Trüffel am Tisch über jeden Teller hobeln."
+   }
+  },
+  "83": {
+   "recipe": {
+    "name": "Fonduta mit weißer Trüffel",
+    "method": "Fontina mit Milch und Eigelb sanft zu einer glatten Fondue schmelzen, über Röstbrot gießen und die Trüffel am Tisch darüberhobeln."
+   }
+  },
+  "88": {
+   "recipe": {
+    "name": "Morcheln in Rahm",
+    "method": "Halbieren und ausspülen, um Sand und Insekten zu entfernen. In Butter braten, bis der Saft verdampft ist, Schalotte, einen Schuss Weißwein und Sahne dazugeben und einkochen. Nie roh oder halbgar."
+   }
+  }
+ },
+ "signs": {
+  "gi": {
+   "name": "Magen-Darm-Beschwerden",
+   "hint": "Erbrechen, Durchfall, Bauchkrämpfe"
+  },
+  "remission": {
+   "name": "Scheinbare Besserung",
+   "hint": "Erst besser, dann wieder schlechter"
+  },
+  "hepatotoxic": {
+   "name": "Leberschädigung",
+   "hint": "Gelbe Haut oder Augen, Leberversagen"
+  },
+  "nephrotoxic": {
+   "name": "Nierenschädigung",
+   "hint": "Wenig Urin, Durst, Flankenschmerz"
+  },
+  "cholinergic": {
+   "name": "Cholinerg",
+   "hint": "Schwitzen, Speichelfluss, Stecknadelpupillen, langsamer Puls"
+  },
+  "delirium": {
+   "name": "Delir",
+   "hint": "Verwirrung, Unruhe, Muskelzucken"
+  },
+  "hallucinogenic": {
+   "name": "Halluzinogen",
+   "hint": "Halluzinationen, veränderte Wahrnehmung"
+  },
+  "ataxia": {
+   "name": "Ataxie",
+   "hint": "Taumeln, Zittern, Schwindel"
+  },
+  "seizure": {
+   "name": "Krampfanfälle / Koma",
+   "hint": "Krämpfe, Benommenheit, Bewusstlosigkeit"
+  },
+  "disulfiram": {
+   "name": "Antabus-ähnlich",
+   "hint": "Hautrötung, Herzrasen nach Alkohol"
+  },
+  "allergic": {
+   "name": "Allergisch",
+   "hint": "Geschwollene Lippen, Ausschlag, Quaddeln"
+  },
+  "respiratory": {
+   "name": "Atemwege",
+   "hint": "Husten, pfeifende Atmung, Atemnot"
+  },
+  "infection": {
+   "name": "Infektion",
+   "hint": "Fieber, Kopfschmerzen, steifer Nacken"
+  }
+ },
+ "syndromes": {
+  "amatoxin": {
+   "name": "Amatoxin (Phalloides-Syndrom)",
+   "note": "Eine symptomfreie Latenz von 6 Std. oder mehr, dann heftiger wässriger Durchfall, eine scheinbare Besserung am 2. Tag und Leber- und Nierenversagen ab dem 3. Tag. Jede Pilzmahlzeit mit Symptombeginn nach 6 Std. gilt bis zum Ausschluss als Amatoxin-Vergiftung: Amanitin-Nachweis im Urin, Leberwerte, Gerinnung; Silibinin, N-Acetylcystein, Flüssigkeit."
+  },
+  "orellanine": {
+   "name": "Orellanin (Orellanus-Syndrom)",
+   "toxins": "Orellanin (Schleierlinge, Cortinarius)",
+   "note": "Nierenversagen 2 Tage bis 3 Wochen nach der Mahlzeit, oft nach nur leichten Magenbeschwerden, sodass der Zusammenhang mit den Pilzen leicht übersehen wird. Kreatinin bei allen bestimmen, die mitgegessen haben; Dialyse, in manchen Fällen Transplantation."
+  },
+  "gyromitrin": {
+   "name": "Gyromitrin (Hydrazin)",
+   "toxins": "Gyromitrin → Monomethylhydrazin",
+   "note": "Erbrechen und Kopfschmerzen nach 5–12 Std., dann Schwindel, Krampfanfälle und Leberschäden. Pyridoxin (Vitamin B6) gegen Krampfanfälle, Benzodiazepine, Leber überwachen."
+  },
+  "muscarine": {
+   "name": "Muskarin (cholinerg)",
+   "toxins": "Muskarin (Risspilze, kleine weiße Trichterlinge, einige Rötlinge)",
+   "note": "Schwitzen, Speichelfluss, Tränen, enge Pupillen, langsamer Puls und pfeifende Atmung nach 15 Min. – 2 Std. Atropin hebt die Wirkung auf; Erholung innerhalb eines Tages."
+  },
+  "isoxazole": {
+   "name": "Ibotensäure / Muscimol (Pantherina-Syndrom)",
+   "toxins": "Ibotensäure, Muscimol",
+   "note": "Benommenheit im Wechsel mit Unruhe, Delir und Muskelzucken nach 30 Min. – 2 Std. Unterstützende Behandlung, Benzodiazepine bei Unruhe oder Krampfanfällen; kein Atropin. Meist nach 24 Std. vorbei."
+  },
+  "psilocybin": {
+   "name": "Psilocybin (halluzinogen)",
+   "note": "Veränderte Wahrnehmung innerhalb einer Stunde, nach 4–6 Std. vorbei. Ruhige Umgebung und Zuspruch, Benzodiazepine bei Panik. Körperlich geringes Risiko."
+  },
+  "coprine": {
+   "name": "Coprin (Antabus-ähnlich)",
+   "toxins": "Coprin",
+   "note": "Nur zusammen mit Alkohol, der bis zu 3 Tage nach der Mahlzeit getrunken wird; der Beginn zählt ab dem Getränk, nicht ab der Mahlzeit. Hautrötung, Herzklopfen, niedriger Blutdruck. 72 Std. keinen Alkohol, unterstützende Behandlung."
+  },
+  "gastrointestinal": {
+   "name": "Magen-Darm-Reizstoffe",
+   "toxins": "verschiedene, darunter Illudine und beim Kochen zerstörte Reizstoffe",
+   "note": "Erbrechen und Durchfall nach 30 Min. – 4 Std., nach 1–2 Tagen vorbei. Flüssigkeit und Elektrolyte. Symptome, die erst nach 6 Std. beginnen, deuten auf ein gefährlicheres Syndrom."
+  }
+ }
+};
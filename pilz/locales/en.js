@@ -0,0 +1,682 @@
+/* generated by build.js from locales/en.json — English UI strings and translated content; what is missing falls back to English */
+var LOCALES = LOCALES || {};
+LOCALES["en"] = {
+ "name": "English",
+ "ui": {
+  "app.title": "The Mushroom Compendium",
+  "app.docTitle": "The Mushroom Compendium · {n} Fungi",
+  "lang.title": "Language",
+  "menu.back": "Back to menu",
+  "menu.lede": "{n} Fungi · Choose Your Path",
+  "menu.for": "For the",
+  "menu.chefs.title": "Chefs",
+  "menu.chefs.desc": "Sorted by tastiest first. Culinary tips, where to forage, how to cook.",
+  "menu.chefs.cta": "Enter the Kitchen →",
+  "menu.controleurs.title": "Contrôleurs",
+  "menu.controleurs.desc": "Sorted by toxicity & danger. Symptoms, antidotes, treatment windows, remedies.",
+  "menu.controleurs.cta": "Enter the Triage →",
+  "menu.nerds.title": "Nerds",
+  "menu.nerds.desc": "Sorted by sheer fact density. The weirdest biology, the most surprising science.",
+  "menu.nerds.cta": "Enter the Lab →",
+  "menu.key.title": "Foragers",
+  "menu.key.desc": "Identify what's in your hand. Gills, spores, ring, volva, habitat — step by step down to a shortlist.",
+  "menu.key.cta": "Start the Key →",
+  "menu.quiz.title": "Trainees",
+  "menu.quiz.desc": "Flashcards with spaced repetition. Name it, classify it — the deadly ones come back until you know them.",
+  "menu.quiz.cta": "Start Training →",
+  "menu.custom.title": "Tinkerers",
+  "menu.custom.desc": "Your own order: by name, scientific name, range, toxicity or taxonomy — or a weighted blend of the chef, danger and nerd scores.",
+  "menu.custom.cta": "Build an Order →",
+  "menu.skip": "or browse all {n} in order →",
+  "mode.chefs": "For Chefs",
+  "mode.controleurs": "For Contrôleurs",
+  "mode.nerds": "For Nerds",
+  "mode.key": "Field Key",
+  "mode.quiz": "Training",
+  "mode.custom": "Custom Order",
+  "nav.prev": "Previous",
+  "nav.next": "Next",
+  "nav.play": "Play/Pause",
+  "nav.back": "← Back",
+  "a11y.carousel": "carousel",
+  "a11y.species": "Species",
+  "a11y.slide": "slide",
+  "a11y.now": "{i} of {total}: {name} ({sci}). Edibility: {e}. Toxicity: {sev}.",
+  "a11y.compare": "Look-alike check: {a} and {b}. Risk: {sev}.",
+  "a11y.photo": "Photo of {name} ({sci})",
+  "a11y.ownPhoto": "Your photo of {name}",
+  "a11y.quizPhoto": "Photo of the mushroom to identify",
+  "e.choice": "choice",
+  "e.edible": "edible",
+  "e.medicinal": "medicinal",
+  "e.psychoactive": "psychoactive",
+  "e.symbiont": "symbiont",
+  "e.inedible": "inedible",
+  "e.toxic": "toxic",
+  "e.deadly": "deadly",
+  "e.pathogenic": "pathogenic",
+  "e.extinct": "extinct",
+  "sev.none": "none",
+  "sev.mild": "mild",
+  "sev.severe": "severe",
+  "sev.deadly": "deadly",
+  "region.WW": "Worldwide",
+  "region.NA": "North America",
+  "region.SA": "South America",
+  "region.EU": "Europe",
+  "region.AF": "Africa",
+  "region.AS": "Asia",
+  "region.OC": "Oceania",
+  "region.short.NA": "North Am.",
+  "region.short.SA": "South Am.",
+  "region.short.EU": "Europe",
+  "region.short.AF": "Africa",
+  "region.short.AS": "Asia",
+  "region.short.OC": "Oceania",
+  "range.global": "global",
+  "range.countries": {
+   "one": "{n} country",
+   "other": "{n} countries"
+  },
+  "range.regions": {
+   "one": "{n} region",
+   "other": "{n} regions"
+  },
+  "slide.fact": "FACT",
+  "slide.habitat": "Habitat",
+  "slide.noImage": "NO IMAGE",
+  "slide.notCached": "Not cached · shows when back online",
+  "details.edibility": "Edibility",
+  "details.taste": "Taste",
+  "details.search": "Where to look",
+  "details.toxicity": "Toxicity",
+  "details.symptoms": "Symptoms",
+  "details.onset": "Onset",
+  "details.window": "Window",
+  "details.antidote": "Antidote",
+  "enrich.chef": "CHEF'S TIP",
+  "enrich.chefScore": "TASTINESS",
+  "enrich.chefFallback": "Worth cooking — see edibility notes below.",
+  "enrich.chefNone": "Not for the kitchen.",
+  "enrich.controleur": "EMERGENCY",
+  "enrich.controleurScore": "DANGER",
+  "enrich.remedyFallback": "See toxicity panel below.",
+  "enrich.nerd": "BONUS FACT",
+  "enrich.nerdScore": "NERD-O-METER",
+  "map.title": "DISTRIBUTION",
+  "map.zoomIn": "Zoom in",
+  "map.zoomOut": "Zoom out",
+  "map.reset": "Reset map",
+  "map.recorded": "Recorded",
+  "map.notRecorded": "Not recorded",
+  "lookalike.title": "Look-alikes",
+  "lookalike.compare": "Compare →",
+  "lookalike.check": "LOOK-ALIKE CHECK",
+  "lookalike.howToTell": "How to tell",
+  "offline.ready": "Offline · {size}",
+  "offline.busy": "{done}/{total} · {bytes} of {size}",
+  "offline.failed": "{failed} failed · retry",
+  "offline.save": "Save offline · {left}",
+  "offline.readyTitle": "All images are stored on this device",
+  "offline.title": "{done} of {total} images stored on this device ({bytes} of {size})",
+  "search.title": "Search & filter",
+  "search.tool": "Search",
+  "search.placeholder": "Search names, facts, habitats, symptoms…",
+  "search.close": "Close search",
+  "search.clear": "Clear all",
+  "search.alpha": "A–Z",
+  "search.alphaTitle": "Sort the list by name",
+  "search.apply": "Show matches →",
+  "search.none": "No species match",
+  "filter.edit": "Edit filter",
+  "filter.clear": "Clear filter",
+  "filter.chip": "Filter · {n}",
+  "filter.ids": "{n} species from the statistics",
+  "facet.e": "Edibility",
+  "facet.cat": "Category",
+  "facet.r": "Region",
+  "facet.sev": "Toxicity",
+  "facet.clade": "Clade",
+  "facet.ids": "Picked",
+  "field.name": "name",
+  "field.sci": "sci",
+  "field.tag": "tag",
+  "field.fact": "fact",
+  "field.habitat": "habitat",
+  "field.range": "range",
+  "field.edibility": "edibility",
+  "field.taste": "taste",
+  "field.search": "search",
+  "field.toxicity": "toxicity",
+  "field.chef": "chef",
+  "field.remedy": "remedy",
+  "field.bonus": "bonus",
+  "field.recipe": "recipe",
+  "key.title": "Identification key",
+  "key.tool": "Key",
+  "key.close": "Close key",
+  "key.show": "Show candidates →",
+  "key.result": "Result",
+  "key.step": "Step {n} of {total}",
+  "key.candidates": {
+   "one": "{n} candidate",
+   "other": "{n} candidates"
+  },
+  "key.noMatch": "No match",
+  "key.nothing": "Nothing in the compendium matches every answer. Go back and answer \"not sure\" where you hesitated.",
+  "key.left": "{n} LEFT",
+  "key.unsure": "Not sure — skip",
+  "key.deadlyTitle": "⚠ Deadly species still possible",
+  "key.deadly": {
+   "one": "{names} is among the candidates. Never eat a mushroom identified with this key alone.",
+   "other": "{names} are among the candidates. Never eat a mushroom identified with this key alone."
+  },
+  "key.hymenium.q": "What is under the cap?",
+  "key.hymenium.hint": "Turn it over. Gills are thin blades; ridges are blunt, shallow and forked.",
+  "key.hymenium.gills": "Gills",
+  "key.hymenium.pores": "Pores or tubes",
+  "key.hymenium.teeth": "Teeth or spines",
+  "key.hymenium.ridges": "Blunt forked ridges",
+  "key.hymenium.folds": "Honeycomb pits or brain-like folds",
+  "key.hymenium.coral": "Coral-like branches",
+  "key.hymenium.smooth": "No cap: cup, club, crust or jelly",
+  "key.hymenium.enclosed": "Closed ball or tuber",
+  "key.spore.q": "What colour is the spore print?",
+  "key.spore.hint": "Leave the cap face-down on white and black paper for a few hours.",
+  "key.spore.white": "White",
+  "key.spore.cream": "Cream to yellowish",
+  "key.spore.pink": "Pink",
+  "key.spore.rusty": "Rusty brown",
+  "key.spore.brown": "Brown",
+  "key.spore.purple-brown": "Purple-brown",
+  "key.spore.black": "Black",
+  "key.ring.q": "Is there a ring on the stem?",
+  "key.ring.hint": "A skirt or band of tissue left by the partial veil — it may be faint or movable.",
+  "key.ring.true": "Yes, a ring",
+  "key.ring.false": "No ring",
+  "key.volva.q": "Is there a cup-like volva at the base?",
+  "key.volva.hint": "Dig the whole mushroom out. Never cut it at ground level — the volva stays buried.",
+  "key.volva.true": "Yes, a sac or cup",
+  "key.volva.false": "No volva",
+  "key.habitat.q": "Where is it growing?",
+  "key.habitat.hint": "Wood includes buried roots and stumps; check under the moss.",
+  "key.habitat.wood": "On wood",
+  "key.habitat.soil": "On the forest floor",
+  "key.habitat.grass": "In grass, lawn or meadow",
+  "key.habitat.dung": "On dung",
+  "key.habitat.host": "On a living insect, plant or fungus",
+  "key.habitat.underground": "Underground",
+  "key.season.q": "What season is it?",
+  "key.season.hint": "Your local season — the key does not care about the hemisphere.",
+  "key.season.spring": "Spring",
+  "key.season.summer": "Summer",
+  "key.season.autumn": "Autumn",
+  "key.season.winter": "Winter",
+  "key.region.q": "Where in the world are you?",
+  "key.region.hint": "Species recorded worldwide always stay in the set.",
+  "cal.title": "Fruiting calendar",
+  "cal.close": "Close calendar",
+  "cal.first": "In season first",
+  "cal.apply": "Apply →",
+  "cal.season": "Season",
+  "cal.inSeason": "In season · {season}",
+  "cal.everywhere": "Everywhere",
+  "cal.count": "{n} in season · {season}",
+  "cal.note": "Ranges are typical for temperate regions; local weather shifts them by weeks.",
+  "cal.noteRegion": "Ranges are typical for temperate {region}; local weather shifts them by weeks.",
+  "cal.fruits": "Fruits",
+  "cal.north": "North",
+  "cal.south": "South",
+  "cal.noFruit": "Forms no fruiting bodies",
+  "taxa.title": "Taxonomy tree",
+  "taxa.tool": "Taxonomy",
+  "taxa.close": "Close taxonomy tree",
+  "taxa.all": "Whole collection",
+  "taxa.expand": "Expand all",
+  "taxa.collapse": "Collapse all",
+  "taxa.count": "{n} species in {clade}",
+  "taxa.countAll": "{n} species · pick a clade to show only those",
+  "taxa.rank.kingdom": "Kingdom",
+  "taxa.rank.phylum": "Phylum",
+  "taxa.rank.class": "Class",
+  "taxa.rank.order": "Order",
+  "taxa.rank.family": "Family",
+  "taxa.rank.genus": "Genus",
+  "order.title": "Custom order",
+  "order.tool": "Order",
+  "order.close": "Close custom order",
+  "order.by": "Sort by",
+  "order.dir": "Direction",
+  "order.by.blend": "Blend of scores",
+  "order.by.name": "Name",
+  "order.by.sci": "Scientific name",
+  "order.by.regions": "Range",
+  "order.by.severity": "Toxicity",
+  "order.by.taxonomy": "Taxonomy",
+  "order.az": "A → Z",
+  "order.za": "Z → A",
+  "order.high": "Highest first",
+  "order.low": "Lowest first",
+  "order.reset": "Reset",
+  "order.apply": "Sort this way →",
+  "order.count": "All {n} species in this order",
+  "order.noWeights": "Give at least one score a weight",
+  "order.blendScore": "blended",
+  "order.continents": "continents",
+  "table.title": "Collection table",
+  "table.tool": "Table",
+  "table.close": "Close table",
+  "table.filter": "Filter rows…",
+  "table.columns": "Columns",
+  "table.reset": "Reset columns and sort",
+  "table.csv": "CSV ↓",
+  "table.json": "JSON ↓",
+  "table.none": "No species match",
+  "table.count": "{n} of {total} species",
+  "table.col.n": "No.",
+  "table.col.name": "Name",
+  "table.col.sci": "Scientific name",
+  "table.col.cat": "Category",
+  "table.col.e": "Edibility",
+  "table.col.severity": "Toxicity",
+  "table.col.regions": "Range",
+  "table.col.images": "Photos",
+  "stats.title": "Statistics",
+  "stats.tool": "Stats",
+  "stats.close": "Close statistics",
+  "stats.edibility": "Edibility classes",
+  "stats.severity": "Toxicity per continent",
+  "stats.severityNote": "Species by toxicity on each continent of their range; a worldwide species counts on every continent.",
+  "stats.categories": "Categories",
+  "stats.categoriesNote": "Species per category, split by edibility.",
+  "stats.scores": "Chef score × nerd score",
+  "stats.chefScore": "Chef score",
+  "stats.nerdScore": "Nerd score",
+  "stats.corr": "Pearson r = {r} over {n} species: {desc}. Each bubble is one pair of scores.",
+  "stats.corr.none": "no linear relation",
+  "stats.corr.weak": "a weak {dir} relation",
+  "stats.corr.moderate": "a moderate {dir} relation",
+  "stats.corr.strong": "a strong {dir} relation",
+  "stats.positive": "positive",
+  "stats.negative": "negative",
+  "stats.heatmap": "Toxicity × region",
+  "stats.heatmapNote": "Share of each continent's species at each toxicity level.",
+  "stats.row": "{label}: {n} species",
+  "stats.seg": "{label} · {part}: {n} species",
+  "stats.bubble": "Chef {x}, nerd {y}: {names}",
+  "stats.cell": "{region} · {part}: {n} species, {pct}%",
+  "stats.sources": "{n} species · {details} with details · {extras} with scores of their own",
+  "edit.title": "✎ Editing",
+  "edit.region": "Editor",
+  "edit.none": "No changes",
+  "edit.count": {
+   "one": "{n} change",
+   "other": "{n} changes"
+  },
+  "edit.englishOnly": "Edits go into the English sources.",
+  "edit.toEnglish": "Switch to English",
+  "edit.changes": "Changes",
+  "edit.export": "Export patch ↓",
+  "edit.done": "Done",
+  "edit.diffTitle": "Draft changes",
+  "edit.closeDiff": "Close changes",
+  "edit.empty": "Nothing changed yet. Click any text on a slide to edit it.",
+  "edit.revert": "Revert",
+  "edit.discard": "Discard all",
+  "edit.confirmDiscard": {
+   "one": "Discard {n} draft change?",
+   "other": "Discard all {n} draft changes?"
+  },
+  "edit.exported": "Apply it with: node build.js --apply {file}",
+  "edit.name": "Name",
+  "edit.sci": "Scientific name",
+  "edit.tag": "Tag line",
+  "edit.added": "New species",
+  "edit.remove": "Remove",
+  "edit.confirmRemove": "Remove {name} and its draft changes?",
+  "add.open": "＋ Species",
+  "add.title": "New species",
+  "add.close": "Close new species",
+  "add.intro": "It becomes number {n}, with an empty image folder images/{n}/ for its photos. All texts are English source text; fields not marked optional are required.",
+  "add.species": "Species",
+  "add.newCat": "＋ New category…",
+  "add.catId": "New category",
+  "add.catColor": "Category colour",
+  "add.ck": "Key",
+  "add.col": "Own colour (optional)",
+  "add.countries": "Countries (ISO codes)",
+  "add.notes": "Field notes",
+  "add.noSyndrome": "— none",
+  "add.onsetHours": "Onset, hours after the meal",
+  "add.from": "from",
+  "add.to": "to",
+  "add.windowHours": "Treat within, hours",
+  "add.modes": "Modes",
+  "add.cancel": "Cancel",
+  "add.save": "Add species →",
+  "add.added": "{name} added as number {n}.",
+  "add.err.catTaken": "{id} already exists — pick it from the list",
+  "add.err.country": "{code} is not a country code",
+  "add.err.ww": "Worldwide already covers every other region",
+  "add.err.deadly": "a deadly species needs deadly toxicity",
+  "add.err.toxic": "a {e} species cannot have toxicity “none”",
+  "add.err.hours": "“to” is before “from”",
+  "quiz.type.name": "Common name",
+  "quiz.type.sci": "Scientific name",
+  "quiz.type.e": "Edibility",
+  "quiz.q.name": "What is this mushroom called?",
+  "quiz.q.sci": "What is its scientific name?",
+  "quiz.q.e": "How is it classed?",
+  "quiz.meta": "{type} · {due} due · {n} answered",
+  "quiz.right": "✓ Correct",
+  "quiz.wrong": "✗ Not quite",
+  "quiz.deadly": "⚠ Deadly. This card comes back more often until it sticks.",
+  "quiz.lookalikes": "Known look-alikes: {a} vs {b}",
+  "quiz.progress": "Progress",
+  "quiz.next": "Next →",
+  "quiz.noTrainee": "Pick a trainee or add one to start. Progress is stored in this browser only.",
+  "quiz.chooseTrainee": "Choose trainee →",
+  "quiz.emptyDeck": "No species with photos match the current filter.",
+  "quiz.settings": "Change settings →",
+  "quiz.progressTitle": "Training progress",
+  "quiz.closeProgress": "Close progress",
+  "quiz.start": "Start training →",
+  "quiz.trainee": "Trainee",
+  "quiz.newTrainee": "New trainee…",
+  "quiz.add": "Add",
+  "quiz.askFor": "Ask for",
+  "quiz.pickTrainee": "Pick a trainee above.",
+  "quiz.addTrainee": "Add a trainee to start. Each trainee gets their own schedule and statistics, stored in this browser.",
+  "quiz.tile.seen": "cards seen",
+  "quiz.tile.due": "due now",
+  "quiz.tile.mastered": "mastered (≥{n} d)",
+  "quiz.tile.recent": "last {n} answers",
+  "quiz.tile.streak": "day streak",
+  "quiz.days": "Answers · last 14 days",
+  "quiz.byType": "By question · right / mastered",
+  "quiz.byClass": "Accuracy by edibility class",
+  "quiz.missed": "Most missed",
+  "quiz.lapses": "{n}× missed",
+  "quiz.barTitle": "{right}/{n} right",
+  "quiz.barNote": "{pct}% · {n} seen",
+  "quiz.delete": "Delete {name}'s progress",
+  "quiz.confirmDelete": "Delete all training progress of {name}?",
+  "quiz.count": "{due} due · {n} new",
+  "print.title": "Print field guide",
+  "print.tool": "Print",
+  "print.bar": "Field guide · {n} species",
+  "print.go": "Print / save as PDF",
+  "print.close": "Close print preview",
+  "print.sub": "Mycelia · Field guide",
+  "print.species": "{n} species",
+  "print.inOrder": "in compendium order",
+  "print.date": "Printed {date}",
+  "print.warn": "Never eat a wild mushroom identified from a printout alone. Have every find checked by a local expert; in case of poisoning call emergency services or a poison control centre at once.",
+  "print.noPhoto": "No photo",
+  "print.number": "compendium no. {n}",
+  "print.index": "Index",
+  "print.byName": "By common name",
+  "print.bySci": "By scientific name",
+  "triage.tool": "Triage",
+  "triage.title": "Poison triage",
+  "triage.close": "Close triage",
+  "triage.start": "Start triage →",
+  "triage.species": "Suspected species",
+  "triage.find": "Type a name…",
+  "triage.drop": "Remove {name}",
+  "triage.signs": "Symptoms",
+  "triage.hours": "Hours since eating",
+  "triage.onset": "Symptoms began after (h)",
+  "triage.unknown": "unknown",
+  "triage.noneYet": "none yet",
+  "triage.clear": "Start over",
+  "triage.export": "Summary for medical staff →",
+  "triage.empty": "Pick a species or a symptom to start.",
+  "triage.count": {
+   "one": "{n} syndrome",
+   "other": "{n} syndromes"
+  },
+  "triage.perSpecies": "Per species",
+  "triage.syndromes": "Matching syndromes",
+  "triage.noSyndrome": "No syndrome matches yet.",
+  "triage.syndrome": "Syndrome",
+  "triage.remedy": "Remedy",
+  "triage.toxins": "Toxins",
+  "triage.typical": "onset {range}",
+  "triage.inGuide": "In this guide",
+  "triage.why.species": "caused by {names}",
+  "triage.why.signs": "{n} of {total} signs",
+  "triage.why.fits": "onset fits",
+  "triage.why.early": "onset earlier than typical",
+  "triage.why.late": "onset later than typical",
+  "triage.win.none": "No time-critical treatment window recorded",
+  "triage.win.within": "Treatment works best within {w} of the meal",
+  "triage.win.open": "Inside the treatment window — {left} left",
+  "triage.win.closing": "Treatment window closing — {left} left",
+  "triage.win.past": "Treatment window passed {over} ago — still get treatment now",
+  "triage.pending": "No symptoms yet is expected: they usually start after {at}. Do not wait for them.",
+  "triage.lateTitle": "Symptoms began {h} after the meal",
+  "triage.late": "Onset 6 h or more after a mushroom meal: treat as amatoxin or orellanine poisoning until ruled out. Go to hospital now and bring any leftovers, peelings or photos.",
+  "triage.sheet.bar": "Triage summary · one page",
+  "triage.sheet.sub": "Summary for medical staff",
+  "triage.sheet.title": "Suspected mushroom poisoning",
+  "triage.sheet.made": "Compiled {date}",
+  "triage.sheet.meal": "Meal",
+  "triage.sheet.eaten": "about {time} ({h} ago)",
+  "triage.sheet.mealUnknown": "time unknown",
+  "triage.sheet.onset": "Onset",
+  "triage.sheet.began": "symptoms began {h} after the meal",
+  "triage.sheet.noSymptoms": "no symptoms reported yet",
+  "triage.sheet.unknown": "not identified",
+  "triage.sheet.notes": "Notes — patient, amount eaten, who else ate, leftovers kept",
+  "triage.sheet.warn": "Compiled by a field guide from what was reported — not a diagnosis. Contact your poison control centre and keep any leftovers for identification.",
+  "triage.lookup": "Species with these symptoms →",
+  "unit.min": "{n} min",
+  "unit.h": "{n} h",
+  "unit.d": "{n} d",
+  "sx.tool": "Symptoms",
+  "sx.title": "Symptom lookup",
+  "sx.close": "Close symptom lookup",
+  "sx.onset": "Onset",
+  "sx.empty": "Pick the symptoms you see and when they started",
+  "sx.none": "No species in the guide causes these symptoms",
+  "sx.match": "{pct}%",
+  "sx.profile": "Symptom profile",
+  "onset.fast": "under 2 h",
+  "onset.hours": "2–6 h",
+  "onset.delayed": "6–24 h",
+  "onset.days": "after a day or more",
+  "kit.tool": "Kitchen",
+  "kit.title": "Kitchen",
+  "kit.close": "Close kitchen",
+  "kit.card": "Recipe card →",
+  "kit.found": "What you found",
+  "kit.find": "Type a name…",
+  "kit.drop": "Take {name} out of the basket",
+  "kit.picks": "In season in {month}",
+  "kit.clear": "Empty the basket",
+  "kit.empty": "Add what you found to see recipe cards and whether it can go in one pan",
+  "kit.count": {
+   "one": "{n} of {total} for the kitchen",
+   "other": "{n} of {total} for the kitchen"
+  },
+  "kit.together": "Cooking them together",
+  "kit.cards": "Recipe cards",
+  "kit.apart": "No method suits them all — cook them separately",
+  "kit.rules": "Rules",
+  "kit.texture": "Texture",
+  "kit.flavour": "Flavour",
+  "kit.pairings": "Pairs with",
+  "kit.methods": "Cook by",
+  "kit.preserve": "Keeps",
+  "kit.season": "Season",
+  "kit.yearRound": "All year — also sold cultivated",
+  "kit.inSeason": "In season ({month})",
+  "kit.outOfSeason": "Not in season in {month}",
+  "kit.warn.deadlyTitle": "{name} is deadly",
+  "kit.warn.deadly": "Throw away the whole basket and wash your hands — crumbs of it on the other mushrooms are enough to poison.",
+  "kit.warn.outTitle": "{name} is not for the kitchen",
+  "kit.warn.out": "Listed as {e}. Leave it out and keep it apart from the rest.",
+  "kit.warn.rawTitle": "Raw and cooked",
+  "kit.warn.raw": "{raw} is served raw — heat kills the aroma — but {cooked} must be cooked through. Cook first, shave {raw} over at the end.",
+  "kit.warn.parboilTitle": "Parboil apart",
+  "kit.warn.parboil": "{names} must be parboiled and the water poured away. Blanch it on its own before it goes near the rest, and never use that water.",
+  "kit.warn.alcoholTitle": "No alcohol",
+  "kit.warn.alcohol": "{names} reacts with alcohol for up to three days. Leave out the wine {wine} usually gets, and serve no alcohol with the meal.",
+  "kit.warn.timingTitle": "Cooking times differ",
+  "kit.warn.timing": "{fast} is done in moments while {slow} needs longer. Start {slow} first and add {fast} at the end.",
+  "kit.prep.cook": "Must be cooked through",
+  "kit.prep.parboil": "Parboil, discard the water",
+  "kit.prep.noAlcohol": "Never with alcohol",
+  "kit.prep.raw": "Serve raw",
+  "kit.prep.young": "Young specimens only",
+  "kit.prep.sameDay": "Cook the day it is picked",
+  "kit.prep.capsOnly": "Caps only",
+  "kit.prep.trim": "Trim off the inedible parts",
+  "kit.prep.peel": "Peel the cap skin",
+  "kit.prep.clean": "Clean thoroughly",
+  "kit.prep.limit": "Small, occasional portions",
+  "kit.prep.tryFirst": "Try a small amount first",
+  "kit.tex.meaty": "meaty",
+  "kit.tex.firm": "firm",
+  "kit.tex.tender": "tender",
+  "kit.tex.delicate": "delicate",
+  "kit.tex.chewy": "chewy",
+  "kit.tex.crisp": "crisp",
+  "kit.tex.soft": "soft",
+  "kit.tex.gelatinous": "gelatinous",
+  "kit.fl.mild": "mild",
+  "kit.fl.nutty": "nutty",
+  "kit.fl.earthy": "earthy",
+  "kit.fl.umami": "umami",
+  "kit.fl.fruity": "fruity",
+  "kit.fl.smoky": "smoky",
+  "kit.fl.seafood": "seafood",
+  "kit.fl.spicy": "spicy",
+  "kit.fl.sweet": "sweet",
+  "kit.fl.sour": "sour",
+  "kit.fl.garlic": "garlicky",
+  "kit.fl.musky": "musky",
+  "kit.fl.peppery": "peppery",
+  "kit.fl.aniseed": "aniseed",
+  "kit.pair.butter": "butter",
+  "kit.pair.cream": "cream",
+  "kit.pair.eggs": "eggs",
+  "kit.pair.cheese": "cheese",
+  "kit.pair.garlic": "garlic",
+  "kit.pair.herbs": "herbs",
+  "kit.pair.ginger": "ginger",
+  "kit.pair.chilli": "chilli",
+  "kit.pair.soy": "soy",
+  "kit.pair.stock": "stock",
+  "kit.pair.wine": "wine",
+  "kit.pair.pasta": "pasta",
+  "kit.pair.rice": "rice",
+  "kit.pair.potatoes": "potatoes",
+  "kit.pair.corn": "corn",
+  "kit.pair.meat": "meat",
+  "kit.pair.game": "game",
+  "kit.pair.poultry": "poultry",
+  "kit.pair.fish": "fish",
+  "kit.pair.fruit": "fruit",
+  "kit.pair.honey": "honey",
+  "kit.how.saute": "sauté",
+  "kit.how.stirfry": "stir-fry",
+  "kit.how.fry": "fry",
+  "kit.how.grill": "grill",
+  "kit.how.roast": "roast",
+  "kit.how.bake": "bake",
+  "kit.how.braise": "braise",
+  "kit.how.soup": "soup",
+  "kit.how.steam": "steam",
+  "kit.how.raw": "raw",
+  "kit.how.infuse": "infuse",
+  "kit.how.steep": "steep as tea",
+  "kit.how.dessert": "dessert",
+  "kit.keep.dry": "dry",
+  "kit.keep.powder": "powder",
+  "kit.keep.freeze": "freeze",
+  "kit.keep.cookFreeze": "cook, then freeze",
+  "kit.keep.pickle": "pickle",
+  "kit.keep.oil": "in oil",
+  "kit.keep.fresh": "eat fresh",
+  "journal.tool": "Journal",
+  "journal.title": "Foraging journal",
+  "journal.close": "Close journal",
+  "journal.log": "Find",
+  "journal.logTitle": "Log a find of this species",
+  "journal.pin": "Your find",
+  "journal.pill": {
+   "one": "📍 {n} find",
+   "other": "📍 {n} finds"
+  },
+  "journal.new": "Log a find",
+  "journal.editing": "Edit find",
+  "journal.find": "Species – type a name…",
+  "journal.unpick": "Choose another species than {name}",
+  "journal.date": "Date",
+  "journal.lat": "Latitude",
+  "journal.lng": "Longitude",
+  "journal.by": "Found by",
+  "journal.photos": "Photos",
+  "journal.notes": "Notes",
+  "journal.exifHint": "Position and date are read from the photos when they carry them.",
+  "journal.exifRead": "Read from the photo: {what}",
+  "journal.exifPosition": "position",
+  "journal.exifDate": "date",
+  "journal.removePhoto": "Remove photo",
+  "journal.save": "Save find",
+  "journal.update": "Save changes",
+  "journal.cancel": "Cancel edit",
+  "journal.err.species": "Pick the species first.",
+  "journal.err.date": "Enter the date of the find.",
+  "journal.err.coords": "Give both latitude (−90 to 90) and longitude (−180 to 180) as decimal degrees, or neither.",
+  "journal.saved": "{name} saved to the journal.",
+  "journal.updated": "{name} updated.",
+  "journal.confirmDelete": "Delete the find of {name} from {date}, with its photos?",
+  "journal.allFinds": "All finds",
+  "journal.findsOf": "Finds of {name}",
+  "journal.showAll": "Show all",
+  "journal.noPosition": "no position",
+  "journal.foundBy": "found by {name}",
+  "journal.edit": "Edit",
+  "journal.delete": "Delete",
+  "journal.empty": "No finds logged yet",
+  "journal.memoryOnly": "This browser offers no local database here: finds are kept until the page is closed. Export them to keep them.",
+  "journal.count": {
+   "one": "{n} of {total} find",
+   "other": "{n} of {total} finds"
+  },
+  "journal.import": "Import JSON…",
+  "journal.export": "Export JSON →",
+  "journal.importBad": "{file} is not a journal export.",
+  "journal.imported": "Imported: {added} new, {updated} updated, {skipped} unchanged or unreadable.",
+  "gallery.tool": "Photos",
+  "gallery.title": "Your photos of this species",
+  "gallery.of": "Photos · {name}",
+  "gallery.close": "Close photos",
+  "gallery.add": "Add photos…",
+  "gallery.view": "Full screen →",
+  "gallery.count": {
+   "one": "{n} of your own",
+   "other": "{n} of your own"
+  },
+  "gallery.bundled": "Compendium photo",
+  "gallery.caption": "Caption",
+  "gallery.creditLabel": "Credit",
+  "gallery.date": "Date",
+  "gallery.credit": "© {name}",
+  "gallery.up": "Move earlier",
+  "gallery.down": "Move later",
+  "gallery.cover": "Cover photo",
+  "gallery.remove": "Remove photo",
+  "gallery.confirmRemove": "Remove this photo from the gallery?",
+  "lightbox.prev": "Previous photo",
+  "lightbox.next": "Next photo",
+  "lightbox.fit": "Fit to screen",
+  "lightbox.close": "Close",
+  "credit.unknown": "Unknown author",
+  "credit.noLicence": "licence unknown",
+  "credit.source": "Source"
+ }
+};
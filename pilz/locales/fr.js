@@ -0,0 +1,1185 @@
+/* generated by build.js from locales/fr.json — Français UI strings and translated content; what is missing falls back to English */
+var LOCALES = LOCALES || {};
+LOCALES["fr"] = {
+ "name": "Français",
+ "ui": {
+  "app.title": "Le Compendium des champignons",
+  "app.docTitle": "Le Compendium des champignons · {n} espèces",
+  "lang.title": "Langue",
+  "menu.back": "Retour au menu",
+  "menu.lede": "{n} champignons · Choisissez votre voie",
+  "menu.for": "Pour les",
+  "menu.chefs.title": "Chefs",
+  "menu.chefs.desc": "Les plus savoureux d'abord. Conseils de cuisine, où cueillir, comment cuisiner.",
+  "menu.chefs.cta": "Entrer en cuisine →",
+  "menu.controleurs.title": "Contrôleurs",
+  "menu.controleurs.desc": "Classés par toxicité et danger. Symptômes, antidotes, délais de traitement, conduite à tenir.",
+  "menu.controleurs.cta": "Entrer au triage →",
+  "menu.nerds.title": "Curieux",
+  "menu.nerds.desc": "Classés par densité de faits. La biologie la plus étrange, la science la plus surprenante.",
+  "menu.nerds.cta": "Entrer au labo →",
+  "menu.key.title": "Cueilleurs",
+  "menu.key.desc": "Identifiez ce que vous tenez. Lames, spores, anneau, volve, milieu — pas à pas jusqu'à une courte liste.",
+  "menu.key.cta": "Lancer la clé →",
+  "menu.quiz.title": "Apprentis",
+  "menu.quiz.desc": "Cartes de révision à répétition espacée. Nommez, classez — les mortels reviennent jusqu'à ce que vous les connaissiez.",
+  "menu.quiz.cta": "Commencer l'entraînement →",
+  "menu.custom.title": "Bricoleurs",
+  "menu.custom.desc": "Votre propre ordre : par nom, nom scientifique, aire de répartition, toxicité ou taxonomie — ou un mélange pondéré des notes chef, danger et nerd.",
+  "menu.custom.cta": "Composer un ordre →",
+  "menu.skip": "ou parcourir les {n} dans l'ordre →",
+  "mode.chefs": "Pour les chefs",
+  "mode.controleurs": "Pour les contrôleurs",
+  "mode.nerds": "Pour les curieux",
+  "mode.key": "Clé de terrain",
+  "mode.quiz": "Entraînement",
+  "mode.custom": "Ordre perso",
+  "nav.prev": "Précédent",
+  "nav.next": "Suivant",
+  "nav.play": "Lecture/Pause",
+  "nav.back": "← Retour",
+  "a11y.carousel": "carrousel",
+  "a11y.species": "Espèces",
+  "a11y.slide": "diapositive",
+  "a11y.now": "{i} sur {total} : {name} ({sci}). Comestibilité : {e}. Toxicité : {sev}.",
+  "a11y.compare": "Contrôle des sosies : {a} et {b}. Risque : {sev}.",
+  "a11y.photo": "Photo de {name} ({sci})",
+  "a11y.ownPhoto": "Votre photo de {name}",
+  "a11y.quizPhoto": "Photo du champignon à identifier",
+  "e.choice": "excellent",
+  "e.edible": "comestible",
+  "e.medicinal": "médicinal",
+  "e.psychoactive": "psychoactif",
+  "e.symbiont": "symbiote",
+  "e.inedible": "non comestible",
+  "e.toxic": "toxique",
+  "e.deadly": "mortel",
+  "e.pathogenic": "pathogène",
+  "e.extinct": "éteint",
+  "sev.none": "aucune",
+  "sev.mild": "légère",
+  "sev.severe": "grave",
+  "sev.deadly": "mortelle",
+  "region.WW": "Monde entier",
+  "region.NA": "Amérique du Nord",
+  "region.SA": "Amérique du Sud",
+  "region.EU": "Europe",
+  "region.AF": "Afrique",
+  "region.AS": "Asie",
+  "region.OC": "Océanie",
+  "region.short.NA": "Am. du Nord",
+  "region.short.SA": "Am. du Sud",
+  "region.short.EU": "Europe",
+  "region.short.AF": "Afrique",
+  "region.short.AS": "Asie",
+  "region.short.OC": "Océanie",
+  "range.global": "mondiale",
+  "range.countries": {
+   "one": "{n} pays",
+   "other": "{n} pays"
+  },
+  "range.regions": {
+   "one": "{n} région",
+   "other": "{n} régions"
+  },
+  "slide.fact": "FAIT",
+  "slide.habitat": "Milieu",
+  "slide.noImage": "PAS D'IMAGE",
+  "slide.notCached": "Non enregistrée · visible de retour en ligne",
+  "details.edibility": "Comestibilité",
+  "details.taste": "Goût",
+  "details.search": "Où chercher",
+  "details.toxicity": "Toxicité",
+  "details.symptoms": "Symptômes",
+  "details.onset": "Incubation",
+  "details.window": "Délai",
+  "details.antidote": "Antidote",
+  "enrich.chef": "CONSEIL DU CHEF",
+  "enrich.chefScore": "SAVEUR",
+  "enrich.chefFallback": "Vaut la cuisson — voir les notes de comestibilité ci-dessous.",
+  "enrich.chefNone": "Pas pour la cuisine.",
+  "enrich.controleur": "URGENCE",
+  "enrich.controleurScore": "DANGER",
+  "enrich.remedyFallback": "Voir le panneau de toxicité ci-dessous.",
+  "enrich.nerd": "FAIT BONUS",
+  "enrich.nerdScore": "CURIOSITÉ",
+  "map.title": "RÉPARTITION",
+  "map.zoomIn": "Zoom avant",
+  "map.zoomOut": "Zoom arrière",
+  "map.reset": "Réinitialiser la carte",
+  "map.recorded": "Signalé",
+  "map.notRecorded": "Non signalé",
+  "lookalike.title": "Sosies",
+  "lookalike.compare": "Comparer →",
+  "lookalike.check": "CONTRÔLE DES SOSIES",
+  "lookalike.howToTell": "Comment distinguer",
+  "offline.ready": "Hors ligne · {size}",
+  "offline.busy": "{done}/{total} · {bytes} sur {size}",
+  "offline.failed": "{failed} échecs · réessayer",
+  "offline.save": "Enregistrer hors ligne · {left}",
+  "offline.readyTitle": "Toutes les images sont enregistrées sur cet appareil",
+  "offline.title": "{done} images sur {total} enregistrées sur cet appareil ({bytes} sur {size})",
+  "search.title": "Rechercher et filtrer",
+  "search.tool": "Recherche",
+  "search.placeholder": "Rechercher noms, faits, milieux, symptômes…",
+  "search.close": "Fermer la recherche",
+  "search.clear": "Tout effacer",
+  "search.alpha": "A–Z",
+  "search.alphaTitle": "Trier la liste par nom",
+  "search.apply": "Voir les résultats →",
+  "search.none": "Aucune espèce ne correspond",
+  "filter.edit": "Modifier le filtre",
+  "filter.clear": "Effacer le filtre",
+  "filter.chip": "Filtre · {n}",
+  "filter.ids": {
+   "one": "{n} espèce des statistiques",
+   "other": "{n} espèces des statistiques"
+  },
+  "facet.e": "Comestibilité",
+  "facet.cat": "Catégorie",
+  "facet.r": "Région",
+  "facet.sev": "Toxicité",
+  "facet.clade": "Clade",
+  "facet.ids": "Sélection",
+  "field.name": "nom",
+  "field.sci": "sci.",
+  "field.tag": "devise",
+  "field.fact": "fait",
+  "field.habitat": "milieu",
+  "field.range": "répartition",
+  "field.edibility": "comestibilité",
+  "field.taste": "goût",
+  "field.search": "recherche",
+  "field.toxicity": "toxicité",
+  "field.chef": "chef",
+  "field.remedy": "urgence",
+  "field.bonus": "bonus",
+  "field.recipe": "recette",
+  "key.title": "Clé d'identification",
+  "key.tool": "Clé",
+  "key.close": "Fermer la clé",
+  "key.show": "Voir les candidats →",
+  "key.result": "Résultat",
+  "key.step": "Étape {n} sur {total}",
+  "key.candidates": {
+   "one": "{n} candidat",
+   "other": "{n} candidats"
+  },
+  "key.noMatch": "Aucun résultat",
+  "key.nothing": "Aucune espèce du compendium ne correspond à toutes les réponses. Revenez en arrière et répondez « pas sûr » là où vous avez hésité.",
+  "key.left": "{n} RESTANTS",
+  "key.unsure": "Pas sûr — passer",
+  "key.deadlyTitle": "⚠ Des espèces mortelles restent possibles",
+  "key.deadly": {
+   "one": "{names} fait partie des candidats. Ne mangez jamais un champignon identifié avec cette seule clé.",
+   "other": "{names} font partie des candidats. Ne mangez jamais un champignon identifié avec cette seule clé."
+  },
+  "key.hymenium.q": "Qu'y a-t-il sous le chapeau ?",
+  "key.hymenium.hint": "Retournez-le. Les lames sont fines ; les plis sont épais, peu profonds et fourchus.",
+  "key.hymenium.gills": "Des lames",
+  "key.hymenium.pores": "Des pores ou des tubes",
+  "key.hymenium.teeth": "Des aiguillons",
+  "key.hymenium.ridges": "Des plis épais et fourchus",
+  "key.hymenium.folds": "Des alvéoles ou des replis cérébriformes",
+  "key.hymenium.coral": "Des rameaux en corail",
+  "key.hymenium.smooth": "Pas de chapeau : coupe, massue, croûte ou gelée",
+  "key.hymenium.enclosed": "Boule fermée ou tubercule",
+  "key.spore.q": "De quelle couleur est la sporée ?",
+  "key.spore.hint": "Posez le chapeau, lames vers le bas, sur du papier blanc et noir pendant quelques heures.",
+  "key.spore.white": "Blanche",
+  "key.spore.cream": "Crème à jaunâtre",
+  "key.spore.pink": "Rose",
+  "key.spore.rusty": "Brun rouille",
+  "key.spore.brown": "Brune",
+  "key.spore.purple-brown": "Brun pourpre",
+  "key.spore.black": "Noire",
+  "key.ring.q": "Le pied porte-t-il un anneau ?",
+  "key.ring.hint": "Une jupe ou une bande de tissu laissée par le voile partiel — parfois discrète ou mobile.",
+  "key.ring.true": "Oui, un anneau",
+  "key.ring.false": "Pas d'anneau",
+  "key.volva.q": "Y a-t-il une volve en forme de sac à la base ?",
+  "key.volva.hint": "Déterrez le champignon entier. Ne le coupez jamais au ras du sol — la volve reste enterrée.",
+  "key.volva.true": "Oui, un sac ou une coupe",
+  "key.volva.false": "Pas de volve",
+  "key.habitat.q": "Où pousse-t-il ?",
+  "key.habitat.hint": "Le bois comprend les racines enterrées et les souches ; regardez sous la mousse.",
+  "key.habitat.wood": "Sur du bois",
+  "key.habitat.soil": "Sur le sol forestier",
+  "key.habitat.grass": "Dans l'herbe, une pelouse ou un pré",
+  "key.habitat.dung": "Sur du fumier",
+  "key.habitat.host": "Sur un insecte, une plante ou un champignon vivant",
+  "key.habitat.underground": "Sous terre",
+  "key.season.q": "En quelle saison sommes-nous ?",
+  "key.season.hint": "Votre saison locale — la clé ne tient pas compte de l'hémisphère.",
+  "key.season.spring": "Printemps",
+  "key.season.summer": "Été",
+  "key.season.autumn": "Automne",
+  "key.season.winter": "Hiver",
+  "key.region.q": "Où êtes-vous dans le monde ?",
+  "key.region.hint": "Les espèces présentes dans le monde entier restent toujours dans la sélection.",
+  "cal.title": "Calendrier de fructification",
+  "cal.close": "Fermer le calendrier",
+  "cal.first": "De saison d'abord",
+  "cal.apply": "Appliquer →",
+  "cal.season": "Saison",
+  "cal.inSeason": "De saison · {season}",
+  "cal.everywhere": "Partout",
+  "cal.count": "{n} de saison · {season}",
+  "cal.note": "Les périodes valent pour les régions tempérées ; la météo locale les décale de plusieurs semaines.",
+  "cal.noteRegion": "Les périodes valent pour les régions tempérées ({region}) ; la météo locale les décale de plusieurs semaines.",
+  "cal.fruits": "Fructifie",
+  "cal.north": "Nord",
+  "cal.south": "Sud",
+  "cal.noFruit": "Ne forme pas de fructifications",
+  "taxa.title": "Arbre taxonomique",
+  "taxa.tool": "Taxonomie",
+  "taxa.close": "Fermer l’arbre taxonomique",
+  "taxa.all": "Toute la collection",
+  "taxa.expand": "Tout déplier",
+  "taxa.collapse": "Tout replier",
+  "taxa.count": "{n} espèces dans {clade}",
+  "taxa.countAll": "{n} espèces · choisissez un clade pour n’afficher que lui",
+  "taxa.rank.kingdom": "Règne",
+  "taxa.rank.phylum": "Division",
+  "taxa.rank.class": "Classe",
+  "taxa.rank.order": "Ordre",
+  "taxa.rank.family": "Famille",
+  "taxa.rank.genus": "Genre",
+  "order.title": "Ordre personnalisé",
+  "order.tool": "Ordre",
+  "order.close": "Fermer l’ordre personnalisé",
+  "order.by": "Trier par",
+  "order.dir": "Sens",
+  "order.by.blend": "Mélange de notes",
+  "order.by.name": "Nom",
+  "order.by.sci": "Nom scientifique",
+  "order.by.regions": "Aire de répartition",
+  "order.by.severity": "Toxicité",
+  "order.by.taxonomy": "Taxonomie",
+  "order.az": "A → Z",
+  "order.za": "Z → A",
+  "order.high": "Le plus haut d’abord",
+  "order.low": "Le plus bas d’abord",
+  "order.reset": "Réinitialiser",
+  "order.apply": "Trier ainsi →",
+  "order.count": "Les {n} espèces dans cet ordre",
+  "order.noWeights": "Donnez un poids à au moins une note",
+  "order.blendScore": "mélangé",
+  "order.continents": "continents",
+  "table.title": "Tableau de la collection",
+  "table.tool": "Tableau",
+  "table.close": "Fermer le tableau",
+  "table.filter": "Filtrer les lignes…",
+  "table.columns": "Colonnes",
+  "table.reset": "Réinitialiser colonnes et tri",
+  "table.csv": "CSV ↓",
+  "table.json": "JSON ↓",
+  "table.none": "Aucune espèce ne correspond",
+  "table.count": "{n} espèces sur {total}",
+  "table.col.n": "N°",
+  "table.col.name": "Nom",
+  "table.col.sci": "Nom scientifique",
+  "table.col.cat": "Catégorie",
+  "table.col.e": "Comestibilité",
+  "table.col.severity": "Toxicité",
+  "table.col.regions": "Aire de répartition",
+  "table.col.images": "Photos",
+  "stats.title": "Statistiques",
+  "stats.tool": "Stats",
+  "stats.close": "Fermer les statistiques",
+  "stats.edibility": "Classes de comestibilité",
+  "stats.severity": "Toxicité par continent",
+  "stats.severityNote": "Espèces par toxicité sur chaque continent de leur aire ; une espèce cosmopolite compte sur chaque continent.",
+  "stats.categories": "Catégories",
+  "stats.categoriesNote": "Espèces par catégorie, réparties par comestibilité.",
+  "stats.scores": "Note chef × note nerd",
+  "stats.chefScore": "Note chef",
+  "stats.nerdScore": "Note nerd",
+  "stats.corr": "r de Pearson = {r} sur {n} espèces : {desc}. Chaque bulle est une paire de notes.",
+  "stats.corr.none": "aucune relation linéaire",
+  "stats.corr.weak": "une relation {dir} faible",
+  "stats.corr.moderate": "une relation {dir} modérée",
+  "stats.corr.strong": "une relation {dir} forte",
+  "stats.positive": "positive",
+  "stats.negative": "négative",
+  "stats.heatmap": "Toxicité × région",
+  "stats.heatmapNote": "Part des espèces de chaque continent à chaque niveau de toxicité.",
+  "stats.row": {
+   "one": "{label} : {n} espèce",
+   "other": "{label} : {n} espèces"
+  },
+  "stats.seg": {
+   "one": "{label} · {part} : {n} espèce",
+   "other": "{label} · {part} : {n} espèces"
+  },
+  "stats.bubble": "Chef {x}, nerd {y} : {names}",
+  "stats.cell": {
+   "one": "{region} · {part} : {n} espèce, {pct} %",
+   "other": "{region} · {part} : {n} espèces, {pct} %"
+  },
+  "stats.sources": "{n} espèces · {details} avec détails · {extras} avec leurs propres notes",
+  "edit.title": "✎ Édition",
+  "edit.region": "Éditeur",
+  "edit.none": "Aucune modification",
+  "edit.count": {
+   "one": "{n} modification",
+   "other": "{n} modifications"
+  },
+  "edit.englishOnly": "Les modifications vont dans les sources anglaises.",
+  "edit.toEnglish": "Passer en anglais",
+  "edit.changes": "Modifications",
+  "edit.export": "Exporter le patch ↓",
+  "edit.done": "Terminé",
+  "edit.diffTitle": "Modifications du brouillon",
+  "edit.closeDiff": "Fermer les modifications",
+  "edit.empty": "Rien de modifié pour l’instant. Cliquez sur un texte d’une diapositive pour le modifier.",
+  "edit.revert": "Rétablir",
+  "edit.discard": "Tout abandonner",
+  "edit.confirmDiscard": {
+   "one": "Abandonner {n} modification du brouillon ?",
+   "other": "Abandonner les {n} modifications du brouillon ?"
+  },
+  "edit.exported": "À appliquer avec : node build.js --apply {file}",
+  "edit.name": "Nom",
+  "edit.sci": "Nom scientifique",
+  "edit.tag": "Accroche",
+  "edit.added": "Nouvelle espèce",
+  "edit.remove": "Retirer",
+  "edit.confirmRemove": "Retirer {name} et ses modifications du brouillon ?",
+  "add.open": "＋ Espèce",
+  "add.title": "Nouvelle espèce",
+  "add.close": "Fermer la nouvelle espèce",
+  "add.intro": "Elle reçoit le numéro {n} et un dossier d’images vide images/{n}/ pour ses photos. Tous les textes sont du texte source anglais ; les champs non marqués facultatifs sont obligatoires.",
+  "add.species": "Espèce",
+  "add.newCat": "＋ Nouvelle catégorie…",
+  "add.catId": "Nouvelle catégorie",
+  "add.catColor": "Couleur de la catégorie",
+  "add.ck": "Clé",
+  "add.col": "Couleur propre (facultatif)",
+  "add.countries": "Pays (codes ISO)",
+  "add.notes": "Notes de terrain",
+  "add.noSyndrome": "— aucun",
+  "add.onsetHours": "Début, heures après le repas",
+  "add.from": "de",
+  "add.to": "à",
+  "add.windowHours": "Traiter dans les, heures",
+  "add.modes": "Modes",
+  "add.cancel": "Annuler",
+  "add.save": "Ajouter l’espèce →",
+  "add.added": "{name} ajoutée sous le numéro {n}.",
+  "add.err.catTaken": "{id} existe déjà — choisissez-la dans la liste",
+  "add.err.country": "{code} n’est pas un code de pays",
+  "add.err.ww": "Monde entier couvre déjà toutes les autres régions",
+  "add.err.deadly": "une espèce mortelle doit avoir une toxicité mortelle",
+  "add.err.toxic": "une espèce « {e} » ne peut pas avoir la toxicité « aucune »",
+  "add.err.hours": "« à » est avant « de »",
+  "quiz.type.name": "Nom commun",
+  "quiz.type.sci": "Nom scientifique",
+  "quiz.type.e": "Comestibilité",
+  "quiz.q.name": "Comment s'appelle ce champignon ?",
+  "quiz.q.sci": "Quel est son nom scientifique ?",
+  "quiz.q.e": "Comment est-il classé ?",
+  "quiz.meta": "{type} · {due} à revoir · {n} réponses",
+  "quiz.right": "✓ Correct",
+  "quiz.wrong": "✗ Pas tout à fait",
+  "quiz.deadly": "⚠ Mortel. Cette carte reviendra plus souvent jusqu'à ce qu'elle soit acquise.",
+  "quiz.lookalikes": "Sosies connus : {a} et {b}",
+  "quiz.progress": "Progression",
+  "quiz.next": "Suivant →",
+  "quiz.noTrainee": "Choisissez un apprenti ou ajoutez-en un. La progression n'est enregistrée que dans ce navigateur.",
+  "quiz.chooseTrainee": "Choisir un apprenti →",
+  "quiz.emptyDeck": "Aucune espèce avec photos ne correspond au filtre actuel.",
+  "quiz.settings": "Modifier les réglages →",
+  "quiz.progressTitle": "Progression de l'entraînement",
+  "quiz.closeProgress": "Fermer la progression",
+  "quiz.start": "Commencer l'entraînement →",
+  "quiz.trainee": "Apprenti",
+  "quiz.newTrainee": "Nouvel apprenti…",
+  "quiz.add": "Ajouter",
+  "quiz.askFor": "Demander",
+  "quiz.pickTrainee": "Choisissez un apprenti ci-dessus.",
+  "quiz.addTrainee": "Ajoutez un apprenti pour commencer. Chacun a son propre calendrier et ses statistiques, enregistrés dans ce navigateur.",
+  "quiz.tile.seen": "cartes vues",
+  "quiz.tile.due": "à revoir",
+  "quiz.tile.mastered": "acquises (≥{n} j)",
+  "quiz.tile.recent": {
+   "one": "dernière réponse",
+   "other": "{n} dernières réponses"
+  },
+  "quiz.tile.streak": {
+   "one": "jour d'affilée",
+   "other": "jours d'affilée"
+  },
+  "quiz.days": "Réponses · 14 derniers jours",
+  "quiz.byType": "Par question · justes / acquises",
+  "quiz.byClass": "Précision par comestibilité",
+  "quiz.missed": "Les plus ratées",
+  "quiz.lapses": "{n}× ratée",
+  "quiz.barTitle": "{right}/{n} justes",
+  "quiz.barNote": "{pct} % · {n} vues",
+  "quiz.delete": "Supprimer la progression de {name}",
+  "quiz.confirmDelete": "Supprimer toute la progression de {name} ?",
+  "quiz.count": "{due} à revoir · {n} nouvelles",
+  "print.title": "Imprimer le guide de terrain",
+  "print.tool": "Imprimer",
+  "print.bar": "Guide de terrain · {n} espèces",
+  "print.go": "Imprimer / enregistrer en PDF",
+  "print.close": "Fermer l'aperçu",
+  "print.sub": "Mycelia · Guide de terrain",
+  "print.species": {
+   "one": "{n} espèce",
+   "other": "{n} espèces"
+  },
+  "print.inOrder": "dans l'ordre du compendium",
+  "print.date": "Imprimé le {date}",
+  "print.warn": "Ne mangez jamais un champignon sauvage identifié à l'aide d'un imprimé seul. Faites vérifier chaque cueillette par un spécialiste local (pharmacien, mycologue) ; en cas d'intoxication, appelez immédiatement le 15 ou un centre antipoison.",
+  "print.noPhoto": "Pas de photo",
+  "print.number": "compendium n° {n}",
+  "print.index": "Index",
+  "print.byName": "Par nom commun",
+  "print.bySci": "Par nom scientifique",
+  "triage.tool": "Triage",
+  "triage.title": "Triage des intoxications",
+  "triage.close": "Fermer le triage",
+  "triage.start": "Lancer le triage →",
+  "triage.species": "Espèces suspectées",
+  "triage.find": "Saisir un nom…",
+  "triage.drop": "Retirer {name}",
+  "triage.signs": "Symptômes",
+  "triage.hours": "Heures depuis le repas",
+  "triage.onset": "Symptômes apparus après (h)",
+  "triage.unknown": "inconnu",
+  "triage.noneYet": "pas encore",
+  "triage.clear": "Recommencer",
+  "triage.export": "Résumé pour l'équipe médicale →",
+  "triage.empty": "Choisissez une espèce ou un symptôme pour commencer.",
+  "triage.count": {
+   "one": "{n} syndrome",
+   "other": "{n} syndromes"
+  },
+  "triage.perSpecies": "Par espèce",
+  "triage.syndromes": "Syndromes correspondants",
+  "triage.noSyndrome": "Aucun syndrome ne correspond pour l'instant.",
+  "triage.syndrome": "Syndrome",
+  "triage.remedy": "Conduite à tenir",
+  "triage.toxins": "Toxines",
+  "triage.typical": "début {range}",
+  "triage.inGuide": "Dans ce guide",
+  "triage.why.species": "causé par {names}",
+  "triage.why.signs": "{n} signes sur {total}",
+  "triage.why.fits": "délai compatible",
+  "triage.why.early": "début plus précoce que d'habitude",
+  "triage.why.late": "début plus tardif que d'habitude",
+  "triage.win.none": "Aucune fenêtre thérapeutique critique connue",
+  "triage.win.within": "Le traitement est le plus efficace dans les {w} suivant le repas",
+  "triage.win.open": "Dans la fenêtre thérapeutique — encore {left}",
+  "triage.win.closing": "La fenêtre thérapeutique se referme — encore {left}",
+  "triage.win.past": "Fenêtre thérapeutique dépassée depuis {over} — se faire soigner quand même tout de suite",
+  "triage.pending": "L'absence de symptômes est normale : ils apparaissent en général après {at}. Ne pas les attendre.",
+  "triage.lateTitle": "Symptômes apparus {h} après le repas",
+  "triage.late": "Début 6 h ou plus après un repas de champignons : traiter comme une intoxication à l'amatoxine ou à l'orellanine jusqu'à preuve du contraire. Aller à l'hôpital maintenant avec les restes, épluchures ou photos.",
+  "triage.sheet.bar": "Résumé de triage · une page",
+  "triage.sheet.sub": "Résumé pour l'équipe médicale",
+  "triage.sheet.title": "Suspicion d'intoxication par champignons",
+  "triage.sheet.made": "Établi le {date}",
+  "triage.sheet.meal": "Repas",
+  "triage.sheet.eaten": "vers {time} (il y a {h})",
+  "triage.sheet.mealUnknown": "heure inconnue",
+  "triage.sheet.onset": "Début",
+  "triage.sheet.began": "symptômes apparus {h} après le repas",
+  "triage.sheet.noSymptoms": "aucun symptôme signalé pour l'instant",
+  "triage.sheet.unknown": "non identifiée",
+  "triage.sheet.notes": "Notes — patient, quantité consommée, autres convives, restes conservés",
+  "triage.sheet.warn": "Établi par un guide de terrain d'après les informations données — ce n'est pas un diagnostic. Contactez votre centre antipoison et conservez les restes pour l'identification.",
+  "triage.lookup": "Espèces avec ces symptômes →",
+  "unit.min": "{n} min",
+  "unit.h": "{n} h",
+  "unit.d": "{n} j",
+  "sx.tool": "Symptômes",
+  "sx.title": "Recherche par symptômes",
+  "sx.close": "Fermer la recherche par symptômes",
+  "sx.onset": "Début",
+  "sx.empty": "Choisissez les symptômes observés et quand ils ont commencé",
+  "sx.none": "Aucune espèce du guide ne cause ces symptômes",
+  "sx.match": "{pct} %",
+  "sx.profile": "Profil de symptômes",
+  "onset.fast": "moins de 2 h",
+  "onset.hours": "2 à 6 h",
+  "onset.delayed": "6 à 24 h",
+  "onset.days": "après un jour ou plus",
+  "kit.tool": "Cuisine",
+  "kit.title": "Cuisine",
+  "kit.close": "Fermer la cuisine",
+  "kit.card": "Fiche recette →",
+  "kit.found": "Votre cueillette",
+  "kit.find": "Tapez un nom…",
+  "kit.drop": "Retirer {name} du panier",
+  "kit.picks": "De saison en {month}",
+  "kit.clear": "Vider le panier",
+  "kit.empty": "Ajoutez votre cueillette pour voir les fiches recettes et savoir si tout peut aller dans la même poêle",
+  "kit.count": {
+   "one": "{n} sur {total} pour la cuisine",
+   "other": "{n} sur {total} pour la cuisine"
+  },
+  "kit.together": "Les cuisiner ensemble",
+  "kit.cards": "Fiches recettes",
+  "kit.apart": "Aucune cuisson ne convient à tous – cuisinez-les séparément",
+  "kit.rules": "Règles",
+  "kit.texture": "Texture",
+  "kit.flavour": "Saveur",
+  "kit.pairings": "Se marie avec",
+  "kit.methods": "Cuisson",
+  "kit.preserve": "Conservation",
+  "kit.season": "Saison",
+  "kit.yearRound": "Toute l’année – aussi cultivé",
+  "kit.inSeason": "De saison ({month})",
+  "kit.outOfSeason": "Hors saison en {month}",
+  "kit.warn.deadlyTitle": "{name} est mortel",
+  "kit.warn.deadly": "Jetez tout le panier et lavez-vous les mains – des miettes sur les autres champignons suffisent à empoisonner.",
+  "kit.warn.outTitle": "{name} n’est pas pour la cuisine",
+  "kit.warn.out": "Classé {e}. Écartez-le et gardez-le à part du reste.",
+  "kit.warn.rawTitle": "Cru et cuit",
+  "kit.warn.raw": "{raw} se sert cru – la chaleur tue l’arôme –, mais {cooked} doit être bien cuit. Cuisez d’abord, puis râpez {raw} à la fin.",
+  "kit.warn.parboilTitle": "Blanchir à part",
+  "kit.warn.parboil": "{names} doit être blanchi et l’eau jetée. Blanchissez-le seul avant qu’il ne rejoigne le reste, et n’utilisez jamais cette eau.",
+  "kit.warn.alcoholTitle": "Pas d’alcool",
+  "kit.warn.alcohol": "{names} réagit avec l’alcool jusqu’à trois jours. Supprimez le vin qui accompagne d’habitude {wine} et ne servez pas d’alcool avec le repas.",
+  "kit.warn.timingTitle": "Temps de cuisson différents",
+  "kit.warn.timing": "{fast} cuit en un instant, {slow} demande plus longtemps. Commencez par {slow} et ajoutez {fast} à la fin.",
+  "kit.prep.cook": "À bien cuire",
+  "kit.prep.parboil": "Blanchir, jeter l’eau",
+  "kit.prep.noAlcohol": "Jamais avec de l’alcool",
+  "kit.prep.raw": "Servir cru",
+  "kit.prep.young": "Jeunes exemplaires seulement",
+  "kit.prep.sameDay": "À cuisiner le jour de la cueillette",
+  "kit.prep.capsOnly": "Chapeaux seulement",
+  "kit.prep.trim": "Retirer les parties non comestibles",
+  "kit.prep.peel": "Peler la cuticule",
+  "kit.prep.clean": "Bien nettoyer",
+  "kit.prep.limit": "Petites portions, rarement",
+  "kit.prep.tryFirst": "Goûter d’abord une petite quantité",
+  "kit.tex.meaty": "charnue",
+  "kit.tex.firm": "ferme",
+  "kit.tex.tender": "tendre",
+  "kit.tex.delicate": "délicate",
+  "kit.tex.chewy": "coriace",
+  "kit.tex.crisp": "croquante",
+  "kit.tex.soft": "molle",
+  "kit.tex.gelatinous": "gélatineuse",
+  "kit.fl.mild": "doux",
+  "kit.fl.nutty": "noisette",
+  "kit.fl.earthy": "terreux",
+  "kit.fl.umami": "umami",
+  "kit.fl.fruity": "fruité",
+  "kit.fl.smoky": "fumé",
+  "kit.fl.seafood": "iodé",
+  "kit.fl.spicy": "épicé",
+  "kit.fl.sweet": "sucré",
+  "kit.fl.sour": "acidulé",
+  "kit.fl.garlic": "aillé",
+  "kit.fl.musky": "musqué",
+  "kit.fl.peppery": "poivré",
+  "kit.fl.aniseed": "anisé",
+  "kit.pair.butter": "beurre",
+  "kit.pair.cream": "crème",
+  "kit.pair.eggs": "œufs",
+  "kit.pair.cheese": "fromage",
+  "kit.pair.garlic": "ail",
+  "kit.pair.herbs": "herbes",
+  "kit.pair.ginger": "gingembre",
+  "kit.pair.chilli": "piment",
+  "kit.pair.soy": "soja",
+  "kit.pair.stock": "bouillon",
+  "kit.pair.wine": "vin",
+  "kit.pair.pasta": "pâtes",
+  "kit.pair.rice": "riz",
+  "kit.pair.potatoes": "pommes de terre",
+  "kit.pair.corn": "maïs",
+  "kit.pair.meat": "viande",
+  "kit.pair.game": "gibier",
+  "kit.pair.poultry": "volaille",
+  "kit.pair.fish": "poisson",
+  "kit.pair.fruit": "fruits",
+  "kit.pair.honey": "miel",
+  "kit.how.saute": "poêlé",
+  "kit.how.stirfry": "au wok",
+  "kit.how.fry": "frit",
+  "kit.how.grill": "grillé",
+  "kit.how.roast": "rôti",
+  "kit.how.bake": "au four",
+  "kit.how.braise": "braisé",
+  "kit.how.soup": "soupe",
+  "kit.how.steam": "vapeur",
+  "kit.how.raw": "cru",
+  "kit.how.infuse": "infusé",
+  "kit.how.steep": "en tisane",
+  "kit.how.dessert": "dessert",
+  "kit.keep.dry": "séché",
+  "kit.keep.powder": "en poudre",
+  "kit.keep.freeze": "congelé",
+  "kit.keep.cookFreeze": "cuit puis congelé",
+  "kit.keep.pickle": "au vinaigre",
+  "kit.keep.oil": "à l’huile",
+  "kit.keep.fresh": "à consommer frais",
+  "journal.tool": "Carnet",
+  "journal.title": "Carnet de cueillette",
+  "journal.close": "Fermer le carnet",
+  "journal.log": "Trouvaille",
+  "journal.logTitle": "Noter une trouvaille de cette espèce",
+  "journal.pin": "Votre trouvaille",
+  "journal.pill": {
+   "one": "📍 {n} trouvaille",
+   "other": "📍 {n} trouvailles"
+  },
+  "journal.new": "Noter une trouvaille",
+  "journal.editing": "Modifier la trouvaille",
+  "journal.find": "Espèce – tapez un nom…",
+  "journal.unpick": "Choisir une autre espèce que {name}",
+  "journal.date": "Date",
+  "journal.lat": "Latitude",
+  "journal.lng": "Longitude",
+  "journal.by": "Trouvé par",
+  "journal.photos": "Photos",
+  "journal.notes": "Notes",
+  "journal.exifHint": "La position et la date sont lues dans les photos quand elles les contiennent.",
+  "journal.exifRead": "Lu dans la photo : {what}",
+  "journal.exifPosition": "position",
+  "journal.exifDate": "date",
+  "journal.removePhoto": "Retirer la photo",
+  "journal.save": "Enregistrer",
+  "journal.update": "Enregistrer les modifications",
+  "journal.cancel": "Annuler la modification",
+  "journal.err.species": "Choisissez d’abord l’espèce.",
+  "journal.err.date": "Indiquez la date de la trouvaille.",
+  "journal.err.coords": "Indiquez la latitude (−90 à 90) et la longitude (−180 à 180) en degrés décimaux, ou aucune des deux.",
+  "journal.saved": "{name} enregistré dans le carnet.",
+  "journal.updated": "{name} mis à jour.",
+  "journal.confirmDelete": "Supprimer la trouvaille de {name} du {date}, avec ses photos ?",
+  "journal.allFinds": "Toutes les trouvailles",
+  "journal.findsOf": "Trouvailles : {name}",
+  "journal.showAll": "Tout afficher",
+  "journal.noPosition": "sans position",
+  "journal.foundBy": "trouvé par {name}",
+  "journal.edit": "Modifier",
+  "journal.delete": "Supprimer",
+  "journal.empty": "Aucune trouvaille notée",
+  "journal.memoryOnly": "Ce navigateur n’offre pas de base de données locale ici : les trouvailles sont perdues à la fermeture de la page. Exportez-les pour les garder.",
+  "journal.count": {
+   "one": "{n} trouvaille sur {total}",
+   "other": "{n} trouvailles sur {total}"
+  },
+  "journal.import": "Importer JSON…",
+  "journal.export": "Exporter JSON →",
+  "journal.importBad": "{file} n’est pas un export de carnet.",
+  "journal.imported": "Importé : {added} nouvelles, {updated} mises à jour, {skipped} inchangées ou illisibles.",
+  "gallery.tool": "Photos",
+  "gallery.title": "Vos photos de cette espèce",
+  "gallery.of": "Photos · {name}",
+  "gallery.close": "Fermer les photos",
+  "gallery.add": "Ajouter des photos…",
+  "gallery.view": "Plein écran →",
+  "gallery.count": {
+   "one": "{n} des vôtres",
+   "other": "{n} des vôtres"
+  },
+  "gallery.bundled": "Photo du compendium",
+  "gallery.caption": "Légende",
+  "gallery.creditLabel": "Crédit",
+  "gallery.date": "Date",
+  "gallery.credit": "© {name}",
+  "gallery.up": "Avancer",
+  "gallery.down": "Reculer",
+  "gallery.cover": "Photo de couverture",
+  "gallery.remove": "Retirer la photo",
+  "gallery.confirmRemove": "Retirer cette photo de la galerie ?",
+  "lightbox.prev": "Photo précédente",
+  "lightbox.next": "Photo suivante",
+  "lightbox.fit": "Ajuster à l’écran",
+  "lightbox.close": "Fermer",
+  "credit.unknown": "Auteur inconnu",
+  "credit.noLicence": "licence inconnue",
+  "credit.source": "Source"
+ },
+ "species": {
+  "1": {
+   "name": "Hydnelle de Peck"
+  },
+  "2": {
+   "name": "Ange destructeur"
+  },
+  "3": {
+   "name": "Truffe noire du Périgord"
+  },
+  "4": {
+   "name": "Girolle"
+  },
+  "5": {
+   "name": "Lactaire indigo"
+  },
+  "6": {
+   "name": "Laccaire améthyste"
+  },
+  "7": {
+   "name": "Pleurote rose"
+  },
+  "8": {
+   "name": "Hygrophore perroquet"
+  },
+  "9": {
+   "name": "Entolome bleu ciel"
+  },
+  "10": {
+   "name": "Polypore soufré"
+  },
+  "11": {
+   "name": "Étoile du Texas"
+  },
+  "12": {
+   "name": "Amanite phalloïde"
+  },
+  "13": {
+   "name": "Marasme des Oréades"
+  },
+  "14": {
+   "name": "Réseau mycorhizien"
+  },
+  "15": {
+   "name": "Charbon du maïs (huitlacoche)"
+  },
+  "16": {
+   "name": "Matsutake"
+  },
+  "17": {
+   "name": "Rhodote palmé"
+  },
+  "18": {
+   "name": "Polypore du bouleau"
+  },
+  "19": {
+   "name": "Armillaire couleur de miel"
+  },
+  "20": {
+   "name": "Satyre puant"
+  },
+  "21": {
+   "name": "Coprin chevelu"
+  },
+  "22": {
+   "name": "Galère marginée"
+  },
+  "24": {
+   "name": "Truffe blanche d'Alba"
+  },
+  "25": {
+   "name": "Pleurote citrine"
+  },
+  "26": {
+   "name": "Champignon fantôme"
+  },
+  "27": {
+   "name": "Dame voilée"
+  },
+  "28": {
+   "name": "Urne du diable"
+  },
+  "29": {
+   "name": "Fausse morille"
+  },
+  "30": {
+   "name": "Géastre"
+  },
+  "31": {
+   "name": "Champignon homard"
+  },
+  "32": {
+   "name": "Champignon crête-de-coq"
+  },
+  "33": {
+   "name": "Armillaire obscure"
+  },
+  "34": {
+   "name": "Armillaire sans anneau"
+  },
+  "35": {
+   "name": "Vesse-de-loup géante"
+  },
+  "36": {
+   "name": "Corne d'abondance"
+  },
+  "37": {
+   "name": "Tramète versicolore"
+  },
+  "38": {
+   "name": "Trompette des morts"
+  },
+  "39": {
+   "name": "Géastre à collerette"
+  },
+  "40": {
+   "name": "Chaga"
+  },
+  "41": {
+   "name": "Clavaire dorée"
+  },
+  "42": {
+   "name": "Gomphide rutilant"
+  },
+  "43": {
+   "name": "Langue de bœuf"
+  },
+  "44": {
+   "name": "Champignons radiotrophes"
+  },
+  "45": {
+   "name": "Hypholome en touffe"
+  },
+  "46": {
+   "name": "Plomb des arbres fruitiers"
+  },
+  "47": {
+   "name": "Daldinie concentrique"
+  },
+  "48": {
+   "name": "Entolome livide"
+  },
+  "50": {
+   "name": "Xylaire polymorphe"
+  },
+  "51": {
+   "name": "Ganoderme aplani"
+  },
+  "52": {
+   "name": "Coprin noir d'encre"
+  },
+  "53": {
+   "name": "Cyathe strié"
+  },
+  "54": {
+   "name": "Trompette des morts"
+  },
+  "55": {
+   "name": "Verpe de Bohême"
+  },
+  "56": {
+   "name": "Champignons des métaux lourds"
+  },
+  "57": {
+   "name": "Cèpe de Bordeaux"
+  },
+  "58": {
+   "name": "Polypore marginé"
+  },
+  "59": {
+   "name": "Pleurote en huître"
+  },
+  "60": {
+   "name": "Hydne hérisson"
+  },
+  "61": {
+   "name": "Amanite tue-mouches"
+  },
+  "62": {
+   "name": "Exidie glanduleuse"
+  },
+  "63": {
+   "name": "Phellin ferrugineux"
+  },
+  "64": {
+   "name": "Panelle astringente"
+  },
+  "65": {
+   "name": "Champignon de Paris"
+  },
+  "66": {
+   "name": "Sparassis crépu"
+  },
+  "67": {
+   "name": "Trémelle en fuseau"
+  },
+  "68": {
+   "name": "Bolet jaune"
+  },
+  "69": {
+   "name": "Pleurote du panicaut"
+  },
+  "70": {
+   "name": "Hébélome échaudé"
+  },
+  "71": {
+   "name": "Schizophylle commun"
+  },
+  "72": {
+   "name": "Vesse-de-loup perlée"
+  },
+  "73": {
+   "name": "Cordyceps militaire"
+  },
+  "74": {
+   "name": "Polypore alvéolé"
+  },
+  "75": {
+   "name": "Hygrocybe conique"
+  },
+  "76": {
+   "name": "Tramète versicolore"
+  },
+  "77": {
+   "name": "Tapis mycélien"
+  },
+  "78": {
+   "name": "Strophaire coronille"
+  },
+  "79": {
+   "name": "Coulemelle"
+  },
+  "80": {
+   "name": "Langue de terre"
+  },
+  "82": {
+   "name": "Champignon de glace"
+  },
+  "83": {
+   "name": "Truffe de la Renaissance"
+  },
+  "84": {
+   "name": "Dame voilée"
+  },
+  "85": {
+   "name": "Entolome bleu nuit"
+  },
+  "86": {
+   "name": "Entolome rosé"
+  },
+  "87": {
+   "name": "Vesse-de-loup noircissante"
+  },
+  "88": {
+   "name": "Morille jaune"
+  },
+  "89": {
+   "name": "Clitocybe lumineux"
+  },
+  "90": {
+   "name": "Collybie à pied velouté"
+  },
+  "91": {
+   "name": "Têtes dorées"
+  },
+  "92": {
+   "name": "Champignon « smart contract »"
+  },
+  "94": {
+   "name": "Pleurote des Nébrodes"
+  },
+  "95": {
+   "name": "Amanite phalloïde (Amérique du Nord)"
+  },
+  "96": {
+   "name": "Champignon sang de dragon"
+  },
+  "97": {
+   "name": "Faux mousseron"
+  },
+  "98": {
+   "name": "Or des lutins"
+  },
+  "99": {
+   "name": "Chapeau de sorcière"
+  }
+ },
+ "details": {
+  "2": {
+   "toxicity": {
+    "symptoms": "Violentes douleurs abdominales, vomissements, diarrhée (6 à 24 heures) ; puis une rémission trompeuse, suivie d'ictère, d'hémorragies digestives, d'une insuffisance hépatique et rénale, du coma et de la mort",
+    "onset": "6 à 24 heures, suivies d'une phase de rémission ; les lésions des organes surviennent pendant la période sans symptômes",
+    "treatmentWindow": "La prise en charge doit commencer dans les 24 à 48 premières heures ; une fois l'amatoxine absorbée, les lésions sont en grande partie irréversibles et chaque retard réduit fortement l'efficacité du traitement",
+    "antidote": "Pas d'antidote spécifique. Réhydratation intraveineuse intensive, surveillance des enzymes hépatiques et de la coagulation, soins de soutien ; la silibinine peut être essayée dans les cas graves. Mortalité inférieure à 5 % avec des soins intensifs immédiats dans les pays développés, mais il n'existe aucun remède"
+   }
+  },
+  "12": {
+   "toxicity": {
+    "symptoms": "Troubles digestifs (nausées, vomissements, diarrhée, douleurs abdominales) suivis d'une guérison apparente, puis insuffisance hépatique avec ictère, convulsions et coma. Le foie et les reins sont les principaux organes touchés.",
+    "onset": "6 à 24 heures ; les symptômes graves se développent sur 1 à 4 jours",
+    "treatmentWindow": "Meilleur pronostic avec un traitement intensif dans les 36 heures ; il se dégrade vite après l'apparition des premiers symptômes",
+    "antidote": "Soins de soutien avec réhydratation abondante et correction des électrolytes ; silibinine intraveineuse (autorisée en Europe) ; une greffe de foie peut être nécessaire. La plupart des survivants guérissent complètement s'ils sont traités dans les 36 heures."
+   }
+  },
+  "22": {
+   "toxicity": {
+    "symptoms": "Latence de 6 à 24 heures ; puis vomissements, violentes douleurs abdominales et diarrhée pendant 6 à 9 heures, suivis d'une rémission apparente. Après 36 heures, les enzymes hépatiques grimpent dans le sang. Après 72 heures, insuffisance hépatique et rénale progressive, et la mort sans greffe.",
+    "onset": "6 à 24 heures",
+    "treatmentWindow": "Le traitement doit commencer dans les 24 à 36 heures ; sans prise en charge intensive, les lésions du foie deviennent irréversibles après 72 heures",
+    "antidote": "Silibinine (dérivé du chardon-Marie) si elle est donnée tôt ; soins de soutien avec charbon activé, perfusions, hémodiafiltration, échanges plasmatiques. Une greffe de foie est souvent nécessaire à la survie. Sans traitement intensif, la mort survient en quelques jours."
+   }
+  },
+  "29": {
+   "toxicity": {
+    "symptoms": "Troubles digestifs (vomissements, diarrhée) suivis d'effets neurologiques : vertiges, léthargie, maux de tête, confusion, parfois délire, convulsions ou coma. Une atteinte hépatique aiguë se développe en 24 à 48 heures. La gyromitrine est transformée en monométhylhydrazine (MMH), un proche d'un carburant de fusée, qui lèse plusieurs organes.",
+    "onset": "Plus de 5 à 6 heures après l'ingestion ; les atteintes neurologiques et hépatiques se développent en 24 à 48 heures",
+    "treatmentWindow": "Une prise en charge médicale immédiate est indispensable ; le traitement est le plus efficace dans les 12 à 24 heures suivant les premiers symptômes",
+    "antidote": "La pyridoxine (vitamine B6) est l'antidote spécifique, par voie intraveineuse ou intramusculaire, avec réhydratation, traitement des convulsions et surveillance du foie et des reins. Aucun antidote n'a fait universellement ses preuves ; la pyridoxine traite les convulsions liées à la MMH."
+   }
+  },
+  "95": {
+   "toxicity": {
+    "symptoms": "Phase 1 (6–24 h) : troubles digestifs violents avec fortes douleurs abdominales, vomissements et diarrhée ; phase 2 (24–72 h) : fausse guérison masquant les lésions en cours ; phase 3 (3–6 j) : insuffisance hépatique et rénale, troubles de la coagulation, encéphalopathie et choc",
+    "onset": "6 à 24 heures après l'ingestion",
+    "treatmentWindow": "Les 24 à 48 premières heures sont décisives pour le charbon activé, la silibinine intraveineuse et la N-acétylcystéine ; en cas de lésions hépatiques importantes, la greffe peut être la seule option",
+    "antidote": "Silibinine (extrait de chardon-Marie, IV) + N-acétylcystéine + charbon activé + soins de soutien ; greffe de foie possible en cas d'insuffisance hépatique aiguë"
+   }
+  }
+ },
+ "extras": {
+  "2": {
+   "controleur": {
+    "remedy": "URGENCE : appeler le centre antipoison ; perfusions et silibinine nécessaires ; sans traitement, les lésions des organes sont irréversibles."
+   }
+  },
+  "12": {
+   "controleur": {
+    "remedy": "URGENCE : appeler le centre antipoison ; charbon activé dans l'heure, silibinine/pénicilline G IV, surveillance de la fonction hépatique."
+   }
+  },
+  "22": {
+   "controleur": {
+    "remedy": "URGENCE : appeler le centre antipoison ; silibinine et perfusions nécessaires ; incubation de l'amatoxine 6–24 h."
+   }
+  },
+  "29": {
+   "controleur": {
+    "remedy": "URGENCE : appeler le centre antipoison ; pyridoxine (B6 IV), antidote spécifique ; réhydratation intensive et traitement des convulsions."
+   }
+  },
+  "95": {
+   "controleur": {
+    "remedy": "URGENCE : appeler le centre antipoison ; charbon activé dans l'heure, silibinine/pénicilline G IV, surveillance de la fonction hépatique."
+   }
+  }
+ },
+ "culinary": {
+  "3": {
+   "recipe": {
+    "name": "Œufs brouillés à la truffe",
+    "method": "Laissez la truffe une nuit dans un bocal fermé avec les œufs crus. Brouillez les œufs doucement au beurre, retirez du feu et râpez la truffe finement par-dessus."
+   }
+  },
+  "16": {
+   "recipe": {
+    "name": "Matsutake gohan",
+    "method": "Cuisez le riz dans du dashi avec un peu de sauce soja et posez d’épaisses tranches de matsutake dessus pour les 15 dernières minutes."
+   }
+  },
+  "24": {
+   "recipe": {
+    "name": "Tajarin al tartufo",
+    "method": "Enrobez de fines pâtes aux œufs de beurre fondu et d’un peu de parmesan, puis râpez la truffe blanche sur chaque assiette à table."
+   }
+  },
+  "83": {
+   "recipe": {
+    "name": "Fonduta à la truffe blanche",
+    "method": "Faites fondre doucement la fontina avec du lait et des jaunes d’œufs en une fondue lisse, versez sur du pain grillé et râpez la truffe à table."
+   }
+  },
+  "88": {
+   "recipe": {
+    "name": "Morilles à la crème",
+    "method": "Coupez-les en deux et rincez-les pour chasser sable et insectes. Faites-les revenir au beurre jusqu’à évaporation de leur jus, ajoutez échalote, un trait de vin blanc et crème, puis réduisez. Jamais crues ni insuffisamment cuites."
+   }
+  }
+ },
+ "signs": {
+  "gi": {
+   "name": "Troubles digestifs",
+   "hint": "Vomissements, diarrhée, crampes abdominales"
+  },
+  "remission": {
+   "name": "Fausse rémission",
+   "hint": "Mieux, puis de nouveau mal"
+  },
+  "hepatotoxic": {
+   "name": "Hépatotoxicité",
+   "hint": "Peau ou yeux jaunes, insuffisance hépatique"
+  },
+  "nephrotoxic": {
+   "name": "Néphrotoxicité",
+   "hint": "Peu d'urine, soif, douleur lombaire"
+  },
+  "cholinergic": {
+   "name": "Cholinergique",
+   "hint": "Sueurs, salivation, pupilles en tête d'épingle, pouls lent"
+  },
+  "delirium": {
+   "name": "Délire",
+   "hint": "Confusion, agitation, secousses musculaires"
+  },
+  "hallucinogenic": {
+   "name": "Hallucinogène",
+   "hint": "Hallucinations, perception altérée"
+  },
+  "ataxia": {
+   "name": "Ataxie",
+   "hint": "Titubation, tremblements, vertiges"
+  },
+  "seizure": {
+   "name": "Convulsions / coma",
+   "hint": "Crises, somnolence, perte de connaissance"
+  },
+  "disulfiram": {
+   "name": "Effet antabuse",
+   "hint": "Rougeur, cœur qui s'emballe après l'alcool"
+  },
+  "allergic": {
+   "name": "Allergique",
+   "hint": "Lèvres gonflées, éruption, urticaire"
+  },
+  "respiratory": {
+   "name": "Respiratoire",
+   "hint": "Toux, sifflements, essoufflement"
+  },
+  "infection": {
+   "name": "Infection",
+   "hint": "Fièvre, maux de tête, raideur de la nuque"
+  }
+ },
+ "syndromes": {
+  "amatoxin": {
+   "name": "Amatoxine (syndrome phalloïdien)",
+   "note": "Une latence sans symptômes de 6 h ou plus, puis une diarrhée aqueuse violente, une amélioration apparente le 2e jour et une insuffisance hépatique et rénale à partir du 3e jour. Tout repas de champignons dont les symptômes débutent après 6 h est traité comme une intoxication à l'amatoxine jusqu'à preuve du contraire : recherche d'amanitine urinaire, bilan hépatique, coagulation ; silibinine, N-acétylcystéine, réhydratation."
+  },
+  "orellanine": {
+   "name": "Orellanine (syndrome orellanien)",
+   "toxins": "orellanine (cortinaires, Cortinarius)",
+   "note": "Insuffisance rénale 2 jours à 3 semaines après le repas, souvent après de simples troubles digestifs, si bien que le lien avec les champignons passe facilement inaperçu. Doser la créatinine chez tous les convives ; dialyse, parfois greffe."
+  },
+  "gyromitrin": {
+   "name": "Gyromitrine (hydrazine)",
+   "toxins": "gyromitrine → monométhylhydrazine",
+   "note": "Vomissements et maux de tête après 5 à 12 h, puis vertiges, convulsions et atteinte hépatique. Pyridoxine (vitamine B6) contre les convulsions, benzodiazépines, surveillance hépatique."
+  },
+  "muscarine": {
+   "name": "Muscarine (syndrome sudorien)",
+   "toxins": "muscarine (inocybes, petits clitocybes blancs, certains entolomes)",
+   "note": "Sueurs, salivation, larmes, myosis, pouls lent et sifflements en 15 min à 2 h. L'atropine en vient à bout ; guérison en une journée."
+  },
+  "isoxazole": {
+   "name": "Acide iboténique / muscimol (syndrome panthérinien)",
+   "toxins": "acide iboténique, muscimol",
+   "note": "Somnolence alternant avec agitation, délire et secousses musculaires en 30 min à 2 h. Traitement symptomatique, benzodiazépines en cas d'agitation ou de convulsions ; pas d'atropine. En général terminé en 24 h."
+  },
+  "psilocybin": {
+   "name": "Psilocybine (syndrome hallucinogène)",
+   "note": "Perception modifiée en moins d'une heure, terminée après 4 à 6 h. Environnement calme et réassurance, benzodiazépines en cas de panique. Risque physique faible."
+  },
+  "coprine": {
+   "name": "Coprine (effet antabuse)",
+   "toxins": "coprine",
+   "note": "Uniquement avec de l'alcool bu jusqu'à 3 jours après le repas ; le délai se compte depuis la boisson, pas depuis le repas. Rougeur, palpitations, hypotension. Pas d'alcool pendant 72 h, traitement symptomatique."
+  },
+  "gastrointestinal": {
+   "name": "Irritants gastro-intestinaux",
+   "toxins": "divers, dont les illudines et des irritants détruits par la cuisson",
+   "note": "Vomissements et diarrhée en 30 min à 4 h, terminés en 1 à 2 jours. Réhydratation et électrolytes. Des symptômes qui ne débutent qu'après 6 h orientent vers un syndrome plus dangereux."
+  }
+ }
+};
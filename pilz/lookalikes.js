@@ -0,0 +1,171 @@
+/* generated by build.js from lookalikes.json — species pairs that get confused in the field, with the features that tell them apart.
+   risk = what is at stake when the safer-looking one is picked by mistake (severity scale of DETAILS.toxicity) */
+const LOOKALIKES = [
+ {
+  "a": 2,
+  "b": 65,
+  "risk": "deadly",
+  "note": "Young, closed Destroying Angels are picked as white button mushrooms. Always dig up the whole base and check the gills.",
+  "features": [
+   {"trait": "Stem base", "a": "Sac-like white volva, often buried in soil", "b": "No volva; base plain"},
+   {"trait": "Gills", "a": "White at every age", "b": "Pink when young, chocolate-brown later"},
+   {"trait": "Spore print", "a": "White", "b": "Dark brown"},
+   {"trait": "Smell", "a": "Faint, sometimes sickly", "b": "Pleasant, mushroomy"}
+  ]
+ },
+ {
+  "a": 2,
+  "b": 35,
+  "risk": "deadly",
+  "note": "An unopened Amanita 'egg' looks like a small puffball from above. Slice every puffball top to bottom.",
+  "features": [
+   {"trait": "Cross-section", "a": "Outline of a cap, gills and stem inside the egg", "b": "Uniform white flesh, like marshmallow"},
+   {"trait": "Size", "a": "Egg rarely over 5 cm", "b": "Usually 10–50 cm"},
+   {"trait": "Base", "a": "Volva cup remains when dug out", "b": "Small cord-like root attachment"}
+  ]
+ },
+ {
+  "a": 12,
+  "b": 65,
+  "risk": "deadly",
+  "note": "The most common fatal mix-up in Europe and California: greenish Death Caps gathered as field or button mushrooms.",
+  "features": [
+   {"trait": "Cap colour", "a": "Olive-green to yellowish, with radial fibres", "b": "White to light brown"},
+   {"trait": "Gills", "a": "White, free", "b": "Pink to dark brown, free"},
+   {"trait": "Stem base", "a": "Large white sac-like volva", "b": "No volva"},
+   {"trait": "Spore print", "a": "White", "b": "Dark brown"}
+  ]
+ },
+ {
+  "a": 12,
+  "b": 72,
+  "risk": "deadly",
+  "note": "Death Cap eggs hide in leaf litter at puffball size. A puffball must be solid white all the way through.",
+  "features": [
+   {"trait": "Cross-section", "a": "Cap, gills and stem visible inside", "b": "Solid white gleba, no structure"},
+   {"trait": "Surface", "a": "Smooth skin of the universal veil", "b": "Covered in small cone-shaped spines"},
+   {"trait": "Base", "a": "Cup-like volva", "b": "Narrowed, sterile stalk-like base"}
+  ]
+ },
+ {
+  "a": 12,
+  "b": 79,
+  "risk": "deadly",
+  "note": "Young Parasols are still closed and can resemble an Amanita. Only pick fully developed, large Parasols.",
+  "features": [
+   {"trait": "Stem", "a": "Smooth or faintly patterned, ring fixed", "b": "Snakeskin pattern, ring slides freely"},
+   {"trait": "Stem base", "a": "Volva", "b": "Bulbous base, no volva"},
+   {"trait": "Cap", "a": "Smooth, greenish, up to 15 cm", "b": "Coarse brown scales, 15–40 cm"}
+  ]
+ },
+ {
+  "a": 22,
+  "b": 90,
+  "risk": "deadly",
+  "note": "Both fruit in small clusters on dead wood in cold weather. Foragers picking Velvet Foot have eaten Autumn Skullcap.",
+  "features": [
+   {"trait": "Stem", "a": "Thin ring or ring zone; fibrous, not velvety", "b": "No ring; dark, densely velvety lower stem"},
+   {"trait": "Spore print", "a": "Rusty brown", "b": "White"},
+   {"trait": "Cap", "a": "Dry to moist, hygrophanous brown", "b": "Slimy-sticky, orange-brown"}
+  ]
+ },
+ {
+  "a": 22,
+  "b": 23,
+  "risk": "deadly",
+  "note": "People hunting psilocybin mushrooms pick small brown Galerinas. Both have brown spores, so the spore print does not help.",
+  "features": [
+   {"trait": "Substrate", "a": "Decaying wood", "b": "Dung and manured pasture"},
+   {"trait": "Bruising", "a": "Does not stain blue", "b": "Bruises blue"},
+   {"trait": "Spore print", "a": "Rusty brown", "b": "Purple-brown to black"}
+  ]
+ },
+ {
+  "a": 22,
+  "b": 19,
+  "risk": "deadly",
+  "note": "Honey Fungus is picked by the basketful. Single Galerinas hide among the clusters on the same stumps.",
+  "features": [
+   {"trait": "Size", "a": "Small; cap 1–4 cm, thin stem", "b": "Larger; cap 3–15 cm, thick stem"},
+   {"trait": "Cap", "a": "Smooth, hygrophanous", "b": "Fine dark hairy scales towards the centre"},
+   {"trait": "Spore print", "a": "Rusty brown", "b": "White"}
+  ]
+ },
+ {
+  "a": 29,
+  "b": 88,
+  "risk": "severe",
+  "note": "The classic spring confusion. A true morel is hollow in one chamber from the tip of the cap to the stem base.",
+  "features": [
+   {"trait": "Cap surface", "a": "Brain-like lobes and folds", "b": "Honeycomb of pits and ridges"},
+   {"trait": "Cross-section", "a": "Cottony, chambered flesh", "b": "One continuous hollow"},
+   {"trait": "Cap attachment", "a": "Irregular, partly free", "b": "Fused to the stem along its whole edge"}
+  ]
+ },
+ {
+  "a": 55,
+  "b": 88,
+  "risk": "severe",
+  "note": "Verpa looks like a morel from above. Cut it open: the cap hangs over the stem like a thimble.",
+  "features": [
+   {"trait": "Cap attachment", "a": "Attached only at the very top; skirt hangs free", "b": "Fused to the stem along its whole edge"},
+   {"trait": "Stem interior", "a": "Stuffed with cottony fibres", "b": "Completely hollow"},
+   {"trait": "Cap surface", "a": "Wrinkled, almost smooth folds", "b": "Deep, regular pits"}
+  ]
+ },
+ {
+  "a": 89,
+  "b": 4,
+  "risk": "severe",
+  "note": "Jack-O-Lanterns grow in orange clusters that look like a great chanterelle find. Chanterelles never grow on wood.",
+  "features": [
+   {"trait": "Underside", "a": "True, sharp, non-forking gills", "b": "Blunt, forking false gills (ridges)"},
+   {"trait": "Growth", "a": "Dense clusters from wood or buried roots", "b": "Single or scattered, from soil"},
+   {"trait": "Flesh", "a": "Orange throughout", "b": "Pale inside, apricot smell"}
+  ]
+ },
+ {
+  "a": 26,
+  "b": 59,
+  "risk": "severe",
+  "note": "In Australia Ghost Fungus is the usual cause of 'oyster mushroom' poisoning. Check the gills in the dark.",
+  "features": [
+   {"trait": "Glow", "a": "Gills glow green in darkness", "b": "No bioluminescence"},
+   {"trait": "Stem", "a": "Short off-centre stem, dark spot at the gill join", "b": "Stem absent or stub-like"},
+   {"trait": "Host", "a": "Eucalyptus and other hardwoods in Australia", "b": "Hardwoods worldwide"}
+  ]
+ },
+ {
+  "a": 45,
+  "b": 19,
+  "risk": "severe",
+  "note": "Both grow in dense clusters on stumps. Sulfur Tuft is recognised by its greenish gills and bitter taste.",
+  "features": [
+   {"trait": "Gills", "a": "Sulphur-yellow turning greenish, then dark", "b": "White to cream, later spotted"},
+   {"trait": "Spore print", "a": "Purple-brown", "b": "White"},
+   {"trait": "Ring", "a": "Only a faint cortina zone", "b": "Thick, cottony ring"}
+  ]
+ },
+ {
+  "a": 52,
+  "b": 21,
+  "risk": "mild",
+  "note": "Both ink caps deliquesce. The Common Ink Cap is only dangerous together with alcohol, up to three days apart.",
+  "features": [
+   {"trait": "Cap", "a": "Smooth, grey, egg- to bell-shaped", "b": "Tall, white, shaggy scales"},
+   {"trait": "Height", "a": "Cap 3–7 cm", "b": "Cap 5–15 cm, cylindrical"},
+   {"trait": "Ring", "a": "Faint ring zone low on the stem", "b": "Loose movable ring"}
+  ]
+ },
+ {
+  "a": 78,
+  "b": 23,
+  "risk": "mild",
+  "note": "Stropharia coronilla is mistaken for psilocybin mushrooms in pastures; it contains none and causes nausea.",
+  "features": [
+   {"trait": "Cap", "a": "Yellow to ochre, dry", "b": "Golden to pale with white veil remnants"},
+   {"trait": "Bruising", "a": "Does not stain blue", "b": "Bruises blue"},
+   {"trait": "Ring", "a": "Grooved, persistent ring", "b": "Fragile, dark-dusted ring"}
+  ]
+ }
+];
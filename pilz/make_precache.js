@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/* Writes precache.js — the list of files sw.js stores for offline use, with byte sizes so the page can
+   show the total download. Run after adding images or changing any of the app files:  node make_precache.js */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = __dirname;
+const SHELL = ['index.html', 'species.js', 'details.js', 'extras.js', 'countries.js', 'lookalikes.js', 'morphology.js',
+               'fruiting.js', 'culinary.js', 'syndromes.js', 'taxonomy.js', 'credits.js', 'categories.js', 'schema.js', 'validate.js',
+               'manifest.webmanifest', 'icon.svg'];
+
+// every language bundle build.js wrote (locales/<lang>.js)
+function localeFiles(){
+  return fs.readdirSync(path.join(ROOT, 'locales')).filter(f => f.endsWith('.js')).sort().map(f => `locales/${f}`);
+}
+
+function imageFiles(){
+  const dir = path.join(ROOT, 'images');
+  return fs.readdirSync(dir)
+    .filter(d => /^\d+$/.test(d))
+    .sort((a, b) => a - b)
+    .flatMap(d => fs.readdirSync(path.join(dir, d))
+      .filter(f => /^img_\d+\.jpg$/.test(f))
+      .sort()
+      .map(f => `images/${d}/${f}`));
+}
+
+function entry(rel){ return [rel, fs.statSync(path.join(ROOT, rel)).size]; }
+
+function build(){
+  const shell = [...SHELL, ...localeFiles()].map(entry);
+  const images = imageFiles().map(entry);
+  // the shell cache is replaced whenever any app file changes; images are cached separately and kept
+  const hash = crypto.createHash('sha1');
+  for(const [rel] of shell) hash.update(fs.readFileSync(path.join(ROOT, rel)));
+  const version = hash.digest('hex').slice(0, 10);
+  return {version, shell, images};
+}
+
+function write(p){
+  const rows = list => list.map(([f, n]) => `  [${JSON.stringify(f)}, ${n}]`).join(',\n');
+  const js = `/* generated by make_precache.js — files the service worker keeps for offline use, with byte sizes */
+const PRECACHE = {
+ "version": ${JSON.stringify(p.version)},
+ "shell": [
+${rows(p.shell)}
+ ],
+ "images": [
+${rows(p.images)}
+ ]
+};
+`;
+  fs.writeFileSync(path.join(ROOT, 'precache.js'), js);
+}
+
+if(require.main === module){
+  const p = build();
+  write(p);
+  const mb = [...p.shell, ...p.images].reduce((s, [, n]) => s + n, 0) / 1048576;
+  console.log(`precache.js: ${p.shell.length} app files, ${p.images.length} images, ${mb.toFixed(1)} MB (version ${p.version})`);
+}
+
+module.exports = {build, write};
@@ -0,0 +1,104 @@
+/* generated by build.js from morphology.json — field morphology for the identification key: what is under the cap,
+   spore print, ring, volva, substrate and fruiting season. null = not applicable / not recorded (never excludes) */
+const MORPHOLOGY = {
+ "1": {"hymenium": "teeth", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "2": {"hymenium": "gills", "spore": "white", "ring": true, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "3": {"hymenium": "enclosed", "spore": null, "ring": false, "volva": false, "habitat": ["underground"], "season": ["winter"]},
+ "4": {"hymenium": "ridges", "spore": "cream", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "5": {"hymenium": "gills", "spore": "cream", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "6": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "7": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn"]},
+ "8": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass"], "season": ["autumn"]},
+ "9": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "10": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "11": {"hymenium": "smooth", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["winter", "spring"]},
+ "12": {"hymenium": "gills", "spore": "white", "ring": true, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "13": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass"], "season": ["spring", "summer", "autumn"]},
+ "14": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring", "summer", "autumn", "winter"]},
+ "15": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["host"], "season": ["summer"]},
+ "16": {"hymenium": "gills", "spore": "white", "ring": true, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "17": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "18": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn", "winter"]},
+ "19": {"hymenium": "gills", "spore": "white", "ring": true, "volva": false, "habitat": ["wood"], "season": ["autumn"]},
+ "20": {"hymenium": "smooth", "spore": null, "ring": false, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "21": {"hymenium": "gills", "spore": "black", "ring": true, "volva": false, "habitat": ["grass", "soil"], "season": ["spring", "summer", "autumn"]},
+ "22": {"hymenium": "gills", "spore": "rusty", "ring": true, "volva": false, "habitat": ["wood"], "season": ["autumn", "winter"]},
+ "23": {"hymenium": "gills", "spore": "purple-brown", "ring": true, "volva": false, "habitat": ["dung"], "season": ["summer", "autumn"]},
+ "24": {"hymenium": "enclosed", "spore": null, "ring": false, "volva": false, "habitat": ["underground"], "season": ["autumn", "winter"]},
+ "25": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "26": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["autumn", "winter"]},
+ "27": {"hymenium": "smooth", "spore": null, "ring": false, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "28": {"hymenium": "smooth", "spore": null, "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring"]},
+ "29": {"hymenium": "folds", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring"]},
+ "30": {"hymenium": "enclosed", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "31": {"hymenium": "smooth", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "32": {"hymenium": "gills", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring", "summer", "autumn", "winter"]},
+ "33": {"hymenium": "gills", "spore": "white", "ring": true, "volva": false, "habitat": ["wood"], "season": ["autumn"]},
+ "34": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "35": {"hymenium": "enclosed", "spore": "brown", "ring": false, "volva": false, "habitat": ["grass"], "season": ["summer", "autumn"]},
+ "36": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "37": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "38": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "39": {"hymenium": "enclosed", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "40": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "41": {"hymenium": "coral", "spore": "cream", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "42": {"hymenium": "gills", "spore": "black", "ring": false, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "43": {"hymenium": "pores", "spore": "pink", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "44": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["other"], "season": ["spring", "summer", "autumn", "winter"]},
+ "45": {"hymenium": "gills", "spore": "purple-brown", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn", "winter"]},
+ "46": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["wood", "host"], "season": ["autumn", "winter"]},
+ "47": {"hymenium": "smooth", "spore": "black", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "48": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "49": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer"]},
+ "50": {"hymenium": "smooth", "spore": "black", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "51": {"hymenium": "pores", "spore": "brown", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "52": {"hymenium": "gills", "spore": "black", "ring": true, "volva": false, "habitat": ["grass", "soil"], "season": ["spring", "summer", "autumn"]},
+ "53": {"hymenium": "enclosed", "spore": null, "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "54": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "55": {"hymenium": "folds", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring"]},
+ "56": {"hymenium": ["gills", "pores"], "spore": "brown", "ring": null, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "57": {"hymenium": "pores", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "58": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "59": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["autumn", "winter"]},
+ "60": {"hymenium": "teeth", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "61": {"hymenium": "gills", "spore": "white", "ring": true, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "62": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "autumn", "winter"]},
+ "63": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "64": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "65": {"hymenium": "gills", "spore": "brown", "ring": true, "volva": false, "habitat": ["grass", "soil"], "season": ["summer", "autumn"]},
+ "66": {"hymenium": "coral", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["autumn"]},
+ "67": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "68": {"hymenium": "pores", "spore": "brown", "ring": true, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "69": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass", "soil"], "season": ["spring", "autumn"]},
+ "70": {"hymenium": "gills", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["autumn"]},
+ "71": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "72": {"hymenium": "enclosed", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "73": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["host"], "season": ["summer", "autumn"]},
+ "74": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring"]},
+ "75": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass"], "season": ["summer", "autumn"]},
+ "76": {"hymenium": "pores", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "77": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["soil", "wood"], "season": ["spring", "summer", "autumn", "winter"]},
+ "78": {"hymenium": "gills", "spore": "purple-brown", "ring": true, "volva": false, "habitat": ["grass"], "season": ["summer", "autumn"]},
+ "79": {"hymenium": "gills", "spore": "white", "ring": true, "volva": false, "habitat": ["grass", "soil"], "season": ["summer", "autumn"]},
+ "80": {"hymenium": "smooth", "spore": "brown", "ring": false, "volva": false, "habitat": ["grass"], "season": ["autumn"]},
+ "81": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["other"], "season": null},
+ "82": {"hymenium": "smooth", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["winter"]},
+ "83": {"hymenium": "enclosed", "spore": null, "ring": false, "volva": false, "habitat": ["underground"], "season": ["autumn", "winter"]},
+ "84": {"hymenium": "smooth", "spore": null, "ring": false, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "85": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "86": {"hymenium": "gills", "spore": "pink", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "87": {"hymenium": "enclosed", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "88": {"hymenium": "folds", "spore": "cream", "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring"]},
+ "89": {"hymenium": "gills", "spore": "cream", "ring": false, "volva": false, "habitat": ["wood"], "season": ["summer", "autumn"]},
+ "90": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["wood"], "season": ["autumn", "winter"]},
+ "91": {"hymenium": "gills", "spore": "purple-brown", "ring": true, "volva": false, "habitat": ["dung"], "season": ["summer", "autumn"]},
+ "92": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["soil"], "season": ["spring", "summer", "autumn", "winter"]},
+ "93": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["other"], "season": ["spring", "summer", "autumn", "winter"]},
+ "94": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass", "soil"], "season": ["spring"]},
+ "95": {"hymenium": "gills", "spore": "white", "ring": true, "volva": true, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "96": {"hymenium": "teeth", "spore": "brown", "ring": false, "volva": false, "habitat": ["soil"], "season": ["summer", "autumn"]},
+ "97": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass"], "season": ["spring", "summer", "autumn"]},
+ "98": {"hymenium": "none", "spore": null, "ring": false, "volva": false, "habitat": ["other"], "season": ["spring", "summer", "autumn", "winter"]},
+ "99": {"hymenium": "gills", "spore": "white", "ring": false, "volva": false, "habitat": ["grass"], "season": ["summer", "autumn"]},
+ "100": {"hymenium": "smooth", "spore": null, "ring": false, "volva": false, "habitat": ["host"], "season": ["spring", "summer", "autumn", "winter"]}
+};
@@ -0,0 +1,122 @@
+/* generated by make_precache.js — files the service worker keeps for offline use, with byte sizes */
+const PRECACHE = {
+ "version": "a09ca36a5b",
+ "shell": [
+  ["index.html", 299103],
+  ["species.js", 33572],
+  ["details.js", 131126],
+  ["extras.js", 34721],
+  ["countries.js", 136616],
+  ["lookalikes.js", 7510],
+  ["morphology.js", 13746],
+  ["fruiting.js", 3781],
+  ["culinary.js", 20277],
+  ["syndromes.js", 4679],
+  ["taxonomy.js", 15616],
+  ["credits.js", 215],
+  ["categories.js", 886],
+  ["schema.js", 19710],
+  ["validate.js", 4276],
+  ["manifest.webmanifest", 420],
+  ["icon.svg", 543],
+  ["locales/de.js", 44866],
+  ["locales/en.js", 27808],
+  ["locales/fr.js", 46614]
+ ],
+ "images": [
+  ["images/1/img_1.jpg", 1234283],
+  ["images/2/img_1.jpg", 3567510],
+  ["images/3/img_1.jpg", 1021836],
+  ["images/4/img_1.jpg", 726440],
+  ["images/6/img_1.jpg", 1896419],
+  ["images/7/img_1.jpg", 863380],
+  ["images/9/img_1.jpg", 1605240],
+  ["images/10/img_1.jpg", 257694],
+  ["images/11/img_1.jpg", 237152],
+  ["images/12/img_1.jpg", 592586],
+  ["images/13/img_1.jpg", 1756040],
+  ["images/14/img_1.jpg", 509194],
+  ["images/16/img_1.jpg", 1390733],
+  ["images/17/img_1.jpg", 1674551],
+  ["images/18/img_1.jpg", 787026],
+  ["images/19/img_1.jpg", 1705128],
+  ["images/20/img_1.jpg", 2335591],
+  ["images/21/img_1.jpg", 1458930],
+  ["images/22/img_1.jpg", 2392535],
+  ["images/23/img_1.jpg", 1861619],
+  ["images/24/img_1.jpg", 135240],
+  ["images/25/img_1.jpg", 214035],
+  ["images/26/img_1.jpg", 217266],
+  ["images/27/img_1.jpg", 3703270],
+  ["images/28/img_1.jpg", 417703],
+  ["images/29/img_1.jpg", 1164617],
+  ["images/30/img_1.jpg", 2496382],
+  ["images/31/img_1.jpg", 1451192],
+  ["images/32/img_1.jpg", 60287],
+  ["images/33/img_1.jpg", 37446],
+  ["images/34/img_1.jpg", 2618453],
+  ["images/35/img_1.jpg", 172214],
+  ["images/36/img_1.jpg", 2322986],
+  ["images/37/img_1.jpg", 1495607],
+  ["images/38/img_1.jpg", 2322986],
+  ["images/39/img_1.jpg", 2496382],
+  ["images/40/img_1.jpg", 224923],
+  ["images/41/img_1.jpg", 1218560],
+  ["images/42/img_1.jpg", 66495],
+  ["images/43/img_1.jpg", 2872994],
+  ["images/44/img_1.jpg", 1822844],
+  ["images/45/img_1.jpg", 1913217],
+  ["images/46/img_1.jpg", 1131244],
+  ["images/47/img_1.jpg", 2368589],
+  ["images/48/img_1.jpg", 1071874],
+  ["images/49/img_1.jpg", 61884],
+  ["images/50/img_1.jpg", 2244169],
+  ["images/51/img_1.jpg", 2540227],
+  ["images/52/img_1.jpg", 192261],
+  ["images/53/img_1.jpg", 3439881],
+  ["images/54/img_1.jpg", 2322986],
+  ["images/55/img_1.jpg", 1268945],
+  ["images/56/img_1.jpg", 3264274],
+  ["images/58/img_1.jpg", 403772],
+  ["images/59/img_1.jpg", 1467421],
+  ["images/60/img_1.jpg", 2001805],
+  ["images/61/img_1.jpg", 1465467],
+  ["images/62/img_1.jpg", 1702751],
+  ["images/63/img_1.jpg", 140892],
+  ["images/64/img_1.jpg", 1948670],
+  ["images/65/img_1.jpg", 60287],
+  ["images/66/img_1.jpg", 3160924],
+  ["images/67/img_1.jpg", 1562211],
+  ["images/68/img_1.jpg", 146258],
+  ["images/69/img_1.jpg", 1312242],
+  ["images/70/img_1.jpg", 1098218],
+  ["images/72/img_1.jpg", 549727],
+  ["images/73/img_1.jpg", 791411],
+  ["images/74/img_1.jpg", 250985],
+  ["images/75/img_1.jpg", 1559625],
+  ["images/76/img_1.jpg", 1495607],
+  ["images/77/img_1.jpg", 107699],
+  ["images/78/img_1.jpg", 672039],
+  ["images/80/img_1.jpg", 123616],
+  ["images/81/img_1.jpg", 666177],
+  ["images/82/img_1.jpg", 1243861],
+  ["images/83/img_1.jpg", 135240],
+  ["images/84/img_1.jpg", 3703270],
+  ["images/85/img_1.jpg", 1605240],
+  ["images/86/img_1.jpg", 2770889],
+  ["images/87/img_1.jpg", 115649],
+  ["images/88/img_1.jpg", 2575380],
+  ["images/89/img_1.jpg", 930043],
+  ["images/90/img_1.jpg", 239831],
+  ["images/91/img_1.jpg", 1861619],
+  ["images/92/img_1.jpg", 1314535],
+  ["images/93/img_1.jpg", 1585545],
+  ["images/94/img_1.jpg", 1624762],
+  ["images/95/img_1.jpg", 592586],
+  ["images/96/img_1.jpg", 1234283],
+  ["images/97/img_1.jpg", 1756040],
+  ["images/98/img_1.jpg", 2669392],
+  ["images/99/img_1.jpg", 1559625],
+  ["images/100/img_1.jpg", 2748916]
+ ]
+};
@@ -0,0 +1,987 @@
+/* generated by build.js from schema.json — the definitions the add-species form (#edit) validates against, with validate.js */
+const SCHEMA = {
+ "$schema": "http://json-schema.org/draft-07/schema#",
+ "$id": "schema.json",
+ "title": "Mushroom Compendium data",
+ "description": "Sources for build.js: species.json (array of species), details/<n>.json (details), categories.json (map of categoryId to category), and extras.json, morphology.json, fruiting.json, culinary.json and taxonomy.json (maps of n to extras, morphology, fruiting, culinary, taxonomy), lookalikes.json (array of lookalike), syndromes.json (syndromes), locales/<lang>.json (locale), images/<n>/meta.json (imageMeta).",
+ "definitions": {
+  "text": {
+   "type": "string",
+   "minLength": 1
+  },
+  "score": {
+   "type": "number",
+   "minimum": 0,
+   "maximum": 10
+  },
+  "severity": {
+   "enum": [
+    "none",
+    "mild",
+    "severe",
+    "deadly"
+   ]
+  },
+  "edibility": {
+   "enum": [
+    "choice",
+    "edible",
+    "medicinal",
+    "psychoactive",
+    "symbiont",
+    "inedible",
+    "toxic",
+    "deadly",
+    "pathogenic",
+    "extinct"
+   ]
+  },
+  "region": {
+   "description": "WW (worldwide), a continent code, or an ISO 3166-1 alpha-3 country code from countries.js",
+   "type": "string",
+   "pattern": "^(WW|NA|SA|EU|AF|AS|OC|[A-Z]{3})$"
+  },
+  "hymenium": {
+   "enum": [
+    "gills",
+    "pores",
+    "teeth",
+    "ridges",
+    "folds",
+    "coral",
+    "smooth",
+    "enclosed",
+    "none"
+   ]
+  },
+  "month": {
+   "type": "integer",
+   "minimum": 1,
+   "maximum": 12
+  },
+  "monthRanges": {
+   "description": "inclusive [from, to] month ranges; to < from wraps over the new year; [] = not recorded in that hemisphere",
+   "type": "array",
+   "items": {
+    "type": "array",
+    "minItems": 2,
+    "maxItems": 2,
+    "items": {
+     "$ref": "#/definitions/month"
+    }
+   }
+  },
+  "hourRange": {
+   "description": "[earliest, latest] hours after the meal",
+   "type": "array",
+   "minItems": 2,
+   "maxItems": 2,
+   "items": {
+    "type": "number",
+    "minimum": 0
+   }
+  },
+  "syndromeId": {
+   "type": "string",
+   "pattern": "^[a-z]+$"
+  },
+  "signIds": {
+   "description": "keys into the signs of syndromes.json",
+   "type": "array",
+   "uniqueItems": true,
+   "items": {
+    "type": "string",
+    "pattern": "^[a-z]+$"
+   }
+  },
+  "species": {
+   "type": "object",
+   "required": [
+    "n",
+    "name",
+    "sci",
+    "cat",
+    "ck",
+    "tag",
+    "e",
+    "fact",
+    "hab",
+    "r"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "n": {
+     "type": "integer",
+     "minimum": 1
+    },
+    "name": {
+     "$ref": "#/definitions/text"
+    },
+    "sci": {
+     "$ref": "#/definitions/text"
+    },
+    "cat": {
+     "description": "a key of categories.json",
+     "$ref": "#/definitions/categoryId"
+    },
+    "ck": {
+     "$ref": "#/definitions/text"
+    },
+    "col": {
+     "type": "string",
+     "pattern": "^#[0-9A-Fa-f]{6}$"
+    },
+    "tag": {
+     "$ref": "#/definitions/text"
+    },
+    "e": {
+     "$ref": "#/definitions/edibility"
+    },
+    "fact": {
+     "$ref": "#/definitions/text"
+    },
+    "hab": {
+     "$ref": "#/definitions/text"
+    },
+    "r": {
+     "type": "array",
+     "minItems": 1,
+     "uniqueItems": true,
+     "items": {
+      "$ref": "#/definitions/region"
+     }
+    }
+   }
+  },
+  "categoryId": {
+   "type": "string",
+   "pattern": "^[A-Z]+$"
+  },
+  "category": {
+   "type": "object",
+   "required": [
+    "color"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "color": {
+     "description": "the category chip is tinted in it",
+     "type": "string",
+     "pattern": "^#[0-9A-Fa-f]{6}$"
+    },
+    "bySpecies": {
+     "description": "true = the chip is filled with the species' own col instead, where it has one",
+     "type": "boolean"
+    }
+   }
+  },
+  "details": {
+   "type": "object",
+   "required": [
+    "edibility",
+    "taste",
+    "search",
+    "toxicity"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "edibility": {
+     "$ref": "#/definitions/text"
+    },
+    "taste": {
+     "$ref": "#/definitions/text"
+    },
+    "search": {
+     "$ref": "#/definitions/text"
+    },
+    "toxicity": {
+     "type": "object",
+     "required": [
+      "severity",
+      "symptoms",
+      "signs",
+      "onset",
+      "treatmentWindow",
+      "antidote",
+      "syndrome",
+      "onsetHours",
+      "windowHours"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "severity": {
+       "$ref": "#/definitions/severity"
+      },
+      "symptoms": {
+       "$ref": "#/definitions/text"
+      },
+      "signs": {
+       "description": "the symptoms in the controlled vocabulary; [] when not toxic",
+       "$ref": "#/definitions/signIds"
+      },
+      "onset": {
+       "$ref": "#/definitions/text"
+      },
+      "treatmentWindow": {
+       "$ref": "#/definitions/text"
+      },
+      "antidote": {
+       "$ref": "#/definitions/text"
+      },
+      "syndrome": {
+       "description": "key into syndromes.json; null = no poisoning syndrome (not toxic, chronic or not by eating)",
+       "anyOf": [
+        {
+         "type": "null"
+        },
+        {
+         "$ref": "#/definitions/syndromeId"
+        }
+       ]
+      },
+      "onsetHours": {
+       "description": "when symptoms start, in hours after the meal; null = not documented",
+       "anyOf": [
+        {
+         "type": "null"
+        },
+        {
+         "$ref": "#/definitions/hourRange"
+        }
+       ]
+      },
+      "windowHours": {
+       "description": "hours after the meal within which treatment works best; null = no time-critical treatment",
+       "type": [
+        "number",
+        "null"
+       ],
+       "minimum": 0
+      }
+     }
+    }
+   }
+  },
+  "extras": {
+   "type": "object",
+   "required": [
+    "chef",
+    "controleur",
+    "nerd"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "chef": {
+     "type": "object",
+     "required": [
+      "score",
+      "tip"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "score": {
+       "$ref": "#/definitions/score"
+      },
+      "tip": {
+       "$ref": "#/definitions/text"
+      }
+     }
+    },
+    "controleur": {
+     "type": "object",
+     "required": [
+      "score",
+      "remedy"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "score": {
+       "$ref": "#/definitions/score"
+      },
+      "remedy": {
+       "$ref": "#/definitions/text"
+      }
+     }
+    },
+    "nerd": {
+     "type": "object",
+     "required": [
+      "score",
+      "bonus"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "score": {
+       "$ref": "#/definitions/score"
+      },
+      "bonus": {
+       "$ref": "#/definitions/text"
+      }
+     }
+    }
+   }
+  },
+  "lookalike": {
+   "type": "object",
+   "required": [
+    "a",
+    "b",
+    "risk",
+    "note",
+    "features"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "a": {
+     "type": "integer",
+     "minimum": 1
+    },
+    "b": {
+     "type": "integer",
+     "minimum": 1
+    },
+    "risk": {
+     "$ref": "#/definitions/severity"
+    },
+    "note": {
+     "$ref": "#/definitions/text"
+    },
+    "features": {
+     "type": "array",
+     "minItems": 1,
+     "items": {
+      "type": "object",
+      "required": [
+       "trait",
+       "a",
+       "b"
+      ],
+      "additionalProperties": false,
+      "properties": {
+       "trait": {
+        "$ref": "#/definitions/text"
+       },
+       "a": {
+        "$ref": "#/definitions/text"
+       },
+       "b": {
+        "$ref": "#/definitions/text"
+       }
+      }
+     }
+    }
+   }
+  },
+  "morphology": {
+   "type": "object",
+   "required": [
+    "hymenium",
+    "spore",
+    "ring",
+    "volva",
+    "habitat",
+    "season"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "hymenium": {
+     "anyOf": [
+      {
+       "$ref": "#/definitions/hymenium"
+      },
+      {
+       "type": "array",
+       "minItems": 1,
+       "uniqueItems": true,
+       "items": {
+        "$ref": "#/definitions/hymenium"
+       }
+      }
+     ]
+    },
+    "spore": {
+     "enum": [
+      null,
+      "white",
+      "cream",
+      "pink",
+      "rusty",
+      "brown",
+      "purple-brown",
+      "black"
+     ]
+    },
+    "ring": {
+     "type": [
+      "boolean",
+      "null"
+     ]
+    },
+    "volva": {
+     "type": [
+      "boolean",
+      "null"
+     ]
+    },
+    "habitat": {
+     "type": [
+      "array",
+      "null"
+     ],
+     "items": {
+      "enum": [
+       "wood",
+       "soil",
+       "grass",
+       "dung",
+       "host",
+       "underground",
+       "other"
+      ]
+     }
+    },
+    "season": {
+     "type": [
+      "array",
+      "null"
+     ],
+     "items": {
+      "enum": [
+       "spring",
+       "summer",
+       "autumn",
+       "winter"
+      ]
+     }
+    }
+   }
+  },
+  "culinary": {
+   "description": "culinary.json: how a species that is eaten is prepared; seasonality comes from fruiting.json unless it is sold all year",
+   "type": "object",
+   "required": [
+    "prep",
+    "texture",
+    "flavour",
+    "pairings",
+    "methods",
+    "preserve",
+    "yearRound",
+    "recipe"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "prep": {
+     "description": "rules the cook must follow; [] = none beyond the usual",
+     "type": "array",
+     "uniqueItems": true,
+     "items": {
+      "enum": [
+       "cook",
+       "parboil",
+       "noAlcohol",
+       "raw",
+       "young",
+       "sameDay",
+       "capsOnly",
+       "trim",
+       "peel",
+       "clean",
+       "limit",
+       "tryFirst"
+      ]
+     }
+    },
+    "texture": {
+     "enum": [
+      "meaty",
+      "firm",
+      "tender",
+      "delicate",
+      "chewy",
+      "crisp",
+      "soft",
+      "gelatinous"
+     ]
+    },
+    "flavour": {
+     "type": "array",
+     "minItems": 1,
+     "uniqueItems": true,
+     "items": {
+      "enum": [
+       "mild",
+       "nutty",
+       "earthy",
+       "umami",
+       "fruity",
+       "smoky",
+       "seafood",
+       "spicy",
+       "sweet",
+       "sour",
+       "garlic",
+       "musky",
+       "peppery",
+       "aniseed"
+      ]
+     }
+    },
+    "pairings": {
+     "type": "array",
+     "minItems": 1,
+     "uniqueItems": true,
+     "items": {
+      "enum": [
+       "butter",
+       "cream",
+       "eggs",
+       "cheese",
+       "garlic",
+       "herbs",
+       "ginger",
+       "chilli",
+       "soy",
+       "stock",
+       "wine",
+       "pasta",
+       "rice",
+       "potatoes",
+       "corn",
+       "meat",
+       "game",
+       "poultry",
+       "fish",
+       "fruit",
+       "honey"
+      ]
+     }
+    },
+    "methods": {
+     "type": "array",
+     "minItems": 1,
+     "uniqueItems": true,
+     "items": {
+      "enum": [
+       "saute",
+       "stirfry",
+       "fry",
+       "grill",
+       "roast",
+       "bake",
+       "braise",
+       "soup",
+       "steam",
+       "raw",
+       "infuse",
+       "steep",
+       "dessert"
+      ]
+     }
+    },
+    "preserve": {
+     "description": "ways to keep it; [] = eat fresh",
+     "type": "array",
+     "uniqueItems": true,
+     "items": {
+      "enum": [
+       "dry",
+       "powder",
+       "freeze",
+       "cookFreeze",
+       "pickle",
+       "oil"
+      ]
+     }
+    },
+    "yearRound": {
+     "description": "sold cultivated all year",
+     "type": "boolean"
+    },
+    "recipe": {
+     "type": "object",
+     "required": [
+      "name",
+      "method"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "name": {
+       "$ref": "#/definitions/text"
+      },
+      "method": {
+       "$ref": "#/definitions/text"
+      }
+     }
+    }
+   }
+  },
+  "syndromes": {
+   "description": "syndromes.json: the controlled symptom vocabulary (signs: clinical name and what it looks like) and the poisoning syndromes they point to",
+   "type": "object",
+   "required": [
+    "signs",
+    "syndromes"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "signs": {
+     "type": "object",
+     "additionalProperties": {
+      "type": "object",
+      "required": [
+       "name",
+       "hint"
+      ],
+      "additionalProperties": false,
+      "properties": {
+       "name": {
+        "$ref": "#/definitions/text"
+       },
+       "hint": {
+        "$ref": "#/definitions/text"
+       }
+      }
+     }
+    },
+    "syndromes": {
+     "type": "object",
+     "additionalProperties": {
+      "type": "object",
+      "required": [
+       "name",
+       "toxins",
+       "onsetHours",
+       "signs",
+       "note"
+      ],
+      "additionalProperties": false,
+      "properties": {
+       "name": {
+        "$ref": "#/definitions/text"
+       },
+       "toxins": {
+        "$ref": "#/definitions/text"
+       },
+       "onsetHours": {
+        "$ref": "#/definitions/hourRange"
+       },
+       "signs": {
+        "type": "array",
+        "minItems": 1,
+        "uniqueItems": true,
+        "items": {
+         "type": "string",
+         "pattern": "^[a-z]+$"
+        }
+       },
+       "note": {
+        "$ref": "#/definitions/text"
+       }
+      }
+     }
+    }
+   }
+  },
+  "uiString": {
+   "description": "a UI string, or its plural forms by Intl.PluralRules category (chosen by the {n} it is given)",
+   "anyOf": [
+    {
+     "$ref": "#/definitions/text"
+    },
+    {
+     "type": "object",
+     "required": [
+      "other"
+     ],
+     "additionalProperties": false,
+     "patternProperties": {
+      "^(zero|one|two|few|many|other)$": {
+       "$ref": "#/definitions/text"
+      }
+     }
+    }
+   ]
+  },
+  "locale": {
+   "description": "locales/<lang>.json: UI strings and translated content fields; whatever is left out falls back to English",
+   "type": "object",
+   "required": [
+    "name",
+    "ui"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "name": {
+     "$ref": "#/definitions/text"
+    },
+    "ui": {
+     "type": "object",
+     "additionalProperties": {
+      "$ref": "#/definitions/uiString"
+     }
+    },
+    "species": {
+     "type": "object",
+     "additionalProperties": false,
+     "patternProperties": {
+      "^[0-9]+$": {
+       "type": "object",
+       "additionalProperties": false,
+       "properties": {
+        "name": {
+         "$ref": "#/definitions/text"
+        },
+        "tag": {
+         "$ref": "#/definitions/text"
+        },
+        "fact": {
+         "$ref": "#/definitions/text"
+        },
+        "hab": {
+         "$ref": "#/definitions/text"
+        }
+       }
+      }
+     }
+    },
+    "details": {
+     "type": "object",
+     "additionalProperties": false,
+     "patternProperties": {
+      "^[0-9]+$": {
+       "type": "object",
+       "additionalProperties": false,
+       "properties": {
+        "edibility": {
+         "$ref": "#/definitions/text"
+        },
+        "taste": {
+         "$ref": "#/definitions/text"
+        },
+        "search": {
+         "$ref": "#/definitions/text"
+        },
+        "toxicity": {
+         "type": "object",
+         "additionalProperties": false,
+         "properties": {
+          "symptoms": {
+           "$ref": "#/definitions/text"
+          },
+          "onset": {
+           "$ref": "#/definitions/text"
+          },
+          "treatmentWindow": {
+           "$ref": "#/definitions/text"
+          },
+          "antidote": {
+           "$ref": "#/definitions/text"
+          }
+         }
+        }
+       }
+      }
+     }
+    },
+    "extras": {
+     "type": "object",
+     "additionalProperties": false,
+     "patternProperties": {
+      "^[0-9]+$": {
+       "type": "object",
+       "additionalProperties": false,
+       "properties": {
+        "chef": {
+         "type": "object",
+         "additionalProperties": false,
+         "properties": {
+          "tip": {
+           "$ref": "#/definitions/text"
+          }
+         }
+        },
+        "controleur": {
+         "type": "object",
+         "additionalProperties": false,
+         "properties": {
+          "remedy": {
+           "$ref": "#/definitions/text"
+          }
+         }
+        },
+        "nerd": {
+         "type": "object",
+         "additionalProperties": false,
+         "properties": {
+          "bonus": {
+           "$ref": "#/definitions/text"
+          }
+         }
+        }
+       }
+      }
+     }
+    },
+    "culinary": {
+     "type": "object",
+     "additionalProperties": false,
+     "patternProperties": {
+      "^[0-9]+$": {
+       "type": "object",
+       "additionalProperties": false,
+       "properties": {
+        "recipe": {
+         "type": "object",
+         "additionalProperties": false,
+         "properties": {
+          "name": {
+           "$ref": "#/definitions/text"
+          },
+          "method": {
+           "$ref": "#/definitions/text"
+          }
+         }
+        }
+       }
+      }
+     }
+    },
+    "signs": {
+     "type": "object",
+     "additionalProperties": {
+      "type": "object",
+      "additionalProperties": false,
+      "properties": {
+       "name": {
+        "$ref": "#/definitions/text"
+       },
+       "hint": {
+        "$ref": "#/definitions/text"
+       }
+      }
+     }
+    },
+    "syndromes": {
+     "type": "object",
+     "additionalProperties": {
+      "type": "object",
+      "additionalProperties": false,
+      "properties": {
+       "name": {
+        "$ref": "#/definitions/text"
+       },
+       "toxins": {
+        "$ref": "#/definitions/text"
+       },
+       "note": {
+        "$ref": "#/definitions/text"
+       }
+      }
+     }
+    }
+   }
+  },
+  "fruiting": {
+   "description": "months in which fruiting bodies can be found, per hemisphere; null = the species forms none",
+   "type": [
+    "object",
+    "null"
+   ],
+   "required": [
+    "N",
+    "S"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "N": {
+     "$ref": "#/definitions/monthRanges"
+    },
+    "S": {
+     "$ref": "#/definitions/monthRanges"
+    }
+   }
+  },
+  "taxonomy": {
+   "description": "taxonomy.json: the species' ranks from kingdom to genus. null = unplaced at that rank, or the entry covers several taxa (e.g. \"Suillus / Agaricus spp.\")",
+   "type": "object",
+   "required": [
+    "kingdom",
+    "phylum",
+    "class",
+    "order",
+    "family",
+    "genus"
+   ],
+   "additionalProperties": false,
+   "properties": {
+    "kingdom": {
+     "$ref": "#/definitions/taxon"
+    },
+    "phylum": {
+     "$ref": "#/definitions/taxon"
+    },
+    "class": {
+     "$ref": "#/definitions/taxon"
+    },
+    "order": {
+     "$ref": "#/definitions/taxon"
+    },
+    "family": {
+     "$ref": "#/definitions/taxon"
+    },
+    "genus": {
+     "$ref": "#/definitions/taxon"
+    }
+   }
+  },
+  "taxon": {
+   "type": [
+    "string",
+    "null"
+   ],
+   "pattern": "^[A-Z][a-z]+$"
+  },
+  "imageMeta": {
+   "description": "images/<n>/meta.json: where each img_<k>.jpg comes from, under which licence and what it shows. Written by fetch_images.js; author and licence are empty when the source does not say",
+   "type": "object",
+   "additionalProperties": false,
+   "patternProperties": {
+    "^img_\\d+\\.jpg$": {
+     "type": "object",
+     "required": [
+      "source",
+      "author",
+      "licence",
+      "licenceUrl"
+     ],
+     "additionalProperties": false,
+     "properties": {
+      "source": {
+       "type": "string",
+       "pattern": "^https?://",
+       "description": "the file's description page"
+      },
+      "author": {
+       "type": "string"
+      },
+      "licence": {
+       "type": "string",
+       "description": "short licence name as the source gives it, e.g. CC BY-SA 4.0"
+      },
+      "licenceUrl": {
+       "type": "string",
+       "pattern": "^(https?://.*)?$"
+      },
+      "description": {
+       "type": "string",
+       "minLength": 1,
+       "maxLength": 250,
+       "description": "what the photo shows, as its source describes it; the app's alt text"
+      }
+     }
+    }
+   }
+  }
+ }
+};
@@ -0,0 +1,103 @@
+/* generated by build.js from species.json — do not edit by hand */
+const M = [
+{"n":1,"name":"Bleeding Tooth Fungus","sci":"Hydnellum peckii","cat":"COLOR","ck":"0x8B0000","col":"#8B0000","tag":"Hex color matching its dark red sap","e":"inedible","fact":"Its blood-red sap contains atromentin — a natural anticoagulant being studied as a heparin alternative.","hab":"Coniferous forests; mycorrhizal with pine and spruce.","r":["NA","EU","AS"]},
+{"n":2,"name":"Destroying Angel","sci":"Amanita bisporigera","cat":"COLOR","ck":"0xFFFFFF","col":"#FFFFFF","tag":"Hex for its pure white, deadly appearance","e":"deadly","fact":"A single cap can kill an adult; amatoxins shut down RNA polymerase II and dissolve the liver.","hab":"Mixed and deciduous woodlands; mycorrhizal with oaks and birches.","r":["NA","EU"]},
+{"n":3,"name":"Black Truffle","sci":"Tuber melanosporum","cat":"COLOR","ck":"0x000000","col":"#0a0a0a","tag":"Hex for its dark, earthy exterior","e":"choice","fact":"A trained dog can scent a single ripe Périgord truffle through 30 cm of soil — and they sell for €2,000+ /kg.","hab":"Underground in calcareous soils with oak, hazel, and hornbeam.","r":["FRA","ITA","ESP"]},
+{"n":4,"name":"Golden Chanterelle","sci":"Cantharellus cibarius","cat":"COLOR","ck":"0xFFD700","col":"#FFD700","tag":"Hex matching its prized yellow-gold hue","e":"choice","fact":"It smells faintly of apricots — and has false gills (forked ridges) instead of true sharp ones.","hab":"Mossy ground in conifer and hardwood forests across the North.","r":["NA","EU","AS"]},
+{"n":5,"name":"Indigo Milk Cap","sci":"Lactarius indigo","cat":"COLOR","ck":"0x0000FF","col":"#1d4ed8","tag":"Hex for its striking blue flesh and milk","e":"edible","fact":"When cut, it bleeds dark blue latex — the only natural occurrence of an azulene pigment in fungi.","hab":"Oak and pine forests; sold fresh in Mexican markets.","r":["NA","SA","AS"]},
+{"n":6,"name":"Amethyst Deceiver","sci":"Laccaria amethystina","cat":"COLOR","ck":"0x8A2BE2","col":"#8A2BE2","tag":"Hex for its deep purple coloring","e":"edible","fact":"It hyperaccumulates arsenic from soil — surprising amounts end up in the cap.","hab":"Beech and oak woodlands across the Northern Hemisphere.","r":["NA","EU","AS"]},
+{"n":7,"name":"Pink Oyster Mushroom","sci":"Pleurotus djamor","cat":"COLOR","ck":"0xFF69B4","col":"#FF69B4","tag":"Hex for its vibrant pink gills","e":"edible","fact":"Among the fastest-growing cultivated fungi — it can also break down petroleum and certain plastics.","hab":"Tropical and subtropical hardwoods.","r":["AS","OC","NA","SA"]},
+{"n":8,"name":"Parrot Waxcap","sci":"Gliophorus psittacinus","cat":"COLOR","ck":"0x00FF00","col":"#00FF00","tag":"Hex for its bright green, slimy cap","e":"inedible","fact":"It shifts through green, yellow, orange, and pink as it ages — and indicates ancient, unfertilized grassland.","hab":"Mossy meadows and old lawns.","r":["EU","NA","OC"]},
+{"n":9,"name":"Sky Blue Mushroom","sci":"Entoloma hochstetteri","cat":"COLOR","ck":"0xADD8E6","col":"#9bd2ec","tag":"Hex matching its rare azure tone","e":"inedible","fact":"It appears on the New Zealand $50 banknote — one of the few fungi on a national currency.","hab":"Damp native forests of New Zealand and India.","r":["NZL","IND"]},
+{"n":10,"name":"Chicken of the Woods","sci":"Laetiporus sulphureus","cat":"COLOR","ck":"0xFFA500","col":"#FFA500","tag":"Hex for its bright orange shelves","e":"choice","fact":"Its meaty texture and mild flavor really do recall cooked chicken — beloved by foragers worldwide.","hab":"Brackets on oak and other hardwoods.","r":["NA","EU"]},
+{"n":11,"name":"Texas Star","sci":"Chorioactis geaster","cat":"TECH","ck":"Error 404","tag":"Highly elusive, found only in disjunct regions","e":"inedible","fact":"Splits open with an audible hiss, releasing a visible cloud of spores — known only from Texas and Japan.","hab":"Buried roots of cedar elm (TX) and oak (Japan).","r":["USA","JPN","TWN"]},
+{"n":12,"name":"Death Cap","sci":"Amanita phalloides","cat":"TECH","ck":"Error 500","tag":"Causes catastrophic internal system failure","e":"deadly","fact":"Responsible for ~90% of all fatal mushroom poisonings worldwide. Cooking does not destroy the toxin.","hab":"Native to Europe; invasive in North America under oaks.","r":["EU","NA","OC","SA"]},
+{"n":13,"name":"Fairy Ring Champignon","sci":"Marasmius oreades","cat":"TECH","ck":"Loop: While(True)","tag":"Grows outward in a continuous, endless circle","e":"choice","fact":"Some fairy rings are centuries old — the mycelium expands radially, leaving lush rings of grass behind.","hab":"Lawns, pastures, and golf courses across the Northern Hemisphere.","r":["NA","EU","AS"]},
+{"n":14,"name":"Mycorrhizal Network","sci":"Glomus / Rhizophagus spp.","cat":"TECH","ck":"Root Access","tag":"Taps directly into the root systems of trees","e":"symbiont","fact":"Trees swap carbon, nitrogen, water, and chemical alarm signals through the underground 'wood-wide web'.","hab":"Soils worldwide; allies with ~90% of land plants.","r":["WW"]},
+{"n":15,"name":"Corn Smut (Huitlacoche)","sci":"Ustilago maydis","cat":"TECH","ck":"Data Corruption","tag":"Infects and overwrites the kernels of corn","e":"choice","fact":"Despised in the U.S. corn belt — but a delicacy in Mexico, with more lysine than the corn it replaces.","hab":"Wherever maize is cultivated.","r":["WW"]},
+{"n":16,"name":"Matsutake","sci":"Tricholoma matsutake","cat":"TECH","ck":"Encryption Key","tag":"Hidden underground, highly valuable, hard to decode","e":"choice","fact":"Top-grade Japanese matsutake fetches over US $1,000 per kilo — its scent is iconic of autumn.","hab":"Ectomycorrhizal with red pine, especially in Japan, Korea, and the PNW.","r":["JPN","KOR","PRK","CHN","RUS","USA","CAN","SWE","FIN","NOR"]},
+{"n":17,"name":"Wrinkled Peach","sci":"Rhodotus palmatus","cat":"TECH","ck":"Glitch","tag":"Looks visually distorted, like a rendering error","e":"inedible","fact":"Mature specimens 'cry' blood-red droplets — the species is now red-listed across Europe.","hab":"Rotting elm logs; rare and declining.","r":["EU","NA","AS"]},
+{"n":18,"name":"Birch Polypore","sci":"Fomitopsis betulina","cat":"TECH","ck":"Firewall","tag":"Forms a tough, impenetrable bracket on trees","e":"medicinal","fact":"Ötzi the 5,300-year-old Iceman carried pieces on a leather thong — likely as antiparasitic medicine.","hab":"Almost exclusively on dead and dying birch trees.","r":["NA","EU","AS"]},
+{"n":19,"name":"Honey Fungus","sci":"Armillaria mellea","cat":"TECH","ck":"Malware","tag":"Aggressively attacks and overtakes forest root systems","e":"toxic","fact":"Spreads via black 'shoestring' rhizomorphs and glows green in the dark — classic forest 'foxfire'.","hab":"Worldwide on living and dead wood.","r":["WW"]},
+{"n":20,"name":"Stinkhorn","sci":"Phallus impudicus","cat":"TECH","ck":"Ping: 999ms","tag":"You smell its rotting odor before you see it","e":"inedible","fact":"Charles Darwin's daughter Etty crusaded against them, burning specimens to protect Victorian morals.","hab":"Woodlands and gardens with rich humus.","r":["EU","NA"]},
+{"n":21,"name":"Shaggy Ink Cap","sci":"Coprinus comatus","cat":"TAROT","ck":"The Tower","tag":"Rapidly collapses and auto-digests into black ooze","e":"choice","fact":"Liquefies into actual ink within hours — historically used for writing; spores remain in old documents.","hab":"Disturbed soil, lawns, and roadsides.","r":["NA","EU","AS"]},
+{"n":22,"name":"Autumn Skullcap","sci":"Galerina marginata","cat":"TAROT","ck":"Death","tag":"A harbinger of demise if consumed","e":"deadly","fact":"Carries the same amatoxins as the Death Cap — and is regularly mistaken for psychoactive mushrooms.","hab":"Decaying logs across the Northern Hemisphere.","r":["WW"]},
+{"n":23,"name":"Psilocybe cubensis","sci":"Psilocybe cubensis","cat":"TAROT","ck":"The Magician","tag":"Alters perception and reality","e":"psychoactive","fact":"The most cultivated psilocybin mushroom — at the center of modern clinical trials for depression and PTSD.","hab":"Cattle dung and pastures in tropical climates.","r":["NA","SA","AS","OC"]},
+{"n":24,"name":"White Truffle","sci":"Tuber magnatum","cat":"TAROT","ck":"The Hermit","tag":"Solitary, hidden deep in the earth","e":"choice","fact":"Cannot be cultivated — every white truffle on the market is wild-foraged. One sold for over US $300,000.","hab":"Calcareous soils with oak, hazel, and poplar in northern Italy.","r":["ITA","HRV","SVN","HUN","SRB"]},
+{"n":25,"name":"Golden Oyster","sci":"Pleurotus citrinopileatus","cat":"TAROT","ck":"The Sun","tag":"Bright, clustering, and life-giving","e":"edible","fact":"Escaped from cultivation kits — now an invasive species in North American forests, displacing natives.","hab":"Dead hardwoods, native to East Asia.","r":["AS","NA"]},
+{"n":26,"name":"Ghost Fungus","sci":"Omphalotus nidiformis","cat":"TAROT","ck":"The Moon","tag":"Glows in the dark under the night sky","e":"toxic","fact":"Its gills emit a soft green glow bright enough to read by — Aboriginal lore called it spirit-light.","hab":"Eucalyptus trees in southern Australia.","r":["AUS"]},
+{"n":27,"name":"Veiled Lady","sci":"Phallus indusiatus","cat":"TAROT","ck":"The Empress","tag":"Wears a majestic, intricate lace skirt","e":"choice","fact":"Extends its lacy 'skirt' fully in 1–2 hours — popular in time-lapse footage and imperial Chinese cuisine.","hab":"Tropical forests and bamboo groves.","r":["AS","AF","SA","NA","OC"]},
+{"n":28,"name":"Devil's Urn","sci":"Urnula craterium","cat":"TAROT","ck":"The Devil","tag":"Dark, cup-shaped, and ominous","e":"inedible","fact":"Releases a visible puff of spores when struck by a raindrop — and reliably announces morel season.","hab":"Buried hardwood branches in spring.","r":["NA","AS"]},
+{"n":29,"name":"False Morel","sci":"Gyromitra esculenta","cat":"TAROT","ck":"The Fool","tag":"Easily mistaken for a safe choice, but risky","e":"toxic","fact":"Its toxin metabolizes into monomethylhydrazine — the same compound used in rocket fuel.","hab":"Sandy conifer forests in spring.","r":["NA","EU","AS"]},
+{"n":30,"name":"Earthstar","sci":"Geastrum triplex","cat":"TAROT","ck":"The Star","tag":"Splits open to reveal a star-shaped base","e":"inedible","fact":"Raindrops act as bellows on the spore sac — every drop puffs a visible cloud through the apical pore.","hab":"Leaf litter in deciduous woods worldwide.","r":["WW"]},
+{"n":31,"name":"Lobster Mushroom","sci":"Hypomyces lactifluorum","cat":"PLANET","ck":"Mars","tag":"Covered in a hard, rusty-red crust","e":"choice","fact":"Two organisms in one — a parasite has hijacked and reshaped a Russula into a single firm, seafood-like body.","hab":"Conifer forests across North America.","r":["USA","CAN","MEX"]},
+{"n":32,"name":"Rose Comb","sci":"Agaricus bisporus (mut.)","cat":"PLANET","ck":"Venus","tag":"Mutated, strange, and heavily atmospheric","e":"edible","fact":"A developmental glitch triggered by hydrocarbon fumes — entire commercial crops can mutate together.","hab":"Mushroom farms and rich compost.","r":["WW"]},
+{"n":33,"name":"Humongous Fungus","sci":"Armillaria ostoyae","cat":"PLANET","ck":"Jupiter","tag":"Massive in scale, the largest organism on Earth","e":"toxic","fact":"A single Oregon individual covers 9.6 km², weighs ~30,000 tons, and is 2,400+ years old.","hab":"Coniferous forests of the Northern Hemisphere.","r":["NA","EU","AS"]},
+{"n":34,"name":"Ringless Honey Mushroom","sci":"Desarmillaria caespitosa","cat":"PLANET","ck":"Saturn","tag":"Defined by its notable lack of an annulus","e":"toxic","fact":"Its rhizomorphs are bioluminescent — the gentle 'foxfire' that haunts old folk tales.","hab":"Hardwoods of eastern and southern North America.","r":["NA","EU","AS"]},
+{"n":35,"name":"Giant Puffball","sci":"Calvatia gigantea","cat":"MOON","ck":"Full","tag":"Large, spherical, and glowing white in the grass","e":"choice","fact":"A mature puffball releases ~7 trillion spores — enough that two ungoverned generations would mass more than Earth.","hab":"Pastures and woodland edges.","r":["NA","EU"]},
+{"n":36,"name":"Horn of Plenty","sci":"Craterellus cornucopioides","cat":"MOON","ck":"Crescent","tag":"Dark and curved like a sliver of the moon","e":"choice","fact":"Known in French as 'trumpet of death' — the morbid name refers to its color, not its taste, which is gourmet.","hab":"Beech and oak woodlands.","r":["NA","EU","AS"]},
+{"n":37,"name":"Turkey Tail","sci":"Trametes versicolor","cat":"COSMIC","ck":"Nebula","tag":"Banded with cosmic, swirling colors","e":"medicinal","fact":"Source of polysaccharide-K (Krestin) — an approved adjunct cancer therapy in Japan and China.","hab":"Dead hardwoods on every continent except Antarctica.","r":["WW"]},
+{"n":38,"name":"Black Trumpet","sci":"Craterellus cornucopioides","cat":"COSMIC","ck":"Black Hole","tag":"A dark, funnel-like void on the forest floor","e":"choice","fact":"So well camouflaged that foragers describe spotting one as 'finding a hole in the ground.'","hab":"Mossy hardwood forests worldwide.","r":["NA","EU","AS"]},
+{"n":39,"name":"Collared Earthstar","sci":"Geastrum triplex","cat":"COSMIC","ck":"Supernova","tag":"Looks like an explosive celestial event","e":"inedible","fact":"The largest *Geastrum* — its rays open hygroscopically, lifting the spore sac like a launching rocket.","hab":"Beech leaf litter, often in groups.","r":["WW"]},
+{"n":40,"name":"Chaga","sci":"Inonotus obliquus","cat":"COSMIC","ck":"Meteorite","tag":"Resembles a charred rock crashed onto a birch trunk","e":"medicinal","fact":"Concentrates betulin from its host birch — Siberians have brewed it as antitumor tea for centuries.","hab":"Living birch trees in boreal forests.","r":["NA","EU","AS"]},
+{"n":41,"name":"Golden Coral Fungus","sci":"Ramaria aurea","cat":"ELEMENT","ck":"Au","tag":"Strikingly similar to golden reef structures","e":"inedible","fact":"Coral fungi are notorious for being inseparable in the field — even mycologists need a microscope.","hab":"Beech and oak forests of Europe and North America.","r":["NA","EU"]},
+{"n":42,"name":"Copper Spike","sci":"Chroogomphus rutilus","cat":"ELEMENT","ck":"Cu","tag":"Features a distinct coppery-brown cap","e":"edible","fact":"A secret mycoparasite — it hijacks the mycelium of *Suillus* mushrooms to feed.","hab":"Pine forests of Europe, Asia, and North America.","r":["NA","EU","AS"]},
+{"n":43,"name":"Beefsteak Fungus","sci":"Fistulina hepatica","cat":"ELEMENT","ck":"Fe","tag":"Bleeds red juice and resembles raw meat","e":"edible","fact":"Stains oak heartwood a luxurious 'brown oak' — wood prized by furniture makers for centuries.","hab":"Living oaks and chestnuts.","r":["NA","EU","OC","AF"]},
+{"n":44,"name":"Radiotrophic Fungi","sci":"Cladosporium sphaerospermum","cat":"ELEMENT","ck":"U","tag":"Feeds on gamma radiation inside Chernobyl","e":"pathogenic","fact":"Performs 'radiosynthesis' via melanin and grows toward radiation — being tested as Mars-mission shielding.","hab":"Inside the Chernobyl sarcophagus, ISS panels, Antarctic rocks.","r":["WW"]},
+{"n":45,"name":"Sulfur Tuft","sci":"Hypholoma fasciculare","cat":"ELEMENT","ck":"S","tag":"Bright yellow-green and bitter to the taste","e":"toxic","fact":"Has caused fatalities in Japan; bitterness usually saves victims, but lookalikes have killed.","hab":"Clustered on hardwood stumps worldwide.","r":["WW"]},
+{"n":46,"name":"Silver Leaf Fungus","sci":"Chondrostereum purpureum","cat":"ELEMENT","ck":"Ag","tag":"Causes leaves of infected trees to turn silver","e":"pathogenic","fact":"Studied as a biological herbicide — sprayed onto stumps to prevent unwanted hardwood regrowth.","hab":"Plums, cherries, and other Prunus worldwide.","r":["WW"]},
+{"n":47,"name":"King Coal Fungus","sci":"Daldinia concentrica","cat":"ELEMENT","ck":"C","tag":"Looks exactly like a lump of burnt carbon","e":"inedible","fact":"Bushcrafters have prized it as natural tinder since prehistory — catches a spark, smolders for hours.","hab":"Dead ash and beech wood.","r":["NA","EU"]},
+{"n":48,"name":"Leaden Entoloma","sci":"Entoloma sinuatum","cat":"ELEMENT","ck":"Pb","tag":"Features a dull, heavy gray appearance","e":"toxic","fact":"Mimics the edible Miller, St. George's, and porcini — one of Europe's most common poisoning culprits.","hab":"Calcareous soils under oak, beech, and lime.","r":["EU","NA"]},
+{"n":49,"name":"Mycena chlorophos","sci":"Mycena chlorophos","cat":"ELEMENT","ck":"Ne","tag":"Emits a bright, neon-green bioluminescence","e":"inedible","fact":"One of the brightest glowing fungi — Japanese folklore calls the eerie green light *kitsunebi* (fox-fire).","hab":"Decaying wood in tropical forests.","r":["AS","OC","SA"]},
+{"n":50,"name":"Dead Man's Fingers","sci":"Xylaria polymorpha","cat":"ELEMENT","ck":"Ca","tag":"Looks like pale, calcified bones reaching from the dirt","e":"inedible","fact":"Releases sexual spores slowly over many months — an exceptionally long fruiting cycle for any fungus.","hab":"Rotting hardwood stumps, especially beech.","r":["NA","EU","AS"]},
+{"n":51,"name":"Artist's Conk","sci":"Ganoderma applanatum","cat":"TEMPO","ck":"Largo","tag":"Grows incredibly slowly, adding one layer per year","e":"medicinal","fact":"Its white pore surface darkens permanently when scratched — used as a natural canvas for centuries.","hab":"Living and dead hardwoods worldwide.","r":["WW"]},
+{"n":52,"name":"Ink Cap","sci":"Coprinopsis atramentaria","cat":"TEMPO","ck":"Presto","tag":"Grows and dissolves within a matter of hours","e":"toxic","fact":"Edible *unless* eaten with alcohol — coprine triggers a violent disulfiram reaction up to 72 hours later.","hab":"Lawns, parks, and woodland edges.","r":["NA","EU","AS"]},
+{"n":53,"name":"Fluted Bird's Nest","sci":"Cyathus striatus","cat":"INSTRUMENT","ck":"Flute","tag":"Ridged edges resembling a wind instrument","e":"inedible","fact":"Uses splash-cup dispersal — a single raindrop launches its tiny 'eggs' up to a meter onto vegetation.","hab":"Decaying wood and mulched garden beds.","r":["WW"]},
+{"n":54,"name":"Black Trumpet","sci":"Craterellus cornucopioides","cat":"INSTRUMENT","ck":"Trumpet","tag":"Shaped exactly like the bell of a horn","e":"choice","fact":"Camouflage so total that, once you spot one, dozens suddenly resolve at your feet.","hab":"Mossy hardwood forests.","r":["NA","EU","AS"]},
+{"n":55,"name":"Bell Morel","sci":"Verpa bohemica","cat":"INSTRUMENT","ck":"Bell","tag":"Conical cap resting like a bell on a stem","e":"toxic","fact":"Its cap hangs free from the stem — the single feature that distinguishes it from prized true morels.","hab":"Floodplain woodlands in early spring.","r":["NA","EU"]},
+{"n":56,"name":"Heavy Metal Fungi","sci":"Suillus / Agaricus spp.","cat":"GENRE","ck":"Heavy Metal","tag":"Hyperaccumulates toxic metals from soil","e":"edible","fact":"Some species concentrate cadmium, lead, and radiocesium up to 100× soil levels — useful for mycoremediation.","hab":"Roadside soils, smelter zones, and Chernobyl/Fukushima fallout regions.","r":["WW"]},
+{"n":57,"name":"Porcini","sci":"Boletus edulis","cat":"GENRE","ck":"Classical","tag":"A timeless, foundational culinary staple","e":"choice","fact":"Truly cosmopolitan — populations across Europe, Asia, and North America share genes despite oceans between them.","hab":"Mycorrhizal with conifers and hardwoods worldwide.","r":["NA","EU","AS"]},
+{"n":58,"name":"Punkwood Fungus","sci":"Fomitopsis pinicola","cat":"GENRE","ck":"Punk","tag":"Breaks down wood into a soft, rebellious rot","e":"medicinal","fact":"The 'punky' wood it leaves behind has carried fire between human camps for thousands of years.","hab":"Standing snags and fallen conifers.","r":["WW"]},
+{"n":59,"name":"Echo Fungus","sci":"Pleurotus ostreatus","cat":"ACOUSTICS","ck":"Reverb","tag":"Grows in hollow, resonant logs","e":"choice","fact":"Heart-rot fungi engineer the cavities that owls, woodpeckers, bats, and bears depend on for shelter.","hab":"Hollow trunks and standing snags.","r":["WW"]},
+{"n":60,"name":"Lion's Mane","sci":"Hericium erinaceus","cat":"FREQ","ck":"432Hz","tag":"Associated with brain health and neural harmony","e":"medicinal","fact":"Contains erinacines that stimulate Nerve Growth Factor — under active study for cognitive and nerve repair.","hab":"Wounds high on beech and oak trunks.","r":["NA","EU","AS"]},
+{"n":61,"name":"Fly Agaric","sci":"Amanita muscaria","cat":"VIBE","ck":"Cottagecore","tag":"The classic red-and-white fairytale toadstool","e":"toxic","fact":"Used in Siberian shamanic rituals — and the inspiration for Mario's Super Mushroom.","hab":"Mycorrhizal with birch and pine, now globally distributed.","r":["WW"]},
+{"n":62,"name":"Black Witch's Butter","sci":"Exidia glandulosa","cat":"VIBE","ck":"Goth","tag":"Dark, gelatinous, and mysterious","e":"inedible","fact":"In folklore, finding it on your gate meant a witch had cursed you — pierce it with pins to break the spell.","hab":"Dead oak branches after rain.","r":["NA","EU"]},
+{"n":63,"name":"Rusty Porecrust","sci":"Phellinus ferruginosus","cat":"VIBE","ck":"Steampunk","tag":"Looks like oxidized gears on dead wood","e":"inedible","fact":"A white-rot fungus — its enzymes target the lignin that makes wood woody.","hab":"Underside of fallen hardwood branches.","r":["NA","EU"]},
+{"n":64,"name":"Bioluminescent Panellus","sci":"Panellus stipticus","cat":"VIBE","ck":"Cyberpunk","tag":"Glowing tech-green on decaying urban timber","e":"toxic","fact":"North American populations glow vividly; European ones are dark — a famous case of regional biochemistry.","hab":"Dead hardwoods, especially oak, beech, and birch.","r":["NA","EU","AS","OC"]},
+{"n":65,"name":"White Button Mushroom","sci":"Agaricus bisporus","cat":"VIBE","ck":"Minimalist","tag":"Simple, clean, and unpretentious","e":"edible","fact":"Cremini and portobello are the same species — just older. Accounts for ~90% of US mushroom consumption.","hab":"Cultivated on pasteurized compost worldwide.","r":["WW"]},
+{"n":66,"name":"Cauliflower Mushroom","sci":"Sparassis crispa","cat":"VIBE","ck":"Maximalist","tag":"Complex, folding, and heavily textured","e":"choice","fact":"A single specimen can weigh several kilograms and fruit from the same root system year after year.","hab":"Roots and bases of conifers.","r":["NA","EU","AS"]},
+{"n":67,"name":"Snow Fungus","sci":"Tremella fuciformis","cat":"VIBE","ck":"Ethereal","tag":"Translucent, ruffled, and ghost-like","e":"edible","fact":"Holds 500× its weight in water — marketed as natural hyaluronic acid in skincare for over 2,000 years.","hab":"Tropical hardwoods; widely cultivated in China.","r":["AS","NA","SA","AF"]},
+{"n":68,"name":"Slippery Jack","sci":"Suillus luteus","cat":"VIBE","ck":"Grungy","tag":"Covered in a thick, sticky, brown slime","e":"edible","fact":"Has hitchhiked the world with pine plantations — now invasive in the Southern Hemisphere.","hab":"Wherever pines have been planted.","r":["WW"]},
+{"n":69,"name":"King Oyster","sci":"Pleurotus eryngii","cat":"VIBE","ck":"Royal","tag":"Tall, thick-stemmed, and highly regarded","e":"choice","fact":"Vegan kitchens slice its dense stem into perfect 'scallops' — a uniquely meaty fungal stem.","hab":"Mediterranean grasslands; weakly parasitic on umbellifers.","r":["EU","AF","AS"]},
+{"n":70,"name":"Poison Pie","sci":"Hebeloma crustuliniforme","cat":"VIBE","ck":"Cursed","tag":"Looks like a bakery treat but is toxic","e":"toxic","fact":"Its gills weep tiny droplets that dry into dark spots — and it smells unmistakably of raw radish.","hab":"Mycorrhizal with birch, oak, beech, and spruce.","r":["NA","EU"]},
+{"n":71,"name":"Split Gill","sci":"Schizophyllum commune","cat":"GEOMETRY","ck":"Fractal","tag":"Gills split and curl in complex mathematical patterns","e":"inedible","fact":"Has more than 23,000 distinct mating types — by far the highest known number of biological sexes.","hab":"Rotting wood on every continent except Antarctica.","r":["WW"]},
+{"n":72,"name":"Puffball","sci":"Lycoperdon perlatum","cat":"GEOMETRY","ck":"Sphere","tag":"Perfectly round until disturbed","e":"edible","fact":"A single mature puffball releases up to 7 trillion spores — visible puffs each time a raindrop lands.","hab":"Woodlands and meadows worldwide.","r":["NA","EU","AS"]},
+{"n":73,"name":"Scarlet Caterpillarclub","sci":"Cordyceps militaris","cat":"GEOMETRY","ck":"Cylinder","tag":"Grows in a straight, cylindrical spike","e":"medicinal","fact":"Sprouts from a buried, mummified moth pupa — a sustainable substitute for the rare Tibetan caterpillar fungus.","hab":"Grasslands and woodland leaf litter.","r":["NA","EU","AS"]},
+{"n":74,"name":"Hexagonal-pored Polypore","sci":"Neofavolus alveolaris","cat":"GEOMETRY","ck":"Hexagon","tag":"Underbelly features perfect geometric honeycombs","e":"inedible","fact":"Its diamond-shaped pores are so geometric they look almost machine-made.","hab":"Dead hardwood twigs in spring.","r":["NA","EU","AS"]},
+{"n":75,"name":"Conical Waxcap","sci":"Hygrocybe conica","cat":"GEOMETRY","ck":"Cone","tag":"Pointed like a geometric cone","e":"toxic","fact":"Bruises and ages dramatically jet-black — also known as the witch's hat waxcap.","hab":"Ancient unimproved grasslands worldwide.","r":["WW"]},
+{"n":76,"name":"Turkey Tail","sci":"Trametes versicolor","cat":"MATH","ck":"Fibonacci","tag":"Grows in concentric, expanding arcs","e":"medicinal","fact":"Each ring lays down at a regular interval — a natural growth-rate logbook visible at a glance.","hab":"Dead hardwood logs and stumps.","r":["WW"]},
+{"n":77,"name":"Mycelial Mat","sci":"Armillaria ostoyae","cat":"MATH","ck":"Infinity","tag":"Spreads boundlessly beneath the soil","e":"symbiont","fact":"Mycelium is the dominant biomass in many forest soils — invisible to us, planet-spanning.","hab":"Soils, leaf litter, and decaying wood worldwide.","r":["WW"]},
+{"n":78,"name":"Roundhead Mushroom","sci":"Stropharia coronilla","cat":"MATH","ck":"Pi","tag":"Features a perfectly circular cap","e":"toxic","fact":"Often misidentified as its psychoactive cousins — but contains no psilocybin, only nausea.","hab":"Lawns and pastures.","r":["NA","EU","AS","OC"]},
+{"n":79,"name":"Parasol Mushroom","sci":"Macrolepiota procera","cat":"MATH","ck":"Golden Ratio","tag":"Stem-to-cap proportions match the golden mean","e":"choice","fact":"Its movable ring slides up and down the stem — a uniquely diagnostic field feature.","hab":"Pastures and woodland clearings.","r":["NA","EU","AS","SA"]},
+{"n":80,"name":"Earth Tongue","sci":"Geoglossum glabrum","cat":"MATH","ck":"Zero","tag":"Looks like a black void emerging from the ground","e":"inedible","fact":"An ascomycete that signals ancient, low-nutrient grassland — a bioindicator of conservation value.","hab":"Mossy unfertilized turf.","r":["NA","EU","AS"]},
+{"n":81,"name":"Prototaxites","sci":"Prototaxites","cat":"ERA","ck":"Jurassic","tag":"Ancient 20-foot tall fungi that dominated prehistory","e":"extinct","fact":"Up to 8 m tall — the tallest known land organisms of the Devonian, when plants were still tiny.","hab":"Extinct (430–360 Mya, worldwide).","r":["WW"]},
+{"n":82,"name":"Ice Fungus","sci":"Exidiopsis effusa","cat":"ERA","ck":"Ice Age","tag":"Produces hair-like ice crystals on dead wood","e":"inedible","fact":"Releases lignin compounds that prevent fine ice hairs from melting into bulk ice — physics in action.","hab":"Damp hardwood branches at 45–55°N, just below freezing.","r":["NA","EU"]},
+{"n":83,"name":"Renaissance Truffle","sci":"Tuber magnatum","cat":"ERA","ck":"Renaissance","tag":"Highly sought after by European nobility","e":"choice","fact":"Auctions in Alba routinely fetch €3,000–6,000/kg; a single specimen has gone for hundreds of thousands.","hab":"Calcareous soils with oak, hazel, and poplar.","r":["ITA","HRV","SVN","HUN"]},
+{"n":84,"name":"Veiled Lady","sci":"Phallus indusiatus","cat":"ERA","ck":"Victorian","tag":"Adorned in a modest but intricate lace veil","e":"choice","fact":"One of the fastest-growing fungi — its lace skirt unfurls fully within an hour of emerging from its egg.","hab":"Tropical and subtropical bamboo groves.","r":["AS","AF","SA","NA","OC"]},
+{"n":85,"name":"Midnight Blue Entoloma","sci":"Entoloma hochstetteri","cat":"TIME","ck":"Midnight","tag":"Dark as the night sky","e":"inedible","fact":"Its three azulene pigments make it one of the most vividly blue mushrooms in nature.","hab":"Damp native forests of New Zealand.","r":["NZL","IND"]},
+{"n":86,"name":"Rosy Veined Entoloma","sci":"Entoloma rhodopolium","cat":"TIME","ck":"Dawn","tag":"Pinkish hues resembling a sunrise","e":"toxic","fact":"Its pink-maturing gills give it the look — but the toxin gives a memorable two-day lesson.","hab":"Beech and oak humus.","r":["NA","EU","AS"]},
+{"n":87,"name":"Dusky Puffball","sci":"Lycoperdon nigrescens","cat":"TIME","ck":"Dusk","tag":"Muted, twilight colors","e":"inedible","fact":"Its dark spines fall away as it ages, leaving a netted, twilight pattern beneath.","hab":"Acidic woodlands and heaths.","r":["NA","EU"]},
+{"n":88,"name":"Yellow Morel","sci":"Morchella esculenta","cat":"SEASON","ck":"Spring","tag":"The universal sign of spring foraging","e":"choice","fact":"Notoriously difficult to cultivate — and *must* be cooked, since raw morels contain hydrazine toxins.","hab":"Floodplains, orchards, and burn scars in spring.","r":["NA","EU","AS"]},
+{"n":89,"name":"Pumpkin Mushroom","sci":"Omphalotus illudens","cat":"SEASON","ck":"Autumn","tag":"Orange and prevalent during the fall harvest","e":"toxic","fact":"Its gills bioluminesce — the original Jack-O-Lantern. The same illudin compounds are now in cancer trials.","hab":"Bases of hardwood stumps.","r":["NA","EU"]},
+{"n":90,"name":"Velvet Foot","sci":"Flammulina velutipes","cat":"SEASON","ck":"Winter","tag":"Thrives and fruits even in freezing snow","e":"choice","fact":"Cultivated as 'enoki' in CO₂-rich darkness — and one of the first fungi grown aboard a space station.","hab":"Dead elm, willow, poplar, and ash.","r":["NA","EU","AS"]},
+{"n":91,"name":"Gold Tops","sci":"Psilocybe cubensis","cat":"CRYPTO","ck":"BTC","tag":"A highly valued, underground commodity","e":"psychoactive","fact":"The 'Golden Teacher' strain emerged in the 1980s — now the most cultivated psilocybin mushroom worldwide.","hab":"Cattle pastures in tropical climates.","r":["NA","SA","AS","OC"]},
+{"n":92,"name":"Smart Contract Fungus","sci":"Rhizophagus irregularis","cat":"CRYPTO","ck":"ETH","tag":"Forms multi-party symbiotic agreements with roots","e":"symbiont","fact":"Plants reward generous fungal partners with extra carbon — a fully observed underground reciprocal market.","hab":"Soils worldwide; 80% of all land plants depend on it.","r":["WW"]},
+{"n":93,"name":"Cryptococcus neoformans","sci":"Cryptococcus neoformans","cat":"STATUS","ck":"Classified","tag":"Space-tested fungi with radiation-eating abilities","e":"pathogenic","fact":"Cryptococcal meningitis kills 100,000+ people each year — yet birds carry it harmlessly.","hab":"Pigeon guano and decaying wood, worldwide.","r":["WW"]},
+{"n":94,"name":"Lost Agaric","sci":"Pleurotus nebrodensis","cat":"STATUS","ck":"Extinct","tag":"Known only from historical records and illustrations","e":"choice","fact":"Once feared extinct, rediscovered in 1990s Sicily — one of the only fungi formally protected by IUCN.","hab":"Madonie mountains, Sicily.","r":["ITA"]},
+{"n":95,"name":"Death Cap (North America)","sci":"Amanita phalloides","cat":"STATUS","ck":"Invasive","tag":"Spread globally via imported oak trees","e":"deadly","fact":"In California it reproduces unisexually — a single haploid genotype clones itself across the continent.","hab":"Native and ornamental oaks, especially the US West Coast.","r":["USA","CAN"]},
+{"n":96,"name":"Dragon's Blood Mushroom","sci":"Hydnellum peckii","cat":"MYTH","ck":"Dragon","tag":"Exudes a dark red resin when cut","e":"inedible","fact":"Also accumulates cesium-137 — a useful biomarker of nuclear fallout in forest soils.","hab":"Conifer forests of the Northern Hemisphere.","r":["NA","EU","AS"]},
+{"n":97,"name":"Fairy Ring Mushroom","sci":"Marasmius oreades","cat":"MYTH","ck":"Fairy","tag":"Believed to be the dancing grounds of sprites","e":"choice","fact":"European folklore variously blamed rings on dancing fairies, witches' covens, or dragon footprints.","hab":"Lawns, meadows, and pastures.","r":["NA","EU","AS"]},
+{"n":98,"name":"Goblin's Gold","sci":"Schistostega pennata","cat":"MYTH","ck":"Goblin","tag":"Luminescent moss/fungus hybrid found in dark caves","e":"inedible","fact":"It doesn't actually glow — its lens-shaped cells reflect dim light. Folklore promised treasure; only dirt was found.","hab":"Caves, badger setts, and old mine shafts.","r":["NA","EU","AS"]},
+{"n":99,"name":"Witch's Hat","sci":"Hygrocybe conica","cat":"MYTH","ck":"Witch","tag":"Pointed cap that turns black when bruised","e":"toxic","fact":"Likely a hidden biotrophic partner of mosses or grass roots — a major unsolved mystery in fungal ecology.","hab":"Old grasslands and churchyards.","r":["WW"]},
+{"n":100,"name":"Ophiocordyceps unilateralis","sci":"Ophiocordyceps unilateralis","cat":"MYTH","ck":"Zombie","tag":"Takes mind control of ants to spread spores","e":"pathogenic","fact":"It steers ants to a precise leaf-vein height before killing them — yet doesn't actually invade the brain.","hab":"Tropical rainforests worldwide.","r":["SA","AF","AS"]}
+];
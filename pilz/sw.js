@@ -0,0 +1,105 @@
+/* service worker — keeps the compendium usable without signal.
+   App files are cached on install (versioned, replaced on update). Images are large, so they are downloaded
+   one by one when the page asks for it ({type:'precache'}, which it sends by itself on an online visit while
+   any are missing), into a separate cache that survives updates. */
+importScripts('precache.js');
+
+const SHELL_CACHE = 'mycelia-shell-' + PRECACHE.version;
+const IMAGE_CACHE = 'mycelia-images';
+const SHELL = ['./', 'precache.js', ...PRECACHE.shell.map(([f]) => f)];
+
+function abs(rel){ return new URL(rel, self.registration.scope).href; }
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil((async () => {
+    for(const k of await caches.keys()){
+      if(k.startsWith('mycelia-shell-') && k !== SHELL_CACHE) await caches.delete(k);
+    }
+    // drop images that are no longer part of the compendium
+    const keep = new Set(PRECACHE.images.map(([f]) => abs(f)));
+    const ic = await caches.open(IMAGE_CACHE);
+    for(const req of await ic.keys()) if(!keep.has(req.url)) await ic.delete(req);
+    await self.clients.claim();
+  })());
+});
+
+// images never change once fetched: cache first. App files: network first so an edit shows up on the
+// next online visit, with the cached copy as the offline fallback.
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  const url = new URL(req.url);
+  if(req.method !== 'GET' || url.origin !== self.location.origin) return;
+  if(/\/images\/\d+\/img_\d+\.jpg$/.test(url.pathname)){
+    e.respondWith(caches.match(req, {ignoreSearch: true}).then(hit => hit || fetch(req)));
+    return;
+  }
+  e.respondWith((async () => {
+    try {
+      const res = await fetch(req);
+      if(res.ok && await caches.match(req, {ignoreSearch: true})){
+        const copy = res.clone();
+        caches.open(SHELL_CACHE).then(c => c.put(req, copy));
+      }
+      return res;
+    } catch(err){
+      const hit = await caches.match(req, {ignoreSearch: true});
+      if(hit) return hit;
+      if(req.mode === 'navigate') return caches.match(abs('index.html'));
+      throw err;
+    }
+  })());
+});
+
+async function status(){
+  const ic = await caches.open(IMAGE_CACHE);
+  const have = new Set((await ic.keys()).map(r => r.url));
+  const all = [...PRECACHE.shell, ...PRECACHE.images];
+  const cached = PRECACHE.images.filter(([f]) => have.has(abs(f)));
+  return {
+    type: 'precache-status',
+    done: cached.length,
+    total: PRECACHE.images.length,
+    bytes: PRECACHE.shell.reduce((s, [, n]) => s + n, 0) + cached.reduce((s, [, n]) => s + n, 0),
+    totalBytes: all.reduce((s, [, n]) => s + n, 0),
+    busy: !!downloading,
+  };
+}
+
+async function broadcast(msg){
+  for(const c of await self.clients.matchAll()) c.postMessage(msg);
+}
+
+let downloading = null;
+// fetches missing images one at a time so a lost connection only loses the current file; calling it
+// again resumes where it stopped
+async function precacheImages(){
+  const ic = await caches.open(IMAGE_CACHE);
+  const have = new Set((await ic.keys()).map(r => r.url));
+  let failed = 0;
+  for(const [f] of PRECACHE.images){
+    if(have.has(abs(f))) continue;
+    try {
+      const res = await fetch(f, {cache: 'no-cache'});
+      if(!res.ok) throw new Error(res.status);
+      await ic.put(abs(f), res);
+    } catch(_){
+      failed++;
+    }
+    await broadcast(await status());
+  }
+  await broadcast(Object.assign(await status(), {type: failed ? 'precache-error' : 'precache-done', failed, busy: false}));
+}
+
+self.addEventListener('message', e => {
+  const msg = e.data || {};
+  if(msg.type === 'status'){
+    e.waitUntil(status().then(s => e.source.postMessage(s)));
+  } else if(msg.type === 'precache'){
+    if(!downloading) downloading = precacheImages().finally(() => { downloading = null; });
+    e.waitUntil(downloading);
+  }
+});
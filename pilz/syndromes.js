@@ -0,0 +1,166 @@
+/* generated by build.js from syndromes.json — the controlled symptom vocabulary DETAILS toxicity.signs uses (SIGNS)
+   and the poisoning syndromes they point to (SYNDROMES), most dangerous first; onsetHours count from the meal */
+const SIGNS = {
+ "gi": {
+  "name": "GI distress",
+  "hint": "Vomiting, diarrhoea, stomach cramps"
+ },
+ "remission": {
+  "name": "False remission",
+  "hint": "Felt better, then worse again"
+ },
+ "hepatotoxic": {
+  "name": "Hepatotoxicity",
+  "hint": "Yellow skin or eyes, liver failure"
+ },
+ "nephrotoxic": {
+  "name": "Nephrotoxicity",
+  "hint": "Little urine, thirst, flank pain"
+ },
+ "cholinergic": {
+  "name": "Cholinergic",
+  "hint": "Sweating, drooling, pin-point pupils, slow pulse"
+ },
+ "delirium": {
+  "name": "Delirium",
+  "hint": "Confusion, agitation, muscle twitching"
+ },
+ "hallucinogenic": {
+  "name": "Hallucinogenic",
+  "hint": "Hallucinations, distorted perception"
+ },
+ "ataxia": {
+  "name": "Ataxia",
+  "hint": "Staggering, tremor, dizziness"
+ },
+ "seizure": {
+  "name": "Seizures / coma",
+  "hint": "Fits, drowsiness, unconsciousness"
+ },
+ "disulfiram": {
+  "name": "Disulfiram-like",
+  "hint": "Flushing, racing heart after alcohol"
+ },
+ "allergic": {
+  "name": "Allergic",
+  "hint": "Swollen lips, rash, hives"
+ },
+ "respiratory": {
+  "name": "Respiratory",
+  "hint": "Cough, wheeze, breathlessness"
+ },
+ "infection": {
+  "name": "Infection",
+  "hint": "Fever, headache, stiff neck"
+ }
+};
+const SYNDROMES = {
+ "amatoxin": {
+  "name": "Amatoxin (phalloides syndrome)",
+  "toxins": "α-amanitin, phalloidin",
+  "onsetHours": [
+   6,
+   24
+  ],
+  "signs": [
+   "gi",
+   "remission",
+   "hepatotoxic",
+   "nephrotoxic"
+  ],
+  "note": "A symptom-free latency of 6 h or more, then violent watery diarrhoea, an apparent recovery on day 2 and liver and kidney failure from day 3. Any mushroom meal with symptoms starting after 6 h is treated as amatoxin until ruled out: urine amanitin test, liver enzymes, clotting; silibinin, N-acetylcysteine, fluids."
+ },
+ "orellanine": {
+  "name": "Orellanine (orellanus syndrome)",
+  "toxins": "orellanine (webcaps, Cortinarius)",
+  "onsetHours": [
+   36,
+   336
+  ],
+  "signs": [
+   "nephrotoxic",
+   "gi"
+  ],
+  "note": "Kidney failure 2 days to 3 weeks after the meal, often after only a mild stomach upset, so the link to mushrooms is easily missed. Check creatinine in everyone who shared the meal; dialysis, in some cases a transplant."
+ },
+ "gyromitrin": {
+  "name": "Gyromitrin (hydrazine)",
+  "toxins": "gyromitrin → monomethylhydrazine",
+  "onsetHours": [
+   5,
+   12
+  ],
+  "signs": [
+   "gi",
+   "ataxia",
+   "seizure",
+   "hepatotoxic"
+  ],
+  "note": "Vomiting and headache after 5–12 h, then dizziness, seizures and liver injury. Pyridoxine (vitamin B6) for seizures, benzodiazepines, liver monitoring."
+ },
+ "muscarine": {
+  "name": "Muscarine (cholinergic)",
+  "toxins": "muscarine (fibrecaps, small white Clitocybe, some Entoloma)",
+  "onsetHours": [
+   0.25,
+   2
+  ],
+  "signs": [
+   "cholinergic",
+   "gi"
+  ],
+  "note": "Sweating, salivation, tears, small pupils, slow pulse and wheezing within 15 min – 2 h. Atropine reverses it; recovery within a day."
+ },
+ "isoxazole": {
+  "name": "Ibotenic acid / muscimol (pantherina syndrome)",
+  "toxins": "ibotenic acid, muscimol",
+  "onsetHours": [
+   0.5,
+   2
+  ],
+  "signs": [
+   "delirium",
+   "hallucinogenic",
+   "ataxia",
+   "seizure"
+  ],
+  "note": "Drowsiness alternating with agitation, delirium and muscle twitching within 30 min – 2 h. Supportive care, benzodiazepines for agitation or seizures; no atropine. Usually over within 24 h."
+ },
+ "psilocybin": {
+  "name": "Psilocybin (hallucinogenic)",
+  "toxins": "psilocybin, psilocin",
+  "onsetHours": [
+   0.33,
+   1
+  ],
+  "signs": [
+   "hallucinogenic"
+  ],
+  "note": "Altered perception within an hour, over after 4–6 h. Calm surroundings and reassurance, benzodiazepines for panic. Physically low risk."
+ },
+ "coprine": {
+  "name": "Coprine (disulfiram-like)",
+  "toxins": "coprine",
+  "onsetHours": [
+   0.25,
+   2
+  ],
+  "signs": [
+   "disulfiram",
+   "gi"
+  ],
+  "note": "Only together with alcohol drunk up to 3 days after the meal; onset is counted from the drink, not the meal. Flushing, palpitations, low blood pressure. No alcohol for 72 h, supportive care."
+ },
+ "gastrointestinal": {
+  "name": "Gastrointestinal irritants",
+  "toxins": "various, including illudins and irritants destroyed by cooking",
+  "onsetHours": [
+   0.5,
+   4
+  ],
+  "signs": [
+   "gi"
+  ],
+  "note": "Vomiting and diarrhoea within 30 min – 4 h, over in 1–2 days. Fluids and electrolytes. Symptoms that only start after 6 h point to a more dangerous syndrome."
+ }
+};
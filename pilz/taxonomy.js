@@ -0,0 +1,104 @@
+/* generated by build.js from taxonomy.json — kingdom, phylum, class, order, family and genus of each species.
+   null = unplaced at that rank, or the entry covers several taxa */
+const TAXONOMY = {
+ "1": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Thelephorales", "family": "Bankeraceae", "genus": "Hydnellum"},
+ "2": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Amanitaceae", "genus": "Amanita"},
+ "3": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Tuberaceae", "genus": "Tuber"},
+ "4": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Cantharellales", "family": "Cantharellaceae", "genus": "Cantharellus"},
+ "5": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Russulales", "family": "Russulaceae", "genus": "Lactarius"},
+ "6": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hydnangiaceae", "genus": "Laccaria"},
+ "7": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Pleurotaceae", "genus": "Pleurotus"},
+ "8": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hygrophoraceae", "genus": "Gliophorus"},
+ "9": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Entolomataceae", "genus": "Entoloma"},
+ "10": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Laetiporaceae", "genus": "Laetiporus"},
+ "11": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Chorioactidaceae", "genus": "Chorioactis"},
+ "12": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Amanitaceae", "genus": "Amanita"},
+ "13": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Marasmiaceae", "genus": "Marasmius"},
+ "14": {"kingdom": "Fungi", "phylum": "Glomeromycota", "class": "Glomeromycetes", "order": "Glomerales", "family": "Glomeraceae", "genus": null},
+ "15": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Ustilaginomycetes", "order": "Ustilaginales", "family": "Ustilaginaceae", "genus": "Ustilago"},
+ "16": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Tricholomataceae", "genus": "Tricholoma"},
+ "17": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Rhodotus"},
+ "18": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Fomitopsidaceae", "genus": "Fomitopsis"},
+ "19": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Armillaria"},
+ "20": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Phallales", "family": "Phallaceae", "genus": "Phallus"},
+ "21": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Coprinus"},
+ "22": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hymenogastraceae", "genus": "Galerina"},
+ "23": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hymenogastraceae", "genus": "Psilocybe"},
+ "24": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Tuberaceae", "genus": "Tuber"},
+ "25": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Pleurotaceae", "genus": "Pleurotus"},
+ "26": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Omphalotaceae", "genus": "Omphalotus"},
+ "27": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Phallales", "family": "Phallaceae", "genus": "Phallus"},
+ "28": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Sarcosomataceae", "genus": "Urnula"},
+ "29": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Discinaceae", "genus": "Gyromitra"},
+ "30": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Geastrales", "family": "Geastraceae", "genus": "Geastrum"},
+ "31": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Sordariomycetes", "order": "Hypocreales", "family": "Hypocreaceae", "genus": "Hypomyces"},
+ "32": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Agaricus"},
+ "33": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Armillaria"},
+ "34": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Desarmillaria"},
+ "35": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Calvatia"},
+ "36": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Cantharellales", "family": "Cantharellaceae", "genus": "Craterellus"},
+ "37": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Polyporaceae", "genus": "Trametes"},
+ "38": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Cantharellales", "family": "Cantharellaceae", "genus": "Craterellus"},
+ "39": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Geastrales", "family": "Geastraceae", "genus": "Geastrum"},
+ "40": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Hymenochaetales", "family": "Hymenochaetaceae", "genus": "Inonotus"},
+ "41": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Gomphales", "family": "Gomphaceae", "genus": "Ramaria"},
+ "42": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Boletales", "family": "Gomphidiaceae", "genus": "Chroogomphus"},
+ "43": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Fistulinaceae", "genus": "Fistulina"},
+ "44": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Dothideomycetes", "order": "Cladosporiales", "family": "Cladosporiaceae", "genus": "Cladosporium"},
+ "45": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Strophariaceae", "genus": "Hypholoma"},
+ "46": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Cyphellaceae", "genus": "Chondrostereum"},
+ "47": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Sordariomycetes", "order": "Xylariales", "family": "Hypoxylaceae", "genus": "Daldinia"},
+ "48": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Entolomataceae", "genus": "Entoloma"},
+ "49": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Mycenaceae", "genus": "Mycena"},
+ "50": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Sordariomycetes", "order": "Xylariales", "family": "Xylariaceae", "genus": "Xylaria"},
+ "51": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Ganodermataceae", "genus": "Ganoderma"},
+ "52": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Psathyrellaceae", "genus": "Coprinopsis"},
+ "53": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Nidulariaceae", "genus": "Cyathus"},
+ "54": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Cantharellales", "family": "Cantharellaceae", "genus": "Craterellus"},
+ "55": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Morchellaceae", "genus": "Verpa"},
+ "56": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": null, "family": null, "genus": null},
+ "57": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Boletales", "family": "Boletaceae", "genus": "Boletus"},
+ "58": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Fomitopsidaceae", "genus": "Fomitopsis"},
+ "59": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Pleurotaceae", "genus": "Pleurotus"},
+ "60": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Russulales", "family": "Hericiaceae", "genus": "Hericium"},
+ "61": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Amanitaceae", "genus": "Amanita"},
+ "62": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Auriculariales", "family": "Auriculariaceae", "genus": "Exidia"},
+ "63": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Hymenochaetales", "family": "Hymenochaetaceae", "genus": "Phellinus"},
+ "64": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Mycenaceae", "genus": "Panellus"},
+ "65": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Agaricus"},
+ "66": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Sparassidaceae", "genus": "Sparassis"},
+ "67": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Tremellomycetes", "order": "Tremellales", "family": "Tremellaceae", "genus": "Tremella"},
+ "68": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Boletales", "family": "Suillaceae", "genus": "Suillus"},
+ "69": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Pleurotaceae", "genus": "Pleurotus"},
+ "70": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hymenogastraceae", "genus": "Hebeloma"},
+ "71": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Schizophyllaceae", "genus": "Schizophyllum"},
+ "72": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Lycoperdon"},
+ "73": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Sordariomycetes", "order": "Hypocreales", "family": "Cordycipitaceae", "genus": "Cordyceps"},
+ "74": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Polyporaceae", "genus": "Neofavolus"},
+ "75": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hygrophoraceae", "genus": "Hygrocybe"},
+ "76": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Polyporales", "family": "Polyporaceae", "genus": "Trametes"},
+ "77": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Armillaria"},
+ "78": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Strophariaceae", "genus": "Stropharia"},
+ "79": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Macrolepiota"},
+ "80": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Geoglossomycetes", "order": "Geoglossales", "family": "Geoglossaceae", "genus": "Geoglossum"},
+ "81": {"kingdom": "Fungi", "phylum": null, "class": null, "order": null, "family": null, "genus": "Prototaxites"},
+ "82": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Auriculariales", "family": "Auriculariaceae", "genus": "Exidiopsis"},
+ "83": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Tuberaceae", "genus": "Tuber"},
+ "84": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Phallales", "family": "Phallaceae", "genus": "Phallus"},
+ "85": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Entolomataceae", "genus": "Entoloma"},
+ "86": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Entolomataceae", "genus": "Entoloma"},
+ "87": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Agaricaceae", "genus": "Lycoperdon"},
+ "88": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Pezizomycetes", "order": "Pezizales", "family": "Morchellaceae", "genus": "Morchella"},
+ "89": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Omphalotaceae", "genus": "Omphalotus"},
+ "90": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Physalacriaceae", "genus": "Flammulina"},
+ "91": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hymenogastraceae", "genus": "Psilocybe"},
+ "92": {"kingdom": "Fungi", "phylum": "Glomeromycota", "class": "Glomeromycetes", "order": "Glomerales", "family": "Glomeraceae", "genus": "Rhizophagus"},
+ "93": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Tremellomycetes", "order": "Tremellales", "family": "Cryptococcaceae", "genus": "Cryptococcus"},
+ "94": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Pleurotaceae", "genus": "Pleurotus"},
+ "95": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Amanitaceae", "genus": "Amanita"},
+ "96": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Thelephorales", "family": "Bankeraceae", "genus": "Hydnellum"},
+ "97": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Marasmiaceae", "genus": "Marasmius"},
+ "98": {"kingdom": "Plantae", "phylum": "Bryophyta", "class": "Bryopsida", "order": "Dicranales", "family": "Schistostegaceae", "genus": "Schistostega"},
+ "99": {"kingdom": "Fungi", "phylum": "Basidiomycota", "class": "Agaricomycetes", "order": "Agaricales", "family": "Hygrophoraceae", "genus": "Hygrocybe"},
+ "100": {"kingdom": "Fungi", "phylum": "Ascomycota", "class": "Sordariomycetes", "order": "Hypocreales", "family": "Ophiocordycipitaceae", "genus": "Ophiocordyceps"}
+};
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/* Runs fetch_images.js against a MediaWiki API mocked with http.createServer on localhost, in a temporary
+   folder: no network and nothing in images/ is touched. Covers the rejection reasons, the title fallback,
+   Retry-After, backoff, failures, the run report, keeping photos on disk and --resume.
+
+   node test_fetch_images.js        prints one line per check; exit code 1 on the first failure */
+'use strict';
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {createHttp, run, backfillSpecies} = require('./fetch_images.js');
+
+// a JPEG header with a SOF0 segment: enough for imageSize(), padded to size bytes
+function jpeg(width, height, size = 64){
+  const buf = Buffer.alloc(size);
+  Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 255, width >> 8, width & 255]).copy(buf);
+  return buf;
+}
+
+/* ---------- the mock API ---------- */
+// article title -> its files; the first is the lead image
+const PAGES = {
+  Alpha: ['File:Lead.jpg', 'File:Icon.svg', 'File:Commons-logo.jpg', 'File:Diagram.jpg', 'File:Small.jpg', 'File:Huge.jpg',
+          'File:Broken.jpg', 'File:Liar.jpg', 'File:Gone.jpg', 'File:Second.jpg'],
+  Beta: ['File:B1.jpg', 'File:B2.jpg', 'File:B3.jpg'],
+  Gamma: ['File:Lead.jpg'],
+  Epsilon: ['File:B1.jpg'],
+};
+// file title -> imageinfo and the bytes behind its URL; a title missing here has no image info
+const FILES = {
+  'File:Lead.jpg': {width: 1000, height: 800, body: jpeg(1000, 800)},
+  'File:Diagram.jpg': {width: 1000, height: 800, mime: 'image/png', body: jpeg(1000, 800)},
+  'File:Small.jpg': {width: 300, height: 200, body: jpeg(300, 200)},
+  'File:Huge.jpg': {width: 4000, height: 3000, body: jpeg(1280, 960, 5000)},
+  'File:Broken.jpg': {width: 1000, height: 800, body: Buffer.from('<html>not found</html>')},
+  'File:Liar.jpg': {width: 1000, height: 800, body: jpeg(200, 150)},
+  'File:Second.jpg': {width: 800, height: 1000, body: jpeg(800, 1000)},
+  // different lengths, so --meta can tell them apart by their SHA-1
+  'File:B1.jpg': {width: 1200, height: 900, body: jpeg(1200, 900, 64)},
+  'File:B2.jpg': {width: 1200, height: 900, body: jpeg(1200, 900, 65)},
+  'File:B3.jpg': {width: 1200, height: 900, body: jpeg(1200, 900, 66)},
+};
+const DESCRIPTION = 'A fruiting body on moss, '.repeat(20);
+
+// key (article or file title, or download path) -> responses served before the real one
+const faults = {};
+const hits = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const q = url.searchParams;
+  const key = url.pathname === '/w/api.php' ? q.get('titles') : url.pathname;
+  hits.push(key);
+  const fault = faults[key] && faults[key].shift();
+  if(fault){
+    res.writeHead(fault.status, fault.headers || {});
+    return res.end();
+  }
+  if(url.pathname.startsWith('/files/')){
+    const file = FILES['File:' + decodeURIComponent(url.pathname.slice(7))];
+    res.writeHead(200, {'Content-Type': 'image/jpeg'});
+    return res.end(file.body);
+  }
+  let page;
+  if(q.get('prop') === 'imageinfo'){
+    const f = FILES[key];
+    page = !f ? {title: key, missing: true} : {title: key, imageinfo: [{
+      descriptionurl: `https://commons.example/wiki/${encodeURIComponent(key)}`,
+      url: `${origin}/files/${encodeURIComponent(key.slice(5))}`,
+      mime: f.mime || 'image/jpeg', width: f.width, height: f.height, sha1: crypto.createHash('sha1').update(f.body).digest('hex'),
+      extmetadata: {
+        Artist: {value: '<a href="https://commons.example/wiki/User:Jane">Jane &amp; Co</a>'},
+        LicenseShortName: {value: 'CC BY-SA 4.0'},
+        LicenseUrl: {value: 'https://creativecommons.org/licenses/by-sa/4.0'},
+        ImageDescription: {value: `<p>${DESCRIPTION}</p>`},
+      },
+    }]};
+  } else {
+    const files = PAGES[key];
+    page = !files ? {title: key, missing: true} : {title: key, pageimage: files[0].slice(5), images: files.slice(1).map(title => ({title}))};
+  }
+  res.writeHead(200, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify({query: {pages: [page]}}));
+});
+let origin;
+
+/* ---------- checks ---------- */
+const SPECIES = [
+  {n: 1, name: 'Alpha', sci: 'Alpha'},
+  // found by its common name only
+  {n: 2, name: 'Beta', sci: 'Betus nonexistens'},
+  {n: 3, name: 'Gamma', sci: 'Gamma'},
+  {n: 4, name: 'Delta', sci: 'Deltus'},
+  {n: 5, name: 'Epsilon', sci: 'Epsilon'},
+];
+
+async function main(){
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  const api = origin + '/w/api.php';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-images-'));
+  const sleeps = [];
+  const mockHttp = opts => createHttp({interval: 0, backoff: 10, sleep: async ms => { sleeps.push(ms); }, ...opts});
+  const quiet = () => {};
+  const checks = [];
+  const check = (name, fn) => checks.push([name, fn]);
+  let report;
+
+  check('first run: rejections, fallback, Retry-After, backoff and failures', async () => {
+    faults['File:B1.jpg'] = [{status: 429, headers: {'Retry-After': '7'}}];
+    faults['/files/B2.jpg'] = [{status: 503}, {status: 503}];
+    faults.Gamma = [{status: 404}];
+    faults.Epsilon = Array(5).fill({status: 500});
+    const h = mockHttp();
+    report = await run({species: SPECIES, http: h, api, dir, log: quiet, maxBytes: 4096});
+    assert.deepEqual(sleeps, [7000, 10, 20, 10, 20, 40, 80]);
+    assert.equal(report.retries, 7);
+    assert.equal(report.requests, h.stats.requests);
+
+    const alpha = report.species[1];
+    assert.equal(alpha.status, 'partial');
+    assert.deepEqual(alpha.saved, ['img_1.jpg', 'img_2.jpg']);
+    assert.deepEqual(alpha.missing, ['img_3.jpg']);
+    assert.deepEqual(Object.fromEntries(alpha.rejected.map(r => [r.file, r.reason])), {
+      'File:Icon.svg': 'not a JPEG',
+      'File:Commons-logo.jpg': 'not a photo of the species',
+      'File:Diagram.jpg': 'image/png is not a JPEG',
+      'File:Small.jpg': '300×200 is smaller than 400 px',
+      'File:Huge.jpg': '5000 bytes is over the 4096 byte limit',
+      'File:Broken.jpg': 'download is not a readable JPEG',
+      'File:Liar.jpg': '200×150 is smaller than 400 px',
+      'File:Gone.jpg': 'no image info',
+    });
+
+    assert.equal(report.species[2].status, 'done');
+    assert.equal(report.species[2].title, 'Beta');
+    assert.equal(report.species[3].status, 'failed');
+    assert.match(report.species[3].error, /HTTP 404/);
+    assert.equal(report.species[4].status, 'failed');
+    assert.equal(report.species[4].error, 'no article for Deltus / Delta');
+    assert.equal(report.species[5].status, 'failed');
+    assert.match(report.species[5].error, /HTTP 500/);
+  });
+
+  check('photos and meta.json on disk', async () => {
+    assert.deepEqual(fs.readFileSync(path.join(dir, '1', 'img_1.jpg')), FILES['File:Lead.jpg'].body);
+    assert.deepEqual(fs.readFileSync(path.join(dir, '1', 'img_2.jpg')), FILES['File:Second.jpg'].body);
+    assert.ok(!fs.existsSync(path.join(dir, '1', 'img_3.jpg')));
+    assert.deepEqual(fs.readdirSync(path.join(dir, '2')).sort(), ['img_1.jpg', 'img_2.jpg', 'img_3.jpg', 'meta.json']);
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, '1', 'meta.json'), 'utf8'));
+    assert.deepEqual(Object.keys(meta), ['img_1.jpg', 'img_2.jpg']);
+    const m = meta['img_1.jpg'];
+    assert.equal(m.source, 'https://commons.example/wiki/File%3ALead.jpg');
+    assert.equal(m.author, 'Jane & Co');
+    assert.equal(m.licence, 'CC BY-SA 4.0');
+    assert.equal(m.licenceUrl, 'https://creativecommons.org/licenses/by-sa/4.0');
+    assert.ok(m.description.length <= 250 && m.description.startsWith('A fruiting body on moss, A') && m.description.endsWith('…'), m.description);
+  });
+
+  check('the report file matches what run() returned', async () => {
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'fetch-report.json'), 'utf8'));
+    assert.deepEqual(saved, JSON.parse(JSON.stringify(report)));
+    assert.ok(saved.finished >= saved.started);
+  });
+
+  check('photos on disk are kept', async () => {
+    hits.length = 0;
+    const again = await run({species: [SPECIES[1]], http: mockHttp(), api, dir, log: quiet, report: path.join(dir, 'again.json')});
+    assert.equal(again.species[2].status, 'skipped');
+    assert.deepEqual(hits, []);
+  });
+
+  check('--resume retries only the failed species', async () => {
+    hits.length = 0;
+    const h = mockHttp();
+    const resumed = await run({species: SPECIES, http: h, api, dir, log: quiet, resume: true});
+    assert.deepEqual(resumed.species[1], report.species[1]);
+    assert.deepEqual(resumed.species[2], report.species[2]);
+    assert.ok(!hits.includes('Alpha') && !hits.includes('Beta'));
+    // Gamma's and Epsilon's articles have one photo each
+    assert.equal(resumed.species[3].status, 'partial');
+    assert.deepEqual(resumed.species[3].saved, ['img_1.jpg']);
+    assert.deepEqual(resumed.species[3].missing, ['img_2.jpg', 'img_3.jpg']);
+    assert.equal(resumed.species[4].status, 'failed');
+    assert.equal(resumed.species[5].status, 'partial');
+    assert.equal(resumed.retries, 0);
+  });
+
+  check('network errors are retried, then reported with their cause', async () => {
+    sleeps.length = 0;
+    // the port of a server that is no longer listening
+    const gone = http.createServer();
+    await new Promise(r => gone.listen(0, '127.0.0.1', r));
+    const closed = `http://127.0.0.1:${gone.address().port}/w/api.php`;
+    await new Promise(r => gone.close(r));
+    const failed = await run({species: [SPECIES[0]], http: mockHttp({retries: 2}), api: closed, dir, log: quiet,
+                              report: path.join(dir, 'closed.json'), force: true});
+    assert.equal(failed.species[1].status, 'failed');
+    assert.match(failed.species[1].error, /^fetch failed \(ECONNREFUSED\)$/);
+    assert.deepEqual(sleeps, [10, 20]);
+  });
+
+  check('--meta fills in a lost meta.json without downloading', async () => {
+    fs.unlinkSync(path.join(dir, '2', 'meta.json'));
+    hits.length = 0;
+    const entry = await backfillSpecies(SPECIES[1], {http: mockHttp(), api, dir});
+    assert.equal(entry.status, 'done');
+    assert.deepEqual(entry.saved, ['img_1.jpg', 'img_2.jpg', 'img_3.jpg']);
+    assert.ok(!hits.some(k => k.startsWith('/files/')));
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, '2', 'meta.json'), 'utf8'));
+    assert.deepEqual(Object.keys(meta), ['img_1.jpg', 'img_2.jpg', 'img_3.jpg']);
+  });
+
+  let failed = false;
+  try {
+    for(const [name, fn] of checks){
+      try {
+        await fn();
+        console.log(`ok    ${name}`);
+      } catch(e){
+        console.log(`FAIL  ${name}\n${e.stack}`);
+        failed = true;
+        break;
+      }
+    }
+  } finally {
+    server.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; });
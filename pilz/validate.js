@@ -0,0 +1,88 @@
+/* minimal JSON Schema validator (the draft-07 subset schema.json uses): type, enum, const, anyOf, required,
+   properties, additionalProperties, patternProperties, items, minItems, maxItems, uniqueItems,
+   minimum, maximum, minLength, maxLength, pattern and local $ref. Used by build.js; also loads as a plain script
+   (window.SchemaValidator). */
+(function(root){
+'use strict';
+
+function typeOf(v){
+  if(v === null) return 'null';
+  if(Array.isArray(v)) return 'array';
+  if(typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+function typeMatches(want, v){
+  const t = typeOf(v);
+  return want === t || (want === 'number' && t === 'integer');
+}
+function resolve(rootSchema, ref){
+  if(!ref.startsWith('#/')) throw new Error('only local $ref is supported: ' + ref);
+  return ref.slice(2).split('/').reduce((s, k) => s && s[k], rootSchema);
+}
+
+// returns a list of "path: message" strings; empty when value is valid
+function validate(schema, value, path, rootSchema){
+  rootSchema = rootSchema || schema;
+  path = path || '';
+  const errs = [];
+  const at = path || '(root)';
+  if(schema.$ref) return validate(resolve(rootSchema, schema.$ref), value, path, rootSchema);
+  if(schema.anyOf){
+    const tries = schema.anyOf.map(s => validate(s, value, path, rootSchema));
+    if(tries.every(t => t.length)) errs.push(...tries.reduce((a, b) => (b.length < a.length ? b : a)));
+  }
+
+  if(schema.type){
+    const types = [].concat(schema.type);
+    if(!types.some(t => typeMatches(t, value))){
+      errs.push(`${at}: must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errs;
+    }
+  }
+  if(schema.enum && !schema.enum.includes(value)) errs.push(`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  if('const' in schema && value !== schema.const) errs.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+
+  if(typeof value === 'string'){
+    if(schema.minLength != null && value.length < schema.minLength) errs.push(`${at}: must not be empty`);
+    if(schema.maxLength != null && value.length > schema.maxLength) errs.push(`${at}: must be at most ${schema.maxLength} characters, got ${value.length}`);
+    if(schema.pattern && !new RegExp(schema.pattern).test(value)) errs.push(`${at}: must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+  }
+  if(typeof value === 'number'){
+    if(schema.minimum != null && value < schema.minimum) errs.push(`${at}: must be >= ${schema.minimum}, got ${value}`);
+    if(schema.maximum != null && value > schema.maximum) errs.push(`${at}: must be <= ${schema.maximum}, got ${value}`);
+  }
+  if(Array.isArray(value)){
+    if(schema.minItems != null && value.length < schema.minItems) errs.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if(schema.maxItems != null && value.length > schema.maxItems) errs.push(`${at}: allows at most ${schema.maxItems} item(s)`);
+    if(schema.uniqueItems){
+      const seen = new Set(value.map(v => JSON.stringify(v)));
+      if(seen.size !== value.length) errs.push(`${at}: items must be unique`);
+    }
+    if(schema.items) value.forEach((v, i) => errs.push(...validate(schema.items, v, `${path}[${i}]`, rootSchema)));
+  }
+  if(typeOf(value) === 'object'){
+    for(const k of schema.required || []){
+      if(!(k in value)) errs.push(`${at}: missing required field "${k}"`);
+    }
+    const props = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p), s]);
+    for(const [k, v] of Object.entries(value)){
+      const sub = path ? `${path}.${k}` : k;
+      let known = false;
+      if(props[k]){ known = true; errs.push(...validate(props[k], v, sub, rootSchema)); }
+      for(const [re, s] of patterns){
+        if(re.test(k)){ known = true; errs.push(...validate(s, v, sub, rootSchema)); }
+      }
+      if(!known){
+        if(schema.additionalProperties === false) errs.push(`${at}: unknown field "${k}"`);
+        else if(typeof schema.additionalProperties === 'object') errs.push(...validate(schema.additionalProperties, v, sub, rootSchema));
+      }
+    }
+  }
+  return errs;
+}
+
+const api = {validate};
+if(typeof module !== 'undefined' && module.exports) module.exports = api;
+else root.SchemaValidator = api;
+})(this);